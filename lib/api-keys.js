@@ -0,0 +1,333 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
+'use strict';
+
+/**
+ * Personal API keys, for clients that can't log in interactively. In the
+ * dataserviceAuthentication section of the server config:
+ *
+ *   "apiKeys": {
+ *     "enabled": true,
+ *     "storageFile": "../deploy/instance/ZLUX/serverConfig/apiKeys.json",
+ *     "headerName": "X-API-Key",
+ *     "maxExpiryDays": 365
+ *   }
+ *
+ * A logged in user mints a key with a name, scopes and an expiry. A scope is
+ * "*", a plugin identifier, or "<plugin identifier>:<service name>"; only
+ * "*" covers the root services. The key is shown once: the storage file
+ * keeps a hash of it.
+ *
+ * A request with the key in the header is attributed to its owner. The key
+ * also carries what the auth plugins kept in the session it was minted
+ * from, encrypted with the key itself, so that the plugins see the request
+ * as they would one of that session, and check what the user may access.
+ * A key stops working when that session state does, e.g. when it holds an
+ * agent session that expires.
+ *
+ * In a cluster, the keys are kept in the master
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Promise = require('bluebird');
+const encryption = require('./encryption.js');
+
+const KEY_PATTERN = /^zlk_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+const SCOPE_PATTERN = /^(\*|[^:*]+(:[^:*]+)?)$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EXPIRY_DAYS = 90;
+
+const defaultOptions = {
+  enabled: false,
+  storageFile: null,
+  headerName: 'X-API-Key',
+  maxExpiryDays: 365
+};
+
+function ApiKeyStore() {
+  //storage file to the records in it, by id
+  this.files = new Map();
+}
+ApiKeyStore.prototype = {
+  constructor: ApiKeyStore,
+  files: null,
+
+  isLocalStorage() {
+    return !process.clusterManager || process.clusterManager.isMaster;
+  },
+
+  clusterRemoteCall(methodName, args, callback) {
+    process.clusterManager.callClusterMethodRemote('./api-keys',
+        'apiKeyStore', methodName, args,
+        function(result) {
+          callback(result[0], result[1]);
+        },
+        function(e) {
+          callback(new Error(`Error at call apiKeyStore.${methodName}: ${e}`),
+              null);
+        });
+  },
+
+  _call(methodName, args, callback) {
+    if (this.isLocalStorage()) {
+      let result;
+      try {
+        result = this[`_${methodName}Local`].apply(this, args);
+      } catch (error) {
+        callback(error, null);
+        return;
+      }
+      callback(null, result);
+    } else {
+      this.clusterRemoteCall(methodName, args, callback);
+    }
+  },
+
+  _load(file) {
+    let records = this.files.get(file);
+    if (!records) {
+      records = new Map();
+      if (fs.existsSync(file)) {
+        const contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+        for (const record of contents.apiKeys || []) {
+          records.set(record.id, record);
+        }
+      }
+      this.files.set(file, records);
+    }
+    return records;
+  },
+
+  _save(file, records) {
+    const temporaryFile = `${file}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(temporaryFile, JSON.stringify({
+      apiKeys: Array.from(records.values())
+    }, null, 2), { mode: 0o600 });
+    fs.renameSync(temporaryFile, file);
+  },
+
+  _addLocal(file, record) {
+    const records = this._load(file);
+    records.set(record.id, record);
+    this._save(file, records);
+    return true;
+  },
+
+  _findLocal(file, id) {
+    return this._load(file).get(id) || null;
+  },
+
+  _listLocal(file, owner) {
+    return Array.from(this._load(file).values())
+      .filter(record => record.owner === owner);
+  },
+
+  _removeLocal(file, owner, id) {
+    const records = this._load(file);
+    const record = records.get(id);
+    if (!(record && (record.owner === owner))) {
+      return false;
+    }
+    records.delete(id);
+    this._save(file, records);
+    return true;
+  },
+
+  add(file, record, callback) {
+    this._call('add', [file, record], callback);
+  },
+
+  /**
+   * callback(error, record or null)
+   */
+  find(file, id, callback) {
+    this._call('find', [file, id], callback);
+  },
+
+  list(file, owner, callback) {
+    this._call('list', [file, owner], callback);
+  },
+
+  /**
+   * callback(error, false if the owner has no such key)
+   */
+  remove(file, owner, id, callback) {
+    this._call('remove', [file, owner, id], callback);
+  }
+};
+
+const apiKeyStore = new ApiKeyStore();
+const storeAdd = Promise.promisify(apiKeyStore.add, { context: apiKeyStore });
+const storeFind = Promise.promisify(apiKeyStore.find,
+    { context: apiKeyStore });
+const storeList = Promise.promisify(apiKeyStore.list,
+    { context: apiKeyStore });
+const storeRemove = Promise.promisify(apiKeyStore.remove,
+    { context: apiKeyStore });
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('base64');
+}
+
+function makeError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * What a key may be shown as: everything but its secrets
+ */
+function describe(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    scopes: record.scopes,
+    createdAt: record.createdAt,
+    expiresAt: record.expiresAt
+  };
+}
+
+/**
+ * True if a key with these scopes may call the service. pluginID is null
+ * for a root service
+ */
+function inScope(scopes, pluginID, serviceName) {
+  return scopes.some(scope => (scope === '*')
+      || (pluginID && ((scope === pluginID)
+        || (scope === `${pluginID}:${serviceName}`))));
+}
+
+/**
+ * {headerName, create, list, revoke, verify} for the apiKeys config, or null
+ * if it doesn't enable API keys. Throws if the config is not valid
+ */
+function makeApiKeyAuth(config) {
+  if (!(config && (config.enabled === true))) {
+    return null;
+  }
+  const options = Object.assign({}, defaultOptions, config);
+  if (!options.storageFile) {
+    throw new Error('apiKeys: storageFile is missing');
+  }
+  const file = path.resolve(options.storageFile);
+
+  return {
+    headerName: options.headerName.toLowerCase(),
+
+    /**
+     * Resolves with {key, apiKey}: the key to give the owner, once, and its
+     * description. Rejects with an Error with a status if the request for
+     * it is not valid
+     */
+    create: Promise.coroutine(function*(owner, authPlugins, request) {
+      const name = request.name;
+      if (!((typeof name === 'string') && name.trim())) {
+        throw makeError('name is missing', 400);
+      }
+      const scopes = request.scopes;
+      if (!(Array.isArray(scopes) && (scopes.length > 0)
+          && scopes.every(s => (typeof s === 'string')
+            && SCOPE_PATTERN.test(s)))) {
+        throw makeError('scopes must list "*", plugin identifiers or '
+            + '"<plugin identifier>:<service name>"', 400);
+      }
+      const expiresInDays = (request.expiresInDays === undefined)
+        ? Math.min(DEFAULT_EXPIRY_DAYS, options.maxExpiryDays)
+        : request.expiresInDays;
+      if (!(Number.isInteger(expiresInDays) && (expiresInDays > 0)
+          && (expiresInDays <= options.maxExpiryDays))) {
+        throw makeError('expiresInDays must be a whole number of days, up to '
+            + options.maxExpiryDays, 400);
+      }
+      const existing = yield storeList(file, owner);
+      if (existing.some(record => record.name === name)) {
+        throw makeError(`there is a key named ${name} already`, 409);
+      }
+      const id = crypto.randomBytes(8).toString('hex');
+      const secret = crypto.randomBytes(32).toString('base64')
+        .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+      const now = Date.now();
+      const record = {
+        id,
+        name,
+        owner,
+        scopes,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + expiresInDays * DAY_MS).toISOString(),
+        hash: hashSecret(secret),
+        authPlugins: encryption.encryptJson(secret, authPlugins)
+      };
+      yield storeAdd(file, record);
+      return {
+        key: `zlk_${id}_${secret}`,
+        apiKey: describe(record)
+      };
+    }),
+
+    list(owner) {
+      return storeList(file, owner).then(records => records.map(describe));
+    },
+
+    /**
+     * Resolves with false if the owner has no such key
+     */
+    revoke(owner, id) {
+      return storeRemove(file, owner, id);
+    },
+
+    /**
+     * Resolves with {apiKey, owner, scopes, authPlugins} for a key that is
+     * valid, or rejects
+     */
+    verify: Promise.coroutine(function*(key) {
+      const match = KEY_PATTERN.exec(key);
+      if (!match) {
+        throw makeError('malformed API key', 401);
+      }
+      const record = yield storeFind(file, match[1]);
+      const hash = Buffer.from(hashSecret(match[2]));
+      if (!(record && (hash.length === Buffer.byteLength(record.hash))
+          && crypto.timingSafeEqual(hash, Buffer.from(record.hash)))) {
+        throw makeError('unknown API key', 401);
+      }
+      if (Date.parse(record.expiresAt) <= Date.now()) {
+        throw makeError('API key expired', 401);
+      }
+      return {
+        apiKey: describe(record),
+        owner: record.owner,
+        scopes: record.scopes,
+        authPlugins: encryption.decryptJson(match[2], record.authPlugins)
+      };
+    }),
+
+    inScope
+  };
+}
+
+module.exports = {
+  ApiKeyStore,
+  apiKeyStore,
+  makeApiKeyAuth
+};
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
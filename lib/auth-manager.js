@@ -28,8 +28,9 @@ const acceptAllHandler = {
 }
 
 class AuthPluginContext {
-  constructor(plugin) {
+  constructor(plugin, productCode) {
     this.logger = global.COM_RS_COMMON_LOGGER.makeComponentLogger(plugin.identifier);
+    this.productCode = productCode;
   }
 }
 
@@ -90,9 +91,10 @@ AuthManager.prototype = {
       try {
         const authenticationHandler = yield plugin.authenticationModule(
                                               plugin,
-                                              this.configuration,
+                                              plugin.configuration,
                                               config,
-                                              new AuthPluginContext(plugin));
+                                              new AuthPluginContext(plugin,
+                                                  this.productCode));
         // at this time we should have resolved plugin configuration to have a 
         // nice list of info about what we are using to authenticate against
         if ((typeof authenticationHandler.authenticate) !== 'function') {
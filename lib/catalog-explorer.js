@@ -0,0 +1,184 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
+'use strict';
+
+/**
+ * A page to browse the server catalog with, served to logged in users when
+ * node.apiExplorer is true. It has no dependencies: it fetches the catalog and lists the 
+ * operations by tag, with their parameters, request bodies and responses
+ */
+
+const STYLE = `
+body { font-family: sans-serif; margin: 2em; color: #222; }
+h2 { border-bottom: 1px solid #ccc; padding-bottom: 0.2em; }
+details { margin: 0.3em 0; border: 1px solid #ddd; border-radius: 3px; }
+summary { padding: 0.4em; cursor: pointer; }
+.method { display: inline-block; width: 5em; font-weight: bold; 
+  text-transform: uppercase; }
+.get { color: #0a6; } .post { color: #06c; } .put { color: #a60; }
+.delete { color: #c22; }
+.path { font-family: monospace; }
+.operation-id { color: #888; float: right; font-size: 0.8em; }
+.body { padding: 0 1em 1em 1em; }
+table { border-collapse: collapse; }
+td, th { border: 1px solid #ddd; padding: 0.2em 0.5em; text-align: left; }
+pre { background: #f6f6f6; padding: 0.5em; overflow: auto; }
+#filter { width: 30em; padding: 0.3em; }
+`;
+
+//runs in the browser
+function explore(catalogUrl) {
+  const OPERATIONS = ['get', 'put', 'post', 'delete', 'options', 'head',
+    'patch', 'trace'];
+  const element = (name, attributes, ...children) => {
+    const e = document.createElement(name);
+    Object.assign(e, attributes);
+    for (const child of children) {
+      e.append(child);
+    }
+    return e;
+  };
+  const showJson = (title, value) => element('div', {},
+      element('h4', { textContent: title }),
+      element('pre', { textContent: JSON.stringify(value, null, 2) }));
+  const showOperation = (path, method, operation, pathParameters) => {
+    const body = element('div', { className: 'body' });
+    if (operation.description) {
+      body.append(element('p', { textContent: operation.description }));
+    }
+    const parameters = (pathParameters || []).concat(operation.parameters 
+        || []);
+    if (parameters.length > 0) {
+      const table = element('table', {}, element('tr', {},
+          element('th', { textContent: 'name' }),
+          element('th', { textContent: 'in' }),
+          element('th', { textContent: 'required' }),
+          element('th', { textContent: 'type' }),
+          element('th', { textContent: 'description' })));
+      for (const parameter of parameters) {
+        table.append(element('tr', {},
+            element('td', { textContent: parameter.name || parameter.$ref }),
+            element('td', { textContent: parameter.in || '' }),
+            element('td', { textContent: parameter.required ? 'yes' : '' }),
+            element('td', { textContent: (parameter.schema 
+                && parameter.schema.type) || '' }),
+            element('td', { textContent: parameter.description || '' })));
+      }
+      body.append(element('h4', { textContent: 'Parameters' }), table);
+    }
+    if (operation.requestBody) {
+      body.append(showJson('Request body', operation.requestBody));
+    }
+    if (operation.responses) {
+      body.append(showJson('Responses', operation.responses));
+    }
+    const details = element('details', {}, element('summary', {},
+        element('span', { className: 'method ' + method, textContent: method }),
+        element('span', { className: 'path', textContent: path }),
+        ' ' + (operation.summary || ''),
+        element('span', { className: 'operation-id', 
+            textContent: operation.operationId || '' })), body);
+    details.dataset.search = [method, path, operation.summary, 
+      operation.operationId].join(' ').toLowerCase();
+    return details;
+  };
+  const show = (catalog) => {
+    const root = document.getElementById('catalog');
+    const byTag = new Map();
+    for (const tag of catalog.tags || []) {
+      byTag.set(tag.name, { tag, operations: [] });
+    }
+    for (const path of Object.keys(catalog.paths)) {
+      const pathItem = catalog.paths[path];
+      for (const method of OPERATIONS) {
+        const operation = pathItem[method];
+        if (!operation) {
+          continue;
+        }
+        const tagName = (operation.tags && operation.tags[0]) || 'other';
+        if (!byTag.has(tagName)) {
+          byTag.set(tagName, { tag: { name: tagName }, operations: [] });
+        }
+        byTag.get(tagName).operations.push(showOperation(path, method,
+            operation, pathItem.parameters));
+      }
+    }
+    for (const { tag, operations } of byTag.values()) {
+      if (operations.length === 0) {
+        continue;
+      }
+      const section = element('section', {}, 
+          element('h2', { textContent: tag.name }));
+      if (tag.description) {
+        section.append(element('p', { textContent: tag.description }));
+      }
+      section.append(...operations);
+      root.append(section);
+    }
+    if (catalog.components) {
+      root.append(element('section', {}, element('h2', { 
+        textContent: 'Components' }), showJson('', catalog.components)));
+    }
+    document.getElementById('filter').addEventListener('input', (event) => {
+      const text = event.target.value.toLowerCase();
+      for (const details of root.querySelectorAll('details')) {
+        details.style.display = details.dataset.search.includes(text) 
+          ? '' : 'none';
+      }
+    });
+  };
+  fetch(catalogUrl, { credentials: 'same-origin' })
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      return response.json();
+    })
+    .then(show)
+    .catch(e => {
+      document.getElementById('catalog').textContent = 
+        'Failed to load the catalog: ' + e.message;
+    });
+}
+
+function makeExplorerPage(catalogUrl) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>API explorer</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>API explorer</h1>
+<p><a href="${catalogUrl}">OpenAPI document</a></p>
+<input id="filter" type="search" placeholder="Filter operations">
+<div id="catalog"></div>
+<script>
+(${explore.toString()})(${JSON.stringify(catalogUrl)});
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  makeExplorerPage
+};
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
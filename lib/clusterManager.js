@@ -24,6 +24,9 @@ const MessageTypes = {
 const Notifications = {
   initOnce : "initOnce",
   addDynamicPlugin : "addDynamicPlugin",
+  removePlugin : "removePlugin",
+  reloadPlugin : "reloadPlugin",
+  setPluginEnabled : "setPluginEnabled",
 };
 
 const events = require('events');
@@ -303,6 +306,44 @@ if (cluster.isMaster) {
     resultHandler(true);
   }
 
+  ClusterManager.prototype.notifyWorkersForRemovingPlugin = function(args, resultHandler, indexInCluster) {
+    //a worker started later must not add it back
+    this.forgetNodeState(Notifications.addDynamicPlugin, args);
+    if (!args.version) {
+      this.forgetNodeState(Notifications.setPluginEnabled, args.identifier);
+    }
+    this.notifyWorkers(Notifications.removePlugin, args, indexInCluster);
+    resultHandler(true);
+  }
+
+  ClusterManager.prototype.notifyWorkersForReloadingPlugin = function(args, resultHandler, indexInCluster) {
+    if (args.pluginDef) {
+      this.updateNodeState(Notifications.addDynamicPlugin, args);
+    }
+    this.notifyWorkers(Notifications.reloadPlugin, args, indexInCluster);
+    resultHandler(true);
+  }
+
+  ClusterManager.prototype.notifyWorkersForSettingPluginEnabled = function(args, resultHandler, indexInCluster) {
+    this.rememberNodeState(Notifications.setPluginEnabled, args);
+    this.notifyWorkers(Notifications.setPluginEnabled, args, indexInCluster);
+    resultHandler(true);
+  }
+
+  ClusterManager.prototype.forgetNodeState = function(type, key) {
+    var nodeState = this.nodeStates ? this.nodeStates.get(type) : null;
+    if (nodeState) {
+      nodeState.forget(key);
+    }
+  }
+
+  ClusterManager.prototype.updateNodeState = function(type, object) {
+    var nodeState = this.nodeStates ? this.nodeStates.get(type) : null;
+    if (nodeState) {
+      nodeState.update(object);
+    }
+  }
+
   ClusterManager.prototype.rememberNodeState = function(type, object) {
     if (!this.nodeStates) {
       this.nodeStates = new Map();
@@ -325,11 +366,31 @@ if (cluster.isMaster) {
 
   ClusterManager.prototype.createNodeStateFor = function(type) {
     if (Notifications.addDynamicPlugin === type) {
+      //keyed by identifier@version, since versions are added separately
       return {
         pluginDefsMap: new Map(),
         remember: function(pluginDef){
           if ("identifier" in pluginDef) {
-            this.pluginDefsMap.set(pluginDef.identifier, pluginDef);
+            this.pluginDefsMap.set(
+                pluginDef.identifier + "@" + pluginDef.pluginVersion, pluginDef);
+          }
+        },
+        forget: function(args) {
+          var pluginDefsMap = this.pluginDefsMap;
+          Array.from(pluginDefsMap.values()).forEach(function(pluginDef) {
+            if (pluginDef.identifier === args.identifier
+                && (!args.version || pluginDef.pluginVersion === args.version)) {
+              pluginDefsMap.delete(
+                  pluginDef.identifier + "@" + pluginDef.pluginVersion);
+            }
+          });
+        },
+        update: function(args) {
+          var previousKey = args.identifier + "@" + args.version;
+          //only dynamic plugins are restored, the rest come from disk
+          if (this.pluginDefsMap.has(previousKey)) {
+            this.pluginDefsMap.delete(previousKey);
+            this.remember(args.pluginDef);
           }
         },
         restore: function(worker) {
@@ -338,9 +399,32 @@ if (cluster.isMaster) {
           });
         }
       };
+    } else if (Notifications.setPluginEnabled === type) {
+      return {
+        disabledPlugins: new Set(),
+        remember: function(args) {
+          if (args.enabled) {
+            this.disabledPlugins.delete(args.identifier);
+          } else {
+            this.disabledPlugins.add(args.identifier);
+          }
+        },
+        forget: function(identifier) {
+          this.disabledPlugins.delete(identifier);
+        },
+        update: function(){},
+        restore: function(worker) {
+          Array.from(this.disabledPlugins).forEach(function(identifier) {
+            notifyWorker(worker, Notifications.setPluginEnabled, 
+                {identifier: identifier, enabled: false}, -1);
+          });
+        }
+      };
     } else {
       return {
         remember: function(){},
+        forget: function(){},
+        update: function(){},
         restore: function(){}
       };
     }
@@ -446,6 +530,51 @@ if (cluster.isMaster) {
       }
     );
   }
+
+  ClusterManager.prototype.onRemovePlugin = function(handler) {
+    this.on(Notifications.removePlugin, handler);
+  }
+
+  ClusterManager.prototype.removePlugin = function(identifier, version) {
+    this.callClusterMethodRemote(null, "clusterManager", "notifyWorkersForRemovingPlugin",
+      [{identifier: identifier, version: version}],
+      function() {
+      },
+      function(e) {
+        console.log("Error removing plugin: " + e);
+      }
+    );
+  }
+
+  ClusterManager.prototype.onReloadPlugin = function(handler) {
+    this.on(Notifications.reloadPlugin, handler);
+  }
+
+  ClusterManager.prototype.reloadPlugin = function(identifier, pluginDef, version) {
+    this.callClusterMethodRemote(null, "clusterManager", "notifyWorkersForReloadingPlugin",
+      [{identifier: identifier, pluginDef: pluginDef, version: version}],
+      function() {
+      },
+      function(e) {
+        console.log("Error reloading plugin: " + e);
+      }
+    );
+  }
+
+  ClusterManager.prototype.onSetPluginEnabled = function(handler) {
+    this.on(Notifications.setPluginEnabled, handler);
+  }
+
+  ClusterManager.prototype.setPluginEnabled = function(identifier, enabled) {
+    this.callClusterMethodRemote(null, "clusterManager", "notifyWorkersForSettingPluginEnabled",
+      [{identifier: identifier, enabled: enabled}],
+      function() {
+      },
+      function(e) {
+        console.log("Error changing plugin enablement: " + e);
+      }
+    );
+  }
 }
 
 ClusterManager.prototype.start = function(appConfig, configJSON, startUpConfig) {
@@ -0,0 +1,170 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
+'use strict';
+
+/**
+ * CSRF protection for the requests that are authenticated by the session
+ * cookie. In the server config:
+ *
+ *   "node": {
+ *     "csrf": {
+ *       "enabled": true,
+ *       "allowedOrigins": ["https://desktop.example.com:8544"],
+ *       "cookieName": "XSRF-TOKEN",
+ *       "headerName": "X-XSRF-TOKEN"
+ *     }
+ *   }
+ *
+ * Once a session is logged in, its responses set a cookie with a token that
+ * scripts of the page can read. POST, PUT, PATCH and DELETE requests of that
+ * session must send the token back in the header, and must not come from
+ * another origin than the server or allowedOrigins, when the browser tells
+ * with Origin or Referer. Requests without a logged in session, which don't
+ * rely on the cookie, aren't checked.
+ *
+ * The token is an HMAC of the session ID, so that it doesn't have to be
+ * stored, and is the same in every worker of a cluster. A dataservice with
+ * "csrfProtection": false in its definition isn't checked
+ */
+
+const crypto = require('crypto');
+const url = require('url');
+const util = require('./util');
+
+const authLog = util.loggers.authLogger;
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const defaultOptions = {
+  enabled: false,
+  allowedOrigins: [],
+  cookieName: 'XSRF-TOKEN',
+  headerName: 'X-XSRF-TOKEN'
+};
+
+function isLoggedIn(req) {
+  return !!(req.session && req.session.authPlugins
+      && (Object.keys(req.session.authPlugins).length > 0));
+}
+
+function getOriginHost(req) {
+  const origin = req.headers['origin'] || req.headers['referer'];
+  if (!origin) {
+    return undefined;
+  }
+  try {
+    return url.parse(origin).host || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function tokensMatch(expected, actual) {
+  if (typeof actual !== 'string') {
+    return false;
+  }
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return (a.length === b.length) && crypto.timingSafeEqual(a, b);
+}
+
+function sendForbidden(res, reason) {
+  res.status(403).json({
+    'error': 'cross-site request refused',
+    'reason': reason
+  });
+}
+
+/**
+ * {issueToken, verify, getToken}, or null if the config doesn't enable
+ * CSRF protection. `secret` is the one sessions are signed with
+ */
+function makeCsrfProtection(config, secret) {
+  if (!(config && (config.enabled === true))) {
+    return null;
+  }
+  const options = util.makeOptionsObject(defaultOptions, config);
+  const headerName = options.headerName.toLowerCase();
+  const allowedHosts = options.allowedOrigins.map(origin =>
+      url.parse(origin).host);
+
+  function getToken(req) {
+    if (!req.sessionID) {
+      return null;
+    }
+    return crypto.createHmac('sha256', secret).update('csrf:' + req.sessionID)
+      .digest('base64').replace(/[+/=]/g, (c) =>
+        ({ '+': '-', '/': '_', '=': '' })[c]);
+  }
+
+  return {
+    getToken,
+
+    headerName,
+
+    /**
+     * Sets the cookie on the responses of logged in sessions. This is done
+     * as the headers go out, so that the answer to a login has it already
+     */
+    issueToken(req, res, next) {
+      const writeHead = res.writeHead;
+      res.writeHead = function() {
+        if (isLoggedIn(req)) {
+          const token = getToken(req);
+          if (token && (req.cookies[options.cookieName] !== token)) {
+            res.cookie(options.cookieName, token, {
+              path: '/',
+              sameSite: 'strict',
+              secure: req.secure
+            });
+          }
+        }
+        return writeHead.apply(this, arguments);
+      };
+      next();
+    },
+
+    verify(req, res, next) {
+      if (SAFE_METHODS.includes(req.method) || !isLoggedIn(req)) {
+        next();
+        return;
+      }
+      const originHost = getOriginHost(req);
+      if ((originHost !== undefined) && (originHost !== req.headers.host)
+          && !allowedHosts.includes(originHost)) {
+        authLog.warn(`Refused ${req.method} ${req.originalUrl} from origin `
+            + `${req.headers['origin'] || req.headers['referer']}`);
+        sendForbidden(res, 'origin');
+        return;
+      }
+      if (!tokensMatch(getToken(req), req.headers[headerName])) {
+        authLog.warn(`Refused ${req.method} ${req.originalUrl}: `
+            + `missing or wrong ${options.headerName}`);
+        sendForbidden(res, 'token');
+        return;
+      }
+      next();
+    }
+  };
+}
+
+module.exports = {
+  makeCsrfProtection
+};
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
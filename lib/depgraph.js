@@ -22,7 +22,9 @@ module.exports.statuses = {
   "INVALID_REQUIRED_VERSION_RANGE": "Invalid required version range",
   "IMPORTED_SERVICE_IS_AN_IMPORT": "Imported service is itself an import",
   "REQUIRED_SERVICE_VERSION_NOT_FOUND": "Required service version not found",
-  "REQUIRED_SERVICE_NOT_FOUND": "Required service version not found"
+  "REQUIRED_SERVICE_NOT_FOUND": "Required service version not found",
+  "REQUIRED_PLUGIN_VERSION_NOT_FOUND": "Required plugin version not found",
+  "CIRCULAR_DEPENDENCY": "Circular dependency"
 }
 
 const logger = zluxUtil.loggers.bootstrapLogger
@@ -30,9 +32,13 @@ const logger = zluxUtil.loggers.bootstrapLogger
 /**
  * Checks if all plugin dependencies are met, including versions.
  * Sorts the plugins so that they can be installed in that order.
+ * 
+ * Several versions of a plugin can be present at once: the graph nodes are
+ * plugin versions, and an import or a dependency is resolved against the 
+ * highest version of the provider that satisfies it.
  */
 function DependencyGraph(initialPlugins) {
-  this.pluginsById = {};
+  this.pluginsByKey = {};
   for (const p of initialPlugins) {
     this.addPlugin(p);
   }
@@ -41,35 +47,116 @@ function DependencyGraph(initialPlugins) {
 DependencyGraph.prototype = {
   constructor: DependencyGraph,
   
-  pluginsById: null,
+  pluginsByKey: null,
   
   addPlugin(plugin) {
-    logger.debug(`Adding plugin ${plugin.identifier}`);
-    if (this.pluginsById[plugin.identifier]) {
-      logger.warn(`Duplicate plugin identifier ` + plugin.identifier + ` found.`);
+    logger.debug(`Adding plugin ${plugin.identifier}@${plugin.pluginVersion}`);
+    const key = zluxUtil.pluginKey(plugin.identifier, plugin.pluginVersion);
+    if (this.pluginsByKey[key]) {
+      logger.warn(`Duplicate plugin identifier ` + plugin.identifier 
+          + ` found at version ${plugin.pluginVersion}.`);
     }
-    this.pluginsById[plugin.identifier] = plugin;
+    this.pluginsByKey[key] = plugin;
+  },
+  
+  /**
+   * All versions of the plugin, highest first
+   */
+  _getVersions(identifier) {
+    return Object.values(this.pluginsByKey)
+      .filter(p => p.identifier === identifier)
+      .sort((a, b) => zluxUtil.comparePluginVersions(a.pluginVersion, 
+          b.pluginVersion));
+  },
+  
+  /**
+   * Validates the link against each version of the provider, and returns the
+   * first one that satisfies it. If none does, the link is left with the
+   * validation error of the highest version.
+   *
+   * `pluginVersionRange`, if given, narrows down the candidates: an import 
+   * comes from a version the importer also depends on
+   */
+  _chooseProvider(depLink, validate, pluginVersionRange) {
+    let candidates = this._getVersions(depLink.provider);
+    if (pluginVersionRange && semver.validRange(pluginVersionRange)) {
+      const matching = candidates.filter(p => 
+          semver.satisfies(p.pluginVersion, pluginVersionRange));
+      //if nothing matches, the dependency itself is reported as broken
+      if (matching.length > 0) {
+        candidates = matching;
+      }
+    }
+    if (candidates.length === 0) {
+      validate(depLink, null);
+      return null;
+    }
+    let firstAttempt;
+    for (const candidate of candidates) {
+      const attempt = Object.assign({}, depLink);
+      validate(attempt, candidate);
+      if (attempt.valid) {
+        Object.assign(depLink, attempt);
+        return candidate;
+      }
+      if (!firstAttempt) {
+        firstAttempt = attempt;
+      }
+    }
+    Object.assign(depLink, firstAttempt);
+    return candidates[0];
   },
   
   /**
    * "n -> m" means "n is a dependency of m". Note that this is the direct 
    * opposite of an import, i.e. "m imports n".
    * 
-   * This is the graph of the plugins' desires based on imports in the defs:
-   * if there's an edge "n -> m" here then we know that plugin m actually 
-   * exists, but n might either exist or just be m's dream.
+   * This is the graph of the plugins' desires based on imports and 
+   * dependencies in the defs: if there's an edge "n -> m" here then we know 
+   * that plugin m actually exists, but n might either exist or just be m's 
+   * dream.
    */
   _buildGraph() {
     const g = {};
     const brokenDeps = [];
-    for (const plugin of Object.values(this.pluginsById)) {
+    //a missing provider is represented by a node keyed by its identifier
+    function getNode(pluginId, plugin) {
+      const pluginKey = plugin? zluxUtil.pluginKey(pluginId, plugin.pluginVersion)
+          : pluginId;
+      if (!g[pluginKey]) {
+        g[pluginKey] = { 
+          pluginId,
+          pluginVersion: plugin? plugin.pluginVersion : undefined,
+          pluginKey,
+          deps: []
+        };
+      }
+      return g[pluginKey];
+    }
+    for (const plugin of Object.values(this.pluginsByKey)) {
       logger.debug("processing plugin ", plugin, "\n")
       const importerId = plugin.identifier;
-      if (!g[importerId]) {
-        g[importerId] = { 
-            pluginId: importerId,
-            deps: []
+      const importerKey = getNode(importerId, plugin).pluginKey;
+      for (const providerId of Object.keys(plugin.dependencies || {})) {
+        const dependency = normalizeDependency(plugin.dependencies[providerId]);
+        const depLink = {
+          provider: providerId,
+          importer: importerKey,
+          requiredVersionRange: dependency.version,
+          optional: dependency.optional
         };
+        const provider = this._chooseProvider(depLink, validatePluginDep);
+        if (!depLink.valid && depLink.optional) {
+          logger.info(`${importerId}: optional dependency ignored: `
+              + zluxUtil.formatErrorStatus(depLink.validationError,
+                  module.exports.statuses));
+          continue;
+        }
+        logger.debug('Found plugin dependency: ', providerId, depLink)
+        getNode(providerId, provider).deps.push(Object.freeze(depLink));
+        if (!depLink.valid) {
+          brokenDeps.push(depLink)
+        }
       }
       if (!plugin.dataServices) {
         continue;
@@ -78,25 +165,26 @@ DependencyGraph.prototype = {
         if (service.type == 'import') {
           const serviceImport = service;
           const providerId = serviceImport.sourcePlugin;
-          let providerNode = g[providerId];
-          if (!providerNode) {
-            providerNode = g[providerId] = { 
-              pluginId: providerId,
-              deps: []
-            };
-          }
           const depLink = {
             provider: providerId,
             service: serviceImport.sourceName,
-            importer: importerId,
+            importer: importerKey,
             alias: serviceImport.localName,
             requiredVersionRange: serviceImport.versionRange,
           };
-          validateDep(depLink, this.pluginsById[providerId]);
+          const dependency = plugin.dependencies 
+              && plugin.dependencies[providerId];
+          const provider = this._chooseProvider(depLink, validateDep,
+              dependency && normalizeDependency(dependency).version);
+          const providerNode = getNode(providerId, provider);
           logger.debug('Found dependency: ', providerId, depLink)
           providerNode.deps.push(Object.freeze(depLink));
           if (depLink.valid) {
-            serviceImport.version = depLink.actualVersion;
+            //plugins that are already installed have been resolved before
+            if (!Object.isFrozen(serviceImport)) {
+              serviceImport.version = depLink.actualVersion;
+              serviceImport.sourcePluginVersion = provider.pluginVersion;
+            }
             logger.debug("resolved actual version for import ", serviceImport)
           } else {
             brokenDeps.push(depLink)
@@ -118,13 +206,50 @@ DependencyGraph.prototype = {
    * entire subgraph reachable from m needs to be removed. It's not only m's
    * wish that cannot be fulfilled, but also everyone who depends on m cannot be
    * properly instantiated.
+   * 
+   * The plugins that form a cycle are all rejected, since none of them can be
+   * installed first, and so is everyone who depends on them.
    */
   _removeBrokenPlugins(graphWithBrokenDeps) {
     logger.debug('graph: ', graphWithBrokenDeps)
     const rejects = {};
     const graph = graphWithBrokenDeps.graph;
+    //the version is only shown where it's needed to tell the nodes apart
+    const labelOf = (pluginKey) => {
+      const pluginId = graph[pluginKey].pluginId;
+      return (this._getVersions(pluginId).length > 1)? pluginKey : pluginId;
+    };
+    for (const cycle of findCycles(graph)) {
+      logger.warn("Circular dependency: " + formatCycle(cycle, labelOf));
+      for (const pluginKey of cycle) {
+        const pluginNode = graph[pluginKey];
+        pluginNode.valid = false;
+        pluginNode.validationError = {
+          status: "CIRCULAR_DEPENDENCY",
+          cycle: formatCycle(rotateCycle(cycle, pluginKey), labelOf)
+        };
+        pluginNode.visited = true;
+        rejects[pluginKey] = pluginNode;
+      }
+    }
+    for (const cycleNode of Object.values(rejects)) {
+      for (const dep of cycleNode.deps) {
+        if (dep.optional) {
+          continue;
+        }
+        visit(graph[dep.importer], {
+          status: "REQUIRED_PLUGIN_FAILED_TO_LOAD",
+          pluginId: dep.provider
+        });
+      }
+    }
     for (let brokenDep of graphWithBrokenDeps.brokenDeps) {
-      visit(graph[brokenDep.importer], brokenDep.validationError);
+      const importerNode = graph[brokenDep.importer];
+      if (!importerNode.unresolvedImports) {
+        importerNode.unresolvedImports = [];
+      }
+      importerNode.unresolvedImports.push(brokenDep);
+      visit(importerNode, brokenDep.validationError);
     }
     function visit(pluginNode, validationError) {
       logger.debug('visiting broken node ', pluginNode)
@@ -132,16 +257,17 @@ DependencyGraph.prototype = {
         return;
       } 
       if (pluginNode.visiting) {
-        //TODO deal with a circular dependency. Not really clear what to do,
-        //perhaps, reject the entire cycle but leave the unaffected nodes there.
-        //Implementing a cycle detection algorithm is a different story.
-        //TODO good diagnostics
+        //can't happen: the cycles have been rejected above
         throw new Error("circular dependency: " + pluginNode.pluginId);
       }
       pluginNode.valid = false;
       pluginNode.validationError = validationError;
       pluginNode.visiting = true;
       for (const dep of pluginNode.deps) {
+        if (dep.optional) {
+          //the importer can do without this plugin
+          continue;
+        }
         const importer = graph[dep.importer];
         logger.debug("following link: ", dep, ": ", importer)
         let error;
@@ -155,12 +281,12 @@ DependencyGraph.prototype = {
         }
         visit(importer, error);
       }
-      rejects[pluginNode.pluginId] = pluginNode;
+      rejects[pluginNode.pluginKey] = pluginNode;
       pluginNode.visiting = false;
       pluginNode.visited = true;
     }
     for (const reject of Object.keys(rejects)) {
-      delete graphWithBrokenDeps.graph[reject.pluginId];
+      delete graphWithBrokenDeps.graph[reject];
     }
     return rejects;
   },
@@ -188,16 +314,17 @@ DependencyGraph.prototype = {
         return;
       } 
       if (pluginNode.visiting) {
-        //TODO deal with a circular dependency. Not really clear what to do,
-        //perhaps, reject the entire cycle but leave the unaffected nodes there.
-        //Implementing a cycle detection algorithm is a different story.
-        //TODO good diagnostics
+        //can't happen: the cycles have been rejected by _removeBrokenPlugins
         throw new Error("circular dependency: " + pluginNode.pluginId);
       }
       pluginNode.discoveryTime = ++time;
       pluginNode.visiting = true;
       for (const dep of pluginNode.deps) {
-        visit(graph[dep.importer]);
+        const importer = graph[dep.importer];
+        //rejected importers are no longer in the graph
+        if (importer) {
+          visit(importer);
+        }
       }
       pluginNode.visiting = false;
       pluginNode.visited = true;
@@ -219,17 +346,17 @@ DependencyGraph.prototype = {
     const pluginsSorted = this._toposort(graphWithBrokenDeps.graph);
     const pluginsSortedAndFiltered = [];
     const nonRejectedPlugins = {};
-    for (const plugin of Object.values(this.pluginsById)) {
-      if (!rejects[plugin.identifier]) {
-        nonRejectedPlugins[plugin.identifier] = plugin;
+    for (const key of Object.keys(this.pluginsByKey)) {
+      if (!rejects[key]) {
+        nonRejectedPlugins[key] = this.pluginsByKey[key];
       }
     }
     for (const node of pluginsSorted) {
-      const plugin = nonRejectedPlugins[node.pluginId];
+      const plugin = nonRejectedPlugins[node.pluginKey];
       if (plugin) {
         pluginsSortedAndFiltered.push(plugin);
       }
-      delete nonRejectedPlugins[node.pluginId];
+      delete nonRejectedPlugins[node.pluginKey];
     }
     logger.debug("*** pluginsSorted: ", pluginsSortedAndFiltered)
     logger.debug("*** rejects: ", rejects)
@@ -240,6 +367,152 @@ DependencyGraph.prototype = {
   }
 }
 
+/**
+ * Finds the strongly connected components of the graph (Tarjan's algorithm)
+ * that contain a cycle, and returns one cycle from each, as a list of plugin
+ * keys where each plugin depends on the next one and the last one depends on 
+ * the first one
+ */
+function findCycles(graph) {
+  let index = 0;
+  const stack = [];
+  const cycles = [];
+  for (const pluginNode of Object.values(graph)) {
+    if (pluginNode.sccIndex === undefined) {
+      strongConnect(pluginNode);
+    }
+  }
+  return cycles;
+  
+  function strongConnect(pluginNode) {
+    pluginNode.sccIndex = pluginNode.sccLowLink = index++;
+    stack.push(pluginNode);
+    pluginNode.onSccStack = true;
+    for (const dep of pluginNode.deps) {
+      const importer = graph[dep.importer];
+      if (importer.sccIndex === undefined) {
+        strongConnect(importer);
+        pluginNode.sccLowLink = Math.min(pluginNode.sccLowLink, 
+            importer.sccLowLink);
+      } else if (importer.onSccStack) {
+        pluginNode.sccLowLink = Math.min(pluginNode.sccLowLink, 
+            importer.sccIndex);
+      }
+    }
+    if (pluginNode.sccLowLink !== pluginNode.sccIndex) {
+      return;
+    }
+    const component = new Set();
+    let member;
+    do {
+      member = stack.pop();
+      member.onSccStack = false;
+      component.add(member.pluginKey);
+    } while (member !== pluginNode);
+    const selfLoop = pluginNode.deps.some(dep => 
+        dep.importer === pluginNode.pluginKey);
+    if ((component.size > 1) || selfLoop) {
+      cycles.push(findCycleIn(graph, component));
+    }
+  }
+}
+
+/**
+ * Walks the edges inside the component until it gets back to where it 
+ * started. Every node of a strongly connected component is on a cycle
+ */
+function findCycleIn(graph, component) {
+  const start = Array.from(component).sort()[0];
+  const path = [start];
+  const seen = new Set(path);
+  if (find(start)) {
+    //the edges point from the provider to the importer
+    return path.reverse();
+  }
+  return path;
+  
+  function find(pluginKey) {
+    for (const dep of graph[pluginKey].deps) {
+      if (dep.importer === start) {
+        return true;
+      }
+      if (!component.has(dep.importer) || seen.has(dep.importer)) {
+        continue;
+      }
+      path.push(dep.importer);
+      seen.add(dep.importer);
+      if (find(dep.importer)) {
+        return true;
+      }
+      path.pop();
+    }
+    return false;
+  }
+}
+
+function rotateCycle(cycle, pluginKey) {
+  const index = cycle.indexOf(pluginKey);
+  return cycle.slice(index).concat(cycle.slice(0, index));
+}
+
+/**
+ * "a -> b -> a": a depends on b, and b on a
+ */
+function formatCycle(cycle, labelOf) {
+  return cycle.concat(cycle[0]).map(labelOf).join(' -> ');
+}
+
+/**
+ * A dependency is either a semver range or { version, optional }
+ */
+function normalizeDependency(dependency) {
+  if (typeof dependency === 'string') {
+    return {
+      version: dependency,
+      optional: false
+    };
+  }
+  return {
+    version: dependency.version || '*',
+    optional: !!dependency.optional
+  };
+}
+
+/**
+ * Checks if the plugin depended upon exists in a version that satisfies the 
+ * range
+ */
+function validatePluginDep(dep, providerPlugin) {
+  let valid = false;
+  let validationError;
+  if (!providerPlugin) {
+    validationError = {
+      status: "REQUIRED_PLUGIN_NOT_FOUND",
+      pluginId: dep.provider
+    }
+  } else if (!semver.validRange(dep.requiredVersionRange)) {
+    validationError = {
+      status: "INVALID_REQUIRED_VERSION_RANGE",
+      pluginId: dep.provider,
+      requiredVersion: dep.requiredVersionRange
+    }
+  } else if (!semver.satisfies(providerPlugin.pluginVersion, 
+      dep.requiredVersionRange)) {
+    validationError = {
+      status: "REQUIRED_PLUGIN_VERSION_NOT_FOUND",
+      pluginId: dep.provider,
+      requiredVersion: dep.requiredVersionRange,
+      actualVersion: providerPlugin.pluginVersion
+    }
+  } else {
+    valid = true;
+    dep.actualVersion = providerPlugin.pluginVersion;
+  }
+  dep.valid = valid;
+  dep.validationError = validationError;
+  logger.debug('dep.valid: ', dep.valid)
+}
+
 /**
  * Checks if the provider plugin (1) exists (2) contains a service that could
  * satisfy the import
@@ -264,7 +537,7 @@ function validateDep(dep, providerPlugin) {
   } else {
     let found = false;
     let foundAtDifferentVersion = false;
-    for (const service of providerPlugin.dataServices) {
+    for (const service of providerPlugin.dataServices || []) {
       if (service.name == dep.service) {
         if (service.type === "import") {
           validationError = {
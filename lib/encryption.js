@@ -51,11 +51,40 @@ function decryptWithKeyAndIV(text,key,iv) {
   decrypted += cipher.final('utf8');
   return decrypted;
 }
+
+/**
+ * JSON data in AES-256-GCM, with a key derived from the secret, as
+ * "<iv>.<auth tag>.<ciphertext>" in base64. Any change to the text makes
+ * decryptJson() throw
+ */
+function encryptJson(secret, data) {
+  const key = crypto.createHmac('sha256', secret).update('encryption')
+    .digest();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'),
+    cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map(buffer => buffer.toString('base64')).join('.');
+}
+
+function decryptJson(secret, text) {
+  const key = crypto.createHmac('sha256', secret).update('encryption')
+    .digest();
+  const [iv, tag, encrypted] = text.split('.')
+    .map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return JSON.parse(Buffer.concat([decipher.update(encrypted),
+    decipher.final()]).toString('utf8'));
+}
 exports.encryptWithKeyAndIV = encryptWithKeyAndIV;
 exports.decryptWithKeyAndIV = decryptWithKeyAndIV;
 exports.getKeyFromPassword = getKeyFromPassword;
 exports.encryptWithKey = encryptWithKey;
 exports.decryptWithKey = decryptWithKey;
+exports.encryptJson = encryptJson;
+exports.decryptJson = decryptJson;
 
 
 /*
@@ -22,6 +22,7 @@ const unp = require('./unp-constants');
 const http = require('http');
 const ApimlConnector = require('./apiml');
 const checkProxiedHost = require('./proxy').checkProxiedHost;
+const pluginLoadReport = require('./plugin-load-report');
 
 const bootstrapLogger = util.loggers.bootstrapLogger;
 const installLogger = util.loggers.installLogger;
@@ -60,17 +61,36 @@ function Server(appConfig, userConfig, startUpConfig, options) {
     productCode: appConfig.productCode,
     authManager: this.authManager,
     pluginsDir: userConfig.pluginsDir,
+    dynamicPluginsDir: userConfig.dynamicPluginsDir,
+    validationMode: userConfig.node.pluginValidation,
     serverConfig: userConfig,
     relativePathResolver: this.options.relativePathResolver
   });
   this.pluginMapRO = util.readOnlyProxy(this.pluginLoader.pluginMap);
   this.webServer = new WebServer();
   this.webApp = null;
+  this.pendingEnablement = {};
+  this.pendingReloads = new Map();
   if (process.clusterManager) {
     process.clusterManager.onAddDynamicPlugin(function(wi, pluginDef) {
       bootstrapLogger.log(bootstrapLogger.INFO, "adding plugin remotely " + pluginDef.identifier);
       this.pluginLoader.addDynamicPlugin(pluginDef);
     }.bind(this));
+    process.clusterManager.onRemovePlugin(function(wi, args) {
+      bootstrapLogger.log(bootstrapLogger.INFO, "removing plugin remotely " + args.identifier);
+      this.pluginLoader.removePlugin(args.identifier, args.version);
+    }.bind(this));
+    process.clusterManager.onReloadPlugin(function(wi, args) {
+      bootstrapLogger.log(bootstrapLogger.INFO, "reloading plugin remotely " + args.identifier);
+      this.pluginLoader.reloadPlugin(args.identifier, args.pluginDef, args.version);
+    }.bind(this));
+    process.clusterManager.onSetPluginEnabled(function(wi, args) {
+      //the web app may not exist yet when the master restores this worker
+      this.pendingEnablement[args.identifier] = args.enabled;
+      if (this.webApp) {
+        this.webApp.setPluginEnabled(args.identifier, args.enabled);
+      }
+    }.bind(this));
   }
 }
 Server.prototype = {
@@ -81,6 +101,8 @@ Server.prototype = {
   pluginManager: null,
   processManager: null,
   webApp: null,
+  pendingEnablement: null,
+  pendingReloads: null,
   webServer: null,
   authManager: null,
 
@@ -163,22 +185,65 @@ Server.prototype = {
         list: this.pluginLoader.plugins,
         pluginMap: this.pluginLoader.pluginMap
       },
-      newPluginHandler: (pluginDef) => this.newPluginSubmitted(pluginDef),
+      newPluginHandler: (pluginDef, options) => 
+        this.newPluginSubmitted(pluginDef, options),
+      reloadPluginHandler: (identifier, pluginDef, version) => 
+        this.reloadPlugin(identifier, pluginDef, version),
+      removePluginHandler: (identifier, version) => 
+        this.removePlugin(identifier, version),
+      pluginStatusHandler: (identifier, version) => identifier
+        ? this.pluginLoader.getPluginStatus(identifier, version)
+        : this.pluginLoader.getPluginStatuses(),
+      pluginEnablementHandler: (identifier, enabled) => 
+        this.setPluginEnabled(identifier, enabled),
       auth: webauth
     };
     this.webApp = makeWebApp(webAppOptions);
+    for (const identifier of Object.keys(this.pendingEnablement)) {
+      this.webApp.setPluginEnabled(identifier, this.pendingEnablement[identifier]);
+    }
     this.webServer.startListening(this.webApp.expressApp);
     let pluginsLoaded = [];
-    this.pluginLoader.on('pluginAdded', util.asyncEventListener(event => {
-      return this.pluginLoaded(event.data).then(() => {
-        installLogger.info('Installed plugin: ' + event.data.identifier);
-      }, err => {
-        installLogger.warn(`Exception occurred, plugin (${event.data.identifier}) installation skipped. `
-                           +`Message: ${err.message}`);
-        installLogger.debug(err.stack);
-      });
-    }, installLogger));
+    //one queue for all plugin events: a removal must not overtake the
+    //installation of the same plugin
+    const pluginEventListener = util.asyncEventListener(({type, event}) => {
+      switch (type) {
+      case 'pluginAdded': {
+        const startTime = Date.now();
+        return this.pluginLoaded(event.data).then(() => {
+          installLogger.info('Installed plugin: ' + event.data.identifier);
+          this.pluginLoader.setInstallationResult(event.data.identifier,
+              event.data.pluginVersion, null,
+              Date.now() - startTime);
+        }, err => {
+          installLogger.warn(`Exception occurred, plugin (${event.data.identifier}) installation skipped. `
+                             +`Message: ${err.message}`);
+          installLogger.debug(err.stack);
+          this.pluginLoader.setInstallationResult(event.data.identifier,
+              event.data.pluginVersion, err,
+              Date.now() - startTime);
+        });
+      }
+      case 'pluginReloaded':
+        return this.reinstallReloadedPlugin(event);
+      case 'pluginRemoved':
+        return this.webApp.uninstallPlugin(event.data.identifier, 
+            event.data.pluginVersion).then(() => {
+          installLogger.info('Uninstalled plugin: ' + event.data.identifier
+              + '@' + event.data.pluginVersion);
+        });
+      case 'startupComplete':
+        installLogger.info(pluginLoadReport.formatSummary(
+            pluginLoadReport.makeReport(this.pluginLoader.getPluginStatuses())));
+        return;
+      }
+    }, installLogger);
+    for (const type of ['pluginAdded', 'pluginReloaded', 'pluginRemoved']) {
+      this.pluginLoader.on(type, event => pluginEventListener({type, event}));
+    }
     this.pluginLoader.loadPlugins();
+    //queued behind the installation of everything that has just been loaded
+    pluginEventListener({type: 'startupComplete'});
     yield this.authManager.loadAuthenticators(this.userConfig);
     this.authManager.validateAuthPluginList();
     this.processManager.addCleanupFunction(function() {
@@ -208,16 +273,132 @@ Server.prototype = {
     }
   }),
 
-  newPluginSubmitted(pluginDef) {
+  /**
+   * Unless `options.ephemeral` is set, the plugin is also written to disk so 
+   * that it's loaded again after a restart
+   */
+  newPluginSubmitted(pluginDef, options) {
     installLogger.debug("Adding plugin ", pluginDef);
-    this.pluginLoader.addDynamicPlugin(pluginDef);
+    if (!(options && options.ephemeral)) {
+      this.pluginLoader.checkPersistable(pluginDef);
+    }
+    const result = this.pluginLoader.addDynamicPlugin(pluginDef);
+    if (!(options && options.ephemeral)) {
+      try {
+        this.pluginLoader.persistDynamicPlugin(pluginDef);
+      } catch (e) {
+        this.pluginLoader.removePlugin(pluginDef.identifier, 
+            pluginDef.pluginVersion);
+        throw e;
+      }
+    }
     if (process.clusterManager) {
       process.clusterManager.addDynamicPlugin(pluginDef);
     }
+    return result;
+  },
+
+  /**
+   * Without a version, removes every version of the plugin
+   */
+  removePlugin(identifier, version) {
+    installLogger.debug("Removing plugin ", identifier, version);
+    const removed = this.pluginLoader.removePlugin(identifier, version);
+    for (const plugin of removed) {
+      this.pluginLoader.forgetPersistedPlugin(identifier, plugin.pluginVersion);
+    }
+    if (process.clusterManager) {
+      process.clusterManager.removePlugin(identifier, version);
+    }
+  },
+
+  /**
+   * The new definition is persisted, and the other workers told, once the new
+   * instance is installed: if it can't be, the previous one stays. Resolves
+   * then, or rejects with an error whose `rolledBack` property is set
+   */
+  reloadPlugin(identifier, pluginDef, version) {
+    installLogger.debug("Reloading plugin ", identifier, version);
+    if (pluginDef) {
+      this.pluginLoader.checkPersistable(pluginDef);
+    }
+    const previous = this.pluginLoader.reloadPlugin(identifier, pluginDef,
+        version);
+    return new Promise((resolve, reject) => {
+      this.pendingReloads.set(previous, { pluginDef, resolve, reject });
+    });
+  },
+
+  /**
+   * Handles the pluginReloaded event of the plugin loader, for reloads from
+   * this worker or another one
+   */
+  reinstallReloadedPlugin(event) {
+    const startTime = Date.now();
+    const reload = this.pendingReloads.get(event.previous);
+    this.pendingReloads.delete(event.previous);
+    return this.pluginReloaded(event.data, 
+        event.previous.pluginVersion).then(() => {
+      installLogger.info('Reinstalled plugin: ' + event.data.identifier);
+      this.pluginLoader.setInstallationResult(event.data.identifier,
+          event.data.pluginVersion, null,
+          Date.now() - startTime);
+      if (reload) {
+        try {
+          this._completeReload(reload.pluginDef, event.previous);
+        } catch (e) {
+          installLogger.warn(`Plugin (${event.data.identifier}) reinstalled, but could not be `
+                             +`persisted. Message: ${e.message}`);
+        }
+        reload.resolve();
+      }
+    }, err => {
+      installLogger.warn(`Exception occurred, plugin (${event.data.identifier}) reinstallation failed, `
+                         +`the previous version stays installed. Message: ${err.message}`);
+      installLogger.debug(err.stack);
+      this.pluginLoader.revertReload(event.data, event.previous);
+      if (reload) {
+        err.rolledBack = true;
+        reload.reject(err);
+      }
+    });
+  },
+
+  _completeReload(pluginDef, previous) {
+    const identifier = previous.identifier;
+    if (pluginDef && this.pluginLoader.isPersistedPlugin(identifier, 
+        previous.pluginVersion)) {
+      this.pluginLoader.persistDynamicPlugin(pluginDef);
+      if (pluginDef.pluginVersion !== previous.pluginVersion) {
+        this.pluginLoader.forgetPersistedPlugin(identifier,
+            previous.pluginVersion);
+      }
+    }
+    if (process.clusterManager) {
+      process.clusterManager.reloadPlugin(identifier, pluginDef, 
+          previous.pluginVersion);
+    }
+  },
+
+  setPluginEnabled(identifier, enabled) {
+    installLogger.debug(`Setting plugin ${identifier} enabled: ${enabled}`);
+    this.webApp.setPluginEnabled(identifier, enabled);
+    if (process.clusterManager) {
+      process.clusterManager.setPluginEnabled(identifier, enabled);
+    }
   },
 
   pluginLoaded(pluginDef) {
-    const pluginContext = {
+    return this.webApp.installPlugin(this._makePluginContext(pluginDef));
+  },
+
+  pluginReloaded(pluginDef, previousVersion) {
+    return this.webApp.reinstallPlugin(this._makePluginContext(pluginDef),
+        previousVersion);
+  },
+
+  _makePluginContext(pluginDef) {
+    return {
       pluginDef,
       server: {
         config: {
@@ -230,7 +411,6 @@ Server.prototype = {
         }
       }
     };
-    return this.webApp.installPlugin(pluginContext);
   }
 };
 
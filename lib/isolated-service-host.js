@@ -0,0 +1,133 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
+'use strict';
+
+/**
+ * Entry point of the child process that runs a router dataservice with
+ * `"isolation": "process"`. See isolated-service.js for the other end.
+ *
+ * The router is served on a loopback port of its own, to requests that carry
+ * the secret of the start message. Messages from the parent:
+ *   {type: "start", ...} builds the router and answers "listening" or "error"
+ *   {type: "ping"} answers "pong", for the health checks
+ *   {type: "stop"} tears the dataservice down and exits
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const expressWs = require('express-ws');
+const Promise = require('bluebird');
+const requireFromString = require('require-from-string');
+const zluxUtil = require('./util');
+const DataserviceContext = require('./webapp').DataserviceContext;
+const IsolatedService = require('./isolated-service');
+const USERNAME_HEADER = IsolatedService.USERNAME_HEADER;
+const SECRET_HEADER = IsolatedService.SECRET_HEADER;
+
+const childLogger = zluxUtil.loggers.childLogger;
+
+let dataserviceContext = null;
+
+function hasSecret(req, secret) {
+  const given = Buffer.from(String(req.headers[SECRET_HEADER] || ''));
+  const expected = Buffer.from(secret);
+  return (given.length === expected.length)
+    && crypto.timingSafeEqual(given, expected);
+}
+
+function loadModule(modulePath, source) {
+  if (modulePath) {
+    return require(modulePath);
+  }
+  return requireFromString(source);
+}
+
+const start = Promise.coroutine(function*(message) {
+  if (!message.secret) {
+    throw new Error('the parent gave no secret');
+  }
+  const serviceDefinition = message.serviceDefinition;
+  const nodeModule = loadModule(message.modulePath, message.source);
+  serviceDefinition.nodeModule = nodeModule;
+  dataserviceContext = new DataserviceContext(serviceDefinition,
+      message.serviceConfiguration, message.pluginContext);
+  const router = serviceDefinition.routerFactory
+    ? yield nodeModule[serviceDefinition.routerFactory](dataserviceContext)
+    : yield nodeModule(dataserviceContext);
+  const app = express();
+  expressWs(app);
+  app.use((req, res, next) => {
+    //the username is only taken from requests the parent bridged
+    if (!hasSecret(req, message.secret)) {
+      childLogger.warn(`${serviceDefinition.name}: refused a request without `
+          + 'the secret of the parent');
+      res.status(403).end();
+      return;
+    }
+    delete req.headers[SECRET_HEADER];
+    req.username = req.headers[USERNAME_HEADER];
+    delete req.headers[USERNAME_HEADER];
+    next();
+  });
+  app.use(router);
+  const server = app.listen(0, '127.0.0.1');
+  yield new Promise((resolve, reject) => {
+    server.on('listening', resolve);
+    server.on('error', reject);
+  });
+  return server.address().port;
+});
+
+const stop = Promise.coroutine(function*() {
+  const serviceDefinition = dataserviceContext
+      && dataserviceContext.serviceDefinition;
+  if (serviceDefinition
+      && (typeof serviceDefinition.nodeModule.teardown === 'function')) {
+    try {
+      yield serviceDefinition.nodeModule.teardown(dataserviceContext);
+    } catch (e) {
+      childLogger.warn(`${serviceDefinition.name}: teardown failed: `
+          + e.message);
+    }
+  }
+  process.exit(0);
+});
+
+process.on('message', (message) => {
+  switch (message.type) {
+  case 'start':
+    start(message).then((port) => {
+      process.send({ type: 'listening', port });
+    }, (e) => {
+      process.send({ type: 'error', message: e.message, stack: e.stack });
+      process.exit(1);
+    });
+    break;
+  case 'ping':
+    process.send({ type: 'pong', memoryUsage: process.memoryUsage().rss });
+    break;
+  case 'stop':
+    stop();
+    break;
+  }
+});
+
+//the parent is gone: nobody can reach this process any more
+process.on('disconnect', () => process.exit(0));
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
@@ -0,0 +1,406 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
+'use strict';
+
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const childProcess = require('child_process');
+const Promise = require('bluebird');
+const WebSocket = require('ws');
+const zluxUtil = require('./util');
+const UNP = require('./unp-constants');
+
+/**
+ * Runs a router dataservice with `"isolation": "process"` in a child process
+ * of its own (see isolated-service-host.js), so that CPU-heavy work or an
+ * uncaught exception in one plugin doesn't stall or end the whole server.
+ *
+ * The router returned by router() bridges HTTP and websocket traffic to the
+ * child. A child that exits is started again, after a delay that grows while
+ * it keeps failing, and one that stops answering health checks is killed and
+ * started again.
+ *
+ * The child only sees what is in the request: the service handles and the
+ * session of the server aren't available to an isolated service. The name of
+ * the authenticated user is passed along as `req.username`.
+ *
+ * Each child is given a random secret when it's started, which every request
+ * bridged to it carries. The child refuses requests without it, so that other
+ * local processes can't call the service, or claim to be any user, through
+ * its loopback port
+ */
+
+const childLogger = zluxUtil.loggers.childLogger;
+
+const HOST_SCRIPT = path.join(__dirname, 'isolated-service-host.js');
+const USERNAME_HEADER = 'x-zowe-isolated-username';
+const SECRET_HEADER = 'x-zowe-isolated-secret';
+
+const states = {
+  STARTING: "starting",
+  RUNNING: "running",
+  UNRESPONSIVE: "unresponsive",
+  RESTARTING: "restarting",
+  STOPPED: "stopped"
+};
+
+const defaultOptions = {
+  pluginContext: null,
+  serviceDefinition: null,
+  serviceConfiguration: null,
+  //the file the router comes from, or its source for dynamic plugins
+  modulePath: null,
+  source: null,
+  restartDelayMs: 1000,
+  maxRestartDelayMs: 60000,
+  //a child that has run this long without exiting is considered healthy again
+  stableRunMs: 60000,
+  healthCheckIntervalMs: 10000,
+  maxMissedHealthChecks: 3,
+  //a child that hasn't exited this long after being asked to stop is killed
+  stopTimeoutMs: 10000
+};
+
+function IsolatedService(options) {
+  this.options = zluxUtil.makeOptionsObject(defaultOptions, options);
+  const pluginDef = this.options.pluginContext.pluginDef;
+  const service = this.options.serviceDefinition;
+  this.name = `${pluginDef.identifier}:${service.name}`;
+  this.state = states.STOPPED;
+  this.restarts = 0;
+  this.consecutiveFailures = 0;
+  this.lastExit = null;
+}
+IsolatedService.prototype = {
+  constructor: IsolatedService,
+  options: null,
+  name: null,
+  state: null,
+  child: null,
+  port: null,
+  secret: null,
+  startTime: null,
+  restarts: 0,
+  consecutiveFailures: 0,
+  lastExit: null,
+  missedHealthChecks: 0,
+  memoryUsage: null,
+  restartTimer: null,
+  healthCheckTimer: null,
+
+  /**
+   * Resolves once the child serves the router, rejects if it couldn't build it
+   */
+  start() {
+    this.state = states.STARTING;
+    return this._startChild().then(() => {
+      this._scheduleHealthCheck();
+    }, (e) => {
+      this.state = states.STOPPED;
+      throw e;
+    });
+  },
+
+  _startChild() {
+    return new Promise((resolve, reject) => {
+      const child = childProcess.fork(HOST_SCRIPT, [], {
+        stdio: ['ignore', 'inherit', 'inherit', 'ipc']
+      });
+      const secret = crypto.randomBytes(32).toString('hex');
+      this.child = child;
+      let started = false;
+      child.on('message', (message) => {
+        switch (message.type) {
+        case 'listening':
+          started = true;
+          if (this.state === states.STOPPED) {
+            //stopped while it was starting
+            child.send({ type: 'stop' });
+            resolve();
+            break;
+          }
+          this.port = message.port;
+          this.secret = secret;
+          this.startTime = Date.now();
+          this.missedHealthChecks = 0;
+          this.state = states.RUNNING;
+          childLogger.info(`${this.name}: isolated service running, `
+              + `pid ${child.pid}`);
+          resolve();
+          break;
+        case 'error':
+          childLogger.warn(`${this.name}: isolated service failed to start: `
+              + message.message);
+          reject(new Error(message.message));
+          break;
+        case 'pong':
+          this.missedHealthChecks = 0;
+          this.memoryUsage = message.memoryUsage;
+          if (this.state === states.UNRESPONSIVE) {
+            this.state = states.RUNNING;
+          }
+          break;
+        }
+      });
+      child.on('exit', (code, signal) => {
+        this.lastExit = { code, signal, time: Date.now() };
+        if (this.child === child) {
+          this.child = null;
+          this.port = null;
+          this.secret = null;
+        }
+        if (!started) {
+          reject(new Error(`${this.name}: isolated service exited `
+              + `during startup, code ${code}`));
+        } else if (this.state !== states.STOPPED) {
+          childLogger.warn(`${this.name}: isolated service exited, code `
+              + `${code}, signal ${signal}`);
+          this._scheduleRestart();
+        }
+      });
+      child.send({
+        type: 'start',
+        secret,
+        pluginContext: this.options.pluginContext,
+        serviceDefinition: this.options.serviceDefinition,
+        serviceConfiguration: this.options.serviceConfiguration,
+        modulePath: this.options.modulePath,
+        source: this.options.source
+      });
+    });
+  },
+
+  _scheduleRestart() {
+    if (this.startTime && (Date.now() - this.startTime
+        >= this.options.stableRunMs)) {
+      this.consecutiveFailures = 0;
+    }
+    const delay = Math.min(this.options.maxRestartDelayMs,
+        this.options.restartDelayMs * Math.pow(2, this.consecutiveFailures));
+    this.consecutiveFailures++;
+    this.state = states.RESTARTING;
+    childLogger.info(`${this.name}: restarting in ${delay}ms`);
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      this.restarts++;
+      this._startChild().catch((e) => {
+        if (this.state !== states.STOPPED) {
+          this._scheduleRestart();
+        }
+      });
+    }, delay);
+    this.restartTimer.unref();
+  },
+
+  _scheduleHealthCheck() {
+    this.healthCheckTimer = setInterval(() => {
+      if (!(this.child && this.child.connected) 
+          || (this.state === states.STARTING)) {
+        return;
+      }
+      if (this.missedHealthChecks >= this.options.maxMissedHealthChecks) {
+        childLogger.warn(`${this.name}: isolated service not responding, `
+            + `killing pid ${this.child.pid}`);
+        this.child.kill('SIGKILL');
+        return;
+      }
+      if (this.missedHealthChecks > 0) {
+        this.state = states.UNRESPONSIVE;
+      }
+      this.missedHealthChecks++;
+      this.child.send({ type: 'ping' });
+    }, this.options.healthCheckIntervalMs);
+    this.healthCheckTimer.unref();
+  },
+
+  /**
+   * Tears the dataservice down in the child and waits for it to exit. A child
+   * that takes longer than stopTimeoutMs is killed
+   */
+  stop() {
+    this.state = states.STOPPED;
+    clearTimeout(this.restartTimer);
+    clearInterval(this.healthCheckTimer);
+    const child = this.child;
+    if (!(child && child.connected)) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      const kill = () => {
+        if ((child.exitCode === null) && (child.signalCode === null)) {
+          child.kill('SIGKILL');
+        }
+      };
+      const timer = setTimeout(() => {
+        childLogger.warn(`${this.name}: isolated service did not stop in `
+            + `${this.options.stopTimeoutMs}ms, killing pid ${child.pid}`);
+        kill();
+      }, this.options.stopTimeoutMs);
+      const done = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      child.once('exit', done);
+      child.once('error', (e) => {
+        childLogger.warn(`${this.name}: failed to stop the isolated service: `
+            + e.message);
+        kill();
+        done();
+      });
+      child.send({ type: 'stop' });
+    });
+  },
+
+  getHealth() {
+    const pluginDef = this.options.pluginContext.pluginDef;
+    const service = this.options.serviceDefinition;
+    return {
+      plugin: pluginDef.identifier,
+      pluginVersion: pluginDef.pluginVersion,
+      service: service.name,
+      version: service.version,
+      state: this.state,
+      pid: this.child ? this.child.pid : null,
+      uptime: (this.state === states.RUNNING) ? Date.now() - this.startTime
+        : null,
+      restarts: this.restarts,
+      lastExit: this.lastExit,
+      memoryUsage: this.memoryUsage
+    };
+  },
+
+  /**
+   * The handler mounted where the router would have been
+   */
+  router() {
+    return (req, res, next) => {
+      if (req.ws) {
+        req.wsHandled = true;
+        this._bridgeWebsocket(req.ws, req);
+        return;
+      }
+      if (this.state !== states.RUNNING) {
+        res.status(503).json({
+          'error': 'service unavailable',
+          'service': this.name,
+          'state': this.state
+        });
+        return;
+      }
+      this._bridgeRequest(req, res);
+    };
+  },
+
+  _makeHeaders(req) {
+    const headers = Object.assign({}, req.headers);
+    delete headers[USERNAME_HEADER];
+    headers[SECRET_HEADER] = this.secret;
+    if (req.username) {
+      headers[USERNAME_HEADER] = req.username;
+    }
+    return headers;
+  },
+
+  _bridgeRequest(req, res) {
+    const childReq = http.request({
+      host: '127.0.0.1',
+      port: this.port,
+      method: req.method,
+      path: req.url,
+      headers: this._makeHeaders(req)
+    }, (childRes) => {
+      res.writeHead(childRes.statusCode, childRes.headers);
+      childRes.pipe(res);
+    });
+    childReq.on('error', (e) => {
+      childLogger.warn(`${this.name}: request to the isolated service failed: `
+          + e.message);
+      if (!res.headersSent) {
+        res.status(502).json({
+          'error': 'isolated service failed',
+          'service': this.name
+        });
+      } else {
+        res.end();
+      }
+    });
+    req.pipe(childReq);
+  },
+
+  _bridgeWebsocket(ws, req) {
+    if (this.state !== states.RUNNING) {
+      ws.close(UNP.WEBSOCKET_CLOSE_INTERNAL_ERROR, 'service unavailable');
+      return;
+    }
+    //express-ws appends this to the path of websocket requests
+    const url = req.url.replace('/.websocket', '');
+    const headers = this._makeHeaders(req);
+    for (const header of Object.keys(headers)) {
+      if (header.startsWith('sec-websocket') || (header === 'upgrade')
+          || (header === 'connection')) {
+        delete headers[header];
+      }
+    }
+    const childWs = new WebSocket(`ws://127.0.0.1:${this.port}${url}`, {
+      headers
+    });
+    let pending = [];
+    const closeCode = (code) => (code < UNP.WEBSOCKET_CLOSE_CODE_MINIMUM)
+      ? UNP.WEBSOCKET_CLOSE_BY_PROXY : code;
+    ws.on('message', (data) => {
+      if (pending) {
+        pending.push(data);
+      } else {
+        childWs.send(data);
+      }
+    });
+    childWs.on('open', () => {
+      for (const data of pending) {
+        childWs.send(data);
+      }
+      pending = null;
+    });
+    childWs.on('message', (data) => ws.send(data));
+    ws.on('close', (code, reason) => {
+      if (childWs.readyState === WebSocket.OPEN) {
+        childWs.close(closeCode(code), reason);
+      } else {
+        childWs.terminate();
+      }
+    });
+    childWs.on('close', (code, reason) => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.close(closeCode(code), reason);
+      }
+    });
+    childWs.on('error', (e) => {
+      childLogger.warn(`${this.name}: websocket to the isolated service `
+          + `failed: ${e.message}`);
+      ws.terminate();
+    });
+    ws.on('error', () => childWs.terminate());
+  }
+};
+
+module.exports = IsolatedService;
+module.exports.states = states;
+module.exports.USERNAME_HEADER = USERNAME_HEADER;
+module.exports.SECRET_HEADER = SECRET_HEADER;
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
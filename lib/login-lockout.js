@@ -0,0 +1,305 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
+'use strict';
+
+/**
+ * Locks out usernames and client IPs after repeated failed logins, whatever
+ * the auth plugin. In the dataserviceAuthentication section of the server
+ * config:
+ *
+ *   "lockout": {
+ *     "maxFailures": 5,
+ *     "windowMs": 900000,
+ *     "lockoutMs": 900000,
+ *     "keyBy": ["username", "ip"],
+ *     "delayMs": 250,
+ *     "maxDelayMs": 4000,
+ *     "admins": ["zoweadmin"]
+ *   }
+ *
+ * maxFailures failed logins within windowMs lock each of the keyBy values of
+ * the requests, the username and/or the client IP, for lockoutMs. Before
+ * that, the answer to each failed login is delayed a bit more: delayMs, then
+ * twice as long, up to maxDelayMs. A successful login clears the failures of
+ * its username, but not those of its client IP, which could otherwise guess
+ * passwords of other users between logins of its own.
+ *
+ * Only the users listed in admins may see and lift the lockouts, with
+ * /server/auth/lockouts.
+ *
+ * In a cluster, failures are counted in the master
+ */
+
+const KEY_PROPERTIES = ['username', 'ip'];
+const defaultRule = {
+  maxFailures: 5,
+  windowMs: 15 * 60 * 1000,
+  lockoutMs: 15 * 60 * 1000,
+  keyBy: KEY_PROPERTIES,
+  delayMs: 0,
+  maxDelayMs: 4000,
+  admins: []
+};
+const CLEANUP_INTERVAL_MS = 60000;
+
+function LockoutStore() {
+  this.entries = new Map();
+  if (this.isLocalStorage()) {
+    setInterval(() => this.dropExpiredEntries(), CLEANUP_INTERVAL_MS).unref();
+  }
+}
+LockoutStore.prototype = {
+  constructor: LockoutStore,
+  //key to {failures: [timestamps], lockedUntil, windowMs}
+  entries: null,
+
+  isLocalStorage() {
+    return !process.clusterManager || process.clusterManager.isMaster;
+  },
+
+  dropExpiredEntries() {
+    const now = Date.now();
+    this.entries.forEach((entry, key, map) => {
+      entry.failures = entry.failures.filter(t => now - t < entry.windowMs);
+      if ((entry.failures.length === 0) && (entry.lockedUntil <= now)) {
+        map.delete(key);
+      }
+    });
+  },
+
+  clusterRemoteCall(methodName, args, callback) {
+    process.clusterManager.callClusterMethodRemote('./login-lockout',
+        'lockoutStore', methodName, args,
+        function(result) {
+          callback(result[0], result[1]);
+        },
+        function(e) {
+          callback(new Error(`Error at call lockoutStore.${methodName}: ${e}`),
+              null);
+        });
+  },
+
+  _call(methodName, args, callback) {
+    if (this.isLocalStorage()) {
+      let result;
+      try {
+        result = this[`_${methodName}Local`].apply(this, args);
+      } catch (error) {
+        callback(error, null);
+        return;
+      }
+      callback(null, result);
+    } else {
+      this.clusterRemoteCall(methodName, args, callback);
+    }
+  },
+
+  _checkLocal(keys) {
+    const now = Date.now();
+    let retryAfterMs = 0;
+    for (const key of keys) {
+      const entry = this.entries.get(key);
+      if (entry && (entry.lockedUntil > now)) {
+        retryAfterMs = Math.max(retryAfterMs, entry.lockedUntil - now);
+      }
+    }
+    return { locked: retryAfterMs > 0, retryAfterMs };
+  },
+
+  _recordFailureLocal(keys, rule) {
+    const now = Date.now();
+    const locked = [];
+    let failures = 0;
+    for (const key of keys) {
+      let entry = this.entries.get(key);
+      if (!entry) {
+        entry = { failures: [], lockedUntil: 0, windowMs: rule.windowMs };
+        this.entries.set(key, entry);
+      }
+      entry.windowMs = rule.windowMs;
+      entry.failures = entry.failures.filter(t => now - t < rule.windowMs);
+      entry.failures.push(now);
+      failures = Math.max(failures, entry.failures.length);
+      if (entry.failures.length >= rule.maxFailures) {
+        entry.failures = [];
+        entry.lockedUntil = now + rule.lockoutMs;
+        locked.push(key);
+      }
+    }
+    return { failures, locked };
+  },
+
+  _recordSuccessLocal(keys) {
+    for (const key of keys.filter(key => key.startsWith('username='))) {
+      const entry = this.entries.get(key);
+      if (entry && (entry.lockedUntil <= Date.now())) {
+        this.entries.delete(key);
+      }
+    }
+    return true;
+  },
+
+  _listLocal() {
+    const now = Date.now();
+    const lockouts = [];
+    this.entries.forEach((entry, key) => {
+      if (entry.lockedUntil > now) {
+        const separator = key.indexOf('=');
+        lockouts.push({
+          type: key.substring(0, separator),
+          value: key.substring(separator + 1),
+          lockedUntil: new Date(entry.lockedUntil).toISOString(),
+          retryAfterMs: entry.lockedUntil - now
+        });
+      }
+    });
+    return lockouts;
+  },
+
+  /**
+   * Removes the lockouts that match the filter, {username, ip}, or all of
+   * them if it is empty. Returns the keys that were locked
+   */
+  _clearLocal(filter) {
+    const now = Date.now();
+    const wanted = makeKeys(filter || {}, KEY_PROPERTIES);
+    const cleared = [];
+    this.entries.forEach((entry, key, map) => {
+      if ((wanted.length === 0) || wanted.includes(key)) {
+        if (entry.lockedUntil > now) {
+          cleared.push(key);
+        }
+        map.delete(key);
+      }
+    });
+    return cleared;
+  },
+
+  /**
+   * callback(error, {locked, retryAfterMs})
+   */
+  check(keys, callback) {
+    this._call('check', [keys], callback);
+  },
+
+  /**
+   * callback(error, {failures, locked}): the most failures counted for one
+   * of the keys, and the keys that this failure locked
+   */
+  recordFailure(keys, rule, callback) {
+    this._call('recordFailure', [keys, rule], callback);
+  },
+
+  recordSuccess(keys, callback) {
+    this._call('recordSuccess', [keys], callback);
+  },
+
+  /**
+   * callback(error, [{type, value, lockedUntil, retryAfterMs}])
+   */
+  list(callback) {
+    this._call('list', [], callback);
+  },
+
+  clear(filter, callback) {
+    this._call('clear', [filter], callback);
+  }
+};
+
+const lockoutStore = new LockoutStore();
+
+function makeKeys(values, keyBy) {
+  const keys = [];
+  for (const property of keyBy) {
+    if (values[property]) {
+      keys.push(`${property}=${values[property]}`);
+    }
+  }
+  return keys;
+}
+
+/**
+ * The username and client IP a login is for, as lockout keys
+ */
+function getLoginKeys(req, rule) {
+  return makeKeys({
+    username: (req.body && (typeof req.body.username === 'string'))
+      ? req.body.username : null,
+    ip: req.ip || (req.connection && req.connection.remoteAddress)
+  }, rule.keyBy);
+}
+
+function checkPositiveInteger(rule, property, allowZero) {
+  const value = rule[property];
+  if ((value !== undefined) && !(Number.isInteger(value)
+      && ((value > 0) || (allowZero && (value === 0))))) {
+    throw new Error(`lockout: ${property} must be a positive integer, `
+        + `not "${value}"`);
+  }
+}
+
+/**
+ * The lockout rule of the dataserviceAuthentication config, with defaults,
+ * or null if there is none. Throws if it is not valid
+ */
+function makeRule(config) {
+  if (!config) {
+    return null;
+  }
+  if (typeof config !== 'object') {
+    throw new Error('lockout must be an object');
+  }
+  checkPositiveInteger(config, 'maxFailures');
+  checkPositiveInteger(config, 'windowMs');
+  checkPositiveInteger(config, 'lockoutMs');
+  checkPositiveInteger(config, 'delayMs', true);
+  checkPositiveInteger(config, 'maxDelayMs', true);
+  if ((config.keyBy !== undefined) && !(Array.isArray(config.keyBy)
+      && (config.keyBy.length > 0)
+      && config.keyBy.every(key => KEY_PROPERTIES.includes(key)))) {
+    throw new Error('lockout: keyBy must list some of '
+        + KEY_PROPERTIES.join(', '));
+  }
+  if ((config.admins !== undefined) && !(Array.isArray(config.admins)
+      && config.admins.every(admin => (typeof admin === 'string') && admin))) {
+    throw new Error('lockout: admins must be a list of usernames');
+  }
+  //plain data, to be sent to the master in a cluster
+  return Object.assign({}, defaultRule, config);
+}
+
+/**
+ * How long to hold the answer to a login that failed for the failures-th
+ * time
+ */
+function getFailureDelay(rule, failures) {
+  if (!rule.delayMs || (failures < 1)) {
+    return 0;
+  }
+  return Math.min(rule.maxDelayMs, rule.delayMs * Math.pow(2, failures - 1));
+}
+
+module.exports = {
+  LockoutStore,
+  lockoutStore,
+  makeRule,
+  getLoginKeys,
+  getFailureDelay
+};
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
@@ -0,0 +1,96 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
+'use strict';
+
+/**
+ * Plugin load report: what happened to each plugin the server found, built
+ * from PluginLoader.getPluginStatuses()
+ */
+
+const MAX_ERROR_WIDTH = 60;
+
+function makeReportRow(status) {
+  let error = null;
+  let stage = status.stage || null;
+  if (status.state === 'pending') {
+    error = status.unresolvedImports.map(i => i.message).join('; ');
+    stage = "dependency";
+  } else if (status.state !== 'loaded') {
+    error = status.reason || null;
+  }
+  const validationError = status.validationError;
+  return {
+    identifier: status.identifier,
+    version: (status.version === undefined)? null : status.version,
+    state: status.state,
+    stage,
+    error,
+    cycle: (validationError && validationError.cycle) || null,
+    dynamic: status.dynamic,
+    loadTime: (status.loadTime === undefined)? null : status.loadTime,
+    installTime: (status.installTime === undefined)? null : status.installTime
+  };
+}
+
+function makeReport(statuses) {
+  return statuses.map(makeReportRow).sort((a, b) =>
+      a.identifier.localeCompare(b.identifier)
+      || String(a.version).localeCompare(String(b.version)));
+}
+
+function countStates(rows) {
+  const counts = {};
+  for (const row of rows) {
+    counts[row.state] = (counts[row.state] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * A table that fits on a screen, with one line per plugin
+ */
+function formatSummary(rows) {
+  const counts = countStates(rows);
+  const totals = Object.keys(counts).map(state => `${counts[state]} ${state}`);
+  const header = ['Plugin', 'Version', 'State', 'Stage', 'Time (ms)', 'Error'];
+  const lines = rows.map(row => {
+    const time = (row.loadTime || 0) + (row.installTime || 0);
+    let error = row.error || '';
+    if (error.length > MAX_ERROR_WIDTH) {
+      error = error.substring(0, MAX_ERROR_WIDTH - 3) + '...';
+    }
+    return [row.identifier, row.version || '', row.state, row.stage || '', String(time), error];
+  });
+  const widths = header.map((title, column) => Math.max(title.length,
+      ...lines.map(line => line[column].length)));
+  const formatLine = (line) => line.map((cell, column) =>
+      cell.padEnd(widths[column])).join('  ').trimRight();
+  return [
+    `Plugin load summary: ${rows.length} plugins, ${totals.join(', ')}`,
+    formatLine(header),
+    formatLine(widths.map(width => '-'.repeat(width))),
+    ...lines.map(formatLine)
+  ].join('\n');
+}
+
+module.exports = {
+  makeReport,
+  formatSummary
+};
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
@@ -27,6 +27,9 @@ const configService = require('../plugins/config/lib/configService.js');
 const DependencyGraph = require('./depgraph');
 const translationUtils = require('./translation-utils.js');
 const makeSwaggerCatalog = require('./swagger-catalog');
+const pluginSchema = require('./plugin-schema');
+const resilience = require('./resilience');
+const rateLimiter = require('./rate-limiter');
 
 /**
  * Plugin loader: reads the entire plugin configuration tree
@@ -39,11 +42,27 @@ const makeSwaggerCatalog = require('./swagger-catalog');
  */
 const bootstrapLogger = zluxUtil.loggers.bootstrapLogger;
 
+/**
+ * Where loading a plugin can fail, in the order the stages are gone through
+ */
+const stages = {
+  DEF_READ: "def read",
+  DEPENDENCY: "dependency",
+  MAKE_PLUGIN: "makePlugin",
+  DATA_SERVICE_INIT: "data service init",
+  ROUTER_FACTORY: "router factory"
+};
+
 const defaultOptions = {
   productCode: null,
   authManager: null,
   pluginsDir: null,
+  //where the plugins added at runtime are written, defaults to a 
+  //subdirectory of pluginsDir
+  dynamicPluginsDir: null,
   serverConfig: null,
+  //"strict" rejects plugins with unknown properties, "lenient" warns
+  validationMode: pluginSchema.modes.LENIENT,
   relativePathResolver: zluxUtil.resolveRelativePathAgainstCWD
 }
 
@@ -68,6 +87,8 @@ Service.prototype = {
         }
       }
     }
+    resilience.validatePolicy(this.name, this);
+    rateLimiter.validateRule(this.name, this.rateLimit);
   }
 }
 
@@ -82,6 +103,7 @@ Import.prototype = {
     if (!semver.validRange(this.versionRange)) {
       throw new Error(`${this.localName}: invalid version range "${this.versionRange}"`)
     }
+    resilience.validatePolicy(this.localName, this);
   }
 }
 
@@ -92,23 +114,42 @@ NodeService.prototype = {
   constructor: NodeService,
   __proto__:  Service.prototype,
   
+  validate() {
+    Service.prototype.validate.call(this);
+    if (this.isolation && (this.type !== 'router')) {
+      throw new Error(`${this.name}: only router dataservices can be isolated`);
+    }
+  },
+  
+  /**
+   * An isolated router is loaded by its own process, so only its location
+   * is recorded here
+   */
   loadImplementation(dynamicallyCreated, location) {
+    if (this.isolation === 'process') {
+      if (!dynamicallyCreated) {
+        this.modulePath = this._getFileLocation(location);
+      }
+      return;
+    }
     if (dynamicallyCreated) {
       const nodeModule = requireFromString(this.source);
       this.nodeModule = nodeModule;
     } else {
-      // Quick fix before MVD-947 is merged
-      var fileLocation = ""
-      if (this.filename) {
-        fileLocation = path.join(location, 'lib', this.filename);
-      } else if (this.fileName) {
-        fileLocation = path.join(location, 'lib', this.fileName);
-      } else {
-        throw new Error(`No file name for data service`)
-      }
-      const nodeModule = require(fileLocation);
+      const nodeModule = require(this._getFileLocation(location));
       this.nodeModule = nodeModule;
     }
+  },
+  
+  _getFileLocation(location) {
+    // Quick fix before MVD-947 is merged
+    if (this.filename) {
+      return path.join(location, 'lib', this.filename);
+    } else if (this.fileName) {
+      return path.join(location, 'lib', this.fileName);
+    } else {
+      throw new Error(`No file name for data service`)
+    }
   }
 }
 
@@ -173,6 +214,7 @@ Plugin.prototype = {
   copyright:null,
   location: null,
   dataServices: null,
+  dependencies: null,
   dataServicesGrouped: null,
   configuration: null,
   //...
@@ -208,7 +250,8 @@ Plugin.prototype = {
       //TODO move these to the appropraite plugin type(s)
       webContent: this.webContent, 
       configurationData: this.configurationData,
-      dataServices: this.dataServices
+      dataServices: this.dataServices,
+      dependencies: this.dependencies
     };
   },
 
@@ -345,8 +388,8 @@ Plugin.prototype = {
     }
   },
   
-  getApiCatalog(productCode) {
-    return makeSwaggerCatalog(this, productCode)
+  getApiCatalog(productCode, serviceRouters) {
+    return makeSwaggerCatalog(this, productCode, serviceRouters)
   }
   
 };
@@ -513,7 +556,12 @@ function makePlugin(def, pluginConfiguration, pluginContext, dynamicallyCreated)
       throw new Error(`Plugin ${def.identifier} invalid`);
     }
   }
-  self.initDataServices(pluginContext);
+  try {
+    self.initDataServices(pluginContext);
+  } catch (e) {
+    e.stage = stages.DATA_SERVICE_INIT;
+    throw e;
+  }
   if (!dynamicallyCreated) {
     self.verifyStaticWebContent();
   }
@@ -522,18 +570,176 @@ function makePlugin(def, pluginConfiguration, pluginContext, dynamicallyCreated)
   return self;
 };
 
+/**
+ * Describes, for a rejected plugin, each of its imports that could not be
+ * resolved, in a form that can be sent to a client
+ */
+function describeUnresolvedImports(rejectedNode) {
+  const unresolvedImports = [];
+  for (const dep of rejectedNode.unresolvedImports || []) {
+    unresolvedImports.push({
+      sourcePlugin: dep.provider,
+      sourceName: dep.service,
+      localName: dep.alias,
+      versionRange: dep.requiredVersionRange,
+      status: dep.validationError.status,
+      message: zluxUtil.formatErrorStatus(dep.validationError, 
+          DependencyGraph.statuses)
+    });
+  }
+  if (unresolvedImports.length == 0) {
+    //one of the providers has been rejected itself
+    unresolvedImports.push({
+      sourcePlugin: rejectedNode.validationError.pluginId,
+      status: rejectedNode.validationError.status,
+      message: zluxUtil.formatErrorStatus(rejectedNode.validationError, 
+          DependencyGraph.statuses)
+    });
+  }
+  return unresolvedImports;
+}
+
+/**
+ * Only a missing provider can turn up later, any other problem needs a 
+ * different plugin definition
+ */
+function canWaitForProviders(unresolvedImports) {
+  return unresolvedImports.every(i => 
+      (i.status === "REQUIRED_PLUGIN_NOT_FOUND")
+      || (i.status === "REQUIRED_PLUGIN_FAILED_TO_LOAD"));
+}
+
+/**
+ * Names that become file or directory names when a plugin is persisted
+ */
+const SAFE_FILE_NAME = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+function checkFileName(name, description) {
+  if (!((typeof name === 'string') && SAFE_FILE_NAME.test(name)
+        && !name.includes('..'))) {
+    throw new Error(`${description} "${name}" can't be used as a file name`);
+  }
+}
+
+/**
+ * Resolves the path, which must stay under baseDir
+ */
+function resolveUnder(baseDir, ...segments) {
+  const base = path.resolve(baseDir);
+  const resolved = path.resolve(base, ...segments);
+  if (!resolved.startsWith(base + path.sep)) {
+    throw new Error(`${resolved} is outside of ${base}`);
+  }
+  return resolved;
+}
+
+function removeDirectory(dir) {
+  if (!fs.existsSync(dir)) {
+    return;
+  }
+  for (const entry of fs.readdirSync(dir)) {
+    const entryPath = path.join(dir, entry);
+    if (fs.lstatSync(entryPath).isDirectory()) {
+      removeDirectory(entryPath);
+    } else {
+      fs.unlinkSync(entryPath);
+    }
+  }
+  fs.rmdirSync(dir);
+}
+
 function PluginLoader(options) {
   EventEmitter.call(this);
   this.options = zluxUtil.makeOptionsObject(defaultOptions, options);
   this.plugins = [];
   this.pluginMap = {};
+  this.pluginVersions = {};
+  this.pendingPlugins = {};
+  this.loadFailures = {};
+  this.loadTimes = {};
+  this.installResults = {};
 };
 PluginLoader.prototype = {
   constructor: PluginLoader,
   __proto__: EventEmitter.prototype,
   options: null,
+  //all versions of all plugins
   plugins: null,
+  //the default version of each plugin
   pluginMap: null,
+  //identifier -> pluginVersion -> plugin
+  pluginVersions: null,
+  //dynamic plugins waiting for the plugins they import from
+  pendingPlugins: null,
+  //plugins that were found but not loaded, and why, by plugin key
+  loadFailures: null,
+  //how long makePlugin() took, in ms, by plugin key
+  loadTimes: null,
+  //what happened when the plugin was installed into the web app, by plugin key
+  installResults: null,
+
+  /**
+   * Without a version, returns the default version of the plugin
+   */
+  getPlugin(identifier, pluginVersion) {
+    if (!pluginVersion) {
+      return this.pluginMap[identifier];
+    }
+    const versions = this.pluginVersions[identifier];
+    return versions? versions[pluginVersion] : undefined;
+  },
+
+  _getDefaultPluginVersions() {
+    const nodeConfig = this.options.serverConfig 
+        && this.options.serverConfig.node;
+    return nodeConfig? nodeConfig.defaultPluginVersions : null;
+  },
+
+  _addLoadedPlugin(plugin) {
+    delete this.loadFailures[zluxUtil.pluginKey(plugin.identifier, 
+        plugin.pluginVersion)];
+    this.plugins.push(plugin);
+    zluxUtil.getOrInit(this.pluginVersions, plugin.identifier, {})
+      [plugin.pluginVersion] = plugin;
+    this._updateDefaultVersion(plugin.identifier);
+  },
+
+  /**
+   * Returns the failure recorded, which also says the identifier and version
+   * of the plugin
+   */
+  _setLoadFailure(identifier, pluginVersion, failure) {
+    const loadFailure = Object.assign({
+      identifier,
+      version: pluginVersion
+    }, failure);
+    this.loadFailures[zluxUtil.pluginKey(identifier, pluginVersion)] 
+        = loadFailure;
+    return loadFailure;
+  },
+
+  /**
+   * The failures of a plugin, or of one version of it, highest version first
+   */
+  _getLoadFailures(identifier, pluginVersion) {
+    return Object.values(this.loadFailures)
+      .filter(failure => (failure.identifier === identifier)
+          && ((pluginVersion === undefined) 
+              || (String(failure.version) === String(pluginVersion))))
+      .sort((a, b) => zluxUtil.comparePluginVersions(a.version, b.version));
+  },
+
+  _updateDefaultVersion(identifier) {
+    const versions = this.pluginVersions[identifier];
+    if (!versions || (Object.keys(versions).length == 0)) {
+      delete this.pluginVersions[identifier];
+      delete this.pluginMap[identifier];
+      return;
+    }
+    const defaultVersion = zluxUtil.pickDefaultPluginVersion(identifier, 
+        Object.keys(versions), this._getDefaultPluginVersions());
+    this.pluginMap[identifier] = versions[defaultVersion];
+  },
 
   _readPluginDef(pluginDescriptorFilename) {
     const pluginPtrPath = path.join(this.options.pluginsDir, 
@@ -544,6 +750,17 @@ PluginLoader.prototype = {
     }
     const pluginPtrDef = jsonUtils.parseJSONWithComments(pluginPtrPath);
     bootstrapLogger.log(bootstrapLogger.FINER, util.inspect(pluginPtrDef));
+    try {
+      pluginSchema.check("pluginPointer", pluginPtrDef, 
+          this.options.validationMode, pluginDescriptorFilename);
+      return this._followPluginPointer(pluginPtrDef, pluginDescriptorFilename);
+    } catch (e) {
+      e.pluginId = pluginPtrDef.identifier;
+      throw e;
+    }
+  },
+
+  _followPluginPointer(pluginPtrDef, pluginDescriptorFilename) {
     let pluginBasePath = pluginPtrDef.pluginLocation;
     if (!path.isAbsolute(pluginBasePath)) {
       pluginBasePath = this.options.relativePathResolver(pluginBasePath, 
@@ -553,15 +770,27 @@ PluginLoader.prototype = {
       throw new Error(`${pluginDescriptorFilename}: No plugin directory found at`
         + ` ${pluginPtrDef.pluginLocation}`);
      }
+    return this._readPluginDefAt(pluginBasePath, pluginPtrDef.identifier,
+        pluginDescriptorFilename);
+  },
+
+  /**
+   * Reads pluginDefinition.json from a plugin directory. Used both when
+   * following a plugin reference and when re-reading a plugin that is being
+   * reloaded from disk
+   */
+  _readPluginDefAt(pluginBasePath, expectedIdentifier, sourceName) {
     let pluginDefPath = path.join(pluginBasePath, 'pluginDefinition.json');
     if (!fs.existsSync(pluginDefPath)) {
-      throw new Error(`${pluginDescriptorFilename}: No pluginDefinition.json `
+      throw new Error(`${sourceName}: No pluginDefinition.json `
           + `found at ${pluginBasePath}`);
     }
     let pluginDef = jsonUtils.parseJSONWithComments(pluginDefPath);
     bootstrapLogger.log(bootstrapLogger.FINER,util.inspect(pluginDef));
-    if (pluginDef.identifier !== pluginPtrDef.identifier) {
-      throw new Error(`${pluginDef.identifier} and ${pluginPtrDef.identifier} `
+    pluginSchema.check("pluginDefinition", pluginDef, 
+        this.options.validationMode, pluginDefPath);
+    if (pluginDef.identifier !== expectedIdentifier) {
+      throw new Error(`${pluginDef.identifier} and ${expectedIdentifier} `
           + `don't match - plugin ignored`);
     }
     if (!pluginDef.pluginType) {
@@ -592,6 +821,16 @@ PluginLoader.prototype = {
         bootstrapLogger.warn(e)
         bootstrapLogger.log(bootstrapLogger.INFO,
           `Failed to load ${pluginDescriptorFilename}\n`);
+        const identifier = e.pluginId 
+            || path.basename(pluginDescriptorFilename, '.json');
+        //the version is in the definition that couldn't be read
+        this._setLoadFailure(identifier, undefined, {
+          state: 'failed-to-init',
+          stage: stages.DEF_READ,
+          reason: e.message,
+          validationErrors: e.validationErrors,
+          definition: null
+        });
       }
     } 
     return defs;
@@ -615,12 +854,22 @@ PluginLoader.prototype = {
     }
     const sortedAndRejectedPlugins = depgraph.processImports();
     for (const rejectedPlugin of sortedAndRejectedPlugins.rejects) {
+      const reason = zluxUtil.formatErrorStatus(rejectedPlugin.validationError, 
+          DependencyGraph.statuses);
       bootstrapLogger.warn(`Could not initialize plugin` 
-          + ` ${rejectedPlugin.pluginId}: `  
-          + zluxUtil.formatErrorStatus(rejectedPlugin.validationError, 
-              DependencyGraph.statuses));
+          + ` ${rejectedPlugin.pluginId}: ` + reason);
+      const definition = depgraph.pluginsByKey[rejectedPlugin.pluginKey];
+      this._setLoadFailure(rejectedPlugin.pluginId, 
+          definition ? definition.pluginVersion : undefined, {
+        state: 'rejected',
+        stage: stages.DEPENDENCY,
+        reason,
+        validationError: rejectedPlugin.validationError,
+        definition
+      });
     }
     for (const pluginDef of sortedAndRejectedPlugins.plugins) { 
+      const startTime = Date.now();
       try {
         const pluginConfiguration = configService.getPluginConfiguration(
             pluginDef.identifier, this.options.serverConfig,
@@ -632,18 +881,33 @@ PluginLoader.prototype = {
           bootstrapLogger.log(bootstrapLogger.INFO,
             `Plugin ${plugin.identifier} at path=${plugin.location} loaded.\n`);
           bootstrapLogger.debug(' Content:\n' + plugin.toString());
-          this.plugins.push(zluxUtil.deepFreeze(plugin));
-          this.pluginMap[plugin.identifier] = plugin;
+          this.loadTimes[zluxUtil.pluginKey(plugin.identifier, 
+              plugin.pluginVersion)] = Date.now() - startTime;
+          this._addLoadedPlugin(zluxUtil.deepFreeze(plugin));
           successCount++;
         } else {
           bootstrapLogger.log(bootstrapLogger.INFO,
             `Plugin ${pluginDef.identifier} not loaded`);
+          this._setLoadFailure(pluginDef.identifier, pluginDef.pluginVersion, {
+            state: 'skipped',
+            stage: stages.MAKE_PLUGIN,
+            reason: 'not requested',
+            loadTime: Date.now() - startTime,
+            definition: pluginDef
+          });
         }
       } catch (e) {
         console.log(e);
         //bootstrapLogger.warn(e)
         bootstrapLogger.log(bootstrapLogger.INFO,
           `Failed to load ${pluginDef.identifier}: ${e}`);
+        this._setLoadFailure(pluginDef.identifier, pluginDef.pluginVersion, {
+          state: 'failed-to-init',
+          stage: e.stage || stages.MAKE_PLUGIN,
+          reason: e.message,
+          loadTime: Date.now() - startTime,
+          definition: pluginDef
+        });
       }
     }
     for (const plugin of this.plugins) {
@@ -653,40 +917,538 @@ PluginLoader.prototype = {
     }
   },
   
+  /**
+   * Validates the imports of `pluginDef` against the installed plugins, the 
+   * same way it's done at startup, and installs the plugin.
+   * 
+   * If the only problem is that some of the providers aren't there, the 
+   * plugin is queued and installed as soon as they are added.
+   * 
+   * Returns { status: "added" } or { status: "pending", unresolvedImports }. 
+   * Throws an error with the `unresolvedImports` property if the imports
+   * can never be satisfied, or with the `loadFailure` property if the plugin
+   * couldn't be made.
+   */
   addDynamicPlugin(pluginDef) {
-    if (this.pluginMap[pluginDef.identifier]) {
+    if (this.getPlugin(pluginDef.identifier, pluginDef.pluginVersion)
+        || this.pendingPlugins[pluginDef.identifier]) {
       throw new Error('plugin already registered');
     }
+    pluginSchema.check("pluginDefinition", pluginDef, 
+        this.options.validationMode, pluginDef.identifier);
+    bootstrapLogger.info("Adding dynamic plugin " + pluginDef.identifier);
+    const unresolvedImports = this._checkImports(pluginDef);
+    if (unresolvedImports) {
+      if (!canWaitForProviders(unresolvedImports)) {
+        const err = new Error(`Plugin ${pluginDef.identifier} has unresolved `
+            + `imports`);
+        err.unresolvedImports = unresolvedImports;
+        throw err;
+      }
+      bootstrapLogger.info(`Plugin ${pluginDef.identifier} is waiting for: `
+          + unresolvedImports.map(i => i.sourcePlugin).join(', '));
+      this.pendingPlugins[pluginDef.identifier] = {
+        definition: pluginDef,
+        unresolvedImports
+      };
+      return {
+        status: "pending",
+        unresolvedImports
+      };
+    }
+    this._installDynamicPlugin(pluginDef);
+    this._retryPendingPlugins();
+    return {
+      status: "added"
+    };
+  },
+
+  /**
+   * Returns null if all imports of the plugin can be resolved against the 
+   * installed plugins
+   */
+  _checkImports(pluginDef) {
+    const depgraph = new DependencyGraph(this.plugins);
+    depgraph.addPlugin(pluginDef);
+    const sortedAndRejectedPlugins = depgraph.processImports();
+    const pluginKey = zluxUtil.pluginKey(pluginDef.identifier, 
+        pluginDef.pluginVersion);
+    const rejectedNode = sortedAndRejectedPlugins.rejects.find(
+        r => r.pluginKey === pluginKey);
+    if (!rejectedNode) {
+      return null;
+    }
+    return describeUnresolvedImports(rejectedNode);
+  },
+
+  _installDynamicPlugin(pluginDef) {
     const pluginContext = {
       productCode: this.options.productCode,
       config: this.options.serverConfig,
       authManager: this.options.authManager
     };
-    //
-    //TODO resolving dependencies correctly
-    //see also: the FIXME note at the end of installPlugins()
-    //
-    bootstrapLogger.info("Adding dynamic plugin " + pluginDef.identifier);
     const pluginConfiguration = configService.getPluginConfiguration(
       pluginDef.identifier, this.options.serverConfig,
       this.options.productCode);
-    const plugin = makePlugin(pluginDef, pluginConfiguration, null, pluginContext,
-        true);
-//    if (!this.unresolvedImports.allImportsResolved(pluginContext.plugins)) {
-//      throw new Error('unresolved dependencies');
-//      this.unresolvedImports.reset();
-//    }
-    zluxUtil.deepFreeze(plugin);
-    this.plugins.push(plugin);
-    this.pluginMap[plugin.identifier] = plugin;
+    const startTime = Date.now();
+    const fail = (state, stage, reason) => {
+      const error = new Error(`Plugin ${pluginDef.identifier} was not `
+          + `loaded: ${reason}`);
+      error.loadFailure = this._setLoadFailure(pluginDef.identifier,
+          pluginDef.pluginVersion, {
+        state,
+        stage,
+        reason,
+        loadTime: Date.now() - startTime,
+        definition: pluginDef
+      });
+      return error;
+    };
+    let plugin;
+    try {
+      plugin = makePlugin(pluginDef, pluginConfiguration, pluginContext, true);
+    } catch (e) {
+      throw fail('failed-to-init', e.stage || stages.MAKE_PLUGIN, e.message);
+    }
+    if (!plugin) {
+      throw fail('skipped', stages.MAKE_PLUGIN, 'not requested');
+    }
+    this.loadTimes[zluxUtil.pluginKey(plugin.identifier, plugin.pluginVersion)]
+        = Date.now() - startTime;
+    this._addLoadedPlugin(zluxUtil.deepFreeze(plugin));
     this.emit('pluginAdded', {
       data: plugin
     });
+  },
+
+  /**
+   * Installs the queued plugins whose imports have become resolvable. Keeps
+   * going while there's progress, since a queued plugin may itself be the 
+   * provider for another one
+   */
+  _retryPendingPlugins() {
+    let progress = true;
+    while (progress) {
+      progress = false;
+      for (const identifier of Object.keys(this.pendingPlugins)) {
+        const pluginDef = this.pendingPlugins[identifier].definition;
+        const unresolvedImports = this._checkImports(pluginDef);
+        if (unresolvedImports) {
+          if (!canWaitForProviders(unresolvedImports)) {
+            bootstrapLogger.warn(`Dropping queued plugin ${identifier}: `
+                + unresolvedImports.map(i => i.message).join('; '));
+            delete this.pendingPlugins[identifier];
+          } else {
+            this.pendingPlugins[identifier].unresolvedImports = unresolvedImports;
+          }
+          continue;
+        }
+        delete this.pendingPlugins[identifier];
+        bootstrapLogger.info(`Imports of queued plugin ${identifier} resolved`);
+        try {
+          this._installDynamicPlugin(pluginDef);
+          progress = true;
+        } catch (e) {
+          bootstrapLogger.warn(`Failed to add queued plugin ${identifier}: `
+              + e.message);
+        }
+      }
+    }
+  },
+
+  /**
+   * Forgets a plugin, or only one version of it. Listeners of `pluginRemoved`
+   * are expected to take its routes and services out of service. Returns the
+   * plugins removed, or the definition of a plugin that wasn't loaded.
+   *
+   * Plugins importing from the removed one are left in place: their imports
+   * will fail until a plugin with the same identifier is added again
+   */
+  removePlugin(identifier, pluginVersion) {
+    if (this.pendingPlugins[identifier]) {
+      bootstrapLogger.info(`Removing queued plugin ${identifier}`);
+      const definition = this.pendingPlugins[identifier].definition;
+      delete this.pendingPlugins[identifier];
+      return [definition];
+    }
+    const versions = this.pluginVersions[identifier];
+    const removed = !versions? [] 
+      : pluginVersion? [versions[pluginVersion]].filter(p => p)
+      : Object.values(versions);
+    const failures = this._getLoadFailures(identifier, pluginVersion);
+    if ((removed.length == 0) && (failures.length > 0)) {
+      bootstrapLogger.info(`Forgetting plugin ${identifier}, which failed to load`);
+      for (const failure of failures) {
+        delete this.loadFailures[zluxUtil.pluginKey(identifier, failure.version)];
+      }
+      return failures.map(failure => failure.definition).filter(d => d);
+    }
+    if (removed.length == 0) {
+      throw new Error(`plugin ${identifier}`
+          + (pluginVersion? `@${pluginVersion}` : '') + ` is not registered`);
+    }
+    const importers = this._findImporters(identifier);
+    if (importers.length > 0) {
+      bootstrapLogger.warn(`Removing plugin ${identifier} which is imported by: `
+          + importers.join(', '));
+    }
+    for (const plugin of removed) {
+      const pluginKey = zluxUtil.pluginKey(identifier, plugin.pluginVersion);
+      bootstrapLogger.info(`Removing plugin ${pluginKey}`);
+      this.plugins.splice(this.plugins.indexOf(plugin), 1);
+      delete versions[plugin.pluginVersion];
+      delete this.loadTimes[pluginKey];
+      delete this.installResults[pluginKey];
+      this._forgetModules(plugin);
+    }
+    this._updateDefaultVersion(identifier);
+    for (const plugin of removed) {
+      this.emit('pluginRemoved', {
+        data: plugin
+      });
+    }
+    return removed;
+  },
+
+  /**
+   * Replaces a loaded plugin with a new instance built from `pluginDef`. If no
+   * definition is given, pluginDefinition.json is re-read from the plugin
+   * location, which is only possible for plugins that came from disk.
+   *
+   * The version replaced is `pluginVersion`, or else the one of `pluginDef` 
+   * if it's installed, or else the default version. Returns the plugin
+   * replaced
+   */
+  reloadPlugin(identifier, pluginDef, pluginVersion) {
+    const previous = this.getPlugin(identifier, pluginVersion)
+      || (!pluginVersion && pluginDef 
+          && this.getPlugin(identifier, pluginDef.pluginVersion))
+      || (!pluginVersion && this.pluginMap[identifier]);
+    if (!previous) {
+      throw new Error(`plugin ${identifier}`
+          + (pluginVersion? `@${pluginVersion}` : '') + ` is not registered`);
+    }
+    let dynamicallyCreated;
+    if (pluginDef) {
+      if (pluginDef.identifier !== identifier) {
+        throw new Error(`plugin identifier mismatch: ${pluginDef.identifier}`);
+      }
+      pluginSchema.check("pluginDefinition", pluginDef, 
+          this.options.validationMode, identifier);
+      dynamicallyCreated = !pluginDef.location;
+    } else if (previous.dynamicallyCreated) {
+      throw new Error(`plugin ${identifier} was added dynamically, `
+          + `a new definition is required to reload it`);
+    } else {
+      pluginDef = this._readPluginDefAt(previous.location, identifier,
+          identifier);
+      pluginDef.location = previous.location;
+      dynamicallyCreated = false;
+    }
+    const replaced = this.getPlugin(identifier, pluginDef.pluginVersion);
+    if (replaced && replaced !== previous) {
+      throw new Error(`plugin ${identifier}@${pluginDef.pluginVersion} is `
+          + `already installed`);
+    }
+    bootstrapLogger.info(`Reloading plugin ${identifier}@${previous.pluginVersion}`);
+    const pluginContext = {
+      productCode: this.options.productCode,
+      config: this.options.serverConfig,
+      authManager: this.options.authManager
+    };
+    const pluginConfiguration = configService.getPluginConfiguration(
+      identifier, this.options.serverConfig, this.options.productCode);
+    //the new implementation must be picked up from disk, not from the cache
+    this._forgetModules(previous);
+    const startTime = Date.now();
+    const plugin = makePlugin(pluginDef, pluginConfiguration, pluginContext,
+        dynamicallyCreated);
+    if (!plugin) {
+      throw new Error(`plugin ${identifier} could not be reloaded`);
+    }
+    this.loadTimes[zluxUtil.pluginKey(identifier, plugin.pluginVersion)] 
+        = Date.now() - startTime;
+    zluxUtil.deepFreeze(plugin);
+    this.plugins[this.plugins.indexOf(previous)] = plugin;
+    const versions = this.pluginVersions[identifier];
+    delete versions[previous.pluginVersion];
+    versions[plugin.pluginVersion] = plugin;
+    this._updateDefaultVersion(identifier);
+    this.emit('pluginReloaded', {
+      data: plugin,
+      previous
+    });
+    return previous;
+  },
+
+  /**
+   * Puts back the plugin that reloadPlugin() replaced with `plugin`, for when
+   * the new instance couldn't be installed. Does nothing if `plugin` is no
+   * longer loaded
+   */
+  revertReload(plugin, previous) {
+    const index = this.plugins.indexOf(plugin);
+    if (index === -1) {
+      return;
+    }
+    bootstrapLogger.info(`Reverting plugin ${plugin.identifier} to version `
+        + previous.pluginVersion);
+    this.plugins[index] = previous;
+    const versions = this.pluginVersions[plugin.identifier];
+    delete versions[plugin.pluginVersion];
+    versions[previous.pluginVersion] = previous;
+    this._updateDefaultVersion(plugin.identifier);
+    //a later reload must not pick up the modules of the failed instance
+    this._forgetModules(plugin);
+  },
+
+  /**
+   * Describes what happened to a plugin: whether it is loaded or why not.
+   * Without a version, describes the default version of a loaded plugin. 
+   * Returns null for unknown plugins
+   */
+  getPluginStatus(identifier, pluginVersion) {
+    const plugin = this.getPlugin(identifier, pluginVersion);
+    if (plugin) {
+      const pluginKey = zluxUtil.pluginKey(identifier, plugin.pluginVersion);
+      const status = {
+        identifier,
+        version: plugin.pluginVersion,
+        isDefaultVersion: this.pluginMap[identifier] === plugin,
+        state: 'loaded',
+        dynamic: !!plugin.dynamicallyCreated 
+            || this.isPersistedPlugin(identifier, plugin.pluginVersion),
+        loadTime: this.loadTimes[pluginKey],
+        definition: plugin.exportDef()
+      };
+      const installResult = this.installResults[pluginKey];
+      if (installResult) {
+        status.installTime = installResult.installTime;
+        if (installResult.error) {
+          status.state = 'failed-to-init';
+          status.stage = stages.ROUTER_FACTORY;
+          status.reason = installResult.error.message;
+        }
+      }
+      return status;
+    }
+    if (pluginVersion) {
+      return this._describeLoadFailure(
+          this._getLoadFailures(identifier, pluginVersion)[0]);
+    }
+    const pending = this.pendingPlugins[identifier];
+    if (pending) {
+      return {
+        identifier,
+        version: pending.definition.pluginVersion,
+        state: 'pending',
+        dynamic: true,
+        unresolvedImports: pending.unresolvedImports,
+        definition: pending.definition
+      };
+    }
+    return this._describeLoadFailure(this._getLoadFailures(identifier)[0]);
+  },
+
+  _describeLoadFailure(failure) {
+    if (!failure) {
+      return null;
+    }
+    return Object.assign({ 
+      dynamic: this.isPersistedPlugin(failure.identifier, failure.version)
+    }, failure);
+  },
+
+  /**
+   * Called once the web app has (or hasn't) installed a loaded plugin, so 
+   * that its status includes the outcome
+   */
+  setInstallationResult(identifier, pluginVersion, error, installTime) {
+    this.installResults[zluxUtil.pluginKey(identifier, pluginVersion)] = {
+      error,
+      installTime
+    };
+  },
+
+  /**
+   * One status for every version of every plugin
+   */
+  getPluginStatuses() {
+    const statuses = [];
+    for (const identifier of Object.keys(this.pluginVersions)) {
+      for (const pluginVersion of Object.keys(this.pluginVersions[identifier])) {
+        statuses.push(this.getPluginStatus(identifier, pluginVersion));
+      }
+    }
+    for (const identifier of Object.keys(this.pendingPlugins)) {
+      if (!this.pluginVersions[identifier]) {
+        statuses.push(this.getPluginStatus(identifier));
+      }
+    }
+    for (const failure of Object.values(this.loadFailures)) {
+      if (!this.pendingPlugins[failure.identifier]) {
+        statuses.push(this._describeLoadFailure(failure));
+      }
+    }
+    return statuses;
+  },
+
+  _getDynamicPluginsDir() {
+    let dir = this.options.dynamicPluginsDir;
+    if (!dir) {
+      return path.join(this.options.pluginsDir, 'dynamic');
+    }
+    if (!path.isAbsolute(dir)) {
+      dir = this.options.relativePathResolver(dir, "plugin-def");
+    }
+    return dir;
+  },
+
+  _getPersistedPluginLocation(identifier, pluginVersion) {
+    checkFileName(identifier, 'Plugin identifier');
+    checkFileName(String(pluginVersion), 'Plugin version');
+    return resolveUnder(this._getDynamicPluginsDir(), identifier, 
+        String(pluginVersion));
+  },
+
+  _getPluginPointerPath(identifier, pluginVersion) {
+    checkFileName(identifier, 'Plugin identifier');
+    checkFileName(String(pluginVersion), 'Plugin version');
+    return resolveUnder(this.options.pluginsDir, 
+        `${zluxUtil.pluginKey(identifier, pluginVersion)}.json`);
+  },
+
+  /**
+   * Throws if the plugin has names that persistDynamicPlugin() can't turn
+   * into paths under the plugin directories. Checked whatever the validation
+   * mode, since the definition comes from the network
+   */
+  checkPersistable(pluginDef) {
+    checkFileName(pluginDef.identifier, 'Plugin identifier');
+    checkFileName(String(pluginDef.pluginVersion), 'Plugin version');
+    for (const service of pluginDef.dataServices || []) {
+      if (typeof service.source !== 'string') {
+        continue;
+      }
+      checkFileName(service.name, 'Dataservice name');
+      if (service.version) {
+        checkFileName(String(service.version), 'Dataservice version');
+      }
+    }
+  },
+
+  /**
+   * True if the plugin version was added at runtime and written to disk by 
+   * persistDynamicPlugin()
+   */
+  isPersistedPlugin(identifier, pluginVersion) {
+    if (!this.options.pluginsDir) {
+      return false;
+    }
+    try {
+      const pointerPath = this._getPluginPointerPath(identifier,
+          pluginVersion);
+      if (!fs.existsSync(pointerPath)) {
+        return false;
+      }
+      const pointer = jsonUtils.parseJSONWithComments(pointerPath);
+      return pointer.pluginLocation 
+          === this._getPersistedPluginLocation(identifier, pluginVersion);
+    } catch (e) {
+      return false;
+    }
+  },
+
+  /**
+   * Writes a plugin submitted at runtime to the dynamic plugins dir, along 
+   * with a plugin reference in pluginsDir, so that readPluginDefs() finds it
+   * on the next start. The dataservice sources become files under lib/, the
+   * way a plugin installed on disk would have them. Each version of a plugin
+   * is written separately.
+   *
+   * A plugin reference that points elsewhere is never overwritten
+   */
+  persistDynamicPlugin(pluginDef) {
+    this.checkPersistable(pluginDef);
+    const identifier = pluginDef.identifier;
+    const pluginVersion = pluginDef.pluginVersion;
+    const pointerPath = this._getPluginPointerPath(identifier, pluginVersion);
+    const pluginLocation = this._getPersistedPluginLocation(identifier,
+        pluginVersion);
+    if (fs.existsSync(pointerPath) 
+        && !this.isPersistedPlugin(identifier, pluginVersion)) {
+      throw new Error(`${pointerPath} already exists and refers to a `
+          + `different plugin location`);
+    }
+    const def = JSON.parse(JSON.stringify(pluginDef));
+    delete def.location;
+    const libDir = path.join(pluginLocation, 'lib');
+    fs.mkdirSync(libDir, { recursive: true });
+    for (const service of def.dataServices || []) {
+      if (typeof service.source !== 'string') {
+        continue;
+      }
+      const fileName = service.version 
+          ? `${service.name}-${service.version}.js` : `${service.name}.js`;
+      fs.writeFileSync(resolveUnder(libDir, fileName), service.source);
+      delete service.source;
+      service.filename = fileName;
+    }
+    fs.writeFileSync(path.join(pluginLocation, 'pluginDefinition.json'),
+        JSON.stringify(def, null, 2));
+    //the reference goes last: readPluginDefs() must not see a partial plugin
+    fs.writeFileSync(pointerPath, JSON.stringify({
+      identifier,
+      pluginLocation
+    }, null, 2));
+    bootstrapLogger.info(`Plugin ${identifier} written to ${pluginLocation}`);
+  },
+
+  /**
+   * Deletes what persistDynamicPlugin() wrote. Does nothing for plugins that
+   * weren't persisted
+   */
+  forgetPersistedPlugin(identifier, pluginVersion) {
+    if (!this.isPersistedPlugin(identifier, pluginVersion)) {
+      return;
+    }
+    const pluginLocation = this._getPersistedPluginLocation(identifier,
+        pluginVersion);
+    fs.unlinkSync(this._getPluginPointerPath(identifier, pluginVersion));
+    removeDirectory(pluginLocation);
+    const identifierDir = path.dirname(pluginLocation);
+    if (fs.readdirSync(identifierDir).length == 0) {
+      fs.rmdirSync(identifierDir);
+    }
+    bootstrapLogger.info(`Plugin ${identifier} deleted from ${pluginLocation}`);
+  },
+
+  _findImporters(identifier) {
+    return this.plugins.filter(p => (p.dataServices || []).some(
+        s => (s.type === 'import') && (s.sourcePlugin === identifier)))
+      .map(p => p.identifier);
+  },
+
+  /**
+   * Removes the plugin's dataservice modules from the require cache so that a
+   * subsequent load reads them again
+   */
+  _forgetModules(plugin) {
+    if (plugin.dynamicallyCreated) {
+      return;
+    }
+    const libDir = path.join(plugin.location, 'lib') + path.sep;
+    for (const moduleName of Object.keys(require.cache)) {
+      if (moduleName.startsWith(libDir)) {
+        delete require.cache[moduleName];
+      }
+    }
   }
 };
 
 module.exports = PluginLoader;
 PluginLoader.makePlugin = makePlugin;
+PluginLoader.stages = stages;
 
 /*
   This program and the accompanying materials are
@@ -0,0 +1,141 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
+'use strict';
+
+const Ajv = require('ajv');
+const zluxUtil = require('./util');
+
+/**
+ * Checks plugin definitions and plugin references against the JSON schemas in
+ * schemas/.
+ *
+ * In strict mode any violation rejects the plugin. In lenient mode unknown
+ * properties are only reported as warnings, since older plugins may carry
+ * properties nobody reads any more
+ */
+
+const bootstrapLogger = zluxUtil.loggers.bootstrapLogger;
+
+const modes = {
+  STRICT: "strict",
+  LENIENT: "lenient"
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validators = {
+  pluginDefinition: ajv.compile(
+      require('../schemas/pluginDefinition.schema.json')),
+  pluginPointer: ajv.compile(require('../schemas/pluginPointer.schema.json'))
+};
+
+function describeError(error, alternatives) {
+  let path = '$' + error.dataPath;
+  let message = error.message;
+  let unknownProperty = false;
+  switch (error.keyword) {
+  case 'additionalProperties':
+    path += `.${error.params.additionalProperty}`;
+    message = 'unknown property';
+    unknownProperty = true;
+    break;
+  case 'required':
+    path += `.${error.params.missingProperty}`;
+    message = 'is required';
+    break;
+  case 'enum':
+    message = 'should be one of: ' + error.params.allowedValues.join(', ');
+    break;
+  case 'anyOf':
+    if (alternatives.length > 0) {
+      message = 'should have one of: ' + alternatives.join(', ');
+    }
+    break;
+  }
+  return { path, message, unknownProperty };
+}
+
+/**
+ * Turns ajv errors into one violation per problem. The "if" and "then"
+ * errors only repeat what the errors they wrap say, and the branches of an
+ * "anyOf" are folded into one message
+ */
+function describeErrors(errors) {
+  const anyOfErrors = errors.filter(e => e.keyword === 'anyOf');
+  const violations = [];
+  for (const error of errors) {
+    if (error.keyword === 'if') {
+      continue;
+    }
+    if (anyOfErrors.some(e => error.schemaPath.startsWith(e.schemaPath + '/'))) {
+      continue;
+    }
+    let alternatives;
+    if (error.keyword === 'anyOf') {
+      alternatives = errors.filter(e => e.keyword === 'required'
+          && e.schemaPath.startsWith(error.schemaPath + '/'))
+        .map(e => e.params.missingProperty);
+    }
+    violations.push(describeError(error, alternatives));
+  }
+  return violations;
+}
+
+/**
+ * `kind` is "pluginDefinition" or "pluginPointer". Returns all violations, and
+ * which of them reject the object in the given mode
+ */
+function validate(kind, object, mode) {
+  const validator = validators[kind];
+  if (validator(object)) {
+    return { violations: [], rejecting: [] };
+  }
+  const violations = describeErrors(validator.errors);
+  const rejecting = (mode === modes.STRICT) ? violations
+    : violations.filter(v => !v.unknownProperty);
+  return { violations, rejecting };
+}
+
+function formatViolations(violations) {
+  return violations.map(v => `${v.path}: ${v.message}`).join('; ');
+}
+
+/**
+ * Logs every violation and throws an error with the `validationErrors`
+ * property if the object is rejected
+ */
+function check(kind, object, mode, sourceName) {
+  const result = validate(kind, object, mode);
+  for (const violation of result.violations) {
+    bootstrapLogger.warn(`${sourceName}: ${violation.path}: `
+        + violation.message);
+  }
+  if (result.rejecting.length > 0) {
+    const err = new Error(`${sourceName}: invalid ${kind}: `
+        + formatViolations(result.rejecting));
+    err.validationErrors = result.rejecting;
+    throw err;
+  }
+}
+
+module.exports = {
+  modes,
+  validate,
+  check
+};
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
@@ -19,6 +19,7 @@ const http = require('http');
 const https = require('https');
 const express = require('express');
 const util = require('./util');
+const resilience = require('./resilience');
 const unpconst = require('./unp-constants');
 const WebSocket = require('ws');
 const net = require('net');
@@ -54,6 +55,10 @@ function convertOptions(request, realHost, realPort, urlPrefix) {
   return options;
 }
 
+/**
+ * `options.policy`, from resilience.makePolicy(), adds a timeout, retries and
+ * a circuit breaker
+ */
 function makeSimpleProxy(host, port, options, pluginID, serviceName) {
   if (!(host && port)) {
     throw new Error(`Proxy (${pluginID}:${serviceName}) setup failed.\n`
@@ -61,12 +66,23 @@ function makeSimpleProxy(host, port, options, pluginID, serviceName) {
                     + `For information on how to configure a proxy service, see the Zowe wiki on dataservices `
                     + `(https://github.com/zowe/zlux/wiki/ZLUX-Dataservices)`);
   }
-  const {urlPrefix, isHttps, addProxyAuthorizations, allowInvalidTLSProxy} = 
-    options;
+  const {urlPrefix, isHttps, addProxyAuthorizations, allowInvalidTLSProxy,
+    policy} = options;
   const httpApi = isHttps? https : http;
+  const breaker = policy ? policy.circuitBreaker : null;
   return function(req1, res1) {
     proxyLog.debug("Request: " + req1.protocol + '://' + req1.get('host') + req1.url);
+    if (breaker && !breaker.allowRequest()) {
+      proxyLog.debug(`proxy request to ${host}:${port} rejected, circuit open`);
+      resilience.sendCircuitOpen(res1, breaker);
+      return;
+    }
     const requestOptions = convertOptions(req1, host, port, urlPrefix);
+    if (req1.tokenAuth) {
+      //the bearer token or API key is for this server, the agent has its
+      //own auth
+      delete requestOptions.headers[req1.tokenAuth.header];
+    }
     if (isHttps) {
       requestOptions.rejectUnauthorized = !allowInvalidTLSProxy;
     }
@@ -78,54 +94,107 @@ function makeSimpleProxy(host, port, options, pluginID, serviceName) {
     } else {
       proxyLog.debug('Callservice: no auth helper');
     }
-    const req2 = httpApi.request(requestOptions, (res2) => {
-      proxyLog.debug("status code" + res2.statusCode);
-      res1.status(res2.statusCode);
-      const headers = res2.headers;
-      for (const header of Object.keys(headers)) {
-        if (header == 'location') {
-          const location = headers[header];
-          let pattern = /^http.+\/ZLUX\/plugins\/.+/;
-          if (!pattern.test(headers[header])) {
-            if (location.startsWith('/')) {
-	      res1.set(header, `${req1.protocol}://${req1.get('host')}/ZLUX/plugins/${pluginID}/services/${serviceName}/_current${location}`);
-            }
-            else if (location.startsWith('http')) {
-	      const locationParts = location.split(":");
-              let part;
-	      if (locationParts.length > 2) {
-	        part = locationParts[2];
-              } else {
-                part = locationParts[1]
-              }
-              const t = part.indexOf('/');
-              const newEnd = part.substring(t);
-              const newRedirect = req1.protocol + '://' + req1.get('host') + "/ZLUX/plugins/" + pluginID + "/services/_current" + serviceName + newEnd; 
-              proxyLog.debug('Redirecting to: ' + newRedirect);
-              res1.set(header, newRedirect);
-            }            
-          }
+    const recordResult = (failed) => {
+      if (breaker) {
+        if (failed) {
+          breaker.recordFailure();
+        } else {
+          breaker.recordSuccess();
         }
-        else {
-          res1.set(header, headers[header])
+      }
+    };
+    const canRetry = (attempt) => resilience.shouldRetry(policy, req1.method,
+        attempt) && !(breaker && (breaker.state !== resilience.states.CLOSED));
+    const retry = (attempt) => {
+      const delay = resilience.getRetryDelay(policy, attempt);
+      proxyLog.debug(`proxy request to ${host}:${port} failed, attempt `
+          + `${attempt}, retrying in ${delay}ms`);
+      setTimeout(() => sendRequest(attempt + 1), delay);
+    };
+    const sendRequest = (attempt) => {
+      const req2 = httpApi.request(requestOptions, (res2) => {
+        proxyLog.debug("status code" + res2.statusCode);
+        recordResult(resilience.isFailureStatus(res2.statusCode));
+        if (resilience.isRetryableStatus(res2.statusCode) 
+            && canRetry(attempt)) {
+          res2.resume();
+          retry(attempt);
+          return;
         }
+        forwardResponse(req1, res1, res2, pluginID, serviceName);
+      });
+      if (policy && policy.timeoutMs) {
+        req2.setTimeout(policy.timeoutMs, () => {
+          const e = new Error(`timed out after ${policy.timeoutMs}ms`);
+          e.code = 'ETIMEDOUT';
+          req2.destroy(e);
+        });
       }
-      res2.pipe(res1);
-    });
-    req2.on('error', (e) => {
-      proxyLog.warn('Callservice: Service call failed.');
-      console.warn(e);
-      res1.status(500).send(`Unable to complete network request to ${host}:${port}: `
-          + e.message, null, null);
-    });
-    if ((req1.method == 'POST') || (req1.method == 'PUT')) {
-      proxyLog.debug('Callservice: Forwarding request body to service');
-      req1.pipe(req2);
-    } else {
-      proxyLog.debug('Callservice: Issuing request to service');
-      req2.end();
+      req2.on('error', (e) => {
+        proxyLog.warn('Callservice: Service call failed.');
+        console.warn(e);
+        if (res1.headersSent) {
+          //failed while the response was forwarded: too late to report it
+          res1.end();
+          return;
+        }
+        recordResult(true);
+        if (canRetry(attempt)) {
+          retry(attempt);
+        } else if (e.code === 'ETIMEDOUT') {
+          resilience.sendTimeout(res1, policy.timeoutMs, {
+            plugin: pluginID,
+            service: serviceName
+          });
+        } else {
+          res1.status(500).send(`Unable to complete network request to ${host}:${port}: `
+              + e.message, null, null);
+        }
+      });
+      if ((req1.method == 'POST') || (req1.method == 'PUT')) {
+        proxyLog.debug('Callservice: Forwarding request body to service');
+        req1.pipe(req2);
+      } else {
+        proxyLog.debug('Callservice: Issuing request to service');
+        req2.end();
+      }
+    };
+    sendRequest(1);
+  }
+}
+
+function forwardResponse(req1, res1, res2, pluginID, serviceName) {
+  res1.status(res2.statusCode);
+  const headers = res2.headers;
+  for (const header of Object.keys(headers)) {
+    if (header == 'location') {
+      const location = headers[header];
+      let pattern = /^http.+\/ZLUX\/plugins\/.+/;
+      if (!pattern.test(headers[header])) {
+        if (location.startsWith('/')) {
+          res1.set(header, `${req1.protocol}://${req1.get('host')}/ZLUX/plugins/${pluginID}/services/${serviceName}/_current${location}`);
+        }
+        else if (location.startsWith('http')) {
+          const locationParts = location.split(":");
+          let part;
+          if (locationParts.length > 2) {
+            part = locationParts[2];
+          } else {
+            part = locationParts[1]
+          }
+          const t = part.indexOf('/');
+          const newEnd = part.substring(t);
+          const newRedirect = req1.protocol + '://' + req1.get('host') + "/ZLUX/plugins/" + pluginID + "/services/_current" + serviceName + newEnd; 
+          proxyLog.debug('Redirecting to: ' + newRedirect);
+          res1.set(header, newRedirect);
+        }            
+      }
+    }
+    else {
+      res1.set(header, headers[header])
     }
   }
+  res2.pipe(res1);
 }
 
 function makeWsProxy(host, port, urlPrefix, isHttps) {
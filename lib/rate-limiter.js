@@ -0,0 +1,266 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
+'use strict';
+
+/**
+ * Token bucket rate limits for the auth endpoints and the dataservices. In
+ * the server config:
+ *
+ *   "node": {
+ *     "rateLimits": {
+ *       "auth": { "capacity": 10, "refillPerSecond": 0.2 },
+ *       "services": { "capacity": 100, "refillPerSecond": 20,
+ *                     "keyBy": ["username", "plugin", "service"] }
+ *     }
+ *   }
+ *
+ * A bucket holds up to `capacity` requests and gets `refillPerSecond` of
+ * them back each second. Requests are counted in a bucket per value of the
+ * `keyBy` properties: "username", "ip", "plugin" and "service". A request
+ * without a user is counted under its client IP instead.
+ *
+ * A dataservice can have limits of its own in its pluginDefinition.json,
+ * "rateLimit": {...} with the same properties, or be exempted with
+ * "rateLimit": false.
+ *
+ * A request over the limit gets a 429 with Retry-After. In a cluster, the
+ * buckets are kept in the master, so that the limits apply to the server
+ * rather than to each worker
+ */
+
+const util = require('./util');
+
+const authLog = util.loggers.authLogger;
+
+const KEY_PROPERTIES = ['username', 'ip', 'plugin', 'service'];
+const defaultKeys = {
+  auth: ['ip', 'username'],
+  services: ['username', 'plugin', 'service']
+};
+//buckets that are full again are dropped after this long
+const IDLE_BUCKET_MS = 60000;
+
+function TokenBucketStore() {
+  this.buckets = new Map();
+  if (this.isLocalStorage()) {
+    setInterval(() => this.dropFullBuckets(), IDLE_BUCKET_MS).unref();
+  }
+}
+TokenBucketStore.prototype = {
+  constructor: TokenBucketStore,
+  buckets: null,
+
+  isLocalStorage() {
+    return !process.clusterManager || process.clusterManager.isMaster;
+  },
+
+  dropFullBuckets() {
+    const now = Date.now();
+    this.buckets.forEach((bucket, key, map) => {
+      if (now - bucket.updatedAt > IDLE_BUCKET_MS) {
+        map.delete(key);
+      }
+    });
+  },
+
+  _consumeLocal(key, capacity, refillPerSecond) {
+    const now = Date.now();
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: capacity, updatedAt: now };
+      this.buckets.set(key, bucket);
+    } else {
+      bucket.tokens = Math.min(capacity, bucket.tokens
+          + (now - bucket.updatedAt) * refillPerSecond / 1000);
+      bucket.updatedAt = now;
+    }
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true, remaining: Math.floor(bucket.tokens),
+          retryAfterMs: 0 };
+    }
+    return { allowed: false, remaining: 0,
+        retryAfterMs: Math.ceil((1 - bucket.tokens) * 1000 / refillPerSecond) };
+  },
+
+  /**
+   * Takes a token from the bucket, callback(error, {allowed, remaining,
+   * retryAfterMs}). A worker asks the master
+   */
+  consume(key, capacity, refillPerSecond, callback) {
+    if (this.isLocalStorage()) {
+      try {
+        callback(null, this._consumeLocal(key, capacity, refillPerSecond));
+      } catch (error) {
+        callback(error, null);
+      }
+    } else {
+      process.clusterManager.callClusterMethodRemote('./rate-limiter',
+          'rateLimitStore', 'consume', [key, capacity, refillPerSecond],
+          function(result) {
+            callback(result[0], result[1]);
+          },
+          function(e) {
+            callback(new Error('Error at call rateLimitStore.consume: ' + e),
+                null);
+          });
+    }
+  }
+};
+
+const rateLimitStore = new TokenBucketStore();
+
+function checkPositiveNumber(name, rule, property) {
+  const value = rule[property];
+  if ((value !== undefined)
+      && !((typeof value === 'number') && isFinite(value) && (value > 0))) {
+    throw new Error(`${name}: rate limit ${property} must be a positive `
+        + `number, not "${value}"`);
+  }
+}
+
+/**
+ * Throws if a rate limit, from the server config or a dataservice, is not
+ * valid. false and undefined are valid: no limit
+ */
+function validateRule(name, rule) {
+  if ((rule === undefined) || (rule === false)) {
+    return;
+  }
+  if (!rule || (typeof rule !== 'object')) {
+    throw new Error(`${name}: rate limit must be an object or false`);
+  }
+  checkPositiveNumber(name, rule, 'capacity');
+  checkPositiveNumber(name, rule, 'refillPerSecond');
+  if (rule.keyBy !== undefined) {
+    if (!Array.isArray(rule.keyBy)
+        || rule.keyBy.some(key => !KEY_PROPERTIES.includes(key))) {
+      throw new Error(`${name}: rate limit keyBy must list some of `
+          + KEY_PROPERTIES.join(', '));
+    }
+  }
+}
+
+/**
+ * The limit that applies, {capacity, refillPerSecond, keyBy}, or null.
+ * `override` is what a dataservice asks for, and takes precedence over the
+ * server-wide `rule` of that `kind` ("auth" or "services")
+ */
+function makeRule(kind, rule, override) {
+  if (override === false) {
+    return null;
+  }
+  const merged = Object.assign({}, rule || {}, override || {});
+  if (!(merged.capacity && merged.refillPerSecond)) {
+    return null;
+  }
+  return {
+    capacity: merged.capacity,
+    refillPerSecond: merged.refillPerSecond,
+    keyBy: merged.keyBy || defaultKeys[kind]
+  };
+}
+
+function getClientIP(req) {
+  return req.ip || (req.connection && req.connection.remoteAddress) || '';
+}
+
+/**
+ * Logins don't have a user yet, other than the one they are for
+ */
+function getUsername(req) {
+  if (req.username) {
+    return req.username;
+  }
+  if (req.body && (typeof req.body.username === 'string')) {
+    return req.body.username;
+  }
+  return null;
+}
+
+function makeBucketKey(rule, req, scope) {
+  const parts = [scope.name];
+  for (const key of rule.keyBy) {
+    switch (key) {
+    case 'username': {
+        const username = getUsername(req);
+        parts.push(username ? `user=${username}`
+            : `ip=${getClientIP(req)}`);
+      }
+      break;
+    case 'ip':
+      parts.push(`ip=${getClientIP(req)}`);
+      break;
+    case 'plugin':
+      parts.push(`plugin=${scope.plugin || ''}`);
+      break;
+    case 'service':
+      parts.push(`service=${scope.service || ''}`);
+      break;
+    }
+  }
+  return parts.join('|');
+}
+
+function sendTooManyRequests(res, retryAfterMs, scope) {
+  res.set('Retry-After', String(Math.max(1, Math.ceil(retryAfterMs / 1000))));
+  res.status(429).json({
+    'error': 'too many requests',
+    'plugin': scope.plugin,
+    'service': scope.service,
+    'retryAfterMs': retryAfterMs
+  });
+}
+
+/**
+ * Middleware that counts requests against `rule`. `scope` is {name, plugin,
+ * service}: name tells apart the buckets of different rules, plugin and
+ * service are what "plugin" and "service" in keyBy stand for. When the
+ * buckets can't be reached, requests are let through
+ */
+function makeRateLimiter(rule, scope, store) {
+  store = store || rateLimitStore;
+  return function(req, res, next) {
+    const key = makeBucketKey(rule, req, scope);
+    store.consume(key, rule.capacity, rule.refillPerSecond, (err, result) => {
+      if (err || !result) {
+        authLog.warn(`Rate limit for ${scope.name} not checked: ${err}`);
+        next();
+        return;
+      }
+      res.set('X-RateLimit-Limit', String(rule.capacity));
+      res.set('X-RateLimit-Remaining', String(result.remaining));
+      if (result.allowed) {
+        next();
+      } else {
+        authLog.info(`Rate limit of ${scope.name} reached for ${key}`);
+        sendTooManyRequests(res, result.retryAfterMs, scope);
+      }
+    });
+  };
+}
+
+module.exports = {
+  TokenBucketStore,
+  rateLimitStore,
+  validateRule,
+  makeRule,
+  makeRateLimiter
+};
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
@@ -0,0 +1,323 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
+'use strict';
+
+/**
+ * Validates requests to a dataservice with `"validateRequests": true` against
+ * the OpenAPI document it ships (see swagger-catalog.js), before its router
+ * sees them: path, query and header parameters, and JSON bodies.
+ *
+ * A request that isn't valid gets a 400 with a zluxUtil.makeErrorObject()
+ * body, whose messageParameters.violations lists what is wrong, as
+ * {in, name, message}. Requests to paths or methods the document doesn't
+ * describe are let through
+ */
+
+const Ajv = require('ajv');
+const bodyParser = require('body-parser');
+const zluxUtil = require('./util');
+
+const OPERATIONS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch',
+  'trace'];
+
+function makeAjv(coerceTypes) {
+  const ajv = new Ajv({
+    allErrors: true,
+    nullable: true,
+    coerceTypes,
+    unknownFormats: 'ignore'
+  });
+  //the OpenAPI formats that JSON schema doesn't have
+  ajv.addFormat('int32', {
+    type: 'number',
+    validate: (n) => Number.isInteger(n) && (n >= -2147483648)
+      && (n <= 2147483647)
+  });
+  for (const format of ['int64', 'float', 'double', 'byte', 'binary',
+      'password']) {
+    ajv.addFormat(format, () => true);
+  }
+  return ajv;
+}
+
+//parameters arrive as strings and are converted to their types to be checked
+const parameterAjv = makeAjv('array');
+const bodyAjv = makeAjv(false);
+
+function resolveRef(document, value) {
+  if (!(value && value.$ref)) {
+    return value;
+  }
+  const match = /^#\/components\/(\w+)\/(.+)$/.exec(value.$ref);
+  const components = match && document.components
+      && document.components[match[1]];
+  return (components && components[match[2]]) || null;
+}
+
+/**
+ * Schemas refer to the components of the document, which are carried along
+ * for ajv to find them
+ */
+function compileSchema(ajv, document, schema) {
+  return ajv.compile(Object.assign({ components: document.components || {} },
+      schema));
+}
+
+function compilePathTemplate(template) {
+  const names = [];
+  const source = template.split(/(\{[^}]+\})/).map((part) => {
+    const match = /^\{([^}]+)\}$/.exec(part);
+    if (match) {
+      names.push(match[1]);
+      return '([^/]+)';
+    }
+    return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return {
+    regexp: new RegExp(`^${source}/?$`),
+    names
+  };
+}
+
+function compileParameter(document, parameter) {
+  parameter = resolveRef(document, parameter);
+  if (!(parameter && parameter.name && parameter.in)) {
+    return null;
+  }
+  const schema = parameter.schema || {};
+  return {
+    name: parameter.name,
+    in: parameter.in,
+    required: (parameter.in === 'path') || !!parameter.required,
+    validate: compileSchema(parameterAjv, document, {
+      type: 'object',
+      properties: { value: schema }
+    })
+  };
+}
+
+function compileOperation(document, pathItem, operation) {
+  const parameters = new Map();
+  //the parameters of an operation take precedence over those of its path
+  for (const parameter of (pathItem.parameters || [])
+      .concat(operation.parameters || [])) {
+    const compiled = compileParameter(document, parameter);
+    if (compiled) {
+      parameters.set(`${compiled.in}:${compiled.name}`, compiled);
+    }
+  }
+  let body = null;
+  const requestBody = resolveRef(document, operation.requestBody);
+  if (requestBody && requestBody.content) {
+    const mediaType = Object.keys(requestBody.content)
+        .find(type => /^application\/([\w.-]+\+)?json\b/.test(type));
+    const schema = mediaType && requestBody.content[mediaType].schema;
+    body = {
+      required: !!requestBody.required,
+      validate: schema ? compileSchema(bodyAjv, document, schema) : null
+    };
+  }
+  return {
+    parameters: Array.from(parameters.values()),
+    body
+  };
+}
+
+/**
+ * Turns what the document describes into routes, the ones with fewer
+ * parameters first so that literal paths win over templates
+ */
+function compileRoutes(document) {
+  const routes = [];
+  for (const template of Object.keys(document.paths || {})) {
+    const pathItem = document.paths[template];
+    const route = Object.assign(compilePathTemplate(template), {
+      template,
+      operations: {}
+    });
+    for (const method of OPERATIONS) {
+      if (pathItem[method]) {
+        route.operations[method] = compileOperation(document, pathItem,
+            pathItem[method]);
+      }
+    }
+    routes.push(route);
+  }
+  return routes.sort((a, b) => a.names.length - b.names.length);
+}
+
+function describeSchemaErrors(location, name, errors, dataPathPrefix) {
+  return errors.map(error => {
+    let path = error.dataPath.replace(dataPathPrefix, '');
+    if (error.keyword === 'required') {
+      path += `.${error.params.missingProperty}`;
+    } else if (error.keyword === 'additionalProperties') {
+      path += `.${error.params.additionalProperty}`;
+    }
+    return {
+      in: location,
+      name: (location === 'body') ? '$' + path : name + path,
+      message: (error.keyword === 'additionalProperties')
+        ? 'unknown property' : error.message
+    };
+  });
+}
+
+function getParameterValue(req, parameter, pathValues) {
+  switch (parameter.in) {
+  case 'path':
+    return pathValues[parameter.name];
+  case 'query':
+    return req.query[parameter.name];
+  case 'header':
+    return req.headers[parameter.name.toLowerCase()];
+  default:
+    //cookies aren't checked
+    return undefined;
+  }
+}
+
+function validateParameters(req, operation, pathValues) {
+  const violations = [];
+  for (const parameter of operation.parameters) {
+    if (parameter.in === 'cookie') {
+      continue;
+    }
+    const value = getParameterValue(req, parameter, pathValues);
+    if (value === undefined) {
+      if (parameter.required) {
+        violations.push({
+          in: parameter.in,
+          name: parameter.name,
+          message: 'is required'
+        });
+      }
+      continue;
+    }
+    if (!parameter.validate({ value })) {
+      violations.push(...describeSchemaErrors(parameter.in, parameter.name,
+          parameter.validate.errors, /^\.value/));
+    }
+  }
+  return violations;
+}
+
+function hasBody(req) {
+  return (req.headers['transfer-encoding'] !== undefined)
+    || ((req.headers['content-length'] !== undefined) 
+        && (req.headers['content-length'] !== '0'));
+}
+
+function validateBody(req, operation) {
+  if (!hasBody(req)) {
+    return operation.body.required ? [{
+      in: 'body',
+      name: '$',
+      message: 'is required'
+    }] : [];
+  }
+  if (!(operation.body.validate && req.is(['json', '+json']))) {
+    return [];
+  }
+  if (!operation.body.validate(req.body)) {
+    return describeSchemaErrors('body', null, operation.body.validate.errors,
+        /^/);
+  }
+  return [];
+}
+
+function findOperation(routes, req) {
+  const method = req.method.toLowerCase();
+  for (const route of routes) {
+    const match = route.regexp.exec(req.path);
+    if (!(match && route.operations[method])) {
+      continue;
+    }
+    const pathValues = {};
+    route.names.forEach((name, i) => {
+      try {
+        pathValues[name] = decodeURIComponent(match[i + 1]);
+      } catch (e) {
+        pathValues[name] = match[i + 1];
+      }
+    });
+    return { operation: route.operations[method], pathValues };
+  }
+  return null;
+}
+
+function sendViolations(res, serviceName, violations) {
+  res.status(400).json(zluxUtil.makeErrorObject({
+    messageTemplate: 'Request to {service} is not valid',
+    messageParameters: {
+      service: serviceName,
+      violations
+    },
+    messageDetails: violations.map(v => `${v.in} ${v.name} ${v.message}`)
+      .join('; ')
+  }));
+}
+
+/**
+ * Middleware for a service mounted at its service URL. `document` is its
+ * OpenAPI 3 document, with paths relative to that URL
+ */
+function makeRequestValidator(document, serviceName) {
+  const routes = compileRoutes(document);
+  const jsonParser = bodyParser.json({ type: ['json', '+json'] });
+  return function validateRequest(req, res, next) {
+    const found = findOperation(routes, req);
+    if (!found) {
+      next();
+      return;
+    }
+    const operation = found.operation;
+    const violations = validateParameters(req, operation, found.pathValues);
+    if (!operation.body) {
+      if (violations.length > 0) {
+        sendViolations(res, serviceName, violations);
+      } else {
+        next();
+      }
+      return;
+    }
+    //the router's own body parser sees that the body was read already
+    jsonParser(req, res, (err) => {
+      if (err) {
+        violations.push({
+          in: 'body',
+          name: '$',
+          message: 'is not valid JSON: ' + err.message
+        });
+      } else {
+        violations.push(...validateBody(req, operation));
+      }
+      if (violations.length > 0) {
+        sendViolations(res, serviceName, violations);
+      } else {
+        next();
+      }
+    });
+  };
+}
+
+module.exports = {
+  makeRequestValidator
+};
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
@@ -0,0 +1,310 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
+'use strict';
+
+/**
+ * Timeouts, retries and circuit breaking for the dataservices that are
+ * served by someone else: proxies to the agent ("service" and root service
+ * proxies), "external" proxies and imports. In a definition:
+ *
+ *   "timeoutMs": 10000,
+ *   "retry": { "maxAttempts": 3, "delayMs": 200 },
+ *   "circuitBreaker": { "failureThreshold": 5, "resetTimeoutMs": 30000 }
+ *
+ * Only requests without a body that are idempotent are retried, and only by
+ * proxies: an import is served by a router that can't be replayed.
+ *
+ * A breaker opens after failureThreshold failures in a row: a timeout, a
+ * network error or a 5xx status. While open, requests fail right away with a
+ * 503. After resetTimeoutMs a single request is let through: the breaker
+ * closes if it succeeds and opens again if it fails
+ */
+
+const util = require('./util');
+
+const proxyLog = util.loggers.proxyLogger;
+
+const states = {
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "halfOpen"
+};
+
+const RETRYABLE_METHODS = ['GET', 'HEAD', 'OPTIONS', 'DELETE'];
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+const defaultBreakerOptions = {
+  failureThreshold: 5,
+  resetTimeoutMs: 30000,
+  //plain data identifying the service, part of the status
+  info: null
+};
+
+function CircuitBreaker(options) {
+  this.options = util.makeOptionsObject(defaultBreakerOptions, options);
+  this.state = states.CLOSED;
+  this.consecutiveFailures = 0;
+  this.failures = 0;
+  this.rejected = 0;
+  this.openedAt = null;
+  this.trialInProgress = false;
+}
+CircuitBreaker.prototype = {
+  constructor: CircuitBreaker,
+  options: null,
+  state: null,
+  consecutiveFailures: 0,
+  failures: 0,
+  rejected: 0,
+  openedAt: null,
+  trialInProgress: false,
+
+  /**
+   * False if the request must fail right away. A true answer must be
+   * followed by recordSuccess() or recordFailure()
+   */
+  allowRequest() {
+    if ((this.state === states.OPEN)
+        && (Date.now() - this.openedAt >= this.options.resetTimeoutMs)) {
+      this.state = states.HALF_OPEN;
+    }
+    if ((this.state === states.HALF_OPEN) && !this.trialInProgress) {
+      this.trialInProgress = true;
+      return true;
+    }
+    if (this.state === states.CLOSED) {
+      return true;
+    }
+    this.rejected++;
+    return false;
+  },
+
+  recordSuccess() {
+    if (this.state !== states.CLOSED) {
+      proxyLog.info(`${this.toString()}: circuit closed`);
+    }
+    this.state = states.CLOSED;
+    this.consecutiveFailures = 0;
+    this.trialInProgress = false;
+  },
+
+  recordFailure() {
+    this.failures++;
+    this.consecutiveFailures++;
+    this.trialInProgress = false;
+    if ((this.state === states.HALF_OPEN) || ((this.state === states.CLOSED)
+        && (this.consecutiveFailures >= this.options.failureThreshold))) {
+      proxyLog.warn(`${this.toString()}: circuit opened after `
+          + `${this.consecutiveFailures} failures`);
+      this.state = states.OPEN;
+      this.openedAt = Date.now();
+    }
+  },
+
+  /**
+   * How long until a request is let through again, for Retry-After
+   */
+  getRetryAfterMs() {
+    if (this.state === states.CLOSED) {
+      return 0;
+    }
+    return Math.max(0,
+        this.openedAt + this.options.resetTimeoutMs - Date.now());
+  },
+
+  getStatus() {
+    return Object.assign({}, this.options.info, {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.options.failureThreshold,
+      resetTimeoutMs: this.options.resetTimeoutMs,
+      openedAt: this.openedAt,
+      failures: this.failures,
+      rejected: this.rejected
+    });
+  },
+
+  toString() {
+    const info = this.options.info || {};
+    return `[Circuit breaker ${info.plugin ? info.plugin + ':' : ''}`
+      + `${info.service}]`;
+  }
+};
+
+function checkPositiveInteger(name, object, property) {
+  const value = object[property];
+  if ((value !== undefined) && !(Number.isInteger(value) && (value > 0))) {
+    throw new Error(`${name}: ${property} must be a positive integer, `
+        + `not "${value}"`);
+  }
+}
+
+function hasPolicy(def) {
+  return (def.timeoutMs !== undefined) || !!def.retry || !!def.circuitBreaker;
+}
+
+/**
+ * Throws if the resilience properties of a definition are not valid
+ */
+function validatePolicy(name, def) {
+  if (hasPolicy(def) && ((def.type === 'router') || (def.type === 'nodeService'))) {
+    throw new Error(`${name}: timeoutMs, retry and circuitBreaker only apply `
+        + `to proxied and imported services`);
+  }
+  checkPositiveInteger(name, def, 'timeoutMs');
+  if (def.retry) {
+    checkPositiveInteger(name, def.retry, 'maxAttempts');
+    checkPositiveInteger(name, def.retry, 'delayMs');
+  }
+  if (def.circuitBreaker) {
+    checkPositiveInteger(name, def.circuitBreaker, 'failureThreshold');
+    checkPositiveInteger(name, def.circuitBreaker, 'resetTimeoutMs');
+  }
+}
+
+/**
+ * The policy of a dataservice or root service definition, or null if it has
+ * none. `info` identifies the service in the breaker status
+ */
+function makePolicy(def, info) {
+  if (!hasPolicy(def)) {
+    return null;
+  }
+  const policy = {
+    timeoutMs: def.timeoutMs || null,
+    retry: null,
+    circuitBreaker: null
+  };
+  if (def.retry) {
+    policy.retry = {
+      maxAttempts: def.retry.maxAttempts || 1,
+      delayMs: def.retry.delayMs || 100
+    };
+  }
+  if (def.circuitBreaker) {
+    policy.circuitBreaker = new CircuitBreaker(Object.assign({ info },
+        def.circuitBreaker));
+  }
+  return policy;
+}
+
+/**
+ * True if a request can be sent again after `attempt` tries
+ */
+function shouldRetry(policy, method, attempt) {
+  return !!(policy && policy.retry && (attempt < policy.retry.maxAttempts)
+      && RETRYABLE_METHODS.includes(method.toUpperCase()));
+}
+
+/**
+ * The delay before the next attempt doubles with each one
+ */
+function getRetryDelay(policy, attempt) {
+  return policy.retry.delayMs * Math.pow(2, attempt - 1);
+}
+
+function isFailureStatus(statusCode) {
+  return statusCode >= 500;
+}
+
+function isRetryableStatus(statusCode) {
+  return RETRYABLE_STATUSES.includes(statusCode);
+}
+
+function sendCircuitOpen(res, breaker) {
+  const info = breaker.options.info || {};
+  res.set('Retry-After', String(Math.ceil(breaker.getRetryAfterMs() / 1000)));
+  res.status(503).json(Object.assign({
+    'error': 'service unavailable',
+    'reason': 'circuit open'
+  }, info));
+}
+
+function sendTimeout(res, timeoutMs, info) {
+  res.status(504).json(Object.assign({
+    'error': 'service timed out',
+    'timeoutMs': timeoutMs
+  }, info));
+}
+
+function ignoreFurtherOutput(res) {
+  res.setHeader = function() {};
+  res.writeHead = function() { return this; };
+  res.write = function() { return true; };
+  res.end = function() { return this; };
+}
+
+/**
+ * Middleware that applies the timeout and circuit breaker of a policy to the
+ * handlers after it, for services that aren't proxied
+ */
+function makeGuard(policy, info) {
+  const breaker = policy.circuitBreaker;
+  return function(req, res, next) {
+    if (breaker && !breaker.allowRequest()) {
+      sendCircuitOpen(res, breaker);
+      return;
+    }
+    let timer = null;
+    let recorded = false;
+    const record = (failed) => {
+      if (recorded) {
+        return;
+      }
+      recorded = true;
+      clearTimeout(timer);
+      if (breaker) {
+        if (failed) {
+          breaker.recordFailure();
+        } else {
+          breaker.recordSuccess();
+        }
+      }
+    };
+    if (policy.timeoutMs) {
+      timer = setTimeout(() => {
+        if (!res.headersSent) {
+          record(true);
+          sendTimeout(res, policy.timeoutMs, info);
+          //the handler may still answer, which must not throw
+          ignoreFurtherOutput(res);
+        }
+      }, policy.timeoutMs);
+    }
+    res.on('finish', () => record(isFailureStatus(res.statusCode)));
+    res.on('close', () => record(!res.writableFinished));
+    next();
+  };
+}
+
+module.exports = {
+  CircuitBreaker,
+  states,
+  hasPolicy,
+  validatePolicy,
+  makePolicy,
+  shouldRetry,
+  getRetryDelay,
+  isFailureStatus,
+  isRetryableStatus,
+  sendCircuitOpen,
+  sendTimeout,
+  makeGuard
+};
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
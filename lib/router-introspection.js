@@ -0,0 +1,141 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
+'use strict';
+
+/**
+ * Lists the routes of an Express router, for the swagger catalog of router
+ * dataservices. This relies on the internals of Express 4: the layers of
+ * `router.stack`. Routes with a regular expression for a path, and routers
+ * mounted at one, can't be listed and are left out
+ */
+
+//what express-ws appends to the path of router.ws() routes
+const WEBSOCKET_SUFFIX = '/.websocket';
+const ALL_METHODS = ['get', 'post', 'put', 'delete'];
+
+/**
+ * Express keeps only the regular expression a router was mounted with. This
+ * recovers the path it was made from, or null
+ */
+function getMountPath(layer) {
+  if (layer.regexp.fast_slash) {
+    return '';
+  }
+  let keyIndex = 0;
+  const source = layer.regexp.source
+    .replace(/^\^/, '')
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+    .replace(/\(\?:\(\[\^\\\/\]\+\?\)\)/g, () => {
+      const key = layer.keys[keyIndex++];
+      return key ? `:${key.name}` : '(?:)';
+    })
+    .replace(/\\(.)/g, '$1');
+  if (/[()[\]^$|?*+{}]/.test(source)) {
+    return null;
+  }
+  return source;
+}
+
+/**
+ * An Express path to an OpenAPI one, and the names of its parameters
+ */
+function convertPath(expressPath) {
+  const parameters = [];
+  const path = expressPath
+    .replace(/:(\w+)(\([^)]*\))?\??/g, (match, name) => {
+      parameters.push(name);
+      return `{${name}}`;
+    })
+    .replace(/\*/g, () => {
+      parameters.push('path');
+      return '{path}';
+    });
+  return { path, parameters };
+}
+
+function addRoute(routes, prefix, route) {
+  const paths = Array.isArray(route.path) ? route.path : [route.path];
+  for (const routePath of paths) {
+    if (typeof routePath !== 'string') {
+      continue;
+    }
+    let fullPath = prefix + routePath;
+    let websocket = false;
+    if (fullPath.endsWith(WEBSOCKET_SUFFIX)) {
+      websocket = true;
+      fullPath = fullPath.substring(0, fullPath.length
+          - WEBSOCKET_SUFFIX.length);
+    }
+    const methods = websocket ? ['get'] : Object.keys(route.methods)
+      .reduce((methods, method) => methods.concat(
+          (method === '_all') ? ALL_METHODS : [method]), []);
+    const converted = convertPath(fullPath.replace(/\/$/, '') || '/');
+    for (const method of methods) {
+      let existing = routes.find(r => (r.path === converted.path)
+          && (r.method === method));
+      if (!existing) {
+        existing = {
+          method,
+          path: converted.path,
+          parameters: converted.parameters,
+          http: false,
+          websocket: false
+        };
+        routes.push(existing);
+      }
+      //a path can serve both websockets and plain GET requests
+      if (websocket) {
+        existing.websocket = true;
+      } else {
+        existing.http = true;
+      }
+    }
+  }
+}
+
+function walkStack(routes, prefix, stack) {
+  for (const layer of stack) {
+    if (layer.route) {
+      addRoute(routes, prefix, layer.route);
+    } else if (layer.handle && Array.isArray(layer.handle.stack)) {
+      const mountPath = getMountPath(layer);
+      if (mountPath !== null) {
+        walkStack(routes, prefix + mountPath, layer.handle.stack);
+      }
+    }
+  }
+}
+
+/**
+ * [{method, path, parameters, http, websocket}], where path is an OpenAPI
+ * path, parameters the names of its path parameters, and http and websocket
+ * tell what the route serves. Empty if the router isn't an Express router
+ */
+function listRoutes(router) {
+  const routes = [];
+  if (router && Array.isArray(router.stack)) {
+    walkStack(routes, '', router.stack);
+  }
+  return routes;
+}
+
+module.exports = {
+  listRoutes
+};
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
@@ -10,8 +10,27 @@
 */
 
 
-const express = require('express');
-const zLuxUrl = require('./url')
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const zLuxUrl = require('./url');
+const zluxUtil = require('./util');
+const routerIntrospection = require('./router-introspection');
+
+const installLog = zluxUtil.loggers.installLogger;
+
+/**
+ * The catalog of a plugin is one OpenAPI 3 document. A service describes
+ * itself with doc/swagger/<service name>.yaml (or .yml or .json) in the
+ * plugin, in OpenAPI 3 or Swagger 2. Its paths are relative to the service,
+ * whatever its basePath or servers say: they are moved under the URL the
+ * service is actually served at. Router services without such a file are
+ * described by the routes of their router, the others get a placeholder
+ */
+
+const SPEC_EXTENSIONS = ['.yaml', '.yml', '.json'];
+const OPERATIONS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch',
+  'trace'];
 
 function getServiceSummary(service) {
   switch (service.type) {
@@ -25,25 +44,10 @@ function getServiceSummary(service) {
   }
 }
 
-function makeCatalogForPlugin(plugin, productCode) {
-  const openApi = {
-    openapi: "3.0.0",
-    info: {
-      title:  plugin.identifier,
-      description: plugin.descriptionDefault,
-      version: plugin.version || "0.0.1"
-    },
-    servers: [
-      {
-        url: zLuxUrl.makePluginURL(productCode, plugin.identifier)
-      }
-    ],
-    paths: {}
-  };
-  for (const service of plugin.dataServices || []) {
-    //FIXME templates with an asterisk are not supported by open api
-    //TODO we can actually somewhat inspect Express routers
-    openApi.paths[zLuxUrl.makeServiceSubURL(service) + '/*'] = {
+function makePlaceholderPaths(service) {
+  //FIXME templates with an asterisk are not supported by open api
+  return {
+    [zLuxUrl.makeServiceSubURL(service) + '/*']: {
       summary: getServiceSummary(service),
       get: {
         responses: {
@@ -74,11 +78,745 @@ function makeCatalogForPlugin(plugin, productCode) {
         }
       },
     }
+  };
+}
+
+/**
+ * The paths of the routes of a router, which is all that is known about them
+ */
+function makeRoutePaths(service, routes) {
+  const paths = {};
+  const serviceURL = zLuxUrl.makeServiceSubURL(service);
+  for (const route of routes) {
+    const pathItem = zluxUtil.getOrInit(paths, 
+        serviceURL + ((route.path === '/') ? '' : route.path), {});
+    if (route.parameters.length > 0) {
+      pathItem.parameters = route.parameters.map(name => ({
+        name,
+        in: "path",
+        required: true,
+        schema: { type: "string" }
+      }));
+    }
+    const responses = {};
+    if (route.http) {
+      responses[200] = {
+        description: "service call succeeded"
+      };
+    }
+    if (route.websocket) {
+      responses[101] = {
+        description: "switched to a websocket"
+      };
+    }
+    pathItem[route.method] = {
+      summary: route.websocket 
+        ? `${service.name} websocket${route.http ? ' or HTTP request' : ''}`
+        : getServiceSummary(service),
+      responses
+    };
+    if (route.websocket) {
+      pathItem[route.method]['x-websocket'] = true;
+    }
+  }
+  return paths;
+}
+
+/**
+ * The spec a service ships with, or null. Imports are described by the
+ * plugin they come from
+ */
+function readServiceSpec(plugin, service) {
+  if ((service.type === 'import') || !plugin.location) {
+    return null;
+  }
+  const specDir = path.join(plugin.location, 'doc', 'swagger');
+  for (const extension of SPEC_EXTENSIONS) {
+    const specPath = path.join(specDir, service.name + extension);
+    let text;
+    try {
+      text = fs.readFileSync(specPath, 'utf8');
+    } catch (e) {
+      continue;
+    }
+    try {
+      const spec = (extension === '.json') ? JSON.parse(text) 
+        : yaml.safeLoad(text);
+      if (!(spec && spec.paths)) {
+        throw new Error('no paths');
+      }
+      return spec;
+    } catch (e) {
+      installLog.warn(`${plugin.identifier}: ignoring ${specPath}: `
+          + e.message);
+      return null;
+    }
+  }
+  return null;
+}
+
+function mapObject(object, f) {
+  const result = {};
+  for (const key of Object.keys(object || {})) {
+    result[key] = f(object[key], key);
+  }
+  return result;
+}
+
+/**
+ * Rewrites the $refs of a Swagger 2 document into OpenAPI 3 ones
+ */
+function convertRefs(value) {
+  if (Array.isArray(value)) {
+    return value.map(convertRefs);
+  } else if (value && (typeof value === 'object')) {
+    return mapObject(value, (item, key) => ((key === '$ref') 
+        && (typeof item === 'string')) 
+      ? item.replace(/^#\/definitions\//, '#/components/schemas/')
+          .replace(/^#\/parameters\//, '#/components/parameters/')
+          .replace(/^#\/responses\//, '#/components/responses/')
+      : convertRefs(item));
+  }
+  return value;
+}
+
+const SCHEMA_KEYWORDS = ['type', 'format', 'items', 'enum', 'default',
+  'minimum', 'maximum', 'pattern', 'minLength', 'maxLength'];
+
+function convertParameter(parameter) {
+  if (parameter.$ref || parameter.schema) {
+    return parameter;
+  }
+  const converted = {};
+  const schema = {};
+  for (const key of Object.keys(parameter)) {
+    if (SCHEMA_KEYWORDS.includes(key)) {
+      schema[key] = parameter[key];
+    } else if (key !== 'collectionFormat') {
+      converted[key] = parameter[key];
+    }
+  }
+  if (schema.type === 'file') {
+    schema.type = 'string';
+    schema.format = 'binary';
+  }
+  converted.schema = schema;
+  return converted;
+}
+
+function makeContent(mediaTypes, schema) {
+  const content = {};
+  for (const mediaType of mediaTypes) {
+    content[mediaType] = schema ? { schema } : {};
+  }
+  return content;
+}
+
+function convertResponse(response, produces) {
+  if (response.$ref) {
+    return response;
+  }
+  const converted = Object.assign({}, response);
+  delete converted.schema;
+  delete converted.examples;
+  if (!converted.description) {
+    //required by OpenAPI
+    converted.description = '';
+  }
+  if (response.schema) {
+    converted.content = makeContent(produces, response.schema);
+  }
+  return converted;
+}
+
+function convertOperation(operation, spec) {
+  const produces = operation.produces || spec.produces 
+      || ['application/json'];
+  const consumes = operation.consumes || spec.consumes 
+      || ['application/json'];
+  const converted = Object.assign({}, operation);
+  delete converted.produces;
+  delete converted.consumes;
+  delete converted.schemes;
+  const parameters = [];
+  for (const parameter of operation.parameters || []) {
+    if (parameter.in === 'body') {
+      converted.requestBody = {
+        description: parameter.description,
+        required: parameter.required,
+        content: makeContent(consumes, parameter.schema 
+            || { type: parameter.type || 'object' })
+      };
+    } else if (parameter.in === 'formData') {
+      const mediaType = consumes.includes('multipart/form-data')
+          ? 'multipart/form-data' : 'application/x-www-form-urlencoded';
+      const body = converted.requestBody || (converted.requestBody = {
+        content: makeContent([mediaType], { type: 'object', properties: {} })
+      });
+      const schema = body.content[mediaType].schema;
+      schema.properties[parameter.name] = convertParameter(parameter).schema;
+      if (parameter.required) {
+        schema.required = (schema.required || []).concat(parameter.name);
+      }
+    } else {
+      parameters.push(convertParameter(parameter));
+    }
+  }
+  if (parameters.length > 0) {
+    converted.parameters = parameters;
+  } else {
+    delete converted.parameters;
+  }
+  converted.responses = mapObject(operation.responses,
+      (response) => convertResponse(response, produces));
+  return converted;
+}
+
+/**
+ * Swagger 2 into OpenAPI 3, as far as a catalog needs: paths and what they
+ * refer to
+ */
+function convertSwagger2(spec) {
+  spec = convertRefs(spec);
+  const paths = mapObject(spec.paths, (pathItem) => {
+    const pathParameters = pathItem.parameters;
+    const converted = mapObject(pathItem, (value, key) => 
+        OPERATIONS.includes(key) ? convertOperation(value, spec) : value);
+    if (pathParameters) {
+      converted.parameters = pathParameters.map(convertParameter);
+    }
+    return converted;
+  });
+  const components = {};
+  if (spec.definitions) {
+    components.schemas = spec.definitions;
+  }
+  if (spec.parameters) {
+    components.parameters = mapObject(spec.parameters, convertParameter);
+  }
+  if (spec.responses) {
+    components.responses = mapObject(spec.responses,
+        (response) => convertResponse(response, spec.produces 
+            || ['application/json']));
+  }
+  if (spec.securityDefinitions) {
+    components.securitySchemes = spec.securityDefinitions;
+  }
+  return {
+    tags: spec.tags,
+    paths,
+    components
+  };
+}
+
+/**
+ * The spec a service ships with as OpenAPI 3, with paths relative to the
+ * service, or null
+ */
+function loadServiceSpec(plugin, service) {
+  const spec = readServiceSpec(plugin, service);
+  if (!spec) {
+    return null;
+  }
+  return spec.swagger ? convertSwagger2(spec) : spec;
+}
+
+function renameRefs(value, renames) {
+  if (Array.isArray(value)) {
+    return value.map(item => renameRefs(item, renames));
+  } else if (value && (typeof value === 'object')) {
+    return mapObject(value, (item, key) => ((key === '$ref') 
+        && renames[item]) ? renames[item] : renameRefs(item, renames));
+  }
+  return value;
+}
+
+/**
+ * The name itself if it's free, else the name prefixed with the service name,
+ * and then also with its version
+ */
+function makeUniqueName(name, service, isFree) {
+  const candidates = [name, `${service.name}_${name}`,
+    `${service.name}_${service.version}_${name}`];
+  return candidates.find(isFree) || candidates[candidates.length - 1];
+}
+
+/**
+ * Adds the paths of a service spec to the catalog. Components that clash with
+ * different ones from another service, and operation ids that clash, are
+ * renamed
+ */
+function mergeServiceSpec(merge, service, spec) {
+  const document = spec.swagger ? convertSwagger2(spec) : spec;
+  const components = document.components || {};
+  const renames = {};
+  const names = {};
+  for (const type of Object.keys(components)) {
+    const existing = merge.components[type] || {};
+    names[type] = {};
+    for (const name of Object.keys(components[type])) {
+      const value = JSON.stringify(components[type][name]);
+      const mergedName = makeUniqueName(name, service, (candidate) => 
+          !existing[candidate] 
+          || (JSON.stringify(existing[candidate]) === value));
+      names[type][name] = mergedName;
+      if (mergedName !== name) {
+        renames[`#/components/${type}/${name}`] = 
+          `#/components/${type}/${mergedName}`;
+      }
+    }
+  }
+  const renamed = renameRefs(document, renames);
+  for (const type of Object.keys(components)) {
+    const merged = zluxUtil.getOrInit(merge.components, type, {});
+    for (const name of Object.keys(components[type])) {
+      merged[names[type][name]] = renamed.components[type][name];
+    }
+  }
+  const serviceURL = zLuxUrl.makeServiceSubURL(service);
+  for (const specPath of Object.keys(renamed.paths)) {
+    const pathItem = renamed.paths[specPath];
+    for (const operation of OPERATIONS) {
+      const operationId = pathItem[operation] && pathItem[operation].operationId;
+      if (!operationId) {
+        continue;
+      }
+      pathItem[operation].operationId = makeUniqueName(operationId, service,
+          (candidate) => !merge.usedOperationIds.has(candidate));
+      merge.usedOperationIds.add(pathItem[operation].operationId);
+    }
+    const relativePath = (specPath === '/') ? '' : specPath;
+    merge.document.paths[serviceURL + relativePath] = pathItem;
+  }
+  for (const tag of renamed.tags || []) {
+    if (!merge.document.tags.find(t => t.name === tag.name)) {
+      merge.document.tags.push(tag);
+    }
+  }
+}
+
+/**
+ * `serviceRouters`, name to version to router, are the routers of the router
+ * dataservices
+ */
+function makeCatalogForPlugin(plugin, productCode, serviceRouters) {
+  const openApi = {
+    openapi: "3.0.0",
+    info: {
+      title:  plugin.identifier,
+      description: plugin.descriptionDefault,
+      version: plugin.version || "0.0.1"
+    },
+    servers: [
+      {
+        url: zLuxUrl.makePluginURL(productCode, plugin.identifier)
+      }
+    ],
+    paths: {}
+  };
+  const merge = {
+    document: openApi,
+    components: {},
+    usedOperationIds: new Set()
+  };
+  openApi.tags = [];
+  for (const service of plugin.dataServices || []) {
+    const spec = readServiceSpec(plugin, service);
+    const versions = (service.type === 'router') && serviceRouters
+        && serviceRouters[service.name];
+    const routes = routerIntrospection.listRoutes(versions 
+        && versions[service.version]);
+    if (spec) {
+      mergeServiceSpec(merge, service, spec);
+    } else if (routes.length > 0) {
+      Object.assign(openApi.paths, makeRoutePaths(service, routes));
+    } else {
+      Object.assign(openApi.paths, makePlaceholderPaths(service));
+    }
+  }
+  if (Object.keys(merge.components).length > 0) {
+    openApi.components = merge.components;
+  }
+  if (openApi.tags.length === 0) {
+    delete openApi.tags;
   }
   return openApi;
 }
 
+function jsonResponses(description) {
+  return {
+    200: {
+      description,
+      content: { "application/json": {} }
+    }
+  };
+}
+
+function pluginIdentifierParameter() {
+  return {
+    name: "identifier",
+    in: "path",
+    required: true,
+    schema: { type: "string" }
+  };
+}
+
+function pluginVersionParameter() {
+  return {
+    name: "version",
+    in: "query",
+    required: false,
+    description: "A version of the plugin, the default one if omitted",
+    schema: { type: "string" }
+  };
+}
+
+/**
+ * What the server itself serves, see WebApp.installRootServices()
+ */
+const ROOT_SERVICE_PATHS = {
+  "/auth": {
+    get: {
+      operationId: "getAuthStatus",
+      summary: "Authentication status of the session",
+      responses: jsonResponses("status per authentication category")
+    },
+    post: {
+      operationId: "login",
+      summary: "Log in",
+      requestBody: {
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              properties: {
+                username: { type: "string" },
+                password: { type: "string" },
+                categories: { type: "array", items: { type: "string" } },
+                issueToken: { type: "boolean" },
+                code: { type: "string" },
+                state: { type: "string" }
+              }
+            }
+          }
+        }
+      },
+      responses: jsonResponses("result per authentication category")
+    }
+  },
+  "/auth/apikeys": {
+    get: {
+      operationId: "listApiKeys",
+      summary: "The API keys of the user",
+      responses: jsonResponses("API keys, without their secrets")
+    },
+    post: {
+      operationId: "createApiKey",
+      summary: "Create an API key, which is only shown in this response",
+      requestBody: {
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              required: ["name", "scopes"],
+              properties: {
+                name: { type: "string" },
+                scopes: { type: "array", items: { type: "string" } },
+                expiresInDays: { type: "integer" }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        201: { description: "the key" },
+        400: { description: "invalid request" }
+      }
+    }
+  },
+  "/auth/apikeys/{id}": {
+    delete: {
+      operationId: "revokeApiKey",
+      summary: "Revoke an API key",
+      parameters: [{
+        name: "id",
+        in: "path",
+        required: true,
+        schema: { type: "string" }
+      }],
+      responses: {
+        204: { description: "revoked" },
+        404: { description: "no such key" }
+      }
+    }
+  },
+  "/auth-refresh": {
+    get: {
+      operationId: "refreshAuth",
+      summary: "Extend the session",
+      responses: jsonResponses("result per authentication category")
+    }
+  },
+  "/auth-logout": {
+    post: {
+      operationId: "logout",
+      summary: "Log out",
+      responses: jsonResponses("logged out")
+    }
+  },
+  "/plugins": {
+    get: {
+      operationId: "listPlugins",
+      summary: "The plugins available to the desktop",
+      parameters: [{
+        name: "type",
+        in: "query",
+        required: false,
+        description: "A plugin type, or \"all\"",
+        schema: { type: "string" }
+      }],
+      responses: jsonResponses("plugin definitions")
+    }
+  },
+  "/server/proxies": {
+    get: {
+      operationId: "getProxies",
+      summary: "Where the agent is",
+      responses: jsonResponses("agent host and port")
+    }
+  },
+  "/server/plugins/status": {
+    get: {
+      operationId: "getPluginLoadReport",
+      summary: "What happened to each plugin the server found",
+      responses: jsonResponses("plugin load report")
+    }
+  },
+  "/server/plugins/isolated": {
+    get: {
+      operationId: "getIsolatedServices",
+      summary: "Health of the dataservices running in processes of their own",
+      responses: jsonResponses("isolated dataservices")
+    }
+  },
+  "/server/circuitbreakers": {
+    get: {
+      operationId: "getCircuitBreakers",
+      summary: "State of the circuit breakers of proxied services",
+      responses: jsonResponses("circuit breakers")
+    }
+  },
+  "/server/auth/lockouts": {
+    get: {
+      operationId: "getLoginLockouts",
+      summary: "Usernames and client IPs locked out after failed logins",
+      responses: jsonResponses("lockouts")
+    },
+    delete: {
+      operationId: "clearLoginLockouts",
+      summary: "Lift lockouts, all of them unless a username or IP is given",
+      parameters: [{
+        name: "username",
+        in: "query",
+        required: false,
+        schema: { type: "string" }
+      }, {
+        name: "ip",
+        in: "query",
+        required: false,
+        schema: { type: "string" }
+      }],
+      responses: jsonResponses("lifted lockouts")
+    }
+  },
+  "/server/catalogs/swagger": {
+    get: {
+      operationId: "getServerCatalog",
+      summary: "This document",
+      responses: jsonResponses("OpenAPI document")
+    }
+  },
+  "/apiManagement/plugins": {
+    get: {
+      operationId: "getPluginStatuses",
+      summary: "Status of every plugin",
+      responses: jsonResponses("plugin statuses")
+    },
+    post: {
+      operationId: "addPlugin",
+      summary: "Add a plugin at runtime",
+      parameters: [{
+        name: "ephemeral",
+        in: "query",
+        required: false,
+        description: "If true, the plugin is gone after a restart",
+        schema: { type: "boolean" }
+      }],
+      requestBody: {
+        content: { "application/json": { schema: { type: "object" } } }
+      },
+      responses: {
+        200: { description: "plugin added" },
+        202: { description: "plugin waiting for its imports" },
+        400: { description: "plugin rejected" }
+      }
+    }
+  },
+  "/apiManagement/plugins/{identifier}": {
+    parameters: [pluginIdentifierParameter()],
+    get: {
+      operationId: "getPluginStatus",
+      summary: "Status of a plugin",
+      parameters: [pluginVersionParameter()],
+      responses: jsonResponses("plugin status")
+    },
+    put: {
+      operationId: "setPluginEnabled",
+      summary: "Enable or disable a plugin",
+      requestBody: {
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              properties: { enabled: { type: "boolean" } }
+            }
+          }
+        }
+      },
+      responses: jsonResponses("plugin status")
+    },
+    delete: {
+      operationId: "removePlugin",
+      summary: "Remove a plugin added at runtime",
+      parameters: [pluginVersionParameter()],
+      responses: { 200: { description: "plugin removed" } }
+    }
+  },
+  "/apiManagement/plugins/{identifier}/reload": {
+    parameters: [pluginIdentifierParameter()],
+    post: {
+      operationId: "reloadPlugin",
+      summary: "Load a plugin again, from the body or from disk",
+      parameters: [pluginVersionParameter()],
+      responses: { 200: { description: "plugin reloaded" } }
+    }
+  }
+};
+
+const ROOT_TAG = "server";
+
+function sanitizeName(name) {
+  return name.replace(/[^a-zA-Z0-9._-]/g, '_');
+}
+
+function withTag(operation, tag) {
+  return Object.assign({}, operation, {
+    tags: [tag].concat((operation.tags || []).filter(t => t !== tag))
+  });
+}
+
+/**
+ * Adds a plugin catalog to the server catalog, under the plugin URL. Its
+ * operations and components get the plugin as a prefix, its operations the 
+ * plugin as a tag
+ */
+function addPluginCatalog(serverCatalog, entry) {
+  const prefix = sanitizeName(entry.name);
+  const catalog = entry.catalog;
+  const renames = {};
+  const components = catalog.components || {};
+  for (const type of Object.keys(components)) {
+    for (const name of Object.keys(components[type])) {
+      renames[`#/components/${type}/${name}`] = 
+        `#/components/${type}/${prefix}.${name}`;
+    }
+  }
+  const renamed = renameRefs(catalog, renames);
+  for (const type of Object.keys(components)) {
+    const merged = zluxUtil.getOrInit(serverCatalog.components, type, {});
+    for (const name of Object.keys(components[type])) {
+      merged[`${prefix}.${name}`] = renamed.components[type][name];
+    }
+  }
+  for (const catalogPath of Object.keys(renamed.paths)) {
+    const pathItem = Object.assign({}, renamed.paths[catalogPath]);
+    for (const method of OPERATIONS) {
+      if (!pathItem[method]) {
+        continue;
+      }
+      const operationId = pathItem[method].operationId 
+          || sanitizeName(method + catalogPath);
+      pathItem[method] = withTag(pathItem[method], entry.name);
+      pathItem[method].operationId = `${prefix}.${operationId}`;
+    }
+    serverCatalog.paths[entry.url + catalogPath] = pathItem;
+  }
+  serverCatalog.tags.push({
+    name: entry.name,
+    description: catalog.info.description
+  });
+}
+
+/**
+ * One document for the whole server: the root services, and the catalog of
+ * each plugin in `entries`, {name, url, catalog}, where name is unique
+ */
+function makeServerCatalog(productCode, entries, proxiedRootServices) {
+  const serverCatalog = {
+    openapi: "3.0.0",
+    info: {
+      title: productCode,
+      version: "1.0.0"
+    },
+    servers: [
+      {
+        url: "/"
+      }
+    ],
+    tags: [
+      {
+        name: ROOT_TAG,
+        description: "services of the server itself"
+      }
+    ],
+    paths: {},
+    components: {}
+  };
+  for (const rootPath of Object.keys(ROOT_SERVICE_PATHS)) {
+    const pathItem = Object.assign({}, ROOT_SERVICE_PATHS[rootPath]);
+    for (const method of OPERATIONS) {
+      if (pathItem[method]) {
+        pathItem[method] = withTag(pathItem[method], ROOT_TAG);
+      }
+    }
+    serverCatalog.paths[rootPath] = pathItem;
+  }
+  for (const rootService of proxiedRootServices || []) {
+    serverCatalog.paths[rootService.url + '/*'] = {
+      summary: `${rootService.name || rootService.url} agent service`,
+      get: {
+        operationId: sanitizeName('get' + rootService.url),
+        tags: [ROOT_TAG],
+        responses: {
+          200: {
+            description: "service call succeeded"
+          }
+        }
+      }
+    };
+  }
+  for (const entry of entries) {
+    addPluginCatalog(serverCatalog, entry);
+  }
+  if (Object.keys(serverCatalog.components).length === 0) {
+    delete serverCatalog.components;
+  }
+  return serverCatalog;
+}
+
 module.exports = makeCatalogForPlugin;
+module.exports.makeServerCatalog = makeServerCatalog;
+module.exports.loadServiceSpec = loadServiceSpec;
 
 /*
   This program and the accompanying materials are
@@ -0,0 +1,260 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
+'use strict';
+
+/**
+ * Signed JWTs that stand for a session, for the clients that would rather
+ * not keep a cookie. In the dataserviceAuthentication section of the server
+ * config:
+ *
+ *   "jwt": {
+ *     "enabled": true,
+ *     "algorithm": "RS256",
+ *     "privateKeyFile": "../deploy/instance/keys/jwt.key",
+ *     "publicKeyFile": "../deploy/instance/keys/jwt.pem",
+ *     "issuer": "zlux",
+ *     "audience": "zlux",
+ *     "maxLifetimeMs": 86400000
+ *   }
+ *
+ * or "algorithm": "HS256" with a "secret". A login with "issueToken": true in
+ * its body gets a token rather than a session. The token carries what the
+ * auth plugins keep in a session, as the authPlugins claim, encrypted with a
+ * key derived from the secret or the private key: only the server can read
+ * it. It expires with the session timeout, and after maxLifetimeMs, a day by
+ * default, whatever the session timeout.
+ *
+ * Requests send it as "Authorization: Bearer <token>". A logout with it
+ * revokes it until it expires. In a cluster, revoked tokens are kept in the
+ * master
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const Promise = require('bluebird');
+const jwt = require('jsonwebtoken');
+const encryption = require('./encryption.js');
+
+const HMAC_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+const KEY_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512',
+  'PS256', 'PS384', 'PS512'];
+const CLEANUP_INTERVAL_MS = 60000;
+const DEFAULT_MAX_LIFETIME_MS = 24 * 60 * 60 * 1000;
+
+const defaultOptions = {
+  enabled: false,
+  algorithm: 'HS256',
+  secret: null,
+  privateKeyFile: null,
+  publicKeyFile: null,
+  issuer: 'zlux',
+  audience: 'zlux',
+  maxLifetimeMs: DEFAULT_MAX_LIFETIME_MS
+};
+
+function RevocationStore() {
+  //jti to when the token expires
+  this.revoked = new Map();
+  if (this.isLocalStorage()) {
+    setInterval(() => this.dropExpired(), CLEANUP_INTERVAL_MS).unref();
+  }
+}
+RevocationStore.prototype = {
+  constructor: RevocationStore,
+  revoked: null,
+
+  isLocalStorage() {
+    return !process.clusterManager || process.clusterManager.isMaster;
+  },
+
+  dropExpired() {
+    const now = Date.now();
+    this.revoked.forEach((expiresAt, jti, map) => {
+      if (expiresAt <= now) {
+        map.delete(jti);
+      }
+    });
+  },
+
+  clusterRemoteCall(methodName, args, callback) {
+    process.clusterManager.callClusterMethodRemote('./token-auth',
+        'revocationStore', methodName, args,
+        function(result) {
+          callback(result[0], result[1]);
+        },
+        function(e) {
+          callback(new Error(`Error at call revocationStore.${methodName}: `
+              + e), null);
+        });
+  },
+
+  /**
+   * `expiresAt` in ms, after which the token is refused anyway
+   */
+  revoke(jti, expiresAt, callback) {
+    if (this.isLocalStorage()) {
+      this.revoked.set(jti, expiresAt);
+      callback(null, true);
+    } else {
+      this.clusterRemoteCall('revoke', [jti, expiresAt], callback);
+    }
+  },
+
+  isRevoked(jti, callback) {
+    if (this.isLocalStorage()) {
+      callback(null, this.revoked.has(jti));
+    } else {
+      this.clusterRemoteCall('isRevoked', [jti], callback);
+    }
+  }
+};
+
+const revocationStore = new RevocationStore();
+const revoke = Promise.promisify(revocationStore.revoke,
+    { context: revocationStore });
+const isRevoked = Promise.promisify(revocationStore.isRevoked,
+    { context: revocationStore });
+const verifyToken = Promise.promisify(jwt.verify);
+
+/**
+ * The token of an "Authorization: Bearer" header, or null
+ */
+function getBearerToken(req) {
+  const header = req.headers['authorization'];
+  const match = header && /^Bearer\s+(\S+)\s*$/i.exec(header);
+  return match ? match[1] : null;
+}
+
+function readKey(name, file) {
+  try {
+    return fs.readFileSync(file);
+  } catch (e) {
+    throw new Error(`jwt: ${name} ${file} can't be read: ${e.message}`);
+  }
+}
+
+function makeError(message, reason) {
+  const error = new Error(message);
+  error.reason = reason;
+  return error;
+}
+
+/**
+ * {issue, verify, revoke} for the jwt config, or null if it doesn't enable
+ * tokens. Throws if the config is not valid
+ */
+function makeTokenAuth(config) {
+  if (!(config && (config.enabled === true))) {
+    return null;
+  }
+  const options = Object.assign({}, defaultOptions, config);
+  let signingKey;
+  let verificationKey;
+  if (HMAC_ALGORITHMS.includes(options.algorithm)) {
+    if (!options.secret) {
+      throw new Error(`jwt: ${options.algorithm} needs a secret`);
+    }
+    signingKey = verificationKey = options.secret;
+  } else if (KEY_ALGORITHMS.includes(options.algorithm)) {
+    if (!(options.privateKeyFile && options.publicKeyFile)) {
+      throw new Error(`jwt: ${options.algorithm} needs a privateKeyFile and `
+          + `a publicKeyFile`);
+    }
+    signingKey = readKey('privateKeyFile', options.privateKeyFile);
+    verificationKey = readKey('publicKeyFile', options.publicKeyFile);
+  } else {
+    throw new Error(`jwt: unknown algorithm ${options.algorithm}`);
+  }
+  if (!(Number.isInteger(options.maxLifetimeMs)
+        && (options.maxLifetimeMs > 0))) {
+    throw new Error(`jwt: maxLifetimeMs must be a positive integer, not `
+        + `"${options.maxLifetimeMs}"`);
+  }
+  const maxLifetimeSec = Math.ceil(options.maxLifetimeMs / 1000);
+
+  return {
+    /**
+     * A token for the auth plugin sessions of a login, that expires in
+     * expiresInMs, or maxLifetimeMs if that is sooner or expiresInMs isn't
+     * positive
+     */
+    issue(authPlugins, username, expiresInMs) {
+      const claims = {
+        authPlugins: encryption.encryptJson(signingKey, authPlugins)
+      };
+      const signOptions = {
+        algorithm: options.algorithm,
+        issuer: options.issuer,
+        audience: options.audience,
+        jwtid: crypto.randomBytes(16).toString('hex')
+      };
+      if (username) {
+        signOptions.subject = username;
+      }
+      signOptions.expiresIn = (expiresInMs > 0)
+        ? Math.min(Math.ceil(expiresInMs / 1000), maxLifetimeSec)
+        : maxLifetimeSec;
+      return jwt.sign(claims, signingKey, signOptions);
+    },
+
+    /**
+     * Resolves with the claims of a token that is valid and not revoked.
+     * Rejects with an Error whose reason is "invalid" or "revoked"
+     */
+    verify: Promise.coroutine(function*(token) {
+      let claims;
+      try {
+        claims = yield verifyToken(token, verificationKey, {
+          algorithms: [options.algorithm],
+          issuer: options.issuer,
+          audience: options.audience,
+          maxAge: maxLifetimeSec
+        });
+      } catch (e) {
+        throw makeError(e.message, 'invalid');
+      }
+      if (!(claims.jti && claims.exp
+            && (typeof claims.authPlugins === 'string'))) {
+        throw makeError('token is not a session token', 'invalid');
+      }
+      try {
+        claims.authPlugins = encryption.decryptJson(signingKey,
+            claims.authPlugins);
+      } catch (e) {
+        throw makeError('token session state can\'t be read', 'invalid');
+      }
+      if (yield isRevoked(claims.jti)) {
+        throw makeError('token revoked', 'revoked');
+      }
+      return claims;
+    }),
+
+    revoke(claims) {
+      return revoke(claims.jti, claims.exp * 1000);
+    }
+  };
+}
+
+module.exports = {
+  RevocationStore,
+  revocationStore,
+  getBearerToken,
+  makeTokenAuth
+};
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
@@ -10,7 +10,13 @@
 */
 
 
-function makePluginURL(productCode, pluginID) {
+/**
+ * Without a version, the URL of the default version of the plugin
+ */
+function makePluginURL(productCode, pluginID, pluginVersion) {
+  if (pluginVersion) {
+    return `/${productCode}/plugins/${pluginID}/${pluginVersion}`;
+  }
   return `/${productCode}/plugins/${pluginID}`;
 }
 
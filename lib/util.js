@@ -21,8 +21,10 @@ const path = require('path');
 const fs = require('fs');
 const Promise = require('bluebird');
 const ipaddr = require('ipaddr.js');
+const semver = require('semver');
 const dns = require('dns');
 const dnsLookup = Promise.promisify(dns.lookup);
+const UNP = require('./unp-constants');
 
 function compoundPathFragments(left, right) {
   return path.join(left, right).normalize();
@@ -35,6 +37,7 @@ module.exports.resolveRelativePathAgainstCWD = function resolveRelativePathAgain
 const loggers = {
   bootstrapLogger: global.COM_RS_COMMON_LOGGER.makeComponentLogger("_zsf.bootstrap"),
   authLogger: global.COM_RS_COMMON_LOGGER.makeComponentLogger("_zsf.auth"),
+  auditLogger: global.COM_RS_COMMON_LOGGER.makeComponentLogger("_zsf.audit"),
   contentLogger: global.COM_RS_COMMON_LOGGER.makeComponentLogger("_zsf.static"),
   childLogger: global.COM_RS_COMMON_LOGGER.makeComponentLogger("_zsf.child"),
   utilLogger: global.COM_RS_COMMON_LOGGER.makeComponentLogger("_zsf.utils"),
@@ -149,6 +152,38 @@ module.exports.concatIterables = function* concatIterables() {
   }
 }
 
+/**
+ * Identifies one of the installed versions of a plugin
+ */
+module.exports.pluginKey = function pluginKey(identifier, pluginVersion) {
+  return `${identifier}@${pluginVersion}`;
+}
+
+/**
+ * Highest first; versions that aren't semver go last
+ */
+module.exports.comparePluginVersions = function comparePluginVersions(a, b) {
+  const aValid = !!semver.valid(a);
+  const bValid = !!semver.valid(b);
+  if (aValid && bValid) {
+    return semver.rcompare(a, b);
+  }
+  return (aValid === bValid)? 0 : (aValid? -1 : 1);
+}
+
+/**
+ * Picks the version served at the unversioned plugin URL: the one configured
+ * in `defaultPluginVersions`, if installed, otherwise the highest one
+ */
+module.exports.pickDefaultPluginVersion = function pickDefaultPluginVersion(
+    identifier, versions, defaultPluginVersions) {
+  const preferred = defaultPluginVersions && defaultPluginVersions[identifier];
+  if (preferred && versions.includes(preferred)) {
+    return preferred;
+  }
+  return versions.slice().sort(module.exports.comparePluginVersions)[0];
+}
+
 /**
  * Makes sure that the invocations of an asynchronous event handler are properly
  * queued. Creates an event listener that wraps the asynchronous `listenerFun`
@@ -236,6 +271,40 @@ module.exports.formatErrorStatus = function formatErrorStatus(err, descriptions)
 }
 
 
+/**
+ * For auth plugins with RBAC: the names a request for a service can be given
+ * access by, "*", the plugin identifier, and
+ * "<plugin identifier>:<service name>"
+ */
+module.exports.getAccessResourceNames = function getAccessResourceNames(req) {
+  const appData = req[`${UNP.APP_NAME}Data`] || {};
+  const pluginDef = appData.plugin ? appData.plugin.def : null;
+  const serviceDef = appData.service ? appData.service.def : null;
+  const names = ['*'];
+  if (pluginDef) {
+    names.push(pluginDef.identifier);
+    if (serviceDef) {
+      names.push(`${pluginDef.identifier}:`
+          + (serviceDef.name || serviceDef.localName));
+    }
+  }
+  return names;
+}
+
+/**
+ * True if one of the roles of a user gives access to the service of a
+ * request. accessRoles maps the names of getAccessResourceNames() to the
+ * roles that give access
+ */
+module.exports.rolesGrantAccess = function rolesGrantAccess(accessRoles, req,
+    roles) {
+  if (!(accessRoles && roles)) {
+    return false;
+  }
+  return module.exports.getAccessResourceNames(req).some(name =>
+      (accessRoles[name] || []).some(role => roles.includes(role)));
+}
+
 /*
   This program and the accompanying materials are
   made available under the terms of the Eclipse Public License v2.0 which accompanies
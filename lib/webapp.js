@@ -19,6 +19,7 @@ const path = require('path');
 const Promise = require('bluebird');
 const http = require('http');
 const https = require('https');
+const PassThrough = require('stream').PassThrough;
 const bodyParser = require('body-parser');
 const cookieParser = require('cookie-parser')
 const session = require('express-session');
@@ -29,6 +30,14 @@ const zLuxUrl = require('./url');
 const UNP = require('./unp-constants');
 const translationUtils = require('./translation-utils');
 const expressStaticGzip = require("express-static-gzip");
+const pluginLoadReport = require('./plugin-load-report');
+const makeSwaggerCatalog = require('./swagger-catalog');
+const catalogExplorer = require('./catalog-explorer');
+const requestValidator = require('./request-validator');
+const IsolatedService = require('./isolated-service');
+const resilience = require('./resilience');
+const rateLimiter = require('./rate-limiter');
+const csrf = require('./csrf');
 
 /**
  * Sets up an Express application to serve plugin data files and services  
@@ -108,7 +117,7 @@ function sendAuthorizationFailure(res, authType, resource) {
 };
 
 const staticHandlers = {
-  plugins: function(plugins) {
+  plugins: function(plugins, disabledPlugins, isDefaultVersion) {
     return function(req, res) {
       let parsedRequest = url.parse(req.url, true);
       if (!parsedRequest.query) {
@@ -128,7 +137,11 @@ const staticHandlers = {
       }
       const acceptLanguage = 
         translationUtils.getAcceptLanguageFromCookies(req.cookies) || req.headers['accept-language'] || '';
-      const pluginDefs = plugins.map(p => p.exportTranslatedDef(acceptLanguage));
+      //every installed version is listed, flagged if it's the default one
+      const pluginDefs = plugins.filter(p => !disabledPlugins.has(p.identifier))
+        .map(p => Object.assign(p.exportTranslatedDef(acceptLanguage), {
+          isDefaultVersion: isDefaultVersion(p.identifier, p.pluginVersion)
+        }));
       const response = {
         //TODO type/version
         pluginDefinitions: null 
@@ -160,13 +173,131 @@ const staticHandlers = {
     const r = express.Router();
     r.post('/plugins', jsonParser, function api(req, res) {
       const pluginDef = req.body;
+      //ephemeral plugins are gone after a restart
+      const options = {
+        ephemeral: req.query.ephemeral === 'true'
+      };
       //TODO rewrite to EvenEmitter
-      Promise.resolve().then(() => webApp.options.newPluginHandler(pluginDef))
+      Promise.resolve().then(() => webApp.options.newPluginHandler(pluginDef,
+          options))
+        .then((result) => {
+          if (result && result.status === 'pending') {
+            res.status(202).json({
+              status: 'pending',
+              pluginId: pluginDef.identifier,
+              unresolvedImports: result.unresolvedImports
+            });
+          } else {
+            res.status(200).send('plugin added');
+          }
+        }, (err) => {
+          if (err.unresolvedImports) {
+            res.status(400).json(zluxUtil.makeErrorObject({
+              messageTemplate: 'Plugin {pluginId} has unresolved imports',
+              messageParameters: {
+                pluginId: pluginDef.identifier,
+                unresolvedImports: err.unresolvedImports
+              },
+              messageDetails: err.message
+            }));
+          } else if (err.validationErrors) {
+            res.status(400).json(zluxUtil.makeErrorObject({
+              messageTemplate: 'Plugin {pluginId} has an invalid definition',
+              messageParameters: {
+                pluginId: pluginDef.identifier,
+                validationErrors: err.validationErrors
+              },
+              messageDetails: err.message
+            }));
+          } else if (err.loadFailure) {
+            res.status(400).json(zluxUtil.makeErrorObject({
+              messageTemplate: 'Plugin {pluginId} failed to load',
+              messageParameters: {
+                pluginId: pluginDef.identifier,
+                state: err.loadFailure.state,
+                stage: err.loadFailure.stage
+              },
+              messageDetails: err.message
+            }));
+          } else {
+            res.status(400).send('failed to add the plugin: ' + err.message);
+          }
+          installLog.warn(`${pluginDef.identifier}: failed to add the plugin: `
+              + err.message);
+          installLog.debug(err.stack);
+        });
+    });
+    r.get('/plugins', function api(req, res) {
+      const statuses = webApp.options.pluginStatusHandler(null)
+        .map(status => webApp._addEnablementToStatus(status));
+      res.status(200).json({ plugins: statuses });
+    });
+    r.get('/plugins/:identifier', function api(req, res) {
+      const status = webApp.options.pluginStatusHandler(req.params.identifier,
+          req.query.version);
+      if (!status) {
+        res.status(404).json({ error: 'plugin not found' });
+        return;
+      }
+      res.status(200).json(webApp._addEnablementToStatus(status));
+    });
+    r.put('/plugins/:identifier', jsonParser, function api(req, res) {
+      const identifier = req.params.identifier;
+      if (!req.body || (typeof req.body.enabled !== 'boolean')) {
+        res.status(400).json({ error: '"enabled" must be true or false' });
+        return;
+      }
+      if (!webApp.options.pluginStatusHandler(identifier)) {
+        res.status(404).json({ error: 'plugin not found' });
+        return;
+      }
+      webApp.options.pluginEnablementHandler(identifier, req.body.enabled);
+      res.status(200).json(webApp._addEnablementToStatus(
+          webApp.options.pluginStatusHandler(identifier)));
+    });
+    r.delete('/plugins/:identifier', function api(req, res) {
+      //without a version, every version of the plugin is removed
+      const status = webApp.options.pluginStatusHandler(req.params.identifier,
+          req.query.version);
+      if (!status) {
+        res.status(404).json({ error: 'plugin not found' });
+        return;
+      }
+      if (!status.dynamic) {
+        res.status(400).json({ 
+          error: 'only dynamically added plugins can be removed'
+        });
+        return;
+      }
+      Promise.resolve().then(() => webApp.options.removePluginHandler(
+          req.params.identifier, req.query.version))
         .then(() => {
-          res.status(200).send('plugin added');
+          res.status(200).send('plugin removed');
         }, (err) => {
-          res.status(400).send('failed to add the plugin: ' + err.message);
-          console.warn(err);
+          res.status(400).send('failed to remove the plugin: ' + err.message);
+          installLog.warn(`${req.params.identifier}: failed to remove the `
+              + `plugin: ${err.message}`);
+          installLog.debug(err.stack);
+        });
+    });
+    r.post('/plugins/:identifier/reload', jsonParser, function api(req, res) {
+      //an empty body means "re-read the definition from disk"
+      const pluginDef = (req.body && req.body.identifier) ? req.body : null;
+      Promise.resolve().then(() => webApp.options.reloadPluginHandler(
+          req.params.identifier, pluginDef, req.query.version))
+        .then(() => {
+          res.status(200).send('plugin reloaded');
+        }, (err) => {
+          if (err.rolledBack) {
+            //the previous version stays installed
+            res.status(500).send('failed to reinstall the plugin: '
+                + err.message);
+          } else {
+            res.status(400).send('failed to reload the plugin: ' + err.message);
+          }
+          installLog.warn(`${req.params.identifier}: failed to reload the `
+              + `plugin: ${err.message}`);
+          installLog.debug(err.stack);
         });
     });
     return r;
@@ -192,6 +323,43 @@ const staticHandlers = {
     }
   },
   
+  pluginLoadReport(options) {
+    return (req, res) => {
+      res.json({
+        plugins: pluginLoadReport.makeReport(options.pluginStatusHandler(null))
+      });
+    }
+  },
+  
+  isolatedServices(webApp) {
+    return (req, res) => {
+      res.json({
+        services: webApp.getIsolatedServicesHealth()
+      });
+    }
+  },
+
+  circuitBreakers(webApp) {
+    return (req, res) => {
+      res.json({
+        circuitBreakers: webApp.getCircuitBreakerStatuses()
+      });
+    }
+  },
+
+  serverCatalog(webApp) {
+    return (req, res) => {
+      res.json(webApp.getServerCatalog());
+    }
+  },
+
+  catalogExplorer(catalogUrl) {
+    const page = catalogExplorer.makeExplorerPage(catalogUrl);
+    return (req, res) => {
+      res.type('html').send(page);
+    }
+  },
+  
   echo() {
     return (req, res) =>{
       contentLogger.log(contentLogger.INFO, 'echo\n' + util.inspect(req));
@@ -202,112 +370,460 @@ const staticHandlers = {
 
 /**
  *  This is passed to every other service of the plugin, so that 
- *  the service can be called by other services under the plugin
+ *  the service can be called by other services under the plugin.
+ *
+ *  `resolveRouter`, if given, returns the router of the service when it's
+ *  installed in this process, or null. Such services are called directly
+ *  through their router, the others with an HTTP call to localhost
  */
-function WebServiceHandle(urlPrefix, environment) {
+function WebServiceHandle(urlPrefix, environment, resolveRouter) {
   this.urlPrefix = urlPrefix;
   if (!environment.loopbackConfig.port) {
     installLog.severe(`loopback configuration not valid,`,loopbackConfig,
                       `loopback calls will fail!`);
   }
   this.environment = environment;
+  this.resolveRouter = resolveRouter || null;
 }
 WebServiceHandle.prototype = {
   constructor: WebServiceHandle,
-  //This is currently suboptimal: it makes an HTTP call
-  //to localhost for every service call. We could instead just call
-  //the corresponding router directly with mock request and
-  //response objects, but that's tricky, so let's do that
-  //later.
-
-  //  router: null,
   port: 0,
   urlPrefix: null,
+  resolveRouter: null,
 
+  /**
+   * Resolves with the response once it has been read entirely: its body is a
+   * string, or a Buffer if `options.binary` is set.
+   *
+   * `options.body` can be a string, a Buffer, a readable stream or an object
+   * to send as JSON. `options.timeout` (ms) limits the whole call and 
+   * `options.signal`, an AbortSignal, cancels it
+   */
   call(path, options, originalRequest) {
+    if (typeof path === "object") {
+      originalRequest = options;
+      options = path;
+      path = "";
+    }
+    options = options || {};
+    return this._open(path, options, originalRequest, true);
+  },
+
+  /**
+   * Like call(), but resolves as soon as the response starts: the response is
+   * a readable stream of the body. `options.timeout` only limits the wait for
+   * the response to start, `options.signal` also ends the stream
+   */
+  callStream(path, options, originalRequest) {
+    if (typeof path === "object") {
+      originalRequest = options;
+      options = path;
+      path = "";
+    }
+    options = options || {};
+    return this._open(path, options, originalRequest, false);
+  },
+
+  _open(path, options, originalRequest, readBody) {
     return new Promise((resolve, reject) => {
-      if (typeof path === "object") {
-        options = path;
-        path = "";
+      const signal = options.signal;
+      if (signal && signal.aborted) {
+        reject(makeAbortError());
+        return;
       }
-      options = options || {};
-      let url = this.urlPrefix;
-      if (path) {
-        url += '/' + path;
+      //the session of the caller is needed to authenticate the call
+      const router = (originalRequest && this.environment.inProcess 
+          && this.resolveRouter) ? this.resolveRouter() : null;
+      const exchange = router 
+        ? this._dispatchInProcess(router, path, options, originalRequest)
+        : this._sendHttpRequest(path, options, originalRequest);
+      let settled = false;
+      let response = null;
+      let timer = null;
+      const fail = (err) => {
+        if (response) {
+          response.destroy(err);
+        }
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        exchange.abort(err);
+        reject(err);
+      };
+      const onAbort = () => fail(makeAbortError());
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
       }
-      let rejectUnauthorized;
-      let protocol;
-      if (this.environment.loopbackConfig.isHttps) {
-        protocol = 'https:';
-        rejectUnauthorized = false;
-      } else {
-        protocol = 'http:';
+      if (options.timeout) {
+        timer = setTimeout(() => fail(makeTimeoutError(options.timeout)),
+            options.timeout);
       }
-      const requestOptions = {
-        hostname: this.environment.loopbackConfig.host,
-        port: this.environment.loopbackConfig.port,
-        method: options.method || "GET",
-        protocol: protocol,
-        path: url,
-        auth: options.auth,
-        rejectUnauthorized: rejectUnauthorized
+      const succeed = () => {
+        settled = true;
+        clearTimeout(timer);
+        resolve(response);
       };
-      const headers = {};
-      if (originalRequest) {
-        var cookie = originalRequest.get('cookie');
-        if (cookie) {
-          headers["Cookie"] = cookie;
+      exchange.response.then((res) => {
+        if (settled) {
+          res.destroy();
+          return;
         }
-      }
-      Object.assign(headers, options.headers);
-      if (options.body) {
-        if (typeof options.body === "string") {
-          if (options.contentType) {
-            headers["Content-Type"] = options.contentType;
-          } else {
-            headers["Content-Type"] = "application/json";
-          }
-          headers["Content-Length"] =  options.body.length;
-        } else {
-          headers["Content-Type"] = "application/json";
-          const json = JSON.stringify(options.body)
-          headers["Content-Length"] =  json.length;
-          options.body = json;
+        response = res;
+        if (signal) {
+          response.on('close', () => 
+              signal.removeEventListener('abort', onAbort));
         }
-      }
-      //console.log("headers: ", headers)
-      if (Object.getOwnPropertyNames(headers).length > 0) {
-        requestOptions.headers = headers;
-      }
-      let httpOrHttps = this.environment.loopbackConfig.isHttps ? https : http;
-      const request = httpOrHttps.request(requestOptions, (response) => {
-        var chunks = [];
-        response.on('data',(chunk)=> {
+        if (!readBody) {
+          succeed();
+          return;
+        }
+        const chunks = [];
+        response.on('data', (chunk) => {
           utilLog.debug('Callservice: Data received');
           chunks.push(chunk);
         });
-        response.on('end',() => {
+        response.on('end', () => {
           utilLog.debug('Callservice: Service call completed.');
-          response.body = Buffer.concat(chunks).toString();
-          resolve(response);
+          const body = Buffer.concat(chunks);
+          response.body = options.binary ? body : body.toString();
+          succeed();
         });
+        response.on('error', fail);
+      }, fail);
+    });
+  },
+
+  /**
+   * Runs the request through the router with synthetic request and response
+   * objects. The request carries the session, cookies and user of the
+   * original one, so the call is authenticated the same way an HTTP call
+   * with the original cookies would be
+   */
+  _dispatchInProcess(router, path, options, originalRequest) {
+    const expressApp = this.environment.expressApp;
+    const headers = {};
+    for (const header of ['cookie', 'host', 'accept-language']) {
+      if (originalRequest.headers[header]) {
+        headers[header] = originalRequest.headers[header];
+      }
+    }
+    addTokenHeader(originalRequest, headers);
+    if (options.auth) {
+      headers['authorization'] = 'Basic ' 
+        + Buffer.from(options.auth).toString('base64');
+    }
+    addCsrfHeader(this.environment, originalRequest, headers);
+    const body = prepareRequestBody(options, headers);
+    const req = new http.IncomingMessage(null);
+    Object.setPrototypeOf(req, expressApp.request);
+    //never read from the socket, which belongs to the original request
+    req._read = function() {};
+    req.method = (options.method || "GET").toUpperCase();
+    req.url = '/' + (path || '');
+    req.originalUrl = this.urlPrefix + (path ? '/' + path : '');
+    req.headers = headers;
+    req.socket = originalRequest.socket;
+    req.app = expressApp;
+    req.session = originalRequest.session;
+    req.sessionID = originalRequest.sessionID;
+    req.cookies = originalRequest.cookies;
+    req.signedCookies = originalRequest.signedCookies;
+    req.username = originalRequest.username;
+    if (body.stream) {
+      body.stream.on('data', (chunk) => req.push(chunk));
+      body.stream.on('end', () => req.push(null));
+      body.stream.on('error', (err) => req.destroy(err));
+    } else {
+      if (body.buffer) {
+        req.push(body.buffer);
+      }
+      req.push(null);
+      req.complete = true;
+    }
+    let res;
+    const response = new Promise((resolve) => {
+      res = makeInProcessResponse(expressApp, req, resolve);
+    });
+    req.res = res;
+    commonMiddleware.addAppSpecificDataToRequest(this.environment.appData)(
+        req, res, () => {});
+    const appData = req[`${UNP.APP_NAME}Data`];
+    const originalAppData = originalRequest[`${UNP.APP_NAME}Data`];
+    if (originalAppData && originalAppData.webApp) {
+      appData.webApp.rootServices = originalAppData.webApp.rootServices;
+    }
+    utilLog.debug('Callservice: Dispatching in process: ' + req.originalUrl);
+    router(req, res, (err) => {
+      if (res.headersSent) {
+        return;
       }
-      );
+      if (err) {
+        utilLog.warn('Callservice: Service call failed: ' + err.message);
+        res.statusCode = 500;
+        res.end(err.message);
+      } else {
+        res.statusCode = 404;
+        res.end(`Cannot ${req.method} ${req.originalUrl}`);
+      }
+    });
+    return {
+      response,
+      //the router can't be stopped, only ignored
+      abort() {
+        req.destroy();
+        res.destroy();
+      }
+    };
+  },
+
+  _sendHttpRequest(path, options, originalRequest) {
+    let url = this.urlPrefix;
+    if (path) {
+      url += '/' + path;
+    }
+    let rejectUnauthorized;
+    let protocol;
+    if (this.environment.loopbackConfig.isHttps) {
+      protocol = 'https:';
+      rejectUnauthorized = false;
+    } else {
+      protocol = 'http:';
+    }
+    const requestOptions = {
+      hostname: this.environment.loopbackConfig.host,
+      port: this.environment.loopbackConfig.port,
+      method: options.method || "GET",
+      protocol: protocol,
+      path: url,
+      auth: options.auth,
+      rejectUnauthorized: rejectUnauthorized
+    };
+    const headers = {};
+    if (originalRequest) {
+      var cookie = originalRequest.get('cookie');
+      if (cookie) {
+        headers["cookie"] = cookie;
+      }
+      addTokenHeader(originalRequest, headers);
+      if (options.auth) {
+        //node only adds it if there is no authorization header yet
+        delete headers['authorization'];
+      }
+      addCsrfHeader(this.environment, originalRequest, headers);
+    }
+    const body = prepareRequestBody(options, headers);
+    //console.log("headers: ", headers)
+    if (Object.getOwnPropertyNames(headers).length > 0) {
+      requestOptions.headers = headers;
+    }
+    let httpOrHttps = this.environment.loopbackConfig.isHttps ? https : http;
+    let request;
+    const response = new Promise((resolve, reject) => {
+      request = httpOrHttps.request(requestOptions, resolve);
       request.on('error', (e) => {
         utilLog.warn('Callservice: Service call failed.');
         reject(e);
       });
-      if (options.body) {
-        request.write(options.body);
-      }
-      utilLog.debug('Callservice: Issuing request to service: ' 
-          + JSON.stringify(requestOptions, null, 2));
-      request.end();
+    });
+    utilLog.debug('Callservice: Issuing request to service: ' 
+        + JSON.stringify(requestOptions, null, 2));
+    if (body.stream) {
+      body.stream.on('error', (err) => request.destroy(err));
+      body.stream.pipe(request);
+    } else {
+      request.end(body.buffer || undefined);
     }
-    );
+    return {
+      response,
+      abort(err) {
+        request.destroy(err);
+      }
+    };
   }
 };
 
+/**
+ * Calls made on behalf of a request authenticated with a bearer token or an
+ * API key carry it, as they would the session cookie
+ */
+function addTokenHeader(originalRequest, headers) {
+  const header = originalRequest.tokenAuth
+      && originalRequest.tokenAuth.header;
+  if (header && originalRequest.headers[header]) {
+    headers[header] = originalRequest.headers[header];
+  }
+}
+
+/**
+ * Calls made by the server on behalf of a session are trusted: they get the
+ * CSRF token of the session
+ */
+function addCsrfHeader(environment, originalRequest, headers) {
+  const token = environment.csrf && environment.csrf.getToken(originalRequest);
+  if (token) {
+    headers[environment.csrf.headerName] = token;
+  }
+}
+
+/**
+ * Turns `options.body` into either a Buffer or a stream and adds the content
+ * headers. Headers given in `options.headers` take precedence
+ */
+function prepareRequestBody(options, headers) {
+  const body = options.body;
+  let buffer = null;
+  let stream = null;
+  let contentType = options.contentType;
+  if (body && (typeof body.pipe === 'function')) {
+    stream = body;
+    contentType = contentType || "application/octet-stream";
+  } else if (Buffer.isBuffer(body)) {
+    buffer = body;
+    contentType = contentType || "application/octet-stream";
+  } else if (typeof body === "string") {
+    buffer = Buffer.from(body);
+    contentType = contentType || "application/json";
+  } else if (body) {
+    buffer = Buffer.from(JSON.stringify(body));
+    contentType = "application/json";
+  }
+  if (buffer || stream) {
+    headers['content-type'] = contentType;
+  }
+  if (buffer) {
+    //bytes, not characters
+    headers['content-length'] = String(buffer.length);
+  }
+  for (const header of Object.keys(options.headers || {})) {
+    headers[header.toLowerCase()] = options.headers[header];
+  }
+  return { buffer, stream };
+}
+
+function makeAbortError() {
+  const err = new Error('service call aborted');
+  err.name = 'AbortError';
+  err.code = 'ABORT_ERR';
+  return err;
+}
+
+function makeTimeoutError(timeout) {
+  const err = new Error(`service call timed out after ${timeout}ms`);
+  err.code = 'ETIMEDOUT';
+  return err;
+}
+
+/**
+ * An express response that turns what is written to it into a readable
+ * stream. Once the headers are sent, `onHeaders` is called with that stream,
+ * which is shaped like the response of an HTTP service call: it has a 
+ * statusCode and headers
+ */
+function makeInProcessResponse(expressApp, req, onHeaders) {
+  const res = Object.create(expressApp.response);
+  const stream = new PassThrough();
+  const headers = {};
+  let headersSent = false;
+  let finished = false;
+  const sendHeaders = () => {
+    if (headersSent) {
+      return;
+    }
+    headersSent = true;
+    stream.statusCode = res.statusCode;
+    stream.statusMessage = res.statusMessage 
+        || http.STATUS_CODES[res.statusCode];
+    stream.headers = Object.assign({}, headers);
+    onHeaders(stream);
+  };
+  const writeChunk = (chunk, encoding) => {
+    if ((chunk === undefined) || (chunk === null) 
+        || (typeof chunk === 'function') || stream.destroyed
+        || (req.method === 'HEAD')) {
+      return true;
+    }
+    return stream.write(Buffer.isBuffer(chunk) ? chunk 
+      : Buffer.from(String(chunk), (typeof encoding === 'string') 
+          ? encoding : 'utf8'));
+  };
+  stream.on('drain', () => res.emit('drain'));
+  Object.defineProperties(res, {
+    headersSent: { get: () => headersSent },
+    finished: { get: () => finished },
+    writableEnded: { get: () => finished },
+    writableFinished: { get: () => finished }
+  });
+  Object.assign(res, {
+    app: expressApp,
+    req,
+    locals: {},
+    statusCode: 200,
+    statusMessage: undefined,
+    setHeader(name, value) {
+      headers[name.toLowerCase()] = value;
+      return this;
+    },
+    getHeader(name) {
+      return headers[name.toLowerCase()];
+    },
+    getHeaders() {
+      return Object.assign({}, headers);
+    },
+    getHeaderNames() {
+      return Object.keys(headers);
+    },
+    hasHeader(name) {
+      return name.toLowerCase() in headers;
+    },
+    removeHeader(name) {
+      delete headers[name.toLowerCase()];
+    },
+    writeHead(statusCode, statusMessage, moreHeaders) {
+      if (typeof statusMessage === 'object') {
+        moreHeaders = statusMessage;
+        statusMessage = undefined;
+      }
+      this.statusCode = statusCode;
+      if (statusMessage) {
+        this.statusMessage = statusMessage;
+      }
+      for (const name of Object.keys(moreHeaders || {})) {
+        this.setHeader(name, moreHeaders[name]);
+      }
+      sendHeaders();
+      return this;
+    },
+    flushHeaders() {
+      sendHeaders();
+    },
+    write(chunk, encoding) {
+      sendHeaders();
+      return writeChunk(chunk, encoding);
+    },
+    end(chunk, encoding) {
+      if (finished) {
+        return this;
+      }
+      sendHeaders();
+      writeChunk(chunk, encoding);
+      finished = true;
+      if (!stream.destroyed) {
+        stream.end();
+      }
+      this.emit('finish');
+      this.emit('close');
+      return this;
+    },
+    destroy(err) {
+      finished = true;
+      stream.destroy(err);
+    }
+  });
+  return res;
+}
+
 
 const commonMiddleware = {
   /**
@@ -337,26 +853,44 @@ const commonMiddleware = {
         }
         return this.rootServices[name].call(url, options, req);
       }
+      appData.webApp.callRootServiceStream = function callRootServiceStream(
+          name, url, options) {
+        if (!this.rootServices[name]) {
+          throw new Error(`root service ${name} not found`);
+        }
+        return this.rootServices[name].callStream(url, options, req);
+      }
       if (!appData.plugin) {
         appData.plugin = {};
       } else {
       	appData.plugin = Object.create(appData.plugin);
       }
+      const getServiceHandle = function(services, name) {
+        const allHandles = services[name];
+        let version = '_current';
+        if (appData.service.def
+            /* 
+               TODO this does not cover the case in which an auth plugin wanted to do callService. See: zosmf-auth
+               In that case, appData.service = {} because it isn't a service itself.
+            */
+            && appData.service.def.versionRequirements 
+            && appData.service.def.versionRequirements[name]) {
+          version = appData.service.def.versionRequirements[name];
+        }
+        return allHandles[version];
+      }
       appData.plugin.callService = function callService(name, url, options) {
         try {
-          const allHandles = this.services[name];
-          let version = '_current';
-          if (appData.service.def
-              /* 
-                 TODO this does not cover the case in which an auth plugin wanted to do callService. See: zosmf-auth
-                 In that case, appData.service = {} because it isn't a service itself.
-              */
-              && appData.service.def.versionRequirements 
-              && appData.service.def.versionRequirements[name]) {
-            version = appData.service.def.versionRequirements[name];
-          }
-          const service = allHandles[version];
-          return service.call(url, options, req);
+          return getServiceHandle(this.services, name).call(url, options, req);
+        } catch (e) {
+          return Promise.reject(e);
+        }
+      }
+      appData.plugin.callServiceStream = function callServiceStream(name, url,
+          options) {
+        try {
+          return getServiceHandle(this.services, name).callStream(url, options,
+              req);
         } catch (e) {
           return Promise.reject(e);
         }
@@ -498,7 +1032,11 @@ const defaultOptions = {
   rootRedirectURL: null,
   rootServices: null,
   staticPlugins: null,
-  newPluginHandler: null
+  newPluginHandler: null,
+  reloadPluginHandler: null,
+  removePluginHandler: null,
+  pluginStatusHandler: null,
+  pluginEnablementHandler: null
 };
 
 function makeLoopbackConfig(nodeConfig) {
@@ -531,11 +1069,13 @@ function getAgentProxyOptions(serverConfig, agentConfig) {
 function WebApp(options){
   this.expressApp = express();
   const port = options.httpsPort ? options.httpsPort : options.httpPort;
+  //TODO properly generate this secret
+  const sessionSecret = process.env.expressSessionSecret 
+      ? process.env.expressSessionSecret : 'whatever';
   this.expressApp.use(cookieParser());
   this.expressApp.use(session({
-    //TODO properly generate this secret
     name: 'connect.sid.' + port,
-    secret: process.env.expressSessionSecret ? process.env.expressSessionSecret : 'whatever',
+    secret: sessionSecret,
     // FIXME: require magic is an anti-pattern. all require() calls should 
     // be at the top of the file. TODO Ensure this can be safely moved to the
     // top of the file: it must have no side effects and it must not depend
@@ -546,8 +1086,19 @@ function WebApp(options){
       secure: 'auto'
     }
   }));
+  this.csrf = csrf.makeCsrfProtection(options.serverConfig.node.csrf,
+      sessionSecret);
+  if (this.csrf) {
+    this.expressApp.use(this.csrf.issueToken);
+  }
   this.wsEnvironment = {
-    loopbackConfig: makeLoopbackConfig(options.serverConfig.node)
+    loopbackConfig: makeLoopbackConfig(options.serverConfig.node),
+    //service calls go through the router of services installed here, unless
+    //node.inProcessServiceCalls is false
+    inProcess: options.serverConfig.node.inProcessServiceCalls !== false,
+    expressApp: this.expressApp,
+    csrf: this.csrf,
+    appData: null
   }
   this.options = zluxUtil.makeOptionsObject(defaultOptions, options);
   this.auth = options.auth;
@@ -555,6 +1106,13 @@ function WebApp(options){
   this.expressApp.serverInstanceUID = Date.now(); // hack
   this.pluginRouter = express.Router();
   this.routers = {};
+  this.pluginInstallations = {};
+  this.disabledPlugins = new Set();
+  this.rootServicePolicies = [];
+  this.rateLimits = options.serverConfig.node.rateLimits || {};
+  rateLimiter.validateRule('node.rateLimits.auth', this.rateLimits.auth);
+  rateLimiter.validateRule('node.rateLimits.services', 
+      this.rateLimits.services);
   this.appData = {
     webApp: {
       proxiedHost: options.proxiedHost,
@@ -564,6 +1122,7 @@ function WebApp(options){
     }
     //more stuff can be added
   };
+  this.wsEnvironment.appData = this.appData;
   this.plugins = [];
   //hack for pseudo-SSO
   this.authServiceHandleMaps = {};
@@ -573,6 +1132,13 @@ WebApp.prototype = {
   options: null,
   expressApp: null,
   routers: null,
+  pluginInstallations: null,
+  disabledPlugins: null,
+  rootServicePolicies: null,
+  rateLimits: null,
+  csrf: null,
+  //built when first asked for, dropped when the plugins change
+  serverCatalog: null,
   appData: null,
   //hack for pseudo-SSO
   authServiceHandleMaps: null,
@@ -598,7 +1164,8 @@ WebApp.prototype = {
     return r;
   },
   
-  makeExternalProxy(host, port, urlPrefix, isHttps, noAuth, pluginID, serviceName) {
+  makeExternalProxy(host, port, urlPrefix, isHttps, noAuth, pluginID, serviceName,
+      policy) {
     const r = express.Router();
     installLog.info(`Setting up ${isHttps? 'HTTPS' : 'HTTP'} proxy `
                     +`(${pluginID}:${serviceName}) to destination=${host}:${port}/${urlPrefix}`);
@@ -606,7 +1173,8 @@ WebApp.prototype = {
       urlPrefix, 
       isHttps, 
       addProxyAuthorizations: (noAuth? null : this.auth.addProxyAuthorizations),
-      allowInvalidTLSProxy: this.options.allowInvalidTLSProxy
+      allowInvalidTLSProxy: this.options.allowInvalidTLSProxy,
+      policy
     }, pluginID, serviceName);
     proxyMap.set(pluginID + ":" + serviceName, myProxy);
     r.use(myProxy);
@@ -631,11 +1199,22 @@ WebApp.prototype = {
         this.appData));
   },
 
-  _installRootService(url, method, handler, {needJson, needAuth, isPseudoSso}) {
+  _installRootService(url, method, handler, {needJson, needAuth, isPseudoSso,
+      rateLimited, csrfProtection}) {
     const handlers = [commonMiddleware.logRootServiceCall(false, url), commonMiddleware.httpNoCacheHeaders()];
     if (needJson) {
       handlers.push(jsonParser);
     }
+    if (rateLimited) {
+      //after the body is parsed, since logins are counted by username
+      const rule = rateLimiter.makeRule('auth', this.rateLimits.auth);
+      if (rule) {
+        handlers.push(rateLimiter.makeRateLimiter(rule, {
+          name: 'auth',
+          service: url.replace('/', '')
+        }));
+      }
+    }
     if (isPseudoSso) {
       handlers.push((req, res, next) => {
         //hack for pseudo-SSO
@@ -647,6 +1226,9 @@ WebApp.prototype = {
     if (needAuth) {
       handlers.push(this.auth.middleware); 
     }
+    if (csrfProtection !== false) {
+      handlers.push(...this._makeCsrfHandlers({}));
+    }
     handlers.push(handler);
     installLog.info(`installing root service at ${url}`);
     this.expressApp[method](url, handlers); 
@@ -657,18 +1239,25 @@ WebApp.prototype = {
     for (const proxiedRootService of this.options.rootServices || []) {
       const name = proxiedRootService.name || proxiedRootService.url.replace("/", "");
       installLog.info(`installing root service proxy at ${proxiedRootService.url}`);
+      const proxyOptions = Object.assign({},
+          getAgentProxyOptions(this.options, this.options.serverConfig.agent), {
+        policy: this._makeRootServicePolicy(proxiedRootService, name)
+      });
+      const rateLimitHandlers = this._makeServiceRateLimiters(
+          proxiedRootService, null, name).concat(
+            this._makeCsrfHandlers(proxiedRootService));
       //note that it has to be explicitly false. other falsy values like undefined
       //are treated as default, which is true
       if (proxiedRootService.requiresAuth === false) {
         const _router = this.makeProxy(proxiedRootService.url, true,
-                                       getAgentProxyOptions(this.options, this.options.serverConfig.agent));
-        this.expressApp.use(proxiedRootService.url,
+                                       proxyOptions);
+        this.expressApp.use(proxiedRootService.url, rateLimitHandlers,
             [commonMiddleware.logRootServiceCall(true, name), _router]);
       } else {
         const _router = this.makeProxy(proxiedRootService.url, false,
-                                       getAgentProxyOptions(this.options, this.options.serverConfig.agent));
+                                       proxyOptions);
         this.expressApp.use(proxiedRootService.url,
-            this.auth.middleware,
+            this.auth.middleware, rateLimitHandlers,
             [commonMiddleware.logRootServiceCall(true, name), _router]);
       }
       serviceHandleMap[name] = new WebServiceHandle(proxiedRootService.url, 
@@ -677,24 +1266,75 @@ WebApp.prototype = {
     this.expressApp.use(commonMiddleware.injectServiceHandles(serviceHandleMap,
         true));
     
+    //a login doesn't have the token of the session yet
     this._installRootService('/auth', 'post', this.auth.doLogin, 
-        {needJson: true, needAuth: false, isPseudoSso: true});
+        {needJson: true, needAuth: false, isPseudoSso: true,
+          rateLimited: true, csrfProtection: false});
     this._installRootService('/auth', 'get', this.auth.getStatus, 
         {needJson: true, needAuth: false, isPseudoSso: true});
     this._installRootService('/auth-refresh', 'get', this.auth.refreshStatus, 
-        {needJson: true, needAuth: false, isPseudoSso: true});    
+        {needJson: true, needAuth: false, isPseudoSso: true,
+          rateLimited: true});    
     this._installRootService('/auth-logout', 'post', this.auth.doLogout, 
         {needJson: true, needAuth: false, isPseudoSso: true});
     this._installRootService('/auth-logout', 'get', this.auth.doLogout, 
         {needJson: true, needAuth: false, isPseudoSso: true});
     serviceHandleMap['auth'] = new WebServiceHandle('/auth', this.wsEnvironment);
-    this._installRootService('/plugins', 'get', staticHandlers.plugins(this.plugins), 
+    this._installRootService('/plugins', 'get', 
+        staticHandlers.plugins(this.plugins, this.disabledPlugins,
+            (identifier, pluginVersion) => 
+              this._isDefaultVersion(identifier, pluginVersion)), 
         {needJson: false, needAuth: false, isPseudoSso: false});
     serviceHandleMap['plugins'] = new WebServiceHandle('/plugins', this.wsEnvironment);
     this._installRootService('/server/proxies', 'get', staticHandlers.proxies(this.options),
         {needJson: false, needAuth: true, isPseudoSso: false});
     serviceHandleMap['server/proxies'] = new WebServiceHandle('/server/proxies',
         this.wsEnvironment);
+    this._installRootService('/server/plugins/status', 'get', 
+        staticHandlers.pluginLoadReport(this.options), 
+        {needJson: false, needAuth: true, isPseudoSso: false});
+    serviceHandleMap['server/plugins/status'] = new WebServiceHandle(
+        '/server/plugins/status', this.wsEnvironment);
+    this._installRootService('/server/plugins/isolated', 'get', 
+        staticHandlers.isolatedServices(this), 
+        {needJson: false, needAuth: true, isPseudoSso: false});
+    serviceHandleMap['server/plugins/isolated'] = new WebServiceHandle(
+        '/server/plugins/isolated', this.wsEnvironment);
+    this._installRootService('/server/circuitbreakers', 'get', 
+        staticHandlers.circuitBreakers(this), 
+        {needJson: false, needAuth: true, isPseudoSso: false});
+    serviceHandleMap['server/circuitbreakers'] = new WebServiceHandle(
+        '/server/circuitbreakers', this.wsEnvironment);
+    if (this.auth.listLockouts) {
+      this._installRootService('/server/auth/lockouts', 'get', 
+          this.auth.listLockouts, 
+          {needJson: false, needAuth: true, isPseudoSso: false});
+      this._installRootService('/server/auth/lockouts', 'delete', 
+          this.auth.clearLockouts, 
+          {needJson: false, needAuth: true, isPseudoSso: false});
+      serviceHandleMap['server/auth/lockouts'] = new WebServiceHandle(
+          '/server/auth/lockouts', this.wsEnvironment);
+    }
+    if (this.auth.apiKeyHandlers) {
+      const handlers = this.auth.apiKeyHandlers;
+      this._installRootService('/auth/apikeys', 'get', handlers.list, 
+          {needJson: false, needAuth: true, isPseudoSso: false});
+      this._installRootService('/auth/apikeys', 'post', handlers.create, 
+          {needJson: true, needAuth: true, isPseudoSso: false});
+      this._installRootService('/auth/apikeys/:id', 'delete', handlers.revoke,
+          {needJson: false, needAuth: true, isPseudoSso: false});
+    }
+    //it lists the services of every plugin, which are behind auth
+    this._installRootService('/server/catalogs/swagger', 'get', 
+        staticHandlers.serverCatalog(this), 
+        {needJson: false, needAuth: true, isPseudoSso: false});
+    serviceHandleMap['server/catalogs/swagger'] = new WebServiceHandle(
+        '/server/catalogs/swagger', this.wsEnvironment);
+    if (this.options.serverConfig.node.apiExplorer === true) {
+      this._installRootService('/server/catalogs/swagger/explorer', 'get', 
+          staticHandlers.catalogExplorer('/server/catalogs/swagger'), 
+          {needJson: false, needAuth: true, isPseudoSso: false});
+    }
     this._installRootService('/echo/*', 'get', staticHandlers.echo(),
         {needJson: false, needAuth: true, isPseudoSso: false});
     serviceHandleMap['echo'] = new WebServiceHandle('/echo', this.wsEnvironment);
@@ -800,17 +1440,31 @@ WebApp.prototype = {
     return router;
   },
 
-  _makeRouter: function *(service, plugin, pluginContext, pluginChain) {
+  _makeRouter: function *(service, plugin, pluginContext, pluginChain,
+      installation) {
     const serviceRouterWithMiddleware = pluginChain.slice();
     serviceRouterWithMiddleware.push(commonMiddleware.injectServiceDef(
         service));
     serviceRouterWithMiddleware.push(this.auth.middleware);
+    serviceRouterWithMiddleware.push(...this._makeServiceRateLimiters(service,
+        plugin.identifier, service.name));
+    serviceRouterWithMiddleware.push(...this._makeCsrfHandlers(service));
     serviceRouterWithMiddleware.push(commonMiddleware.logServiceCall(
         plugin.identifier, service.name));
     if (service.httpCaching !== true) {
       //Per-dataservice middleware to handle tls no-cache
       serviceRouterWithMiddleware.push(commonMiddleware.httpNoCacheHeaders());
     }    
+    if (service.validateRequests === true) {
+      const spec = makeSwaggerCatalog.loadServiceSpec(plugin, service);
+      if (spec) {
+        serviceRouterWithMiddleware.push(requestValidator.makeRequestValidator(
+            spec, service.name));
+      } else {
+        installLog.warn(`${plugin.identifier}: service ${service.name} asks `
+            + `for request validation, but has no OpenAPI document`);
+      }
+    }
     let router;
     switch (service.type) {
     case "service":
@@ -818,7 +1472,9 @@ WebApp.prototype = {
       router = this.makeProxy(service.urlPrefix ? 
         service.urlPrefix : zLuxUrl.makePluginURL(this.options.productCode, plugin.identifier) +
                               zLuxUrl.makeServiceSubURL(service, false, true), false,
-                              getAgentProxyOptions(this.options, this.options.serverConfig.agent));
+                              Object.assign({}, 
+                                getAgentProxyOptions(this.options, this.options.serverConfig.agent),
+                                {policy: this._makeServicePolicy(service, plugin, installation)}));
       break;
     case "nodeService":
       //installLog.info(
@@ -832,6 +1488,12 @@ WebApp.prototype = {
             pluginContext.server.config.app, this.options.productCode);
         const dataserviceContext = new DataserviceContext(service, 
             serviceConfiguration, pluginContext);
+        if (service.isolation === 'process') {
+          router = yield this._startIsolatedService(service, plugin,
+              pluginContext, serviceConfiguration, installation);
+          break;
+        }
+        installation.dataserviceContexts.push(dataserviceContext);
         if (!service.routerFactory) {
           router = yield service.nodeModule(dataserviceContext);
           installLog.info("Loaded Router for plugin=" + plugin.identifier 
@@ -843,19 +1505,178 @@ WebApp.prototype = {
                           + plugin.identifier + ", service=" + service.name
                           + ". Factory="+service.routerFactory);
         }
+        zluxUtil.getOrInit(installation.dataserviceRouters, service.name, {})
+          [service.version] = router;
       }
       break;
     case "external":
 //      installLog.info(`${plugin.identifier}: installing external proxy at ${subUrl}`);
       router = this.makeExternalProxy(service.host, service.port,
           service.urlPrefix, service.isHttps,
-          undefined, plugin.identifier, service.name);
+          undefined, plugin.identifier, service.name,
+          this._makeServicePolicy(service, plugin, installation));
       break;
     }
     serviceRouterWithMiddleware.push(router);
     return serviceRouterWithMiddleware;
   },
   
+  /**
+   * The child process gets a copy of the plugin context: it must be plain
+   * data
+   */
+  _startIsolatedService: Promise.coroutine(function*(service, plugin,
+      pluginContext, serviceConfiguration, installation) {
+    const serviceDefinition = Object.assign({}, service);
+    delete serviceDefinition.nodeModule;
+    delete serviceDefinition.source;
+    const isolatedService = new IsolatedService({
+      pluginContext: {
+        pluginDef: plugin.exportDef(),
+        server: {
+          config: pluginContext.server.config
+        }
+      },
+      serviceDefinition,
+      serviceConfiguration,
+      modulePath: service.modulePath,
+      source: service.source
+    });
+    installLog.info(`${plugin.identifier}: starting isolated service `
+        + service.name);
+    yield isolatedService.start();
+    installation.isolatedServices.push(isolatedService);
+    return isolatedService.router();
+  }),
+
+  /**
+   * The health of the isolated dataservices of every installed plugin
+   */
+  getIsolatedServicesHealth() {
+    const health = [];
+    for (const installations of Object.values(this.pluginInstallations)) {
+      for (const installation of Object.values(installations)) {
+        for (const isolatedService of installation.isolatedServices) {
+          health.push(isolatedService.getHealth());
+        }
+      }
+    }
+    return health;
+  },
+
+  /**
+   * The timeout, retries and circuit breaker of a proxied or imported
+   * dataservice, or null. The breaker is kept with the installation, so that
+   * a reloaded plugin starts with a closed one
+   */
+  _makeServicePolicy(service, plugin, installation) {
+    const policy = resilience.makePolicy(service, {
+      plugin: plugin.identifier,
+      pluginVersion: plugin.pluginVersion,
+      service: service.name || service.localName,
+      version: service.version
+    });
+    if (policy) {
+      installation.resiliencePolicies.push(policy);
+    }
+    return policy;
+  },
+
+  _makeRootServicePolicy(rootService, name) {
+    resilience.validatePolicy(name, rootService);
+    const policy = resilience.makePolicy(rootService, {
+      service: name
+    });
+    if (policy) {
+      this.rootServicePolicies.push(policy);
+    }
+    return policy;
+  },
+
+  /**
+   * The rate limiter of a dataservice or root service, after the auth
+   * middleware so that requests are counted by user: none, or one. A
+   * service with a "rateLimit" of its own has buckets of its own
+   */
+  _makeServiceRateLimiters(service, pluginID, serviceName) {
+    const name = pluginID ? `${pluginID}:${serviceName}` : serviceName;
+    rateLimiter.validateRule(name, service.rateLimit);
+    const rule = rateLimiter.makeRule('services', this.rateLimits.services,
+        service.rateLimit);
+    if (!rule) {
+      return [];
+    }
+    return [rateLimiter.makeRateLimiter(rule, {
+      name: service.rateLimit ? name : 'services',
+      plugin: pluginID,
+      service: serviceName
+    })];
+  },
+
+  /**
+   * The CSRF check of a service, unless CSRF protection is off or the
+   * service has "csrfProtection": false: none, or one
+   */
+  _makeCsrfHandlers(service) {
+    if (!this.csrf || (service.csrfProtection === false)) {
+      return [];
+    }
+    return [this.csrf.verify];
+  },
+
+  /**
+   * The circuit breakers of the root services and of every installed plugin
+   */
+  getCircuitBreakerStatuses() {
+    const policies = this.rootServicePolicies.slice();
+    for (const installations of Object.values(this.pluginInstallations)) {
+      for (const installation of Object.values(installations)) {
+        policies.push(...installation.resiliencePolicies);
+      }
+    }
+    return policies.filter(policy => policy.circuitBreaker)
+      .map(policy => policy.circuitBreaker.getStatus());
+  },
+
+  /**
+   * Only routers and legacy node services of enabled plugins are called
+   * in process: the other services run somewhere else, and calling a
+   * disabled plugin over HTTP gets the right error. Imports with a timeout
+   * or circuit breaker go over HTTP too, so that it applies
+   */
+  _resolveInProcessRouter(plugin, service) {
+    let pluginId = plugin.identifier;
+    let pluginVersion = plugin.pluginVersion;
+    let serviceName = service.name;
+    let serviceVersion = service.version;
+    if (service.type === 'import') {
+      if (resilience.hasPolicy(service)) {
+        return null;
+      }
+      pluginId = service.sourcePlugin;
+      pluginVersion = service.sourcePluginVersion;
+      serviceName = service.sourceName;
+    }
+    if (this.disabledPlugins.has(pluginId)) {
+      return null;
+    }
+    const provider = this.plugins.find(p => (p.identifier === pluginId)
+        && ((pluginVersion === undefined) 
+            ? this._isDefaultVersion(pluginId, p.pluginVersion)
+            : (p.pluginVersion === pluginVersion)));
+    const group = provider && provider.dataServicesGrouped
+        && provider.dataServicesGrouped[serviceName];
+    const providerService = group && group.versions[serviceVersion];
+    if (!providerService || providerService.isolation
+        || !((providerService.type === 'router') 
+            || (providerService.type === 'nodeService'))) {
+      return null;
+    }
+    const serviceRouters = this._getServiceRouters(pluginId, pluginVersion);
+    const routers = serviceRouters && serviceRouters[serviceName];
+    return (routers && routers[serviceVersion]) || null;
+  },
+
   _makeServiceHandleMap(plugin, urlBase) {
     const serviceHandleMap = {};
     for (const group of zluxUtil.concatIterables(
@@ -868,7 +1689,8 @@ WebApp.prototype = {
       for (const version of Object.keys(group.versions)) {
         const service = group.versions[version];
         const subUrl = urlBase + zLuxUrl.makeServiceSubURL(service);
-        const handle = new WebServiceHandle(subUrl, this.wsEnvironment);
+        const handle = new WebServiceHandle(subUrl, this.wsEnvironment,
+            () => this._resolveInProcessRouter(plugin, service));
         versionHandles[version] = handle;
         if (version === group.highestVersion) {
           const defaultSubUrl = urlBase + zLuxUrl.makeServiceSubURL(service, true);
@@ -879,7 +1701,7 @@ WebApp.prototype = {
     return serviceHandleMap;
   },
   
-  _installDataServices: function*(pluginContext, urlBase) {
+  _installDataServices: function*(pluginContext, urlBase, installation) {
     const plugin = pluginContext.pluginDef;
     if (!plugin.dataServicesGrouped) {
       return;
@@ -894,10 +1716,7 @@ WebApp.prototype = {
       commonMiddleware.injectPluginDef(plugin),
       commonMiddleware.injectServiceHandles(serviceHandleMap),
     ];
-    let pluginRouters = this.routers[plugin.identifier];
-    if (!pluginRouters) {
-      pluginRouters = this.routers[plugin.identifier] = {};
-    }
+    const pluginRouters = installation.serviceRouters;
     for (const serviceName of Object.keys(plugin.dataServicesGrouped)) {
       installLog.info(`${plugin.identifier}: installing service ${serviceName}`)
       let serviceRouters = pluginRouters[serviceName];
@@ -907,22 +1726,56 @@ WebApp.prototype = {
       const group = plugin.dataServicesGrouped[serviceName];
       for (const version of Object.keys(group.versions)) {
         const service = group.versions[version];
-        const subUrl = urlBase + zLuxUrl.makeServiceSubURL(service);
-        const router = yield* this._makeRouter(service, plugin, pluginContext, 
-                                               pluginChain);
-        installLog.info(`${plugin.identifier}: installing router at ${subUrl}`);
-        this.pluginRouter.use(subUrl, router);
+        const subUrl = zLuxUrl.makeServiceSubURL(service);
+        const router = express.Router();
+        router.use(yield* this._makeRouter(service, plugin, pluginContext, 
+                                           pluginChain, installation));
+        installLog.info(`${plugin.identifier}: installing router at `
+            + urlBase + subUrl);
+        installation.pluginRoutes.use(subUrl, router);
         serviceRouters[version] = router;
         if (version === group.highestVersion) {
-          const defaultSubUrl = urlBase + zLuxUrl.makeServiceSubURL(service, true);
-          this.pluginRouter.use(defaultSubUrl, router);
+          const defaultSubUrl = zLuxUrl.makeServiceSubURL(service, true);
+          installation.pluginRoutes.use(defaultSubUrl, router);
           serviceRouters['_current'] = router;
         }
       }
     } 
   },
 
-  _resolveImports(plugin, urlBase) {
+  /**
+   * Imports are looked up on every request rather than bound once, so that
+   * reloading the provider doesn't leave the importers with stale routers
+   */
+  _makeImportHandler(importedService) {
+    return (req, res, next) => {
+      if (this.disabledPlugins.has(importedService.sourcePlugin)) {
+        res.status(503).json({
+          'error': 'plugin disabled',
+          'plugin': importedService.sourcePlugin,
+          'service': importedService.sourceName
+        });
+        return;
+      }
+      const providerRouters = this._getServiceRouters(
+          importedService.sourcePlugin, importedService.sourcePluginVersion);
+      const serviceRouters = providerRouters
+          && providerRouters[importedService.sourceName];
+      const importedRouter = serviceRouters
+          && serviceRouters[importedService.version];
+      if (!importedRouter) {
+        res.status(503).json({
+          'error': 'imported service unavailable',
+          'plugin': importedService.sourcePlugin,
+          'service': importedService.sourceName
+        });
+        return;
+      }
+      importedRouter(req, res, next);
+    };
+  },
+
+  _resolveImports(plugin, urlBase, installation) {
     if (!plugin.importsGrouped) {
       return;
     }
@@ -931,73 +1784,403 @@ WebApp.prototype = {
       const group = plugin.importsGrouped[localName];
       for (const version of Object.keys(group.versions)) {
         const importedService = group.versions[version];
-        const subUrl = urlBase 
-          + zLuxUrl.makeServiceSubURL(importedService);
-        const importedRouter = this.routers[importedService.sourcePlugin]
-          [importedService.sourceName][importedService.version];
-        if (!importedRouter) {
+        const subUrl = zLuxUrl.makeServiceSubURL(importedService);
+        const providerRouters = this._getServiceRouters(
+            importedService.sourcePlugin, importedService.sourcePluginVersion);
+        if (!(providerRouters && providerRouters[importedService.sourceName]
+            && providerRouters[importedService.sourceName]
+                [importedService.version])) {
           throw new Error(
             `Import ${importedService.sourcePlugin}:${importedService.sourceName}`
             + " can't be satisfied");
         }
+        const importHandler = [this._makeImportHandler(importedService)];
+        const policy = this._makeServicePolicy(importedService, plugin,
+            installation);
+        if (policy) {
+          importHandler.unshift(resilience.makeGuard(policy, {
+            plugin: plugin.identifier,
+            service: localName
+          }));
+        }
         installLog.info(`${plugin.identifier}: installing import`
            + ` ${importedService.sourcePlugin}:${importedService.sourceName}`
-           + ` at ${subUrl}`);
-        this.pluginRouter.use(subUrl, importedRouter);
+           + ` at ${urlBase}${subUrl}`);
+        installation.pluginRoutes.use(subUrl, importHandler);
         if (version === group.highestVersion) {
-          const defaultSubUrl = urlBase 
-              + zLuxUrl.makeServiceSubURL(importedService, true);
-          this.pluginRouter.use(defaultSubUrl, importedRouter);
+          const defaultSubUrl = zLuxUrl.makeServiceSubURL(importedService, true);
+          installation.pluginRoutes.use(defaultSubUrl, importHandler);
         }
       }
     }
   },
 
-  _installPluginStaticHandlers(plugin, urlBase) {
+  _installPluginStaticHandlers(plugin, urlBase, installation) {
     installLog.info(`${plugin.identifier}: installing static file handlers...`);
     if (plugin.webContent && plugin.location) {
-      let url = `${urlBase}/web`;
-      installLog.info(`${plugin.identifier}: serving static files at ${url}`);
-      this.pluginRouter.use(url, expressStaticGzip(path.join(plugin.location, '/web'),
+      installLog.info(`${plugin.identifier}: serving static files at `
+          + `${urlBase}/web`);
+      installation.pluginRoutes.use('/web', expressStaticGzip(path.join(plugin.location, '/web'),
                                                    {enableBrotli: true, orderPreference: ['br', 'gzip']}));
     }
     if (plugin.pluginType === "library") {
       let url = `/lib/${plugin.identifier}/${plugin.libraryVersion}`;
       installLog.info(`${plugin.identifier}: serving library files at ${url}`);
-      this.pluginRouter.use(url, express.static(plugin.location));
+      installation.router.use(url, express.static(plugin.location));
     }
   },
   
-  _installSwaggerCatalog(plugin, urlBase) {
-    const openApi = plugin.getApiCatalog(this.options.productCode);
+  _installSwaggerCatalog(plugin, urlBase, installation) {
+    const openApi = plugin.getApiCatalog(this.options.productCode,
+        installation.dataserviceRouters);
+    installation.apiCatalog = openApi;
     const router = express.Router();
     router.get("/", (req, res) => {
       res.status(200).json(openApi);
     });
-    this.pluginRouter.use(zLuxUrl.join(urlBase, '/catalogs/swagger'),
-        router);
+    installation.pluginRoutes.use('/catalogs/swagger', router);
+  },
+
+  /**
+   * The catalogs of the enabled plugins and the root services in one
+   * document. A version of a plugin that isn't the default one is listed 
+   * under its versioned URL, with its version in its name
+   */
+  getServerCatalog() {
+    if (this.serverCatalog) {
+      return this.serverCatalog;
+    }
+    const entries = [];
+    for (const plugin of this.plugins) {
+      const installations = this.pluginInstallations[plugin.identifier];
+      const installation = installations 
+          && installations[plugin.pluginVersion];
+      if (!(installation && installation.apiCatalog)
+          || this.disabledPlugins.has(plugin.identifier)) {
+        continue;
+      }
+      const isDefault = this._isDefaultVersion(plugin.identifier,
+          plugin.pluginVersion);
+      entries.push({
+        name: isDefault ? plugin.identifier 
+          : zluxUtil.pluginKey(plugin.identifier, plugin.pluginVersion),
+        url: zLuxUrl.makePluginURL(this.options.productCode, plugin.identifier,
+            isDefault ? undefined : plugin.pluginVersion),
+        catalog: installation.apiCatalog
+      });
+    }
+    this.serverCatalog = makeSwaggerCatalog.makeServerCatalog(
+        this.options.productCode, entries, this.options.rootServices);
+    return this.serverCatalog;
   },
 
   injectPluginRouter() {
     this.expressApp.use(this.pluginRouter);
   },
-  
-  installPlugin: Promise.coroutine(function*(pluginContext) {
+
+  /**
+   * Builds everything a plugin serves on a router of its own, which is not yet
+   * reachable. Mounting it is a separate step so that a reload can replace the
+   * previous router in one go.
+   *
+   * Each version of a plugin is served under its versioned URL. The default
+   * version is also served under the unversioned one
+   */
+  _makePluginInstallation: function*(pluginContext) {
     const plugin = pluginContext.pluginDef;
     const urlBase = zLuxUrl.makePluginURL(this.options.productCode, 
-        plugin.identifier);
+        plugin.identifier, plugin.pluginVersion);
+    const installation = {
+      router: express.Router(),
+      //what is served under the plugin URL, with paths relative to it
+      pluginRoutes: express.Router(),
+      layer: null,
+      serviceRouters: {},
+      dataserviceContexts: [],
+      //what the router factories returned, for the catalog
+      dataserviceRouters: {},
+      isolatedServices: [],
+      resiliencePolicies: []
+    };
+    const disabledGate = this._makeDisabledPluginGate(plugin.identifier);
+    installation.router.use(`/lib/${plugin.identifier}`, disabledGate);
+    //dataservices load first since in case of error, we want to skip the rest of the plugin load
     try {
-      //dataservices load first since in case of error, we want to skip the rest of the plugin load
-      yield *this._installDataServices(pluginContext, urlBase);
-      this._installSwaggerCatalog(plugin, urlBase);
-      this._installPluginStaticHandlers(plugin, urlBase);      
+      yield *this._installDataServices(pluginContext, urlBase, installation);
+      this._installSwaggerCatalog(plugin, urlBase, installation);
+      this._installPluginStaticHandlers(plugin, urlBase, installation);
+      this._resolveImports(plugin, urlBase, installation);
     } catch (e) {
-      //index.js listens and logs, so dont log twice here
-      //throw so that plugin isnt pushed to list if there's something wrong with it
+      //isolated services started before the failure must not linger
+      yield this._teardownPluginInstallation(installation);
       throw e;
     }
-    this._resolveImports(plugin, urlBase);
+    installation.router.use(urlBase, disabledGate, installation.pluginRoutes);
+    if (plugin.pluginVersion) {
+      const defaultUrlBase = zLuxUrl.makePluginURL(this.options.productCode,
+          plugin.identifier);
+      installation.router.use(defaultUrlBase, disabledGate, (req, res, next) => {
+        if (this._isDefaultVersion(plugin.identifier, plugin.pluginVersion)) {
+          installation.pluginRoutes(req, res, next);
+        } else {
+          next();
+        }
+      });
+    }
+    return installation;
+  },
+
+  _getDefaultPluginVersions() {
+    const nodeConfig = this.options.serverConfig.node;
+    return nodeConfig? nodeConfig.defaultPluginVersions : null;
+  },
+
+  /**
+   * True if the given version is the one served at the unversioned plugin URL
+   */
+  _isDefaultVersion(identifier, pluginVersion) {
+    const installations = this.pluginInstallations[identifier];
+    if (!installations) {
+      return false;
+    }
+    return zluxUtil.pickDefaultPluginVersion(identifier, 
+        Object.keys(installations), this._getDefaultPluginVersions()) 
+      === String(pluginVersion);
+  },
+
+  /**
+   * The service routers of a plugin version, or of its default version
+   */
+  _getServiceRouters(identifier, pluginVersion) {
+    const versions = this.routers[identifier];
+    if (!versions) {
+      return undefined;
+    }
+    if (pluginVersion === undefined) {
+      pluginVersion = zluxUtil.pickDefaultPluginVersion(identifier,
+          Object.keys(versions), this._getDefaultPluginVersions());
+    }
+    return versions[pluginVersion];
+  },
+
+  _makeDisabledPluginGate(identifier) {
+    return (req, res, next) => {
+      if (!this.disabledPlugins.has(identifier)) {
+        next();
+        return;
+      }
+      res.status(503).json({
+        'error': 'plugin disabled',
+        'plugin': identifier
+      });
+    };
+  },
+
+  /**
+   * A disabled plugin stays installed, but its routes respond with 503 and it
+   * is not listed by /plugins
+   */
+  setPluginEnabled(identifier, enabled) {
+    installLog.info(`${identifier}: ${enabled? 'enabled' : 'disabled'}`);
+    if (enabled) {
+      this.disabledPlugins.delete(identifier);
+    } else {
+      this.disabledPlugins.add(identifier);
+    }
+    this.serverCatalog = null;
+  },
+
+  _addEnablementToStatus(status) {
+    return Object.assign({}, status, {
+      enabled: !this.disabledPlugins.has(status.identifier)
+    });
+  },
+
+  /**
+   * Takes the place of `previous`, if given
+   */
+  _mountPluginInstallation(plugin, installation, previous) {
+    const stack = this.pluginRouter.stack;
+    this.pluginRouter.use(installation.router);
+    installation.layer = stack.pop();
+    const index = previous ? stack.indexOf(previous.layer) : -1;
+    if (index !== -1) {
+      stack[index] = installation.layer;
+    } else {
+      stack.push(installation.layer);
+    }
+    zluxUtil.getOrInit(this.pluginInstallations, plugin.identifier, {})
+      [plugin.pluginVersion] = installation;
+    zluxUtil.getOrInit(this.routers, plugin.identifier, {})
+      [plugin.pluginVersion] = installation.serviceRouters;
+  },
+
+  _unmountPluginInstallation(identifier, pluginVersion) {
+    const installations = this.pluginInstallations[identifier];
+    const installation = installations[pluginVersion];
+    const stack = this.pluginRouter.stack;
+    stack.splice(stack.indexOf(installation.layer), 1);
+    delete installations[pluginVersion];
+    delete this.routers[identifier][pluginVersion];
+    if (Object.keys(installations).length == 0) {
+      delete this.pluginInstallations[identifier];
+      delete this.routers[identifier];
+    }
+  },
+
+  /**
+   * Gives router dataservices a chance to release their resources. A
+   * dataservice module opts in by exporting `teardown(dataserviceContext)`,
+   * which may return a promise
+   */
+  _teardownPluginInstallation: Promise.coroutine(function*(installation) {
+    for (const isolatedService of installation.isolatedServices) {
+      yield isolatedService.stop();
+    }
+    for (const context of installation.dataserviceContexts) {
+      const service = context.serviceDefinition;
+      if (typeof service.nodeModule.teardown !== 'function') {
+        continue;
+      }
+      try {
+        yield service.nodeModule.teardown(context);
+      } catch (e) {
+        installLog.warn(`${context.plugin.pluginDef.identifier}: teardown of `
+            + `service ${service.name} failed: ${e.message}`);
+      }
+    }
+  }),
+
+  /**
+   * Forgets what _makePluginInstallation() recorded outside of the
+   * installations, for the services that no installed version of the plugin
+   * has
+   */
+  _forgetPluginState(identifier) {
+    const installed = this.plugins.filter(p => p.identifier === identifier);
+    if (installed.length == 0) {
+      delete this.authServiceHandleMaps[identifier];
+    }
+    const serviceNames = new Set();
+    for (const plugin of installed) {
+      Object.keys(plugin.dataServicesGrouped || {})
+        .forEach(name => serviceNames.add(name));
+    }
+    for (const key of Array.from(proxyMap.keys())) {
+      if (key.startsWith(identifier + ":")
+          && !serviceNames.has(key.substring(identifier.length + 1))) {
+        proxyMap.delete(key);
+      }
+    }
+  },
+
+  _savePluginState(identifier) {
+    return {
+      authServiceHandleMap: this.authServiceHandleMaps[identifier],
+      proxies: Array.from(proxyMap.entries())
+        .filter(([key]) => key.startsWith(identifier + ":"))
+    };
+  },
+
+  /**
+   * Undoes what a failed _makePluginInstallation() recorded
+   */
+  _restorePluginState(identifier, state) {
+    for (const key of Array.from(proxyMap.keys())) {
+      if (key.startsWith(identifier + ":")) {
+        proxyMap.delete(key);
+      }
+    }
+    for (const [key, proxy] of state.proxies) {
+      proxyMap.set(key, proxy);
+    }
+    if (state.authServiceHandleMap) {
+      this.authServiceHandleMaps[identifier] = state.authServiceHandleMap;
+    } else {
+      delete this.authServiceHandleMaps[identifier];
+    }
+  },
+  
+  _findPluginIndex(identifier, pluginVersion) {
+    return this.plugins.findIndex(p => (p.identifier === identifier)
+        && (String(p.pluginVersion) === String(pluginVersion)));
+  },
+
+  installPlugin: Promise.coroutine(function*(pluginContext) {
+    const plugin = pluginContext.pluginDef;
+    //index.js listens and logs, so dont log twice here. If something's wrong,
+    //the plugin isn't mounted or pushed to the list
+    const installation = yield* this._makePluginInstallation(pluginContext);
+    this._mountPluginInstallation(plugin, installation);
     this.plugins.push(plugin);
+    this.serverCatalog = null;
+  }),
+
+  /**
+   * Installs a new instance of an already installed plugin version. The old
+   * routes keep serving until the new ones are ready, and go on serving if
+   * the new instance can't be installed. `previousVersion` is the version
+   * replaced, if the new instance has a different one
+   */
+  reinstallPlugin: Promise.coroutine(function*(pluginContext, previousVersion) {
+    const plugin = pluginContext.pluginDef;
+    if (previousVersion === undefined) {
+      previousVersion = plugin.pluginVersion;
+    }
+    const installations = this.pluginInstallations[plugin.identifier];
+    const previous = installations && installations[previousVersion];
+    const savedState = this._savePluginState(plugin.identifier);
+    let installation;
+    try {
+      installation = yield* this._makePluginInstallation(pluginContext);
+    } catch (e) {
+      this._restorePluginState(plugin.identifier, savedState);
+      throw e;
+    }
+    this._mountPluginInstallation(plugin, installation, previous);
+    if (previous && (String(previousVersion) !== String(plugin.pluginVersion))) {
+      delete installations[previousVersion];
+      delete this.routers[plugin.identifier][previousVersion];
+    }
+    const index = this._findPluginIndex(plugin.identifier, previousVersion);
+    if (index !== -1) {
+      this.plugins[index] = plugin;
+    } else {
+      this.plugins.push(plugin);
+    }
+    //what only the replaced instance had
+    this._forgetPluginState(plugin.identifier);
+    this.serverCatalog = null;
+    if (previous) {
+      yield this._teardownPluginInstallation(previous);
+    }
+  }),
+
+  /**
+   * Without a version, uninstalls every version of the plugin
+   */
+  uninstallPlugin: Promise.coroutine(function*(identifier, pluginVersion) {
+    const installations = this.pluginInstallations[identifier];
+    if (!installations) {
+      return;
+    }
+    const versions = (pluginVersion === undefined)? Object.keys(installations)
+      : [pluginVersion].filter(v => installations[v]);
+    for (const version of versions) {
+      const installation = installations[version];
+      installLog.info(`${identifier}@${version}: uninstalling`);
+      this._unmountPluginInstallation(identifier, version);
+      const index = this._findPluginIndex(identifier, version);
+      if (index !== -1) {
+        this.plugins.splice(index, 1);
+      }
+      this.serverCatalog = null;
+      yield this._teardownPluginInstallation(installation);
+    }
+    this._forgetPluginState(identifier);
+    if (!this.pluginInstallations[identifier]) {
+      this.disabledPlugins.delete(identifier);
+    }
   }),
 
   installErrorHanders() {
@@ -1046,6 +2229,9 @@ WebApp.prototype = {
   }
 };
 
+module.exports.DataserviceContext = DataserviceContext;
+module.exports.WebServiceHandle = WebServiceHandle;
+
 module.exports.makeWebApp = function (options) {
   const webApp = new WebApp(options);
   webApp.installCommonMiddleware();
@@ -11,9 +11,14 @@
 const Promise = require('bluebird');
 const util = require('./util');
 const UNP = require('./unp-constants');
+const loginLockout = require('./login-lockout');
+const tokenAuthentication = require('./token-auth');
+const apiKeys = require('./api-keys');
 
 const authLogger = util.loggers.authLogger;
+const auditLogger = util.loggers.auditLogger;
 const REASON_ZLUX_SESSION_EXPIRE = 'ZLUXSessionExp';
+const REASON_LOCKED_OUT = 'LockedOut';
 
 //It is not enough for an auth to not return an expiration value, or 0. It must be explicit
 const TIMEOUT_VALUE_NO_EXPIRE = -1;
@@ -37,7 +42,14 @@ function getAuthHandler(req, authManager) {
   return authManager.getBestAuthenticationHandler(null);
 }
 
+/*
+ * A request with a bearer token has the auth plugin sessions of the token, in
+ * req.tokenAuth, rather than those of its cookie session
+ */
 function getAuthPluginSession(req, pluginID, dflt) {
+  if (req.tokenAuth) {
+    return req.tokenAuth.authPlugins[pluginID] || dflt;
+  }
   if (req.session && req.session.authPlugins) {
     let value = req.session.authPlugins[pluginID];
     if (value) {
@@ -48,7 +60,9 @@ function getAuthPluginSession(req, pluginID, dflt) {
 }
 
 function setAuthPluginSession(req, pluginID, authPluginSession) {
-  if (req.session) {
+  if (req.tokenAuth) {
+    req.tokenAuth.authPlugins[pluginID] = authPluginSession;
+  } else if (req.session) {
     // FIXME Note that it does something only when req.session.authPlugins[pluginID] is 
     // undefined. Otherwise it does nothing (see getAuthPluginSession()) 
     // -- don't get confused
@@ -61,6 +75,30 @@ function setAuthPluginSession(req, pluginID, authPluginSession) {
   }
 }
 
+/*
+ * The state of a login that an auth plugin started by sending the browser to
+ * another site, to be ended when the browser comes back. It's kept in the
+ * browser session, even when a token is asked for
+ */
+function getStartedLogin(req, handler) {
+  const authPluginSession = req.session && req.session.authPlugins
+    && req.session.authPlugins[handler.pluginID];
+  if (authPluginSession
+      && !handler.getStatus(authPluginSession).authenticated) {
+    return authPluginSession;
+  }
+  return null;
+}
+
+function setStartedLogin(req, pluginID, authPluginSession) {
+  if (req.session) {
+    if (!req.session.authPlugins) {
+      req.session.authPlugins = {};
+    }
+    req.session.authPlugins[pluginID] = authPluginSession;
+  }
+}
+
 function getRelevantHandlers(authManager, body) {
   let handlers = authManager.getAllHandlers();
   if (body && body.categories) {
@@ -158,10 +196,243 @@ StatusResponse.prototype = {
 const SESSION_ACTION_TYPE_AUTHENTICATE = 1;
 const SESSION_ACTION_TYPE_REFRESH = 2;
 
+const lockoutStore = loginLockout.lockoutStore;
+const checkLockout = Promise.promisify(lockoutStore.check, 
+    {context: lockoutStore});
+const recordLoginFailure = Promise.promisify(lockoutStore.recordFailure, 
+    {context: lockoutStore});
+const recordLoginSuccess = Promise.promisify(lockoutStore.recordSuccess, 
+    {context: lockoutStore});
+const listLockouts = Promise.promisify(lockoutStore.list, 
+    {context: lockoutStore});
+const clearLockouts = Promise.promisify(lockoutStore.clear, 
+    {context: lockoutStore});
+
+function describeClient(req) {
+  return `${req.ip || (req.connection && req.connection.remoteAddress)}`;
+}
+
+/*
+ * Lockouts apply before any auth plugin is asked: a locked out login gets a
+ * 429, whatever its credentials. When the lockouts can't be checked, say 
+ * in a cluster whose master doesn't answer, logins go on as if there were
+ * none
+ */
+const checkLoginAllowed = Promise.coroutine(function*(req, res, keys) {
+  let status;
+  try {
+    status = yield checkLockout(keys);
+  } catch (e) {
+    authLogger.warn(`Login lockouts not checked: ${e.message}`);
+    return true;
+  }
+  if (!status.locked) {
+    return true;
+  }
+  auditLogger.warn(`Login refused, locked out: ${keys.join(', ')}, `
+                   + `from ${describeClient(req)}`);
+  res.set('Retry-After', String(Math.ceil(status.retryAfterMs / 1000)));
+  res.status(429).json({
+    success: false,
+    reason: REASON_LOCKED_OUT,
+    retryAfterMs: status.retryAfterMs
+  });
+  return false;
+});
+
+/*
+ * Counts a login, and holds the answer to a failed one for as long as the
+ * rule says
+ */
+const recordLoginResult = Promise.coroutine(function*(req, rule, keys,
+    success) {
+  try {
+    if (success) {
+      yield recordLoginSuccess(keys);
+      return;
+    }
+    const failure = yield recordLoginFailure(keys, rule);
+    for (const key of failure.locked) {
+      auditLogger.warn(`Locked out ${key} for ${rule.lockoutMs}ms after `
+                       + `${rule.maxFailures} failed logins, the last one from `
+                       + describeClient(req));
+    }
+    const delay = loginLockout.getFailureDelay(rule, failure.failures);
+    if (delay > 0) {
+      yield Promise.delay(delay);
+    }
+  } catch (e) {
+    authLogger.warn(`Login not counted for lockouts: ${e.message}`);
+  }
+});
+
 /*
  * Assumes req.session is there and behaves as it should
  */
 module.exports = function(authManager) {
+  const lockoutRule = loginLockout.makeRule(authManager.config
+      ? authManager.config.lockout : null);
+  const tokenAuth = tokenAuthentication.makeTokenAuth(authManager.config
+      ? authManager.config.jwt : null);
+  const apiKeyAuth = apiKeys.makeApiKeyAuth(authManager.config
+      ? authManager.config.apiKeys : null);
+
+  /*
+   * Answers 403 unless the user is one of the admins of the lockout config
+   */
+  function checkLockoutAdmin(req, res) {
+    if (lockoutRule && req.username
+        && lockoutRule.admins.includes(req.username)) {
+      return true;
+    }
+    auditLogger.warn(`${req.username || 'Unknown user'} from `
+                     + `${describeClient(req)} refused access to lockouts`);
+    res.status(403).json({ error: 'only lockout admins may do this' });
+    return false;
+  }
+
+  /*
+   * Resolves with the claims of the bearer token of a request, null if it
+   * has none, or rejects if it isn't valid
+   */
+  const getTokenClaims = Promise.coroutine(function*(req) {
+    const token = tokenAuth ? tokenAuthentication.getBearerToken(req) : null;
+    if (!token) {
+      return null;
+    }
+    return yield tokenAuth.verify(token);
+  });
+
+  const sendInvalidToken = function(res, e) {
+    authLogger.debug(`Bearer token refused: ${e.message}`);
+    res.status(401).json({
+      error: 'invalid token',
+      reason: e.reason
+    });
+  };
+
+  /*
+   * Sets req.tokenAuth for a request with a bearer token or an API key, and
+   * resolves with false if it had to answer the request instead, because
+   * the token or key isn't valid. req.tokenAuth.header is the header that
+   * has it
+   */
+  const authenticateToken = Promise.coroutine(function*(req, res) {
+    let claims;
+    try {
+      claims = yield getTokenClaims(req);
+    } catch (e) {
+      sendInvalidToken(res, e);
+      return false;
+    }
+    if (claims) {
+      req.tokenAuth = { claims, authPlugins: claims.authPlugins,
+                        header: 'authorization' };
+      return true;
+    }
+    const key = apiKeyAuth ? req.headers[apiKeyAuth.headerName] : null;
+    if (!key) {
+      return true;
+    }
+    let verified;
+    try {
+      verified = yield apiKeyAuth.verify(key);
+    } catch (e) {
+      authLogger.debug(`API key refused: ${e.message}`);
+      res.status(e.status || 500).json({
+        error: 'invalid API key',
+        reason: e.message
+      });
+      return false;
+    }
+    const appData = req[`${UNP.APP_NAME}Data`];
+    const pluginDef = appData.plugin ? appData.plugin.def : null;
+    const serviceDef = appData.service ? appData.service.def : null;
+    if (!apiKeyAuth.inScope(verified.scopes,
+        pluginDef ? pluginDef.identifier : null,
+        serviceDef ? (serviceDef.name || serviceDef.localName) : null)) {
+      res.status(403).json({
+        error: 'out of the scopes of the API key',
+        apiKey: verified.apiKey.name
+      });
+      return false;
+    }
+    req.tokenAuth = { claims: null, apiKey: verified.apiKey,
+                      authPlugins: verified.authPlugins,
+                      header: apiKeyAuth.headerName };
+    req.username = verified.owner;
+    return true;
+  });
+
+  /*
+   * Keys are minted by a user who logged in, from the auth plugin sessions
+   * of that login, and not from another key
+   */
+  const getApiKeyOwner = function(req, res) {
+    if (req.tokenAuth && req.tokenAuth.apiKey) {
+      res.status(403).json({error: 'API keys can\'t be managed with an API key'});
+      return null;
+    }
+    if (!req.username) {
+      res.status(403).json({error: 'API keys need a user'});
+      return null;
+    }
+    return req.username;
+  };
+
+  const sendApiKeyError = function(res, e) {
+    if (e.status) {
+      res.status(e.status).json({error: e.message});
+    } else {
+      authLogger.warn(e);
+      res.status(500).json({error: e.message});
+    }
+  };
+
+  const apiKeyHandlers = apiKeyAuth ? {
+    list(req, res) {
+      const owner = getApiKeyOwner(req, res);
+      if (!owner) {
+        return;
+      }
+      return apiKeyAuth.list(owner).then(keys => {
+        res.status(200).json({ apiKeys: keys });
+      }, e => sendApiKeyError(res, e));
+    },
+
+    create(req, res) {
+      const owner = getApiKeyOwner(req, res);
+      if (!owner) {
+        return;
+      }
+      const authPlugins = req.tokenAuth ? req.tokenAuth.authPlugins
+          : req.session.authPlugins;
+      return apiKeyAuth.create(owner, authPlugins || {}, req.body || {})
+        .then(created => {
+          auditLogger.info(`${owner} from ${describeClient(req)} created API `
+                           + `key ${created.apiKey.id} (${created.apiKey.name}) `
+                           + `for ${created.apiKey.scopes.join(', ')}`);
+          res.status(201).json(created);
+        }, e => sendApiKeyError(res, e));
+    },
+
+    revoke(req, res) {
+      const owner = getApiKeyOwner(req, res);
+      if (!owner) {
+        return;
+      }
+      return apiKeyAuth.revoke(owner, req.params.id).then(removed => {
+        if (!removed) {
+          res.status(404).json({error: `no API key ${req.params.id}`});
+          return;
+        }
+        auditLogger.info(`${owner} from ${describeClient(req)} revoked API `
+                         + `key ${req.params.id}`);
+        res.status(204).end();
+      }, e => sendApiKeyError(res, e));
+    }
+  } : null;
+
   const _authenticateOrRefresh = Promise.coroutine(function*(req, res, type) {
     let functionName;
     if (type == SESSION_ACTION_TYPE_AUTHENTICATE) {
@@ -174,15 +445,38 @@ module.exports = function(authManager) {
     }
     
     try {
+      let lockoutKeys = null;
+      if (lockoutRule && (type == SESSION_ACTION_TYPE_AUTHENTICATE)) {
+        lockoutKeys = loginLockout.getLoginKeys(req, lockoutRule);
+        if (!(yield checkLoginAllowed(req, res, lockoutKeys))) {
+          return;
+        }
+      }
+      //the auth plugin sessions go into the token instead of the session
+      const issueToken = !!(tokenAuth && req.body && req.body.issueToken === true
+          && (type == SESSION_ACTION_TYPE_AUTHENTICATE));
+      if (issueToken) {
+        req.tokenAuth = { claims: null, authPlugins: {} };
+      }
       const result = new LoginResult();
       const handlers = getRelevantHandlers(authManager, req.body);
       const authServiceHandleMaps = 
             req[`${UNP.APP_NAME}Data`].webApp.authServiceHandleMaps;
 
       const timeout = req.session.zlux ? req.session.zlux.expirationTime : 0;
+      //a plugin that sends the user to another site to log in has not
+      //checked credentials yet, so a login is only left out of the lockout
+      //count when every plugin that failed did that
+      let failures = 0;
+      let redirects = 0;
+      //who the first plugin that let the user in says it is
+      let authenticatedUsername = null;
       for (const handler of handlers) {
         const pluginID = handler.pluginID;
-        const authPluginSession = getAuthPluginSession(req, pluginID, {});
+        const startedLogin = (type == SESSION_ACTION_TYPE_AUTHENTICATE)
+          ? getStartedLogin(req, handler) : null;
+        const authPluginSession = startedLogin
+          || getAuthPluginSession(req, pluginID, {});
         req[`${UNP.APP_NAME}Data`].plugin.services = 
           authServiceHandleMaps[pluginID];
         const wasAuthenticated = handler.getStatus(authPluginSession).authenticated;
@@ -204,17 +498,45 @@ module.exports = function(authManager) {
                           + `handler ${pluginID}. Plugin response: ` + JSON.stringify(handlerResult));
         }          
         //do not modify session if not authenticated or deauthenticated
-        if (wasAuthenticated || handlerResult.success) {
-          setAuthPluginSession(req, pluginID, authPluginSession);
+        if (handlerResult.authorizationUrl) {
+          setStartedLogin(req, pluginID, authPluginSession);
+        } else {
+          if (startedLogin && (issueToken || !handlerResult.success)) {
+            delete req.session.authPlugins[pluginID];
+          }
+          if (wasAuthenticated || handlerResult.success) {
+            setAuthPluginSession(req, pluginID, authPluginSession);
+          }
+        }
+        if (handlerResult.success && !authenticatedUsername
+            && (typeof handlerResult.username === 'string')) {
+          authenticatedUsername = handlerResult.username;
+        }
+        if (!handlerResult.success) {
+          failures++;
+          if (handlerResult.authorizationUrl) {
+            redirects++;
+          }
         }
         result.addHandlerResult(handlerResult, handler);
       }
       
       result.updateStatus(authManager.sessionTimeoutMs);
-      if (result.expms !== TIMEOUT_VALUE_NO_EXPIRE) {
+      if (issueToken) {
+        if (result.success) {
+          result.token = tokenAuth.issue(req.tokenAuth.authPlugins,
+              authenticatedUsername || ((typeof req.body.username === 'string')
+                                        ? req.body.username : null),
+              (result.expms !== TIMEOUT_VALUE_NO_EXPIRE) ? result.expms : 0);
+        }
+      } else if (result.expms !== TIMEOUT_VALUE_NO_EXPIRE) {
         initZLUXSession(req);
         req.session.zlux.expirationTime = Date.now() + result.expms;
       }
+      const onlyRedirected = (failures > 0) && (redirects === failures);
+      if (lockoutKeys && (result.success || !onlyRedirected)) {
+        yield recordLoginResult(req, lockoutRule, lockoutKeys, result.success);
+      }
       
       res.status(result.success? 200 : 401).json(result);
     } catch (e) {
@@ -226,6 +548,9 @@ module.exports = function(authManager) {
 
   
   return {
+
+    //null unless API keys are enabled
+    apiKeyHandlers,
     
     addProxyAuthorizations(req1, req2Options) {
       const handler = getAuthHandler(req1, authManager);
@@ -262,9 +587,55 @@ module.exports = function(authManager) {
     doLogin(req, res) {
       return _authenticateOrRefresh(req,res,SESSION_ACTION_TYPE_AUTHENTICATE);
     },
+
+    /*
+     * The usernames and client IPs that are locked out, for lockout admins
+     */
+    listLockouts(req, res) {
+      if (!checkLockoutAdmin(req, res)) {
+        return Promise.resolve();
+      }
+      return listLockouts().then(lockouts => {
+        res.status(200).json({ lockouts });
+      }, e => {
+        res.status(500).json({ error: e.message });
+      });
+    },
+
+    /*
+     * Lifts the lockouts of ?username= and ?ip=, or all of them, for lockout
+     * admins
+     */
+    clearLockouts(req, res) {
+      if (!checkLockoutAdmin(req, res)) {
+        return Promise.resolve();
+      }
+      const filter = {
+        username: req.query.username,
+        ip: req.query.ip
+      };
+      return clearLockouts(filter).then(cleared => {
+        auditLogger.info(`${req.username || 'Unknown user'} from `
+                         + `${describeClient(req)} lifted lockouts: `
+                         + (cleared.length ? cleared.join(', ') : 'none'));
+        res.status(200).json({ cleared });
+      }, e => {
+        res.status(500).json({ error: e.message });
+      });
+    },
     
     doLogout(req, res) {
-      //FIXME XSRF
+      if (tokenAuth && tokenAuthentication.getBearerToken(req)) {
+        return getTokenClaims(req).then(claims => {
+          return tokenAuth.revoke(claims).then(() => {
+            authLogger.debug(`Bearer token ${claims.jti} revoked`);
+            res.status(200).send('');
+          });
+        }, e => sendInvalidToken(res, e)).catch(e => {
+          authLogger.warn(e);
+          res.status(500).send(e.message);
+        });
+      }
       const handlers = getRelevantHandlers(authManager, req.body);
       for (const handler of handlers) {
         const pluginID = handler.pluginID;
@@ -300,9 +671,13 @@ module.exports = function(authManager) {
           return;
         }
         const authPluginID = handler.pluginID;
+        if (!(yield authenticateToken(req, res))) {
+          return;
+        }
         let result;
         const timeout = req.session.zlux ? req.session.zlux.expirationTime : 0;
-        if (authManager.sessionTimeoutMs !== TIMEOUT_VALUE_NO_EXPIRE
+        //a token expires by itself
+        if (!req.tokenAuth && authManager.sessionTimeoutMs !== TIMEOUT_VALUE_NO_EXPIRE
             && (!timeout || timeout < Date.now())) {
           req.session.zlux = undefined;
           result = {authenticated:false, authorized: false};
@@ -344,6 +719,7 @@ module.exports = function(authManager) {
     
   }
 };
+module.exports.getAuthPluginSession = getAuthPluginSession;
 
 
 /*
@@ -12,170 +12,336 @@
 
 'use strict';
 const fs = require('fs');
-var jsonUtils = require('../../../lib/jsonUtils.js');
+const path = require('path');
+const crypto = require('crypto');
+const Promise = require('bluebird');
+const jsonUtils = require('../../../lib/jsonUtils.js');
 const encryption = require('../../../lib/encryption.js');
+const zluxUtil = require('../../../lib/util');
 const internalKey = "kGk3CfvnbqkIEyPEnrNe6fDllVByfneolThLZ47PRwgKLB";
 
+const USERNAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._@-]{0,63}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const DEFAULT_PRODUCT_CODE = 'ZLUX';
+
 /*
-TODO: have an encrypted or unencrypted config file for specifying the priviledges of users
-userRoles.json
+The plugin configuration says what users may do, in three files:
+
+userRoles.json, the roles of each user
+{
+  "mike": ["instanceAdmin", "scopeAdmin"]
+}
+
+resources.json, who may call a resource, whatever the method
 {
-  'mike': ['instanceAdmin','scopeAdmin']
+  "org.zowe.terminal.tn3270": { "roles": ["operator"], "users": ["mike"] }
 }
 
-Then have a file that defines these roles:
-roleDefinitions.json
+roleDefinitions.json, the methods a role may call a resource with
 {
-  'instanceAdmin' : {
-    instance: ['PUT', 'DELETE']
+  "instanceAdmin": {
+    "com.rs.internalAuth:users": ["GET", "POST", "PUT", "DELETE"]
   }
 }
+
+A resource is "*", a plugin identifier, or "<plugin identifier>:<service
+name>", and "*" in roles, users or methods means any. Roles assigned with the
+users service are written to userRoles.json in the instance scope of the
+plugin configuration.
 */
 
+function keyFromPassword(password, salt) {
+  return new Promise((resolve) => encryption.getKeyFromPassword(password, salt,
+      32, resolve));
+}
 
-function internalAuthenticator(pluginDef, pluginConf, serverConf) {
-  this.pluginDefinition = pluginDef;
-  this.serverConfiguration = serverConf;
-  if (pluginConf) {
-    this.pluginConfiguration = pluginConf;    
-    this.authConfig = {
-      userRoles: pluginConf.getContents(['userRoles.json']),
-      roleDefinitions: pluginConf.getContents(['roleDefinitions.json']),
-      resources: pluginConf.getContents(['resources.json'])
-    };
-  }
+function isValidUsername(username) {
+  return (typeof username === 'string') && USERNAME_PATTERN.test(username);
 }
 
-/*access requested is one of GET,PUT,POST,DELETE*/
-internalAuthenticator.prototype.authorized = function(override,userName,resourceName,success,failure) {
-  if (userName) {
-    var userRoles = this.authConfig.userRoles[userName];
-    var resourceAccess = this.authConfig.resources[resourceName];
-    if (resourceAccess) {
-      let roles = resourceAccess.roles;
-      if (roles) {
-        //sort to optimize later
-        for (let i = 0; i < roles.length; i++) { 
-          if (roles[i] == '*') {
-            return success();
-          }
-          else if (userRoles) {
-            for (let j = 0; j < userRoles.length; j++) {
-              if (roles[i] == userRoles[j]) {
-                return success();
-              }
-            }
-          }
-        }
+function readJsonFile(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeJsonFile(file, contents) {
+  const temporaryFile = `${file}.${process.pid}.tmp`;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(temporaryFile, JSON.stringify(contents, null, 2),
+      { mode: 0o600 });
+  fs.renameSync(temporaryFile, file);
+}
+
+function makeError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * The users of a server, their passwords in their login.json, and the role
+ * configuration
+ */
+function UserStore(pluginID, pluginConf, serverConf, productCode) {
+  this.usersDir = serverConf.usersDir;
+  this.productCode = productCode;
+  this.rolesFile = path.join(serverConf.instanceDir || '', productCode,
+      'pluginStorage', pluginID, '_internal', 'plugin', 'userRoles.json');
+  const contents = (name) => (pluginConf ? pluginConf.getContents([name])
+    : null) || {};
+  this.configuredRoles = contents('userRoles.json');
+  this.roleDefinitions = contents('roleDefinitions.json');
+  this.resources = contents('resources.json');
+  this.userRoles = this.configuredRoles;
+  this.rolesFileTime = null;
+}
+UserStore.prototype = {
+  constructor: UserStore,
+
+  getLoginFile(username) {
+    return path.join(this.usersDir, username, this.productCode, 'account',
+        'login.json');
+  },
+
+  exists(username) {
+    return isValidUsername(username)
+      && fs.existsSync(this.getLoginFile(username));
+  },
+
+  listUsers() {
+    if (!fs.existsSync(this.usersDir)) {
+      return [];
+    }
+    return fs.readdirSync(this.usersDir).filter(name => this.exists(name))
+      .sort();
+  },
+
+  /**
+   * Resolves with true if the user has that password
+   */
+  checkPassword: Promise.coroutine(function*(username, password) {
+    if (!(this.exists(username) && (typeof password === 'string'))) {
+      return false;
+    }
+    const login = jsonUtils.parseJSONWithComments(
+        this.getLoginFile(username));
+    if (!(login && (login.username === username) && login.authentication
+          && login.iv && login.salt)) {
+      return false;
+    }
+    try {
+      const iv = encryption.decryptWithKey(login.iv, internalKey);
+      const salt = encryption.decryptWithKey(login.salt, internalKey);
+      const key = yield keyFromPassword(password, salt);
+      return encryption.decryptWithKeyAndIV(login.authentication, key, iv)
+        === password;
+    } catch (e) {
+      return false;
+    }
+  }),
+
+  /**
+   * Writes the login.json of a user, which is created if it isn't there
+   */
+  setPassword: Promise.coroutine(function*(username, password) {
+    if (!isValidUsername(username)) {
+      throw makeError(`${username} is not a valid username`, 400);
+    }
+    if (!((typeof password === 'string')
+          && (password.length >= MIN_PASSWORD_LENGTH))) {
+      throw makeError(`a password needs ${MIN_PASSWORD_LENGTH} characters`,
+          400);
+    }
+    const iv = crypto.randomBytes(8).toString('hex');
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = yield keyFromPassword(password, salt);
+    writeJsonFile(this.getLoginFile(username), {
+      username,
+      authentication: encryption.encryptWithKeyAndIV(password, key, iv),
+      iv: encryption.encryptWithKey(iv, internalKey),
+      salt: encryption.encryptWithKey(salt, internalKey)
+    });
+  }),
+
+  /**
+   * Removes the login.json of a user, and their roles
+   */
+  deleteUser(username) {
+    if (!this.exists(username)) {
+      throw makeError(`no user ${username}`, 404);
+    }
+    fs.unlinkSync(this.getLoginFile(username));
+    if (this.getUserRoles()[username]) {
+      const userRoles = Object.assign({}, this.getUserRoles());
+      delete userRoles[username];
+      this.writeUserRoles(userRoles);
+    }
+  },
+
+  /**
+   * The roles of userRoles.json, re-read when another server of the cluster
+   * changed them
+   */
+  getUserRoles() {
+    let time = null;
+    try {
+      time = fs.statSync(this.rolesFile).mtimeMs;
+    } catch (e) {
+      this.userRoles = this.configuredRoles;
+    }
+    if (time && (time !== this.rolesFileTime)) {
+      this.userRoles = readJsonFile(this.rolesFile);
+      this.rolesFileTime = time;
+    }
+    return this.userRoles;
+  },
+
+  getRoles(username) {
+    return this.getUserRoles()[username] || [];
+  },
+
+  checkRoles(roles) {
+    if (!(Array.isArray(roles)
+          && roles.every(role => (typeof role === 'string') && role))) {
+      throw makeError('roles must be a list of role names', 400);
+    }
+  },
+
+  setRoles(username, roles) {
+    this.checkRoles(roles);
+    this.writeUserRoles(Object.assign({}, this.getUserRoles(),
+        { [username]: roles }));
+  },
+
+  writeUserRoles(userRoles) {
+    writeJsonFile(this.rolesFile, userRoles);
+    this.userRoles = userRoles;
+    this.rolesFileTime = fs.statSync(this.rolesFile).mtimeMs;
+  },
+
+  /**
+   * True if the user may call one of the resources with the method
+   */
+  isAllowed(username, resourceNames, method) {
+    const roles = this.getRoles(username);
+    const anyOf = (list, values) => (list || []).some(value =>
+        (value === '*') || values.includes(value));
+    for (const name of resourceNames) {
+      const access = this.resources[name];
+      if (access && (anyOf(access.users, [username])
+                     || anyOf(access.roles, roles))) {
+        return true;
       }
-      let users = resourceAccess.users;
-      if (users) {
-        //sort to optimize later
-        for (let i = 0; i < users.length; i++) {
-          if (users[i] == userName) {
-            return success();
-          }
-          else if (users[i] == '*') {
-            return success();
-          }
-        }          
+      for (const role of roles) {
+        const definition = this.roleDefinitions[role];
+        if (definition && anyOf(definition[name], [method])) {
+          return true;
+        }
       }
     }
-    else {
-      return failure('Resource was not found');
-    }
+    return false;
   }
-  else {
-    return failure('User was not found');
-  }
-  return failure('');
 };
 
-/*
-here: pluginconf or override can have information about what user has write access to what scopes.
-if not present, they only have access to their own user.
+const userStores = new Map();
+
+/**
+ * The store of a server config, shared by the auth handler and the users
+ * service
+ */
+function getUserStore(pluginID, pluginConf, serverConf, productCode) {
+  productCode = productCode || DEFAULT_PRODUCT_CODE;
+  const key = JSON.stringify([pluginID, serverConf.usersDir,
+    serverConf.instanceDir, productCode]);
+  let store = userStores.get(key);
+  if (!store) {
+    store = new UserStore(pluginID, pluginConf, serverConf, productCode);
+    userStores.set(key, store);
+  }
+  return store;
+}
 
-i think i need plugin config because:
-1. location overrides for files
-2. defaults
+function InternalAuthenticator(pluginDef, pluginConf, serverConf, context) {
+  this.authPluginID = pluginDef.identifier;
+  this.logger = context.logger;
+  this.userStore = getUserStore(pluginDef.identifier, pluginConf, serverConf,
+      context.productCode);
+}
 
+InternalAuthenticator.prototype = {
+  constructor: InternalAuthenticator,
 
-i think i need the override because:
-1. someone requests account creation
-2. account creation requires a certain level of access
-3. basic authentication only covers if your credentials are what you claim they are
-4. override can say what level of access is needed for the command to be used
-*/
-internalAuthenticator.prototype.authenticate = function(override, request, body, success, failure) {  
-  var headers = request.headers;
-  var authorizationHeader = headers['authorization'];
-  var configuration = this.authConfig;
-  console.log('Login request handler saw request on url: '+request.originalUrl+', with body: '+body);
-  if(authorizationHeader){
-   
-    var tmp = authorizationHeader.split(' ');   // Split on a space, the original auth looks like  "Basic Y2hhcmxlczoxMjM0NQ==" and we  
-    
-    var buf = new Buffer(tmp[1], 'base64'); // create a buffer and tell it the data coming in is base64
-        
-    var plain_auth = buf.toString();        // read it back out as a string
-         
-  
-    var creds = plain_auth.split(':');      // split on a ':'
-    var username = creds[0];
-    var password = creds[1];
-    
-    var defaultCredentialLocation = this.serverConfiguration.usersDir + '/' + username + '/' + this.serverConfiguration.productCode + '/account/login.json';
-    //default could be overriden via plugin config perhaps
-    var userLoginDataFile = defaultCredentialLocation;
-    if(fs.existsSync(userLoginDataFile)){
-      
-      var userLoginData = jsonUtils.parseJSONWithComments(userLoginDataFile);
-      if(userLoginData && userLoginData.username && userLoginData.authentication && userLoginData.iv && userLoginData.salt){
-        if (userLoginData.username === username) {
-          try {
-            let iv = encryption.decryptWithKey(userLoginData.iv,internalKey);
-            let salt = encryption.decryptWithKey(userLoginData.salt,internalKey);
-            encryption.getKeyFromPassword(password,salt,32,(key)=>{
-              try {
-                let result = encryption.decryptWithKeyAndIV(userLoginData.authentication,key,iv);
-                if (result === password) {
-                  var authInfo = {
-                    username: username
-                  };
-                  if (configuration.userRoles) {
-                    var userRoles = configuration.userRoles[username];
-                    if (userRoles && userRoles.length > 0) {
-                      authInfo.roles = userRoles;
-                    }
-                  }
-                  success(authInfo);
-                }else{
-                  failure();
-                }
-              } catch (e) {
-                failure();
-              }
-            });
-          } catch (e) {
-            failure();
-          }
-        }else{
-          failure();
-        }
-      }else{
-        failure(); //user does not exist
-      }
-    }else{
-      failure(); //user does not exist
+  getStatus(sessionState) {
+    return {
+      username: sessionState.username,
+      authenticated: !!sessionState.username
+    };
+  },
+
+  /**
+   * Checks the username and password of the body against the login.json of
+   * the user. Should not reject
+   */
+  authenticate: Promise.coroutine(function*(request, sessionState) {
+    const body = request.body || {};
+    const username = body.username;
+    let success = false;
+    try {
+      success = yield this.userStore.checkPassword(username, body.password);
+    } catch (e) {
+      this.logger.warn(`Login of ${username} failed: ${e.message}`);
+    }
+    if (!success) {
+      this.logger.debug(`Login of ${username} refused`);
+      return { success: false };
     }
-  }else{
-    failure();
+    sessionState.username = username;
+    return { success: true, username, roles: this.userStore.getRoles(username) };
+  }),
+
+  refreshStatus(request, sessionState) {
+    return Promise.resolve({
+      success: !!sessionState.username
+        && this.userStore.exists(sessionState.username)
+    });
+  },
+
+  /**
+   * With RBAC on, the user must be given access to the service by the role
+   * configuration
+   */
+  authorized(request, sessionState, options) {
+    const username = sessionState.username;
+    if (!username) {
+      return Promise.resolve({
+        authenticated: false,
+        authorized: false,
+        message: "Missing username or password"
+      });
+    }
+    request.username = username;
+    if ((options && options.bypassAuthorizatonCheck)
+        || this.userStore.isAllowed(username,
+            zluxUtil.getAccessResourceNames(request), request.method)) {
+      return Promise.resolve({ authenticated: true, authorized: true });
+    }
+    return Promise.resolve({
+      authenticated: true,
+      authorized: false,
+      message: `${username} has no access to this resource`
+    });
+  },
+
+  addProxyAuthorizations(req1, req2Options, sessionState) {
+    return;
   }
 };
 
-exports.internalAuthInstaller = function(pluginDefinition, pluginConfiguration, serverConfiguration) {
-  return new internalAuthenticator(pluginDefinition, pluginConfiguration, serverConfiguration);
+module.exports = function(pluginDef, pluginConf, serverConf, context) {
+  return Promise.resolve(new InternalAuthenticator(pluginDef, pluginConf,
+      serverConf, context));
 };
+module.exports.getUserStore = getUserStore;
+module.exports.isValidUsername = isValidUsername;
 
 
 /*
@@ -0,0 +1,151 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
+
+'use strict';
+const express = require('express');
+const Promise = require('bluebird');
+const zluxUtil = require('../../../lib/util');
+const getAuthPluginSession = require('../../../lib/webauth').getAuthPluginSession;
+const internalAuth = require('./internalAuth');
+
+/**
+ * Administers the users of internal-auth:
+ *
+ *   GET /                      the users and their roles
+ *   POST /                     {username, password, roles}, creates a user
+ *   PUT /:username/password    {password}, resets the password of a user
+ *   PUT /:username/roles       {roles}, assigns the roles of a user
+ *   DELETE /:username          removes a user and their roles
+ *
+ * Whether RBAC is on or not, the caller must have logged in with this plugin,
+ * in the session or the token of the request, and be given access to this
+ * service by the role configuration, for the method used
+ */
+module.exports = function(context) {
+  const pluginDef = context.plugin.pluginDef;
+  const serverConfig = context.plugin.server.config;
+  const userStore = internalAuth.getUserStore(pluginDef.identifier,
+      pluginDef.configuration, serverConfig.user,
+      serverConfig.app ? serverConfig.app.productCode : null);
+  const logger = context.logger;
+  const router = express.Router();
+  context.addBodyParseMiddleware(router);
+
+  router.use((req, res, next) => {
+    //another auth plugin may have let in a user of the same name
+    const authPluginSession = getAuthPluginSession(req, pluginDef.identifier,
+        {});
+    if (!(req.username && (authPluginSession.username === req.username)
+          && userStore.isAllowed(req.username,
+              zluxUtil.getAccessResourceNames(req), req.method))) {
+      res.status(403).json({ error: `${req.username} may not administer `
+                                    + 'users' });
+      return;
+    }
+    next();
+  });
+
+  const sendError = (res, e) => {
+    if (e.status) {
+      res.status(e.status).json({ error: e.message });
+    } else {
+      logger.warn(e);
+      res.status(500).json({ error: e.message });
+    }
+  };
+
+  const describeUser = (username) => ({
+    username,
+    roles: userStore.getRoles(username)
+  });
+
+  router.get('/', (req, res) => {
+    res.status(200).json({ users: userStore.listUsers().map(describeUser) });
+  });
+
+  router.post('/', (req, res) => {
+    const body = req.body || {};
+    if (userStore.exists(body.username)) {
+      res.status(409).json({ error: `${body.username} exists already` });
+      return;
+    }
+    //nothing is written unless the whole request is valid
+    return Promise.try(() => {
+      if (body.roles) {
+        userStore.checkRoles(body.roles);
+      }
+      return userStore.setPassword(body.username, body.password);
+    }).then(() => {
+      if (body.roles) {
+        userStore.setRoles(body.username, body.roles);
+      }
+      logger.info(`${req.username} created user ${body.username}`);
+      res.status(201).json(describeUser(body.username));
+    }).catch(e => sendError(res, e));
+  });
+
+  router.use('/:username', (req, res, next) => {
+    if (!userStore.exists(req.params.username)) {
+      res.status(404).json({ error: `no user ${req.params.username}` });
+      return;
+    }
+    next();
+  });
+
+  router.put('/:username/password', (req, res) => {
+    const username = req.params.username;
+    return userStore.setPassword(username, (req.body || {}).password)
+      .then(() => {
+        logger.info(`${req.username} reset the password of ${username}`);
+        res.status(204).end();
+      }).catch(e => sendError(res, e));
+  });
+
+  router.put('/:username/roles', (req, res) => {
+    const username = req.params.username;
+    try {
+      userStore.setRoles(username, (req.body || {}).roles);
+    } catch (e) {
+      sendError(res, e);
+      return;
+    }
+    logger.info(`${req.username} set the roles of ${username} to `
+        + userStore.getRoles(username).join(', '));
+    res.status(200).json(describeUser(username));
+  });
+
+  router.delete('/:username', (req, res) => {
+    const username = req.params.username;
+    if (username === req.username) {
+      res.status(400).json({ error: `${username} may not delete themselves` });
+      return;
+    }
+    try {
+      userStore.deleteUser(username);
+    } catch (e) {
+      sendError(res, e);
+      return;
+    }
+    logger.info(`${req.username} deleted user ${username}`);
+    res.status(204).end();
+  });
+
+  return Promise.resolve(router);
+};
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
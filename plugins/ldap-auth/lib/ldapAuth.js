@@ -0,0 +1,342 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
+
+'use strict';
+
+/**
+ * Logs users in with a bind to an LDAP directory. Configured by ldap.json, in
+ * the plugin configuration:
+ *
+ *   {
+ *     "url": "ldaps://ldap.example.com:636",
+ *     "startTLS": false,
+ *     "userDnTemplate": "uid={username},ou=people,dc=example,dc=com",
+ *     "groupSearchBase": "ou=groups,dc=example,dc=com",
+ *     "groupSearchFilter": "(member={dn})",
+ *     "groupNameAttribute": "cn",
+ *     "groupRoles": {
+ *       "zowe-admins": ["admin"],
+ *       "zowe-operators": ["operator"]
+ *     },
+ *     "accessRoles": {
+ *       "*": ["admin"],
+ *       "org.zowe.terminal.tn3270": ["operator"]
+ *     }
+ *   }
+ *
+ * Rather than a userDnTemplate, the user can be found with a search, as
+ * bindDn with bindPassword, under userSearchBase with userSearchFilter, e.g.
+ * "(uid={username})". When bindDn is given, the groups are searched for as
+ * bindDn as well, else as the user.
+ *
+ * The roles of a user are the groups it is a member of, as groupRoles maps
+ * them, or their names if there is no groupRoles. With RBAC on, accessRoles
+ * says what roles let a user call what: its keys are "*", a plugin
+ * identifier, or "<plugin identifier>:<service name>".
+ *
+ * ldaps:// and startTLS check the certificate of the directory with the
+ * certificateAuthorities of ldap.json, or else those of the https section of
+ * the server config
+ */
+
+const ldap = require('ldapjs');
+const Promise = require('bluebird');
+const zluxUtil = require('../../../lib/util');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * A value in a DN, RFC 4514
+ */
+function escapeDnValue(value) {
+  return value.replace(/[\\,+"<>;=]/g, c => `\\${c}`)
+    .replace(/\u0000/g, '\\00').replace(/^[ #]/, c => `\\${c}`)
+    .replace(/ $/, '\\ ');
+}
+
+/**
+ * A value in a filter, RFC 4515
+ */
+function escapeFilterValue(value) {
+  return value.replace(/[*()\\\u0000]/g, c => '\\'
+      + c.charCodeAt(0).toString(16).padStart(2, '0'));
+}
+
+function fillTemplate(template, values, escape) {
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+      values.hasOwnProperty(name) ? escape(values[name]) : match);
+}
+
+/**
+ * The LDAP operations needed here, as promises, on a connected client
+ */
+function Connection(client) {
+  this.client = client;
+}
+Connection.prototype = {
+  constructor: Connection,
+
+  bind(dn, password) {
+    return new Promise((resolve, reject) => {
+      this.client.bind(dn, password, (err) => err ? reject(err) : resolve());
+    });
+  },
+
+  /**
+   * Resolves with the entries found, as {dn, attribute: value(s)} objects
+   */
+  search(base, filter, attributes) {
+    return new Promise((resolve, reject) => {
+      this.client.search(base, { scope: 'sub', filter, attributes },
+          (err, res) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        const entries = [];
+        res.on('searchEntry', entry => entries.push(entry.object));
+        res.on('error', reject);
+        res.on('end', (result) => {
+          if (result && (result.status !== 0)) {
+            reject(new Error(`search ended with status ${result.status}`));
+          } else {
+            resolve(entries);
+          }
+        });
+      });
+    });
+  },
+
+  starttls(tlsOptions) {
+    return new Promise((resolve, reject) => {
+      this.client.starttls(tlsOptions, [], (err) => err ? reject(err)
+        : resolve());
+    });
+  },
+
+  close() {
+    this.client.destroy();
+  }
+};
+
+function LdapAuthenticator(pluginDef, pluginConf, serverConf, context) {
+  this.authPluginID = pluginDef.identifier;
+  this.logger = context.logger;
+  const config = pluginConf ? pluginConf.getContents(['ldap.json']) : null;
+  if (!(config && config.url
+        && (config.userDnTemplate || config.userSearchBase))) {
+    throw new Error('ldap.json needs a url, and a userDnTemplate or a '
+        + 'userSearchBase');
+  }
+  this.config = Object.assign({
+    startTLS: false,
+    userSearchFilter: '(uid={username})',
+    groupSearchFilter: '(member={dn})',
+    groupNameAttribute: 'cn',
+    groupRoles: null,
+    accessRoles: null,
+    timeoutMs: DEFAULT_TIMEOUT_MS
+  }, config);
+  const serverHttps = (serverConf && serverConf.node) ? serverConf.node.https
+    : null;
+  const caFiles = config.certificateAuthorities
+    || (serverHttps ? serverHttps.certificateAuthorities : null);
+  this.tlsOptions = {
+    ca: caFiles ? zluxUtil.readFilesToArray(caFiles) : undefined,
+    rejectUnauthorized: config.rejectUnauthorized !== false,
+    servername: new URL(config.url).hostname
+  };
+}
+
+LdapAuthenticator.prototype = {
+  constructor: LdapAuthenticator,
+
+  getStatus(sessionState) {
+    return {
+      username: sessionState.username,
+      roles: sessionState.roles,
+      authenticated: !!sessionState.username
+    };
+  },
+
+  /**
+   * Binds as the user with the username and password of the body. Should
+   * not reject
+   */
+  authenticate: Promise.coroutine(function*(request, sessionState) {
+    const body = request.body || {};
+    const username = body.username;
+    const password = body.password;
+    //an empty password would be an unauthenticated bind, which succeeds
+    if (!((typeof username === 'string') && username
+          && (typeof password === 'string') && password)) {
+      return { success: false, reason: 'Missing username or password' };
+    }
+    let connection;
+    try {
+      connection = yield this._connect();
+      const dn = yield this._findUserDn(connection, username);
+      if (!dn) {
+        return { success: false };
+      }
+      try {
+        yield connection.bind(dn, password);
+      } catch (e) {
+        if (e instanceof ldap.InvalidCredentialsError) {
+          return { success: false };
+        }
+        throw e;
+      }
+      const groups = yield this._findGroups(connection, username, dn);
+      sessionState.username = username;
+      sessionState.dn = dn;
+      sessionState.roles = this._mapRoles(groups);
+      return { success: true, username, roles: sessionState.roles };
+    } catch (e) {
+      this.logger.warn(`LDAP login of ${username} failed: ${e.message}`);
+      return { success: false, reason: 'The directory could not be reached' };
+    } finally {
+      if (connection) {
+        connection.close();
+      }
+    }
+  }),
+
+  refreshStatus(request, sessionState) {
+    return Promise.resolve({ success: !!sessionState.username });
+  },
+
+  authorized(request, sessionState, options) {
+    if (!sessionState.username) {
+      return Promise.resolve({
+        authenticated: false,
+        authorized: false,
+        message: 'Missing username or password'
+      });
+    }
+    request.username = sessionState.username;
+    if ((options && options.bypassAuthorizatonCheck)
+        || zluxUtil.rolesGrantAccess(this.config.accessRoles, request,
+            sessionState.roles)) {
+      return Promise.resolve({ authenticated: true, authorized: true });
+    }
+    return Promise.resolve({
+      authenticated: true,
+      authorized: false,
+      message: `${sessionState.username} has no role that gives access`
+    });
+  },
+
+  addProxyAuthorizations(req1, req2Options, sessionState) {
+    return;
+  },
+
+  /**
+   * Resolves with a connection, over TLS if the config says so
+   */
+  _connect: Promise.coroutine(function*() {
+    const client = ldap.createClient({
+      url: this.config.url,
+      tlsOptions: this.tlsOptions,
+      timeout: this.config.timeoutMs,
+      connectTimeout: this.config.timeoutMs
+    });
+    const connection = new Connection(client);
+    try {
+      yield new Promise((resolve, reject) => {
+        client.once('connect', resolve);
+        client.once('connectError', reject);
+        client.once('connectTimeout', () =>
+            reject(new Error('connection timed out')));
+        client.once('error', reject);
+      });
+      //from now on, errors are those of the operations
+      client.on('error', (e) => this.logger.debug(`LDAP client: ${e}`));
+      if (this.config.startTLS) {
+        yield connection.starttls(this.tlsOptions);
+      }
+    } catch (e) {
+      connection.close();
+      throw e;
+    }
+    return connection;
+  }),
+
+  /**
+   * Resolves with null if there is no such user
+   */
+  _findUserDn: Promise.coroutine(function*(connection, username) {
+    if (!this.config.userSearchBase) {
+      return fillTemplate(this.config.userDnTemplate, { username },
+          escapeDnValue);
+    }
+    if (this.config.bindDn) {
+      yield connection.bind(this.config.bindDn, this.config.bindPassword);
+    }
+    const entries = yield connection.search(this.config.userSearchBase,
+        fillTemplate(this.config.userSearchFilter, { username },
+            escapeFilterValue), ['dn']);
+    if (entries.length !== 1) {
+      this.logger.debug(`LDAP: ${entries.length} entries for ${username}`);
+      return null;
+    }
+    return entries[0].dn;
+  }),
+
+  /**
+   * Resolves with the names of the groups of a user, none if groups are not
+   * searched for
+   */
+  _findGroups: Promise.coroutine(function*(connection, username, dn) {
+    if (!this.config.groupSearchBase) {
+      return [];
+    }
+    if (this.config.bindDn) {
+      yield connection.bind(this.config.bindDn, this.config.bindPassword);
+    }
+    const nameAttribute = this.config.groupNameAttribute;
+    const entries = yield connection.search(this.config.groupSearchBase,
+        fillTemplate(this.config.groupSearchFilter, { username, dn },
+            escapeFilterValue), [nameAttribute]);
+    return entries.map(entry => [].concat(entry[nameAttribute] || [])[0])
+      .filter(name => !!name);
+  }),
+
+  _mapRoles(groups) {
+    const groupRoles = this.config.groupRoles;
+    if (!groupRoles) {
+      return groups;
+    }
+    const roles = [];
+    for (const group of groups) {
+      for (const role of groupRoles[group] || []) {
+        if (!roles.includes(role)) {
+          roles.push(role);
+        }
+      }
+    }
+    return roles;
+  }
+};
+
+module.exports = function(pluginDef, pluginConf, serverConf, context) {
+  return Promise.resolve(new LdapAuthenticator(pluginDef, pluginConf,
+      serverConf, context));
+}
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
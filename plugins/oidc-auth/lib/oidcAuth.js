@@ -0,0 +1,435 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
+
+'use strict';
+
+/**
+ * Logs users in with an OpenID Connect provider, with the authorization code
+ * flow and PKCE. Configured by oidc.json, in the plugin configuration:
+ *
+ *   {
+ *     "issuer": "https://login.example.com/realms/zowe",
+ *     "clientId": "zlux",
+ *     "clientSecret": "...",
+ *     "redirectUri": "https://desktop.example.com/ZLUX/plugins/.../oidc.html",
+ *     "scopes": ["openid", "profile", "email"],
+ *     "usernameClaim": "preferred_username",
+ *     "rolesClaim": "groups",
+ *     "stateSecret": "...",
+ *     "accessRoles": {
+ *       "*": ["zowe-admins"],
+ *       "org.zowe.terminal.tn3270": ["zowe-users"]
+ *     }
+ *   }
+ *
+ * clientSecret is left out for a public client. A login takes two calls to
+ * POST /auth. The first one, without a code, fails with an authorizationUrl
+ * to send the browser to. The provider sends it back to the redirectUri with
+ * a code and a state, and the page there posts them to /auth, as "code" and
+ * "state", to end the login.
+ *
+ * The state carries the PKCE verifier and the nonce of the login, encrypted
+ * with stateSecret, or a key of this process if there is none: servers in a
+ * cluster need a stateSecret. It also carries an id of the login, which the
+ * session that started it keeps, so that a code and a state can't be used in
+ * another browser. A state is good for one code exchange.
+ *
+ * The access and refresh tokens are kept in the session, and refreshed by
+ * /auth-refresh. With RBAC on, accessRoles says what roles of the ID token
+ * let a user call what: its keys are "*", a plugin identifier, or
+ * "<plugin identifier>:<service name>". A call to the provider that takes
+ * longer than timeoutMs, 10 seconds by default, fails
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const querystring = require('querystring');
+const Promise = require('bluebird');
+const jwt = require('jsonwebtoken');
+const zluxUtil = require('../../../lib/util');
+
+const DEFAULT_SCOPES = ['openid', 'profile', 'email'];
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384',
+  'ES512', 'PS256', 'PS384', 'PS512'];
+const STATE_LIFETIME_MS = 10 * 60 * 1000;
+const CLOCK_TOLERANCE_SEC = 30;
+const DEFAULT_TIMEOUT_MS = 10000;
+const verifyToken = Promise.promisify(jwt.verify);
+
+function base64url(buffer) {
+  return buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+/**
+ * Resolves with {status, body} of an HTTP(S) request whose answer is JSON.
+ * Rejects if there is no answer within options.timeout
+ */
+function requestJson(url, options, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = (target.protocol === 'https:') ? https : http;
+    const req = client.request(target, options, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        let json;
+        try {
+          json = text ? JSON.parse(text) : {};
+        } catch (e) {
+          reject(new Error(`${url} did not answer JSON: ${e.message}`));
+          return;
+        }
+        resolve({ status: res.statusCode, body: json });
+      });
+    });
+    req.setTimeout(options.timeout || DEFAULT_TIMEOUT_MS, () => {
+      req.destroy(new Error(`${url} did not answer in time`));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+function OidcAuthenticator(pluginDef, pluginConf, serverConf, context) {
+  this.authPluginID = pluginDef.identifier;
+  this.logger = context.logger;
+  const config = pluginConf ? pluginConf.getContents(['oidc.json']) : null;
+  if (!(config && config.issuer && config.clientId && config.redirectUri)) {
+    throw new Error('oidc.json needs an issuer, a clientId and a redirectUri');
+  }
+  this.config = Object.assign({
+    scopes: DEFAULT_SCOPES,
+    usernameClaim: 'preferred_username',
+    rolesClaim: 'groups',
+    accessRoles: null,
+    timeoutMs: DEFAULT_TIMEOUT_MS
+  }, config);
+  this.issuer = config.issuer.replace(/\/+$/, '');
+  this.stateKey = config.stateSecret
+    ? crypto.createHash('sha256').update(config.stateSecret).digest()
+    : crypto.randomBytes(32);
+  this.metadata = null;
+  this.jwks = null;
+}
+
+OidcAuthenticator.prototype = {
+  constructor: OidcAuthenticator,
+
+  getStatus(sessionState) {
+    return {
+      username: sessionState.username,
+      roles: sessionState.roles,
+      authenticated: !!sessionState.username && !this._isExpired(sessionState)
+    };
+  },
+
+  /**
+   * Without a code in the body, starts a login: fails with the
+   * authorizationUrl that the browser must go to. With a code and a state,
+   * ends it.
+   */
+  authenticate: Promise.coroutine(function*(request, sessionState) {
+    const body = request.body || {};
+    try {
+      if (!body.code) {
+        return {
+          success: false,
+          authorizationUrl: yield this._makeAuthorizationUrl(sessionState)
+        };
+      }
+      const login = this._openState(body.state);
+      const loginId = sessionState.loginId;
+      delete sessionState.loginId;
+      if (!loginId || (login.loginId !== loginId)) {
+        throw new Error('the login was not started in this session');
+      }
+      const tokens = yield this._requestTokens({
+        grant_type: 'authorization_code',
+        code: body.code,
+        redirect_uri: this.config.redirectUri,
+        code_verifier: login.verifier
+      });
+      if (!tokens.id_token) {
+        throw new Error('the provider sent no ID token');
+      }
+      const claims = yield this._verifyIdToken(tokens.id_token);
+      if (claims.nonce !== login.nonce) {
+        throw new Error('the ID token is not for this login');
+      }
+      this._updateSession(sessionState, tokens, claims);
+      return {
+        success: true,
+        username: sessionState.username,
+        expms: this._getExpms(sessionState)
+      };
+    } catch (e) {
+      this.logger.warn(`OIDC login failed: ${e.message}`);
+      return { success: false, reason: e.message };
+    }
+  }),
+
+  /**
+   * Gets new tokens with the refresh token, if the provider gave one
+   */
+  refreshStatus: Promise.coroutine(function*(request, sessionState) {
+    if (!sessionState.username) {
+      return { success: false };
+    }
+    if (!sessionState.refreshToken) {
+      const success = !this._isExpired(sessionState);
+      return { success, expms: success ? this._getExpms(sessionState) : 0 };
+    }
+    try {
+      const tokens = yield this._requestTokens({
+        grant_type: 'refresh_token',
+        refresh_token: sessionState.refreshToken
+      });
+      let claims = null;
+      if (tokens.id_token) {
+        claims = yield this._verifyIdToken(tokens.id_token);
+        if (claims.sub !== sessionState.sub) {
+          throw new Error('the ID token is for another user');
+        }
+      }
+      this._updateSession(sessionState, tokens, claims);
+      return {
+        success: true,
+        username: sessionState.username,
+        expms: this._getExpms(sessionState)
+      };
+    } catch (e) {
+      this.logger.info(`OIDC refresh failed for ${sessionState.username}: `
+          + e.message);
+      for (const key of Object.keys(sessionState)) {
+        delete sessionState[key];
+      }
+      return { success: false, reason: e.message };
+    }
+  }),
+
+  authorized(request, sessionState, options) {
+    if (!sessionState.username || this._isExpired(sessionState)) {
+      return Promise.resolve({
+        authenticated: false,
+        authorized: false,
+        message: sessionState.username ? 'OIDC session expired'
+          : 'Not logged in'
+      });
+    }
+    request.username = sessionState.username;
+    if ((options && options.bypassAuthorizatonCheck)
+        || zluxUtil.rolesGrantAccess(this.config.accessRoles, request,
+            sessionState.roles)) {
+      return Promise.resolve({ authenticated: true, authorized: true });
+    }
+    return Promise.resolve({
+      authenticated: true,
+      authorized: false,
+      message: `${sessionState.username} has no role that gives access`
+    });
+  },
+
+  addProxyAuthorizations(req1, req2Options, sessionState) {
+    return;
+  },
+
+  _isExpired(sessionState) {
+    return !!sessionState.expiresAt && (sessionState.expiresAt <= Date.now());
+  },
+
+  _getExpms(sessionState) {
+    return sessionState.expiresAt
+      ? Math.max(sessionState.expiresAt - Date.now(), 0) : undefined;
+  },
+
+  _updateSession(sessionState, tokens, claims) {
+    sessionState.accessToken = tokens.access_token;
+    if (tokens.refresh_token) {
+      sessionState.refreshToken = tokens.refresh_token;
+    }
+    sessionState.expiresAt = (tokens.expires_in > 0)
+      ? Date.now() + tokens.expires_in * 1000 : null;
+    if (claims) {
+      const roles = claims[this.config.rolesClaim];
+      sessionState.sub = claims.sub;
+      sessionState.username = claims[this.config.usernameClaim] || claims.sub;
+      sessionState.roles = Array.isArray(roles) ? roles
+        : (roles ? [roles] : []);
+    }
+  },
+
+  _sealState(data) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.stateKey, iv);
+    const encrypted = Buffer.concat([
+      cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(base64url).join('.');
+  },
+
+  /**
+   * The login that a state was made for. Throws if the state was not made
+   * here, or is too old
+   */
+  _openState(state) {
+    let login;
+    try {
+      const [iv, tag, encrypted] = String(state).split('.')
+        .map(part => Buffer.from(part, 'base64'));
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this.stateKey,
+          iv);
+      decipher.setAuthTag(tag);
+      login = JSON.parse(Buffer.concat([decipher.update(encrypted),
+        decipher.final()]).toString('utf8'));
+    } catch (e) {
+      throw new Error('the state is not valid');
+    }
+    if (login.expiresAt <= Date.now()) {
+      throw new Error('the login took too long');
+    }
+    return login;
+  },
+
+  /**
+   * Keeps the id of the login in the session
+   */
+  _makeAuthorizationUrl: Promise.coroutine(function*(sessionState) {
+    const metadata = yield this._getMetadata();
+    const verifier = base64url(crypto.randomBytes(32));
+    const nonce = base64url(crypto.randomBytes(16));
+    const loginId = base64url(crypto.randomBytes(16));
+    const state = this._sealState({
+      verifier,
+      nonce,
+      loginId,
+      expiresAt: Date.now() + STATE_LIFETIME_MS
+    });
+    sessionState.loginId = loginId;
+    const url = new URL(metadata.authorization_endpoint);
+    const params = {
+      response_type: 'code',
+      client_id: this.config.clientId,
+      redirect_uri: this.config.redirectUri,
+      scope: this.config.scopes.join(' '),
+      state,
+      nonce,
+      code_challenge: base64url(crypto.createHash('sha256').update(verifier)
+        .digest()),
+      code_challenge_method: 'S256'
+    };
+    for (const name of Object.keys(params)) {
+      url.searchParams.set(name, params[name]);
+    }
+    return url.toString();
+  }),
+
+  _getMetadata: Promise.coroutine(function*() {
+    if (!this.metadata) {
+      const response = yield requestJson(
+          `${this.issuer}/.well-known/openid-configuration`,
+          { method: 'GET', timeout: this.config.timeoutMs });
+      const metadata = response.body;
+      if (response.status !== 200) {
+        throw new Error(`the provider discovery answered ${response.status}`);
+      }
+      if (metadata.issuer !== this.config.issuer) {
+        throw new Error(`the provider is ${metadata.issuer}, not `
+            + this.config.issuer);
+      }
+      this.metadata = metadata;
+    }
+    return this.metadata;
+  }),
+
+  _requestTokens: Promise.coroutine(function*(params) {
+    const metadata = yield this._getMetadata();
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json'
+    };
+    params = Object.assign({}, params);
+    if (this.config.clientSecret) {
+      headers['Authorization'] = 'Basic ' + Buffer.from(
+          `${encodeURIComponent(this.config.clientId)}:`
+          + encodeURIComponent(this.config.clientSecret)).toString('base64');
+    } else {
+      params.client_id = this.config.clientId;
+    }
+    const body = querystring.stringify(params);
+    headers['Content-Length'] = Buffer.byteLength(body);
+    const response = yield requestJson(metadata.token_endpoint,
+        { method: 'POST', headers, timeout: this.config.timeoutMs }, body);
+    if (response.status !== 200) {
+      throw new Error(`the provider refused the token request: `
+          + (response.body.error || response.status));
+    }
+    return response.body;
+  }),
+
+  /**
+   * The public key a token is signed with, in PEM. The keys are fetched
+   * again when the provider rotates them
+   */
+  _getSigningKey: Promise.coroutine(function*(kid) {
+    for (const refetch of [false, true]) {
+      if (refetch || !this.jwks) {
+        const metadata = yield this._getMetadata();
+        const response = yield requestJson(metadata.jwks_uri,
+            { method: 'GET', timeout: this.config.timeoutMs });
+        if (response.status !== 200) {
+          throw new Error(`the provider keys answered ${response.status}`);
+        }
+        this.jwks = response.body.keys || [];
+      }
+      const jwk = this.jwks.find(key => (key.use !== 'enc')
+          && (!kid || (key.kid === kid)));
+      if (jwk) {
+        return crypto.createPublicKey({ key: jwk, format: 'jwk' })
+          .export({ type: 'spki', format: 'pem' });
+      }
+    }
+    throw new Error(`the provider has no key ${kid}`);
+  }),
+
+  _verifyIdToken: Promise.coroutine(function*(idToken) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw new Error('the ID token is malformed');
+    }
+    const key = yield this._getSigningKey(decoded.header.kid);
+    try {
+      return yield verifyToken(idToken, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: this.config.issuer,
+        audience: this.config.clientId,
+        clockTolerance: CLOCK_TOLERANCE_SEC
+      });
+    } catch (e) {
+      throw new Error(`the ID token is not valid: ${e.message}`);
+    }
+  })
+};
+
+module.exports = function(pluginDef, pluginConf, serverConf, context) {
+  return Promise.resolve(new OidcAuthenticator(pluginDef, pluginConf,
+      serverConf, context));
+}
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
@@ -0,0 +1,300 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+chai.use(chaiHttp);
+const should = chai.should();
+require('../../lib/util');
+const UNP = require('../../lib/unp-constants');
+const AuthManager = require('../../lib/auth-manager');
+const DataserviceContext = require('../../lib/webapp').DataserviceContext;
+const internalAuth = require('../../plugins/internal-auth/lib/internalAuth');
+const usersRouter = require('../../plugins/internal-auth/lib/usersRouter');
+
+const PLUGIN_ID = 'com.rs.internalAuth';
+
+const roleConfig = {
+  'userRoles.json': { admin: ['userAdmin'], carol: ['operator'] },
+  'roleDefinitions.json': {
+    userAdmin: { [`${PLUGIN_ID}:users`]: ['GET', 'POST', 'PUT', 'DELETE'] },
+    operator: { 'org.zowe.editor': ['GET'] }
+  },
+  'resources.json': {
+    'org.zowe.terminal': { roles: ['operator'] },
+    'org.zowe.calendar': { users: ['*'] }
+  }
+};
+
+function removeDirectory(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+function makePluginDef(serverConfig) {
+  return {
+    identifier: PLUGIN_ID,
+    pluginType: 'nodeAuthentication',
+    authenticationCategory: 'fallback',
+    authenticationModule: internalAuth,
+    configuration: {
+      getContents([name]) {
+        return roleConfig[name] || null;
+      }
+    }
+  };
+}
+
+function makeRequest(pluginID, serviceName, method, body) {
+  return {
+    method: method || 'GET',
+    body,
+    [`${UNP.APP_NAME}Data`]: {
+      plugin: { def: pluginID ? { identifier: pluginID } : null },
+      service: { def: serviceName ? { name: serviceName } : null }
+    }
+  };
+}
+
+describe('internal auth plugin', function() {
+  let dir;
+  let serverConfig;
+  let authenticator;
+  let userStore;
+
+  before(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'internal-auth-'));
+    serverConfig = {
+      usersDir: path.join(dir, 'users'),
+      instanceDir: path.join(dir, 'instance'),
+      dataserviceAuthentication: {
+        defaultAuthentication: 'fallback',
+        implementationDefaults: { fallback: { plugins: [PLUGIN_ID] } }
+      }
+    };
+    const authManager = new AuthManager({
+      config: serverConfig.dataserviceAuthentication,
+      productCode: 'ZLUX'
+    });
+    authManager.registerAuthenticator(makePluginDef(serverConfig));
+    return authManager.loadAuthenticators(serverConfig).then(() => {
+      authenticator = authManager.getBestAuthenticationHandler('fallback');
+      userStore = authenticator.userStore;
+      return userStore.setPassword('admin', 'admin password');
+    }).then(() => userStore.setPassword('carol', 'carol password'));
+  });
+
+  after(function() {
+    removeDirectory(dir);
+  });
+
+  function logIn(username, password) {
+    const sessionState = {};
+    return authenticator.authenticate({ body: { username, password } },
+        sessionState).then(result => ({ result, sessionState }));
+  }
+
+  it('should be loaded with its configuration', function() {
+    should.exist(authenticator);
+    userStore.getRoles('carol').should.deep.equal(['operator']);
+    fs.existsSync(path.join(serverConfig.usersDir, 'carol', 'ZLUX',
+        'account', 'login.json')).should.be.true;
+  });
+
+  it('should log in with the password of login.json', function() {
+    return logIn('carol', 'carol password').then(({ result, sessionState }) => {
+      result.success.should.be.true;
+      sessionState.username.should.equal('carol');
+      authenticator.getStatus(sessionState).authenticated.should.be.true;
+      return logIn('carol', 'admin password');
+    }).then(({ result, sessionState }) => {
+      result.success.should.be.false;
+      should.not.exist(sessionState.username);
+    });
+  });
+
+  it('should refuse usernames that are paths', function() {
+    return logIn('../users/carol', 'carol password').then(({ result }) => {
+      result.success.should.be.false;
+    });
+  });
+
+  it('should check the role configuration when RBAC is on', function() {
+    const session = { username: 'carol' };
+    const check = (request) => authenticator.authorized(request, session, {});
+    return Promise.all([
+      check(makeRequest('org.zowe.terminal', 'data', 'DELETE')),
+      check(makeRequest('org.zowe.editor', 'files', 'GET')),
+      check(makeRequest('org.zowe.editor', 'files', 'PUT')),
+      check(makeRequest('org.zowe.calendar')),
+      authenticator.authorized(makeRequest('org.zowe.editor', 'files', 'PUT'),
+          session, { bypassAuthorizatonCheck: true })
+    ]).then(results => {
+      results.map(result => result.authorized).should.deep.equal(
+          [true, true, false, true, true]);
+      results[2].authenticated.should.be.true;
+    });
+  });
+
+  describe('users service', function() {
+    let app;
+
+    before(function() {
+      const pluginContext = {
+        pluginDef: makePluginDef(serverConfig),
+        server: { config: { user: serverConfig, app: { productCode: 'ZLUX' } } }
+      };
+      const context = new DataserviceContext({ name: 'users' }, null,
+          pluginContext);
+      return usersRouter(context).then(router => {
+        app = express();
+        app.use((req, res, next) => {
+          req.username = req.headers['x-user'];
+          const authPlugin = req.headers['x-auth-plugin'] || PLUGIN_ID;
+          req.session = {
+            authPlugins: { [authPlugin]: { username: req.username } }
+          };
+          req[`${UNP.APP_NAME}Data`] = {
+            plugin: { def: { identifier: PLUGIN_ID } },
+            service: { def: { name: 'users' } }
+          };
+          next();
+        });
+        app.use('/users', router);
+      });
+    });
+
+    function call(method, url, user) {
+      return chai.request(app)[method](url).set('X-User', user || 'admin');
+    }
+
+    it('should only let administrators in', function() {
+      return call('get', '/users', 'carol').then(res => {
+        res.should.have.status(403);
+        return call('get', '/users');
+      }).then(res => {
+        res.should.have.status(200);
+        res.body.users.map(user => user.username)
+          .should.deep.equal(['admin', 'carol']);
+      });
+    });
+
+    it('should only let in users who logged in with this plugin', function() {
+      return call('get', '/users').set('X-Auth-Plugin', 'org.zowe.sso')
+        .then(res => {
+          res.should.have.status(403);
+          return chai.request(app).get('/users');
+        }).then(res => {
+          res.should.have.status(403);
+        });
+    });
+
+    it('should create a user who can log in', function() {
+      return call('post', '/users').send({ username: 'dave',
+          password: 'dave password', roles: ['operator'] }).then(res => {
+        res.should.have.status(201);
+        res.body.roles.should.deep.equal(['operator']);
+        return call('post', '/users').send({ username: 'dave',
+            password: 'dave password' });
+      }).then(res => {
+        res.should.have.status(409);
+        return logIn('dave', 'dave password');
+      }).then(({ result }) => {
+        result.success.should.be.true;
+      });
+    });
+
+    it('should refuse invalid users', function() {
+      return call('post', '/users').send({ username: '../dave',
+          password: 'dave password' }).then(res => {
+        res.should.have.status(400);
+        return call('post', '/users').send({ username: 'erin',
+            password: 'short' });
+      }).then(res => {
+        res.should.have.status(400);
+        return call('post', '/users').send({ username: 'erin',
+            password: 'erin password', roles: 'operator' });
+      }).then(res => {
+        res.should.have.status(400);
+        userStore.exists('erin').should.be.false;
+      });
+    });
+
+    it('should delete a user and their roles', function() {
+      return call('post', '/users').send({ username: 'frank',
+          password: 'frank password', roles: ['operator'] }).then(res => {
+        res.should.have.status(201);
+        return call('delete', '/users/frank');
+      }).then(res => {
+        res.should.have.status(204);
+        userStore.exists('frank').should.be.false;
+        userStore.getRoles('frank').should.deep.equal([]);
+        return logIn('frank', 'frank password');
+      }).then(({ result }) => {
+        result.success.should.be.false;
+        return call('delete', '/users/frank');
+      }).then(res => {
+        res.should.have.status(404);
+        return call('delete', '/users/admin');
+      }).then(res => {
+        res.should.have.status(400);
+        userStore.exists('admin').should.be.true;
+      });
+    });
+
+    it('should reset a password', function() {
+      return call('put', '/users/carol/password')
+        .send({ password: 'new carol password' }).then(res => {
+          res.should.have.status(204);
+          return logIn('carol', 'carol password');
+        }).then(({ result }) => {
+          result.success.should.be.false;
+          return logIn('carol', 'new carol password');
+        }).then(({ result }) => {
+          result.success.should.be.true;
+        });
+    });
+
+    it('should assign roles, in the instance configuration', function() {
+      return call('put', '/users/carol/roles').send({ roles: ['userAdmin'] })
+        .then(res => {
+          res.should.have.status(200);
+          userStore.getRoles('carol').should.deep.equal(['userAdmin']);
+          const rolesFile = path.join(serverConfig.instanceDir, 'ZLUX',
+              'pluginStorage', PLUGIN_ID, '_internal', 'plugin',
+              'userRoles.json');
+          JSON.parse(fs.readFileSync(rolesFile, 'utf8')).carol
+            .should.deep.equal(['userAdmin']);
+          return call('get', '/users', 'carol');
+        }).then(res => {
+          res.should.have.status(200);
+        });
+    });
+
+    it('should answer 404 for a user who is not there', function() {
+      return call('put', '/users/nobody/roles').send({ roles: [] })
+        .then(res => {
+          res.should.have.status(404);
+        });
+    });
+  });
+});
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
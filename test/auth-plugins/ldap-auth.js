@@ -0,0 +1,272 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
+const fs = require('fs');
+const path = require('path');
+const ldap = require('ldapjs');
+const chai = require('chai');
+const should = chai.should();
+require('../../lib/util');
+const UNP = require('../../lib/unp-constants');
+const ldapAuth = require('../../plugins/ldap-auth/lib/ldapAuth');
+
+const SUFFIX = 'dc=example,dc=com';
+const READER_DN = `cn=reader,${SUFFIX}`;
+const PASSWORDS = {
+  [`uid=alice,ou=people,${SUFFIX}`]: 'alice password',
+  [`uid=bob,ou=people,${SUFFIX}`]: 'bob password',
+  [READER_DN]: 'reader password'
+};
+const PEOPLE = [
+  { dn: `uid=alice,ou=people,${SUFFIX}`,
+    attributes: { uid: 'alice', objectclass: 'person' } },
+  { dn: `uid=bob,ou=people,${SUFFIX}`,
+    attributes: { uid: 'bob', objectclass: 'person' } }
+];
+const GROUPS = [
+  { dn: `cn=operators,ou=groups,${SUFFIX}`,
+    attributes: { cn: 'operators', member: [PEOPLE[0].dn, PEOPLE[1].dn] } },
+  { dn: `cn=admins,ou=groups,${SUFFIX}`,
+    attributes: { cn: 'admins', member: [PEOPLE[0].dn] } }
+];
+
+/*
+ * A directory with alice, bob, and their groups
+ */
+function makeDirectory(tlsOptions) {
+  const server = ldap.createServer(tlsOptions);
+  server.binds = [];
+  server.bind(SUFFIX, (req, res, next) => {
+    const dn = req.dn.toString().replace(/, /g, ',');
+    server.binds.push(dn);
+    if (PASSWORDS[dn] && (PASSWORDS[dn] === req.credentials)) {
+      res.end();
+      return next();
+    }
+    return next(new ldap.InvalidCredentialsError());
+  });
+  const search = (entries) => (req, res, next) => {
+    for (const entry of entries) {
+      if (req.filter.matches(entry.attributes)) {
+        res.send(entry);
+      }
+    }
+    res.end();
+    return next();
+  };
+  server.search(`ou=people,${SUFFIX}`, search(PEOPLE));
+  server.search(`ou=groups,${SUFFIX}`, search(GROUPS));
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () =>
+      resolve(server)));
+}
+
+const logger = {
+  warn() {},
+  info() {},
+  debug() {}
+};
+
+function makeAuthenticator(config, serverConf) {
+  return ldapAuth({ identifier: 'org.zowe.zlux.auth.ldap' }, {
+    getContents([name]) {
+      return (name === 'ldap.json') ? config : null;
+    }
+  }, serverConf || {}, { logger });
+}
+
+function logIn(authenticator, username, password) {
+  const sessionState = {};
+  return authenticator.authenticate({ body: { username, password } },
+      sessionState).then(result => ({ result, sessionState }));
+}
+
+describe('LDAP auth plugin', function() {
+  let directory;
+  let url;
+
+  before(function() {
+    return makeDirectory().then(server => {
+      directory = server;
+      url = `ldap://127.0.0.1:${server.address().port}`;
+    });
+  });
+
+  after(function() {
+    directory.close();
+  });
+
+  describe('with a DN template', function() {
+    let authenticator;
+
+    before(function() {
+      return makeAuthenticator({
+        url,
+        userDnTemplate: `uid={username},ou=people,${SUFFIX}`,
+        groupSearchBase: `ou=groups,${SUFFIX}`,
+        groupRoles: { admins: ['admin'], operators: ['operator'] },
+        accessRoles: { 'org.zowe.terminal': ['operator'] }
+      }).then(a => authenticator = a);
+    });
+
+    it('should bind as the user and map its groups to roles', function() {
+      return logIn(authenticator, 'alice', 'alice password')
+        .then(({ result, sessionState }) => {
+          result.success.should.be.true;
+          sessionState.username.should.equal('alice');
+          sessionState.roles.should.have.members(['admin', 'operator']);
+          authenticator.getStatus(sessionState).authenticated.should.be.true;
+        });
+    });
+
+    it('should refuse a wrong password', function() {
+      return logIn(authenticator, 'alice', 'bob password')
+        .then(({ result, sessionState }) => {
+          result.success.should.be.false;
+          should.not.exist(sessionState.username);
+        });
+    });
+
+    it('should not bind without a password', function() {
+      const binds = directory.binds.length;
+      return logIn(authenticator, 'alice', '').then(({ result }) => {
+        result.success.should.be.false;
+        directory.binds.length.should.equal(binds);
+      });
+    });
+
+    it('should escape the username in the DN', function() {
+      return logIn(authenticator, 'alice,ou=people', 'alice password')
+        .then(({ result }) => {
+          result.success.should.be.false;
+          directory.binds[directory.binds.length - 1]
+            .should.include('alice\\,ou\\=people');
+        });
+    });
+
+    it('should check the roles when RBAC is on', function() {
+      return logIn(authenticator, 'bob', 'bob password')
+        .then(({ sessionState }) => {
+          const allowed = { [`${UNP.APP_NAME}Data`]: {
+            plugin: { def: { identifier: 'org.zowe.terminal' } }
+          } };
+          const denied = { [`${UNP.APP_NAME}Data`]: {
+            plugin: { def: { identifier: 'org.zowe.editor' } }
+          } };
+          return Promise.all([
+            authenticator.authorized(allowed, sessionState, {}),
+            authenticator.authorized(denied, sessionState, {})
+          ]);
+        }).then(([allowedResult, deniedResult]) => {
+          allowedResult.authorized.should.be.true;
+          deniedResult.authenticated.should.be.true;
+          deniedResult.authorized.should.be.false;
+        });
+    });
+  });
+
+  describe('with a search', function() {
+    let authenticator;
+
+    before(function() {
+      return makeAuthenticator({
+        url,
+        bindDn: READER_DN,
+        bindPassword: 'reader password',
+        userSearchBase: `ou=people,${SUFFIX}`,
+        groupSearchBase: `ou=groups,${SUFFIX}`
+      }).then(a => authenticator = a);
+    });
+
+    it('should find the user, and use the group names as roles', function() {
+      return logIn(authenticator, 'bob', 'bob password')
+        .then(({ result, sessionState }) => {
+          result.success.should.be.true;
+          sessionState.dn.should.match(/^uid=bob,\s*ou=people/);
+          sessionState.roles.should.deep.equal(['operators']);
+          directory.binds.should.include(READER_DN);
+        });
+    });
+
+    it('should not let the username change the filter', function() {
+      return logIn(authenticator, '*', 'alice password')
+        .then(({ result }) => {
+          result.success.should.be.false;
+        });
+    });
+  });
+
+  it('should fail logins when the directory is not there', function() {
+    return makeAuthenticator({
+      url: 'ldap://127.0.0.1:1',
+      userDnTemplate: `uid={username},ou=people,${SUFFIX}`
+    }).then(authenticator => logIn(authenticator, 'alice', 'alice password'))
+      .then(({ result }) => {
+        result.success.should.be.false;
+        result.reason.should.match(/directory/);
+      });
+  });
+
+  describe('over LDAPS', function() {
+    let secureDirectory;
+    let secureUrl;
+
+    before(function() {
+      const httpsDir = path.join(__dirname, '../webapp/https');
+      return makeDirectory({
+        certificate: fs.readFileSync(path.join(httpsDir, 'server.cer')),
+        key: fs.readFileSync(path.join(httpsDir, 'server.key'))
+      }).then(server => {
+        secureDirectory = server;
+        secureUrl = `ldaps://localhost:${server.address().port}`;
+      });
+    });
+
+    after(function() {
+      secureDirectory.close();
+    });
+
+    it('should refuse a directory whose certificate it cannot check',
+        function() {
+      return makeAuthenticator({
+        url: secureUrl,
+        userDnTemplate: `uid={username},ou=people,${SUFFIX}`
+      }, { node: { https: { certificateAuthorities: [] } } })
+        .then(authenticator => logIn(authenticator, 'alice', 'alice password'))
+        .then(({ result }) => {
+          result.success.should.be.false;
+        });
+    });
+
+    it('should log in over TLS', function() {
+      return makeAuthenticator({
+        url: secureUrl,
+        userDnTemplate: `uid={username},ou=people,${SUFFIX}`,
+        rejectUnauthorized: false
+      }).then(authenticator => logIn(authenticator, 'alice', 'alice password'))
+        .then(({ result }) => {
+          result.success.should.be.true;
+        });
+    });
+  });
+
+  it('should need a url and a way to find users', function() {
+    (() => ldapAuth({ identifier: 'x' }, { getContents: () => ({ url }) }, {},
+        { logger })).should.throw(/userDnTemplate/);
+  });
+});
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
@@ -0,0 +1,338 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
+const net = require('net');
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const chai = require('chai');
+const should = chai.should();
+require('../../lib/util');
+const UNP = require('../../lib/unp-constants');
+const oidcAuth = require('../../plugins/oidc-auth/lib/oidcAuth');
+
+const CLIENT_ID = 'zlux';
+const REDIRECT_URI = 'https://desktop.example.com/oidc.html';
+
+/*
+ * An issuer that gives a code to whoever asks for one, for the user the
+ * test says
+ */
+function MockIssuer() {
+  const keys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  this.privateKey = keys.privateKey.export({ type: 'pkcs8', format: 'pem' });
+  this.jwk = Object.assign(keys.publicKey.export({ format: 'jwk' }),
+      { kid: 'key1', use: 'sig', alg: 'RS256' });
+  this.codes = new Map();
+  this.refreshTokens = new Map();
+  this.tokenRequests = [];
+  this.app = express();
+  this.app.use(express.urlencoded({ extended: false }));
+  this.app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: this.issuer,
+      authorization_endpoint: `${this.issuer}/authorize`,
+      token_endpoint: `${this.issuer}/token`,
+      jwks_uri: `${this.issuer}/jwks`
+    });
+  });
+  this.app.get('/jwks', (req, res) => res.json({ keys: [this.jwk] }));
+  this.app.post('/token', (req, res) => this.token(req, res));
+}
+MockIssuer.prototype = {
+  constructor: MockIssuer,
+
+  start() {
+    return new Promise(resolve => {
+      this.server = this.app.listen(0, '127.0.0.1', () => {
+        this.issuer = `http://127.0.0.1:${this.server.address().port}`;
+        resolve();
+      });
+    });
+  },
+
+  stop() {
+    return new Promise(resolve => this.server.close(resolve));
+  },
+
+  /**
+   * What the provider would do when the browser comes to authorizationUrl
+   * and the user logs in
+   */
+  authorize(authorizationUrl, user) {
+    const params = new URL(authorizationUrl).searchParams;
+    const code = crypto.randomBytes(8).toString('hex');
+    this.codes.set(code, {
+      user,
+      challenge: params.get('code_challenge'),
+      nonce: params.get('nonce')
+    });
+    return { code, state: params.get('state') };
+  },
+
+  signIdToken(claims, options) {
+    return jwt.sign(claims, this.privateKey, Object.assign({
+      algorithm: 'RS256',
+      keyid: 'key1',
+      issuer: this.issuer,
+      audience: CLIENT_ID,
+      expiresIn: 300
+    }, options));
+  },
+
+  issueTokens(user, nonce) {
+    const refreshToken = crypto.randomBytes(8).toString('hex');
+    this.refreshTokens.set(refreshToken, user);
+    const claims = { sub: user.sub, preferred_username: user.username,
+                     groups: user.groups };
+    if (nonce) {
+      claims.nonce = nonce;
+    }
+    return {
+      access_token: crypto.randomBytes(8).toString('hex'),
+      refresh_token: refreshToken,
+      expires_in: 300,
+      token_type: 'Bearer',
+      id_token: this.signIdToken(claims)
+    };
+  },
+
+  token(req, res) {
+    this.tokenRequests.push(req.body);
+    if (req.body.grant_type === 'refresh_token') {
+      const user = this.refreshTokens.get(req.body.refresh_token);
+      this.refreshTokens.delete(req.body.refresh_token);
+      if (!user) {
+        res.status(400).json({ error: 'invalid_grant' });
+        return;
+      }
+      res.json(this.issueTokens(user));
+      return;
+    }
+    const login = this.codes.get(req.body.code);
+    this.codes.delete(req.body.code);
+    const challenge = req.body.code_verifier && crypto.createHash('sha256')
+      .update(req.body.code_verifier).digest('base64').replace(/=+$/, '')
+      .replace(/\+/g, '-').replace(/\//g, '_');
+    if (!(login && (challenge === login.challenge)
+        && (req.body.redirect_uri === REDIRECT_URI))) {
+      res.status(400).json({ error: 'invalid_grant' });
+      return;
+    }
+    res.json(this.issueTokens(login.user, login.nonce));
+  }
+};
+
+const logger = {
+  warn() {},
+  info() {}
+};
+
+function makeAuthenticator(issuer, extraConfig) {
+  const config = Object.assign({
+    issuer,
+    clientId: CLIENT_ID,
+    redirectUri: REDIRECT_URI,
+    accessRoles: { 'org.zowe.terminal': ['operators'] }
+  }, extraConfig);
+  return oidcAuth({ identifier: 'org.zowe.zlux.auth.oidc' }, {
+    getContents([name]) {
+      return (name === 'oidc.json') ? config : null;
+    }
+  }, {}, { logger });
+}
+
+function makeRequest(body, pluginID) {
+  return {
+    body,
+    [`${UNP.APP_NAME}Data`]: {
+      plugin: { def: pluginID ? { identifier: pluginID } : null },
+      service: {}
+    }
+  };
+}
+
+describe('OIDC auth plugin', function() {
+  const issuer = new MockIssuer();
+  const alice = { sub: '1234', username: 'alice', groups: ['operators'] };
+  let authenticator;
+
+  before(function() {
+    return issuer.start().then(() => makeAuthenticator(issuer.issuer))
+      .then(a => authenticator = a);
+  });
+
+  after(function() {
+    return issuer.stop();
+  });
+
+  function logIn(user) {
+    const sessionState = {};
+    return authenticator.authenticate(makeRequest({}), sessionState)
+      .then(result => {
+        const callback = issuer.authorize(result.authorizationUrl, user);
+        return authenticator.authenticate(makeRequest(callback), sessionState);
+      }).then(result => ({ result, sessionState }));
+  }
+
+  it('should start a login with PKCE', function() {
+    return authenticator.authenticate(makeRequest({}), {}).then(result => {
+      result.success.should.be.false;
+      const url = new URL(result.authorizationUrl);
+      url.pathname.should.equal('/authorize');
+      const params = url.searchParams;
+      params.get('response_type').should.equal('code');
+      params.get('client_id').should.equal(CLIENT_ID);
+      params.get('redirect_uri').should.equal(REDIRECT_URI);
+      params.get('scope').should.equal('openid profile email');
+      params.get('code_challenge_method').should.equal('S256');
+      params.get('code_challenge').should.match(/^[A-Za-z0-9_-]{43}$/);
+      should.exist(params.get('nonce'));
+      params.get('state').should.not.include(params.get('nonce'));
+    });
+  });
+
+  it('should log in with the code, mapping the claims', function() {
+    return logIn(alice).then(({ result, sessionState }) => {
+      result.success.should.be.true;
+      result.expms.should.be.within(299000, 300000);
+      sessionState.username.should.equal('alice');
+      sessionState.roles.should.deep.equal(['operators']);
+      authenticator.getStatus(sessionState).authenticated.should.be.true;
+      const tokenRequest = issuer.tokenRequests[issuer.tokenRequests.length - 1];
+      tokenRequest.client_id.should.equal(CLIENT_ID);
+    });
+  });
+
+  it('should refuse a state it did not make', function() {
+    const sessionState = {};
+    return authenticator.authenticate(makeRequest({}), sessionState)
+      .then(result => {
+        const callback = issuer.authorize(result.authorizationUrl, alice);
+        callback.state = callback.state.replace(/^./,
+            c => (c === 'A') ? 'B' : 'A');
+        return authenticator.authenticate(makeRequest(callback), sessionState);
+      }).then(result => {
+        result.success.should.be.false;
+        result.reason.should.match(/state/);
+        should.not.exist(sessionState.username);
+      });
+  });
+
+  it('should refuse a state from another session, and a replayed one',
+      function() {
+    const attackerSession = {};
+    const victimSession = {};
+    let callback;
+    return authenticator.authenticate(makeRequest({}), attackerSession)
+      .then(result => {
+        callback = issuer.authorize(result.authorizationUrl, alice);
+        return authenticator.authenticate(makeRequest({}), victimSession);
+      }).then(() => {
+        return authenticator.authenticate(makeRequest(callback), victimSession);
+      }).then(result => {
+        result.success.should.be.false;
+        result.reason.should.match(/not started in this session/);
+        should.not.exist(victimSession.username);
+        return authenticator.authenticate(makeRequest(callback),
+            attackerSession);
+      }).then(result => {
+        result.success.should.be.true;
+        return authenticator.authenticate(makeRequest(callback),
+            attackerSession);
+      }).then(result => {
+        result.success.should.be.false;
+        result.reason.should.match(/not started in this session/);
+      });
+  });
+
+  it('should refuse an ID token for another login', function() {
+    const sessionState = {};
+    return authenticator.authenticate(makeRequest({}), sessionState)
+      .then(result => {
+        const callback = issuer.authorize(result.authorizationUrl, alice);
+        issuer.codes.get(callback.code).nonce = 'another nonce';
+        return authenticator.authenticate(makeRequest(callback), sessionState);
+      }).then(result => {
+        result.success.should.be.false;
+        should.not.exist(sessionState.username);
+      });
+  });
+
+  it('should refresh the tokens, and end the session when it cannot',
+      function() {
+    let sessionState;
+    let accessToken;
+    return logIn(alice).then(login => {
+      sessionState = login.sessionState;
+      accessToken = sessionState.accessToken;
+      return authenticator.refreshStatus(makeRequest({}), sessionState);
+    }).then(result => {
+      result.success.should.be.true;
+      sessionState.accessToken.should.not.equal(accessToken);
+      issuer.refreshTokens.clear();
+      return authenticator.refreshStatus(makeRequest({}), sessionState);
+    }).then(result => {
+      result.success.should.be.false;
+      should.not.exist(sessionState.username);
+    });
+  });
+
+  it('should check the roles when RBAC is on', function() {
+    return logIn(alice).then(({ sessionState }) => {
+      const allowed = makeRequest({}, 'org.zowe.terminal');
+      const denied = makeRequest({}, 'org.zowe.editor');
+      return Promise.all([
+        authenticator.authorized(allowed, sessionState, {}),
+        authenticator.authorized(denied, sessionState, {}),
+        authenticator.authorized(makeRequest({}, 'org.zowe.editor'),
+            sessionState, { bypassAuthorizatonCheck: true })
+      ]).then(([allowedResult, deniedResult, bypassedResult]) => {
+        allowedResult.authorized.should.be.true;
+        allowed.username.should.equal('alice');
+        deniedResult.authenticated.should.be.true;
+        deniedResult.authorized.should.be.false;
+        bypassedResult.authorized.should.be.true;
+      });
+    });
+  });
+
+  it('should fail a login when the provider does not answer', function() {
+    //accepts connections, never answers
+    const sockets = [];
+    const silent = net.createServer(socket => sockets.push(socket));
+    return new Promise(resolve => silent.listen(0, '127.0.0.1', resolve))
+      .then(() => makeAuthenticator(
+          `http://127.0.0.1:${silent.address().port}`, { timeoutMs: 100 }))
+      .then(a => a.authenticate(makeRequest({}), {}))
+      .then(result => {
+        result.success.should.be.false;
+        should.not.exist(result.authorizationUrl);
+        result.reason.should.match(/did not answer in time/);
+      }).finally(() => {
+        sockets.forEach(socket => socket.destroy());
+        return new Promise(resolve => silent.close(resolve));
+      });
+  });
+
+  it('should need an issuer, a client and a redirect', function() {
+    (() => oidcAuth({ identifier: 'x' }, { getContents: () => ({}) }, {},
+        { logger })).should.throw(/issuer/);
+  });
+});
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
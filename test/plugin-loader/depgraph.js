@@ -35,11 +35,164 @@ describe('degpraph', function() {
     assert.equal(p.rejects.length, 2) 
   });
   
-  it('should fail on a circular dependency', function() {
-    assert.throws(() => {
-      const dg = new Depgraph(depTestData.cycle);
+  describe('plugin dependencies', function() {
+    function makeDef(identifier, pluginVersion, dependencies) {
+      return {
+        identifier,
+        apiVersion: "1.0.0",
+        pluginVersion,
+        pluginType: "application",
+        dependencies
+      };
+    }
+    
+    it('should install a plugin after the plugins it depends on', function() {
+      const dg = new Depgraph([
+        makeDef("org.zowe.app", "1.0.0", { "org.zowe.lib": "^2.0.0" }),
+        makeDef("org.zowe.lib", "2.1.0")
+      ]);
       const p = dg.processImports();
-    }); 
+      assert.deepEqual(p.plugins.map(p => p.identifier), 
+          ["org.zowe.lib", "org.zowe.app"]);
+    });
+    
+    it('should reject a plugin and its dependents on a version mismatch', function() {
+      const dg = new Depgraph([
+        makeDef("org.zowe.app", "1.0.0", { "org.zowe.lib": "^1.0.0" }),
+        makeDef("org.zowe.addon", "1.0.0", { "org.zowe.app": "*" }),
+        makeDef("org.zowe.lib", "2.1.0")
+      ]);
+      const p = dg.processImports();
+      assert.deepEqual(p.plugins.map(p => p.identifier), ["org.zowe.lib"]);
+      const app = p.rejects.find(r => r.pluginId === "org.zowe.app");
+      assert.equal(app.validationError.status, 
+          "REQUIRED_PLUGIN_VERSION_NOT_FOUND");
+      const addon = p.rejects.find(r => r.pluginId === "org.zowe.addon");
+      assert.equal(addon.validationError.status, 
+          "REQUIRED_PLUGIN_FAILED_TO_LOAD");
+    });
+    
+    it('should not reject a plugin over an optional dependency', function() {
+      const dg = new Depgraph([
+        makeDef("org.zowe.app", "1.0.0", { 
+          "org.zowe.missing": { version: "^1.0.0", optional: true },
+          "org.zowe.lib": { version: "^1.0.0", optional: true }
+        }),
+        makeDef("org.zowe.lib", "1.0.0", { "org.zowe.missing": "^1.0.0" })
+      ]);
+      const p = dg.processImports();
+      assert.deepEqual(p.plugins.map(p => p.identifier), ["org.zowe.app"]);
+      assert.deepEqual(p.rejects.map(r => r.pluginId), ["org.zowe.lib"]);
+    });
+  });
+  
+  describe('side by side versions', function() {
+    function makeProvider(pluginVersion, serviceVersion) {
+      return {
+        identifier: "org.zowe.provider",
+        apiVersion: "1.0.0",
+        pluginVersion,
+        pluginType: "application",
+        dataServices: [
+          { type: "router", name: "foo", fileName: "nop-router.js", 
+            version: serviceVersion }
+        ]
+      };
+    }
+    
+    function makeConsumer(versionRange, dependencies) {
+      return {
+        identifier: "org.zowe.consumer",
+        apiVersion: "1.0.0",
+        pluginVersion: "1.0.0",
+        pluginType: "application",
+        dependencies,
+        dataServices: [
+          { type: "import", sourcePlugin: "org.zowe.provider", 
+            sourceName: "foo", versionRange, localName: "foo" }
+        ]
+      };
+    }
+    
+    it('should install every version of a plugin', function() {
+      const dg = new Depgraph([makeProvider("1.0.0", "1.0.0"), 
+          makeProvider("2.0.0", "2.0.0")]);
+      const p = dg.processImports();
+      assert.deepEqual(p.plugins.map(p => p.pluginVersion).sort(), 
+          ["1.0.0", "2.0.0"]);
+      assert.equal(p.rejects.length, 0);
+    });
+    
+    it('should import from the provider version that satisfies the range', function() {
+      const consumer = makeConsumer("^1.0.0");
+      const dg = new Depgraph([makeProvider("1.0.0", "1.2.0"), 
+          makeProvider("2.0.0", "2.0.0"), consumer]);
+      const p = dg.processImports();
+      assert.equal(p.rejects.length, 0);
+      assert.equal(consumer.dataServices[0].sourcePluginVersion, "1.0.0");
+      assert.equal(consumer.dataServices[0].version, "1.2.0");
+    });
+    
+    it('should depend on the highest matching plugin version', function() {
+      const consumer = makeConsumer("*", { "org.zowe.provider": "<3.0.0" });
+      const dg = new Depgraph([makeProvider("1.0.0", "1.0.0"), 
+          makeProvider("2.0.0", "2.0.0"), makeProvider("3.0.0", "3.0.0"), 
+          consumer]);
+      const p = dg.processImports();
+      assert.equal(p.rejects.length, 0);
+      assert.equal(consumer.dataServices[0].sourcePluginVersion, "2.0.0");
+    });
+  });
+  
+  it('should reject the plugins that form a cycle', function() {
+    const dg = new Depgraph(depTestData.cycle);
+    const p = dg.processImports();
+    assert.equal(p.plugins.length, 0) 
+    const errors = {};
+    for (const reject of p.rejects) {
+      errors[reject.pluginId] = reject.validationError;
+    }
+    assert.deepEqual(errors, {
+      "org.zowe.a": { 
+        status: "CIRCULAR_DEPENDENCY", 
+        cycle: "org.zowe.a -> org.zowe.b -> org.zowe.a" 
+      },
+      "org.zowe.b": {
+        status: "CIRCULAR_DEPENDENCY",
+        cycle: "org.zowe.b -> org.zowe.a -> org.zowe.b"
+      }
+    });
+  });
+  
+  it('should report the full cycle and reject its dependents only', function() {
+    function makeDef(identifier, dependencies) {
+      return {
+        identifier,
+        apiVersion: "1.0.0",
+        pluginVersion: "1.0.0",
+        pluginType: "application",
+        dependencies
+      };
+    }
+    const dg = new Depgraph([
+      makeDef("a", { "b": "*" }),
+      makeDef("b", { "c": "*", "lib": "*" }),
+      makeDef("c", { "a": "*" }),
+      makeDef("lib"),
+      makeDef("dependent", { "c": "*" })
+    ]);
+    const p = dg.processImports();
+    assert.deepEqual(p.plugins.map(p => p.identifier), ["lib"]);
+    const errors = {};
+    for (const reject of p.rejects) {
+      errors[reject.pluginId] = reject.validationError;
+    }
+    assert.equal(errors["a"].cycle, "a -> b -> c -> a");
+    assert.equal(errors["c"].cycle, "c -> a -> b -> c");
+    assert.deepEqual(errors["dependent"], {
+      status: "REQUIRED_PLUGIN_FAILED_TO_LOAD",
+      pluginId: "c"
+    });
   });
 });
 
@@ -9,9 +9,13 @@
   Copyright Contributors to the Zowe Project.
 */
 const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
 const path = require('path')
 const PluginLoader = require('../../lib/plugin-loader')
 const makePlugin = PluginLoader.makePlugin
+const pluginLoadReport = require('../../lib/plugin-load-report')
+const pluginSchema = require('../../lib/plugin-schema')
   
 const PLUGIN_PATH = path.join(process.cwd(), "test/plugin-loader");
 
@@ -256,6 +260,356 @@ describe('Plugin', function() {
     
   })
 })
+
+describe('pluginSchema', function() {
+  const routerDef = {
+    "identifier": "org.zowe.router",
+    "apiVersion": "1.0.0",
+    "pluginVersion": "1.0.0",
+    "pluginType": "application",
+    "dataServices": [
+      {
+        "type": "router",
+        "name": "data",
+        "fileName": "data.js",
+        "routerFactroy": "dataRouter",
+        "version": "1.0.0"
+      }
+    ]
+  };
+  
+  it('should only warn about unknown properties in lenient mode', function() {
+    const result = pluginSchema.validate("pluginDefinition", routerDef, 
+        pluginSchema.modes.LENIENT);
+    assert.deepEqual(result.violations, [{
+      path: "$.dataServices[0].routerFactroy",
+      message: "unknown property",
+      unknownProperty: true
+    }]);
+    assert.deepEqual(result.rejecting, []);
+  });
+  
+  it('should reject unknown properties in strict mode', function() {
+    assert.throws(() => {
+      pluginSchema.check("pluginDefinition", routerDef, 
+          pluginSchema.modes.STRICT, "test");
+    }, err => {
+      assert.equal(err.validationErrors[0].path, 
+          "$.dataServices[0].routerFactroy");
+      return true;
+    });
+  });
+  
+  it('should report every violation with its path', function() {
+    const def = Object.assign({}, routerDef, {
+      dataServices: [
+        {
+          "type": "router",
+          "name": "data",
+          "version": "1.0.0"
+        }
+      ]
+    });
+    delete def.pluginVersion;
+    const result = pluginSchema.validate("pluginDefinition", def,
+        pluginSchema.modes.LENIENT);
+    assert.deepEqual(result.rejecting.map(v => [v.path, v.message]), [
+      ["$.pluginVersion", "is required"],
+      ["$.dataServices[0]", "should have one of: fileName, filename, source"]
+    ]);
+  });
+})
+
+describe('PluginLoader', function() {
+  const providerDef = {
+    "identifier": "org.zowe.provider",
+    "apiVersion": "1.0.0",
+    "pluginVersion": "1.0.0",
+    "pluginType": "application",
+    "dataServices": [
+      {
+        "type": "service",
+        "name": "foo",
+        "version": "1.0.0"
+      }
+    ]
+  };
+  
+  function makeConsumerDef(versionRange) {
+    return {
+      "identifier": "org.zowe.consumer",
+      "apiVersion": "1.0.0",
+      "pluginVersion": "1.0.0",
+      "pluginType": "application",
+      "dataServices": [
+        {
+          "type": "import",
+          "sourcePlugin": "org.zowe.provider",
+          "sourceName": "foo",
+          "versionRange": versionRange,
+          "localName": "foo"
+        }
+      ]
+    };
+  }
+  
+  function makeLoader() {
+    return new PluginLoader({
+      productCode: "XYZ",
+      serverConfig: {},
+      authManager: {}
+    });
+  }
+  
+  describe('addDynamicPlugin', function() {
+    
+    it('should resolve imports against installed plugins', function() {
+      const loader = makeLoader();
+      loader.addDynamicPlugin(providerDef);
+      const result = loader.addDynamicPlugin(makeConsumerDef("^1.0.0"));
+      assert.equal(result.status, "added");
+      assert(loader.pluginMap["org.zowe.consumer"]);
+      assert.equal(loader.pluginMap["org.zowe.consumer"]
+          .importsGrouped["foo"].highestVersion, "1.0.0");
+    });
+    
+    it('should list the imports that can never be resolved', function() {
+      const loader = makeLoader();
+      loader.addDynamicPlugin(providerDef);
+      assert.throws(() => {
+        loader.addDynamicPlugin(makeConsumerDef("^2.0.0"));
+      }, err => {
+        assert.equal(err.unresolvedImports.length, 1);
+        assert.equal(err.unresolvedImports[0].status, 
+            "REQUIRED_SERVICE_VERSION_NOT_FOUND");
+        assert.equal(err.unresolvedImports[0].sourceName, "foo");
+        return true;
+      });
+      assert(!loader.pluginMap["org.zowe.consumer"]);
+    });
+    
+    it('should queue a plugin until its provider is added', function() {
+      const loader = makeLoader();
+      const added = [];
+      loader.on('pluginAdded', event => added.push(event.data.identifier));
+      const result = loader.addDynamicPlugin(makeConsumerDef("^1.0.0"));
+      assert.equal(result.status, "pending");
+      assert.equal(result.unresolvedImports[0].status, 
+          "REQUIRED_PLUGIN_NOT_FOUND");
+      assert(!loader.pluginMap["org.zowe.consumer"]);
+      loader.addDynamicPlugin(providerDef);
+      assert.deepEqual(added, ["org.zowe.provider", "org.zowe.consumer"]);
+      assert.deepEqual(loader.pendingPlugins, {});
+    });
+
+    it('should fail and report a plugin it could not make', function() {
+      const loader = new PluginLoader({
+        productCode: "XYZ",
+        serverConfig: {},
+        authManager: {
+          authPluginRequested() {
+            return false;
+          }
+        }
+      });
+      const authDef = {
+        "identifier": "org.zowe.unrequested",
+        "apiVersion": "1.0.0",
+        "pluginVersion": "1.0.0",
+        "pluginType": "nodeAuthentication",
+        "authenticationCategory": "fallback",
+        "filename": "auth.js"
+      };
+      assert.throws(() => loader.addDynamicPlugin(authDef), err => {
+        assert.equal(err.loadFailure.state, "skipped");
+        return true;
+      });
+      assert(!loader.pluginMap["org.zowe.unrequested"]);
+      assert.equal(loader.getPluginStatus("org.zowe.unrequested").state,
+          "skipped");
+    });
+  })
+  
+  describe('revertReload', function() {
+    
+    it('should put back the plugin a reload replaced', function() {
+      const loader = makeLoader();
+      loader.addDynamicPlugin(providerDef);
+      const previous = loader.pluginMap["org.zowe.provider"];
+      let reloaded;
+      loader.on('pluginReloaded', event => reloaded = event.data);
+      loader.reloadPlugin("org.zowe.provider", Object.assign({}, providerDef, {
+        pluginVersion: "2.0.0"
+      }));
+      assert.equal(loader.pluginMap["org.zowe.provider"], reloaded);
+      loader.revertReload(reloaded, previous);
+      assert.equal(loader.pluginMap["org.zowe.provider"], previous);
+      assert.deepEqual(Object.keys(loader.pluginVersions["org.zowe.provider"]),
+          ["1.0.0"]);
+      assert.equal(loader.plugins.indexOf(reloaded), -1);
+      assert.notEqual(loader.plugins.indexOf(previous), -1);
+    });
+  })
+  
+  describe('getPluginStatuses', function() {
+    
+    it('should report the stage at which a plugin failed', function() {
+      const loader = makeLoader();
+      const brokenServiceDef = Object.assign({}, providerDef, {
+        identifier: "org.zowe.broken",
+        dataServices: [
+          {
+            "type": "router",
+            "name": "bar",
+            "version": "1.0.0",
+            "filename": "missing.js"
+          }
+        ],
+        location: PLUGIN_PATH
+      });
+      loader.installPlugins([makeConsumerDef("^1.0.0"), brokenServiceDef]);
+      const report = pluginLoadReport.makeReport(loader.getPluginStatuses());
+      assert.deepEqual(report.map(row => [row.identifier, row.state, row.stage]), [
+        ["org.zowe.broken", "failed-to-init", "data service init"],
+        ["org.zowe.consumer", "rejected", "dependency"]
+      ]);
+      assert(report[0].error);
+      const summary = pluginLoadReport.formatSummary(report).split('\n');
+      assert.equal(summary[0], 
+          "Plugin load summary: 2 plugins, 1 failed-to-init, 1 rejected");
+      assert.equal(summary.length, 5);
+    });
+
+    it('should report the failure of each version of a plugin', function() {
+      const loader = makeLoader();
+      const makeBrokenDef = (pluginVersion) => Object.assign({}, providerDef, {
+        identifier: "org.zowe.broken",
+        pluginVersion,
+        dataServices: [
+          {
+            "type": "router",
+            "name": "bar",
+            "version": "1.0.0",
+            "filename": "missing.js"
+          }
+        ],
+        location: PLUGIN_PATH
+      });
+      loader.installPlugins([makeBrokenDef("1.0.0"), makeBrokenDef("2.0.0")]);
+      assert.deepEqual(loader.getPluginStatuses()
+          .map(status => [status.identifier, status.version]).sort(), [
+        ["org.zowe.broken", "1.0.0"],
+        ["org.zowe.broken", "2.0.0"]
+      ]);
+      assert.equal(loader.getPluginStatus("org.zowe.broken", "1.0.0").version,
+          "1.0.0");
+      assert.equal(loader.getPluginStatus("org.zowe.broken").version, "2.0.0");
+      loader.removePlugin("org.zowe.broken", "2.0.0");
+      assert.equal(loader.getPluginStatus("org.zowe.broken").version, "1.0.0");
+    });
+  })
+  
+  describe('persistDynamicPlugin', function() {
+    const serviceDef = {
+      "identifier": "org.zowe.persisted",
+      "apiVersion": "1.0.0",
+      "pluginVersion": "1.0.0",
+      "pluginType": "application",
+      "dataServices": [
+        {
+          "type": "service",
+          "name": "hello",
+          "version": "1.0.0",
+          "source": "module.exports = function() {};"
+        }
+      ]
+    };
+    let pluginsDir;
+    
+    beforeEach(function() {
+      pluginsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugins-'));
+    });
+    
+    afterEach(function() {
+      const loader = new PluginLoader({ pluginsDir });
+      loader.forgetPersistedPlugin(serviceDef.identifier, "1.0.0");
+      loader.forgetPersistedPlugin(serviceDef.identifier, "2.0.0");
+      if (fs.existsSync(path.join(pluginsDir, 'dynamic'))) {
+        fs.rmdirSync(path.join(pluginsDir, 'dynamic'));
+      }
+      fs.rmdirSync(pluginsDir);
+    });
+    
+    it('should write a plugin that is read back on the next start', function() {
+      const loader = new PluginLoader({ pluginsDir });
+      loader.persistDynamicPlugin(serviceDef);
+      assert(loader.isPersistedPlugin(serviceDef.identifier, "1.0.0"));
+      const defs = new PluginLoader({ pluginsDir }).readPluginDefs();
+      assert.equal(defs.length, 1);
+      assert.equal(defs[0].identifier, serviceDef.identifier);
+      assert.equal(defs[0].dataServices[0].filename, "hello-1.0.0.js");
+      assert(!defs[0].dataServices[0].source);
+      assert.equal(fs.readFileSync(path.join(defs[0].location, "lib", 
+          "hello-1.0.0.js"), "utf8"), serviceDef.dataServices[0].source);
+    });
+    
+    it('should delete everything it has written', function() {
+      const loader = new PluginLoader({ pluginsDir });
+      loader.persistDynamicPlugin(serviceDef);
+      loader.forgetPersistedPlugin(serviceDef.identifier, "1.0.0");
+      assert(!loader.isPersistedPlugin(serviceDef.identifier, "1.0.0"));
+      assert.deepEqual(fs.readdirSync(path.join(pluginsDir, 'dynamic')), []);
+      assert.deepEqual(loader.readPluginDefs(), []);
+    });
+    
+    it('should write each version of a plugin separately', function() {
+      const loader = new PluginLoader({ pluginsDir });
+      loader.persistDynamicPlugin(serviceDef);
+      loader.persistDynamicPlugin(Object.assign({}, serviceDef, {
+        pluginVersion: "2.0.0"
+      }));
+      const versions = new PluginLoader({ pluginsDir }).readPluginDefs()
+        .map(def => def.pluginVersion).sort();
+      assert.deepEqual(versions, ["1.0.0", "2.0.0"]);
+      loader.forgetPersistedPlugin(serviceDef.identifier, "1.0.0");
+      assert(loader.isPersistedPlugin(serviceDef.identifier, "2.0.0"));
+    });
+    
+    it('should not overwrite a reference to another location', function() {
+      const pointerPath = path.join(pluginsDir, 
+          serviceDef.identifier + '@1.0.0.json');
+      fs.writeFileSync(pointerPath, JSON.stringify({
+        identifier: serviceDef.identifier,
+        pluginLocation: PLUGIN_PATH
+      }));
+      const loader = new PluginLoader({ pluginsDir });
+      assert.throws(() => loader.persistDynamicPlugin(serviceDef), 
+          /already exists/);
+      fs.unlinkSync(pointerPath);
+    });
+
+    it('should refuse names that would leave the plugin directories',
+        function() {
+      const loader = new PluginLoader({ pluginsDir });
+      const unsafeDefs = [
+        Object.assign({}, serviceDef, { identifier: "../../escaped" }),
+        Object.assign({}, serviceDef, { pluginVersion: "../1.0.0" }),
+        Object.assign({}, serviceDef, { dataServices: [
+          Object.assign({}, serviceDef.dataServices[0], { name: "../../x" })
+        ] }),
+        Object.assign({}, serviceDef, { dataServices: [
+          Object.assign({}, serviceDef.dataServices[0], { version: "1/../.." })
+        ] })
+      ];
+      for (const unsafeDef of unsafeDefs) {
+        assert.throws(() => loader.persistDynamicPlugin(unsafeDef),
+            /can't be used as a file name/);
+      }
+      assert(!fs.existsSync(path.join(pluginsDir, 'dynamic')));
+      assert(!loader.isPersistedPlugin("../../escaped", "1.0.0"));
+    });
+  })
+})
 /*
   This program and the accompanying materials are
   made available under the terms of the Eclipse Public License v2.0 which accompanies
@@ -0,0 +1,188 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+  
+  SPDX-License-Identifier: EPL-2.0
+  
+  Copyright Contributors to the Zowe Project.
+*/
+const assert = require('assert')
+const path = require('path')
+const express = require('express')
+const expressWs = require('express-ws')
+require('../../lib/util')
+const makeSwaggerCatalog = require('../../lib/swagger-catalog')
+const routerIntrospection = require('../../lib/router-introspection')
+
+//adds router.ws()
+expressWs(express());
+
+const PLUGIN_PATH = path.join(process.cwd(), "test/plugin-loader/swagger-plugin");
+
+describe('swagger catalog', function() {
+  const plugin = {
+    identifier: "org.zowe.swaggertest",
+    location: PLUGIN_PATH,
+    dataServices: [
+      {
+        type: "router",
+        name: "files",
+        version: "1.0.0"
+      },
+      {
+        type: "external",
+        name: "jobs",
+        version: "2.0.0"
+      },
+      {
+        type: "router",
+        name: "undocumented",
+        version: "1.0.0"
+      }
+    ]
+  };
+  const catalog = makeSwaggerCatalog(plugin, "ZLUX");
+
+  it('should move the paths of a spec under the service URL', function() {
+    assert(catalog.paths['/services/files/1.0.0/{name}']);
+    assert(catalog.paths['/services/jobs/2.0.0']);
+    assert.deepEqual(catalog.servers, 
+        [{ url: "/ZLUX/plugins/org.zowe.swaggertest" }]);
+  })
+
+  it('should convert Swagger 2 specs to OpenAPI 3', function() {
+    const pathItem = catalog.paths['/services/files/1.0.0/{name}'];
+    assert.deepEqual(pathItem.get.parameters[0].schema, { type: "string" });
+    assert.equal(pathItem.get.responses['200'].content['application/json']
+        .schema.$ref, "#/components/schemas/File");
+    assert.equal(pathItem.put.requestBody.content['application/json']
+        .schema.$ref, "#/components/schemas/File");
+    assert.equal(catalog.swagger, undefined);
+    assert.equal(catalog.openapi, "3.0.0");
+  })
+
+  it('should rename clashing components and operation ids', function() {
+    const jobsGet = catalog.paths['/services/jobs/2.0.0'].get;
+    assert.equal(jobsGet.operationId, "jobs_read");
+    assert.equal(jobsGet.responses['200'].content['application/json']
+        .schema.$ref, "#/components/schemas/jobs_File");
+    assert.equal(catalog.components.schemas.File.type, "object");
+    assert.equal(catalog.components.schemas.jobs_File.type, "array");
+    assert.deepEqual(catalog.tags.map(t => t.name), ["Files", "Jobs"]);
+  })
+
+  it('should keep a placeholder for services without a spec', function() {
+    assert(catalog.paths['/services/undocumented/1.0.0/*']);
+    assert.equal(Object.keys(catalog.paths).length, 3);
+  })
+
+  describe('router introspection', function() {
+    const router = express.Router();
+    router.use(express.json());
+    router.get('/', () => {});
+    router.route('/items/:id').get(() => {}).put(() => {});
+    router.get(/^\/regexp/, () => {});
+    const subRouter = express.Router();
+    subRouter.delete('/:name', () => {});
+    router.use('/groups/:group', subRouter);
+    router.ws('/events', () => {});
+
+    it('should list the routes of a router', function() {
+      const routes = routerIntrospection.listRoutes(router);
+      assert.deepEqual(routes.map(r => `${r.method} ${r.path}`), [
+        "get /",
+        "get /items/{id}",
+        "put /items/{id}",
+        "delete /groups/{group}/{name}",
+        "get /events"
+      ]);
+      assert.deepEqual(routes[3].parameters, ["group", "name"]);
+      assert(routes[4].websocket);
+      assert(!routes[4].http);
+    })
+
+    it('should describe router services by their routes', function() {
+      const routerCatalog = makeSwaggerCatalog({
+        identifier: "org.zowe.routertest",
+        dataServices: [{ type: "router", name: "items", version: "1.0.0" }]
+      }, "ZLUX", { items: { "1.0.0": router } });
+      const paths = routerCatalog.paths;
+      assert.deepEqual(Object.keys(paths), [
+        "/services/items/1.0.0",
+        "/services/items/1.0.0/items/{id}",
+        "/services/items/1.0.0/groups/{group}/{name}",
+        "/services/items/1.0.0/events"
+      ]);
+      assert.equal(paths["/services/items/1.0.0/items/{id}"].parameters[0].in,
+          "path");
+      assert(paths["/services/items/1.0.0/events"].get['x-websocket']);
+      assert(paths["/services/items/1.0.0/events"].get.responses['101']);
+    })
+  })
+
+  describe('server catalog', function() {
+    const serverCatalog = makeSwaggerCatalog.makeServerCatalog("ZLUX", [
+      {
+        name: "org.zowe.swaggertest",
+        url: "/ZLUX/plugins/org.zowe.swaggertest",
+        catalog
+      },
+      {
+        name: "org.zowe.swaggertest@0.9.0",
+        url: "/ZLUX/plugins/org.zowe.swaggertest/0.9.0",
+        catalog
+      }
+    ], [{ url: "/unixfile" }]);
+
+    it('should describe the root services', function() {
+      assert.equal(serverCatalog.paths['/auth'].post.operationId, "login");
+      assert.deepEqual(serverCatalog.paths['/plugins'].get.tags, ["server"]);
+      assert(serverCatalog.paths['/unixfile/*']);
+    })
+
+    it('should put the plugin paths under the plugin URLs', function() {
+      assert(serverCatalog.paths[
+          '/ZLUX/plugins/org.zowe.swaggertest/services/files/1.0.0/{name}']);
+      assert(serverCatalog.paths[
+          '/ZLUX/plugins/org.zowe.swaggertest/0.9.0/services/files/1.0.0/{name}']);
+    })
+
+    it('should make operation ids unique', function() {
+      const operationIds = [];
+      for (const pathItem of Object.values(serverCatalog.paths)) {
+        for (const method of ['get', 'put', 'post', 'delete']) {
+          if (pathItem[method]) {
+            assert(pathItem[method].operationId);
+            operationIds.push(pathItem[method].operationId);
+          }
+        }
+      }
+      assert.equal(new Set(operationIds).size, operationIds.length);
+      assert(operationIds.includes("org.zowe.swaggertest.read"));
+      assert(operationIds.includes("org.zowe.swaggertest_0.9.0.read"));
+    })
+
+    it('should tag operations and components with their plugin', function() {
+      const get = serverCatalog.paths[
+          '/ZLUX/plugins/org.zowe.swaggertest/services/files/1.0.0/{name}'].get;
+      assert.deepEqual(get.tags, ["org.zowe.swaggertest"]);
+      assert.equal(get.responses['200'].content['application/json']
+          .schema.$ref, "#/components/schemas/org.zowe.swaggertest.File");
+      assert(serverCatalog.components.schemas[
+          'org.zowe.swaggertest_0.9.0.jobs_File']);
+      assert.deepEqual(serverCatalog.tags.map(t => t.name), ["server",
+          "org.zowe.swaggertest", "org.zowe.swaggertest@0.9.0"]);
+    })
+  })
+})
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+  
+  SPDX-License-Identifier: EPL-2.0
+  
+  Copyright Contributors to the Zowe Project.
+*/
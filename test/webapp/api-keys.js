@@ -0,0 +1,210 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const session = require('express-session');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+chai.use(chaiHttp);
+const should = chai.should();
+require('../../lib/util');
+const UNP = require('../../lib/unp-constants');
+const apiKeys = require('../../lib/api-keys');
+const WebAuth = require('../../lib/webauth');
+
+const passwordHandler = {
+  pluginID: 'org.zowe.passwords',
+  pluginDef: { authenticationCategory: 'passwords' },
+  getStatus(sessionState) {
+    return { authenticated: !!sessionState.username };
+  },
+  authenticate(req, sessionState) {
+    if (req.body.password === 'right') {
+      sessionState.username = req.body.username;
+      return Promise.resolve({ success: true });
+    }
+    return Promise.resolve({ success: false });
+  },
+  authorized(req, sessionState) {
+    req.username = sessionState.username;
+    const authenticated = !!sessionState.username;
+    return Promise.resolve({ authenticated, authorized: authenticated });
+  }
+};
+
+function makeApp(storageFile) {
+  const authManager = {
+    config: { apiKeys: { enabled: true, storageFile, maxExpiryDays: 30 } },
+    sessionTimeoutMs: -1,
+    getAllHandlers() {
+      return [passwordHandler];
+    },
+    getBestAuthenticationHandler() {
+      return passwordHandler;
+    },
+    isRbacEnabled() {
+      return false;
+    }
+  };
+  const auth = WebAuth(authManager);
+  const app = express();
+  app.use(session({ secret: 'test', resave: false,
+      saveUninitialized: false }));
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req[`${UNP.APP_NAME}Data`] = {
+      webApp: { authServiceHandleMaps: {} },
+      plugin: {},
+      service: {}
+    };
+    next();
+  });
+  app.post('/auth', auth.doLogin);
+  app.get('/auth/apikeys', auth.middleware, auth.apiKeyHandlers.list);
+  app.post('/auth/apikeys', auth.middleware, auth.apiKeyHandlers.create);
+  app.delete('/auth/apikeys/:id', auth.middleware,
+      auth.apiKeyHandlers.revoke);
+  app.get('/plugins/:plugin/services/:service', (req, res, next) => {
+    const appData = req[`${UNP.APP_NAME}Data`];
+    appData.plugin.def = { identifier: req.params.plugin };
+    appData.service.def = {
+      name: req.params.service,
+      configuration: { getContents: () => null }
+    };
+    next();
+  }, auth.middleware, (req, res) => {
+    res.status(200).json({ username: req.username });
+  });
+  return app;
+}
+
+describe('API keys', function() {
+  let dir;
+  let storageFile;
+  let app;
+  let agent;
+
+  before(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+    storageFile = path.join(dir, 'apiKeys.json');
+    app = makeApp(storageFile);
+    agent = chai.request.agent(app);
+    return agent.post('/auth').send({ username: 'alice', password: 'right' })
+      .then(res => res.should.have.status(200));
+  });
+
+  after(function() {
+    agent.close();
+    if (fs.existsSync(storageFile)) {
+      fs.unlinkSync(storageFile);
+    }
+    fs.rmdirSync(dir);
+  });
+
+  function callService(key, plugin, service) {
+    return chai.request(app).get(`/plugins/${plugin}/services/${service}`)
+      .set('X-API-Key', key);
+  }
+
+  it('should mint a key that is only kept hashed', function() {
+    return agent.post('/auth/apikeys').send({ name: 'ci',
+        scopes: ['org.zowe.configjs:data'] }).then(res => {
+      res.should.have.status(201);
+      res.body.key.should.match(/^zlk_/);
+      res.body.apiKey.name.should.equal('ci');
+      const stored = fs.readFileSync(storageFile, 'utf8');
+      stored.should.not.include(res.body.key.slice('zlk_'.length + 17));
+      stored.should.not.include('alice"}');
+    });
+  });
+
+  it('should attribute requests to the owner, within the scopes', function() {
+    let key;
+    return agent.post('/auth/apikeys').send({ name: 'scoped',
+        scopes: ['org.zowe.configjs:data'] }).then(res => {
+      key = res.body.key;
+      return callService(key, 'org.zowe.configjs', 'data');
+    }).then(res => {
+      res.should.have.status(200);
+      res.body.username.should.equal('alice');
+      return callService(key, 'org.zowe.configjs', 'other');
+    }).then(res => {
+      res.should.have.status(403);
+      return callService(key, 'org.zowe.terminal', 'data');
+    }).then(res => {
+      res.should.have.status(403);
+    });
+  });
+
+  it('should refuse a wrong key', function() {
+    return callService('zlk_0123456789abcdef_' + 'a'.repeat(43),
+        'org.zowe.configjs', 'data').then(res => {
+      res.should.have.status(401);
+      res.body.error.should.equal('invalid API key');
+    });
+  });
+
+  it('should reject invalid requests for keys', function() {
+    return agent.post('/auth/apikeys').send({ name: 'long',
+        scopes: ['*'], expiresInDays: 31 }).then(res => {
+      res.should.have.status(400);
+      return agent.post('/auth/apikeys').send({ name: 'none', scopes: [] });
+    }).then(res => {
+      res.should.have.status(400);
+    });
+  });
+
+  it('should list and revoke keys', function() {
+    let created;
+    return agent.post('/auth/apikeys').send({ name: 'revoked',
+        scopes: ['*'] }).then(res => {
+      created = res.body;
+      return agent.get('/auth/apikeys');
+    }).then(res => {
+      res.body.apiKeys.map(k => k.name).should.include('revoked');
+      should.not.exist(res.body.apiKeys[0].hash);
+      return agent.delete(`/auth/apikeys/${created.apiKey.id}`);
+    }).then(res => {
+      res.should.have.status(204);
+      return callService(created.key, 'org.zowe.configjs', 'data');
+    }).then(res => {
+      res.should.have.status(401);
+    });
+  });
+
+  it('should not let a key mint keys', function() {
+    let key;
+    return agent.post('/auth/apikeys').send({ name: 'minter',
+        scopes: ['*'] }).then(res => {
+      key = res.body.key;
+      return chai.request(app).post('/auth/apikeys').set('X-API-Key', key)
+        .send({ name: 'other', scopes: ['*'] });
+    }).then(res => {
+      res.should.have.status(403);
+    });
+  });
+
+  it('should need a storage file', function() {
+    (() => apiKeys.makeApiKeyAuth({ enabled: true })).should.throw(/storage/);
+    should.not.exist(apiKeys.makeApiKeyAuth({ storageFile: 'x' }));
+  });
+});
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
@@ -0,0 +1,165 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
+const path = require('path');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+chai.use(chaiHttp);
+const should = chai.should();
+require('../../lib/util');
+const csrf = require('../../lib/csrf');
+const PluginLoader = require('../../lib/plugin-loader');
+const makeWebApp = require('../../lib/webapp').makeWebApp;
+const config = require('./config');
+
+const SERVICES = '/XXX/plugins/org.zowe.testplugin/services/';
+
+function makePluginContext() {
+  const pl = new PluginLoader({
+    pluginsDir: path.join(process.cwd(), 'test/webapp'),
+    relativePathResolver(p) {
+      return path.join(process.cwd(), 'test/webapp', p);
+    }
+  });
+  const def = pl._readPluginDef("org.zowe.testplugin.json");
+  def.dataServices.find(s => s.name === 'caller').csrfProtection = false;
+  const plugin = PluginLoader.makePlugin(def, {}, {
+    productCode: "XXX",
+    config: {},
+    authManager: {}
+  }, false);
+  return {
+    pluginDef: plugin,
+    server: {
+      config: { app: {}, user: {}, startUp: {} },
+      state: { pluginMap: {} }
+    }
+  };
+}
+
+function getCookie(res, name) {
+  const cookies = [].concat(res.headers['set-cookie'] || []);
+  for (const cookie of cookies) {
+    const match = new RegExp(`^${name}=([^;]*)`).exec(cookie);
+    if (match) {
+      return match[1];
+    }
+  }
+  return null;
+}
+
+describe('CSRF protection', function() {
+
+  it('should be off unless enabled', function() {
+    should.not.exist(csrf.makeCsrfProtection(undefined, 'secret'));
+    should.not.exist(csrf.makeCsrfProtection({ allowedOrigins: [] },
+        'secret'));
+  });
+
+  describe('WebApp', function() {
+    let webApp;
+    let agent;
+    let token;
+
+    before(function() {
+      const options = Object.assign({}, config.webAppOptions, {
+        serverConfig: {
+          node: Object.assign({}, config.webAppOptions.serverConfig.node, {
+            csrf: {
+              enabled: true,
+              allowedOrigins: ['https://desktop.example.com']
+            }
+          })
+        },
+        auth: Object.assign({}, config.webAppOptions.auth, {
+          doLogin(req, res) {
+            req.session.authPlugins = { 'org.zowe.test': {} };
+            res.status(200).json({ success: true });
+          },
+          doLogout(req, res) {
+            res.status(200).send('');
+          }
+        })
+      });
+      webApp = makeWebApp(options);
+      webApp.installRootServices();
+      return webApp.installPlugin(makePluginContext());
+    });
+
+    before(function() {
+      agent = chai.request.agent(webApp.expressApp);
+      return agent.post('/auth').send({}).then(res => {
+        res.should.have.status(200);
+        token = getCookie(res, 'XSRF-TOKEN');
+        should.exist(token);
+      });
+    });
+
+    after(function() {
+      agent.close();
+    });
+
+    it('should not check requests without a session', function() {
+      return chai.request(webApp.expressApp).post('/auth-logout')
+        .then(res => {
+          res.should.have.status(200);
+        });
+    });
+
+    it('should refuse a mutating request without the token', function() {
+      return agent.post('/auth-logout').then(res => {
+        res.should.have.status(403);
+        res.body.reason.should.equal('token');
+      });
+    });
+
+    it('should accept a mutating request with the token', function() {
+      return agent.post('/auth-logout').set('X-XSRF-TOKEN', token)
+        .then(res => {
+          res.should.have.status(200);
+        });
+    });
+
+    it('should refuse a request from another origin', function() {
+      return agent.post(SERVICES + 'test-service/1.3.0')
+        .set('X-XSRF-TOKEN', token)
+        .set('Origin', 'https://evil.example.com')
+        .then(res => {
+          res.should.have.status(403);
+          res.body.reason.should.equal('origin');
+        });
+    });
+
+    it('should accept a request from an allowed origin', function() {
+      return agent.post(SERVICES + 'test-service/1.3.0')
+        .set('X-XSRF-TOKEN', token)
+        .set('Origin', 'https://desktop.example.com')
+        .then(res => {
+          //the router only answers GET
+          res.should.have.status(404);
+        });
+    });
+
+    it('should not check a service that opts out', function() {
+      return agent.post(SERVICES + 'caller/1.0.0').then(res => {
+        res.should.have.status(404);
+      });
+    });
+  });
+});
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
@@ -0,0 +1,140 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+  
+  SPDX-License-Identifier: EPL-2.0
+  
+  Copyright Contributors to the Zowe Project.
+*/
+const path = require('path');
+const express = require('express');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+chai.use(chaiHttp);
+const should = chai.should();
+const IsolatedService = require('../../lib/isolated-service');
+
+function makeIsolatedService(fileName, options) {
+  return new IsolatedService(Object.assign({
+    pluginContext: {
+      pluginDef: { identifier: "org.zowe.testplugin", pluginVersion: "1.0.0" },
+      server: { config: {} }
+    },
+    serviceDefinition: { type: "router", name: "isolated", version: "1.0.0" },
+    serviceConfiguration: {},
+    modulePath: path.join(__dirname, 'test-plugin', 'lib', fileName),
+    restartDelayMs: 50
+  }, options));
+}
+
+function waitForState(isolatedService, state) {
+  return new Promise((resolve) => {
+    const timer = setInterval(() => {
+      if (isolatedService.state === state) {
+        clearInterval(timer);
+        resolve();
+      }
+    }, 20);
+  });
+}
+
+describe('IsolatedService', function() {
+  this.timeout(10000);
+  let isolatedService;
+  let app;
+
+  before(function() {
+    isolatedService = makeIsolatedService('isolated-router.js');
+    app = express();
+    app.use('/isolated', (req, res, next) => {
+      req.username = 'alice';
+      next();
+    }, isolatedService.router());
+    return isolatedService.start();
+  })
+
+  after(function() {
+    return isolatedService.stop();
+  })
+
+  it('should serve the router from another process', function() {
+    return chai.request(app).get('/isolated/pid').then(function(res) {
+      res.should.have.status(200);
+      res.body.pid.should.not.equal(process.pid);
+      res.body.pid.should.equal(isolatedService.getHealth().pid);
+    })
+  })
+
+  it('should pass the authenticated user along', function() {
+    return chai.request(app).get('/isolated/user').then(function(res) {
+      res.should.have.status(200);
+      res.body.username.should.equal('alice');
+    })
+  })
+
+  it('should refuse requests that do not come through the parent', function() {
+    const childUrl = `http://127.0.0.1:${isolatedService.port}`;
+    return chai.request(childUrl).get('/user')
+      .set(IsolatedService.USERNAME_HEADER, 'mallory').then(function(res) {
+        res.should.have.status(403);
+        return chai.request(childUrl).get('/user')
+          .set(IsolatedService.SECRET_HEADER, 'guessed')
+          .set(IsolatedService.USERNAME_HEADER, 'mallory');
+      }).then(function(res) {
+        res.should.have.status(403);
+      })
+  })
+
+  it('should not let the caller pass the secret or the user along', function() {
+    return chai.request(app).get('/isolated/user')
+      .set(IsolatedService.SECRET_HEADER, 'guessed')
+      .set(IsolatedService.USERNAME_HEADER, 'mallory').then(function(res) {
+        res.should.have.status(200);
+        res.body.username.should.equal('alice');
+      })
+  })
+
+  it('should restart the process once it exits', function() {
+    const pid = isolatedService.getHealth().pid;
+    return chai.request(app).get('/isolated/exit').then(() => {}, () => {})
+      .then(() => waitForState(isolatedService, 'restarting'))
+      .then(() => waitForState(isolatedService, 'running'))
+      .then(() => {
+        const health = isolatedService.getHealth();
+        health.restarts.should.equal(1);
+        health.lastExit.code.should.equal(1);
+        health.pid.should.not.equal(pid);
+        return chai.request(app).get('/isolated/pid');
+      }).then(function(res) {
+        res.should.have.status(200);
+      })
+  })
+
+  it('should fail to start a router that cannot be loaded', function() {
+    const broken = makeIsolatedService('missing-router.js');
+    return broken.start().then(() => {
+      throw new Error('started');
+    }, (e) => {
+      e.message.should.match(/Cannot find module/);
+      broken.getHealth().state.should.equal('stopped');
+    })
+  })
+
+  it('should kill a process that does not stop in time', function() {
+    const hanging = makeIsolatedService('hanging-router.js',
+        { stopTimeoutMs: 200 });
+    return hanging.start().then(() => hanging.stop()).then(() => {
+      hanging.getHealth().lastExit.signal.should.equal('SIGKILL');
+    })
+  })
+});
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+  
+  SPDX-License-Identifier: EPL-2.0
+  
+  Copyright Contributors to the Zowe Project.
+*/
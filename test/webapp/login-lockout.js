@@ -0,0 +1,260 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
+const express = require('express');
+const session = require('express-session');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+chai.use(chaiHttp);
+const should = chai.should();
+require('../../lib/util');
+const UNP = require('../../lib/unp-constants');
+const loginLockout = require('../../lib/login-lockout');
+const WebAuth = require('../../lib/webauth');
+
+const passwordHandler = {
+  pluginID: 'org.zowe.passwords',
+  pluginDef: { authenticationCategory: 'passwords' },
+  getStatus(sessionState) {
+    return { authenticated: !!sessionState.username };
+  },
+  authenticate(req, sessionState) {
+    if (req.body.password === 'right') {
+      sessionState.username = req.body.username;
+      return Promise.resolve({ success: true });
+    }
+    return Promise.resolve({ success: false });
+  }
+};
+
+//sends the user to another site, like an OpenID Connect plugin
+const redirectHandler = {
+  pluginID: 'org.zowe.sso',
+  pluginDef: { authenticationCategory: 'sso' },
+  getStatus(sessionState) {
+    return { authenticated: false };
+  },
+  authenticate(req, sessionState) {
+    return Promise.resolve({ success: false,
+        authorizationUrl: 'https://sso.example.com/authorize' });
+  }
+};
+
+function makeApp(lockout, handlers) {
+  const authManager = {
+    config: { lockout },
+    sessionTimeoutMs: -1,
+    getAllHandlers() {
+      return handlers || [passwordHandler];
+    }
+  };
+  const auth = WebAuth(authManager);
+  const app = express();
+  app.use(session({ secret: 'test', resave: false,
+      saveUninitialized: false }));
+  app.use(express.json());
+  app.use((req, res, next) => {
+    //as the auth middleware would
+    req.username = req.headers['x-user'];
+    req[`${UNP.APP_NAME}Data`] = {
+      webApp: { authServiceHandleMaps: {} },
+      plugin: {}
+    };
+    next();
+  });
+  app.post('/auth', auth.doLogin);
+  app.get('/lockouts', auth.listLockouts);
+  app.delete('/lockouts', auth.clearLockouts);
+  return app;
+}
+
+describe('login lockout', function() {
+  afterEach(function() {
+    loginLockout.lockoutStore.entries.clear();
+  });
+
+  describe('LockoutStore', function() {
+    const rule = loginLockout.makeRule({ maxFailures: 2, windowMs: 1000,
+        lockoutMs: 1000 });
+
+    it('should lock a key after too many failures', function() {
+      const store = new loginLockout.LockoutStore();
+      store.recordFailure(['username=a'], rule, (err, failure) => {
+        failure.should.deep.equal({ failures: 1, locked: [] });
+      });
+      store.recordFailure(['username=a', 'ip=x'], rule, (err, failure) => {
+        failure.should.deep.equal({ failures: 2, locked: ['username=a'] });
+      });
+      store.check(['ip=x'], (err, status) => {
+        status.locked.should.be.false;
+      });
+      store.check(['username=a', 'ip=x'], (err, status) => {
+        status.locked.should.be.true;
+        status.retryAfterMs.should.be.within(1, 1000);
+      });
+    });
+
+    it('should only clear the username at a successful login', function() {
+      const store = new loginLockout.LockoutStore();
+      store.recordFailure(['username=a', 'ip=x'], rule, () => {});
+      store.recordSuccess(['username=a', 'ip=x'], () => {});
+      should.not.exist(store.entries.get('username=a'));
+      store.recordFailure(['username=b', 'ip=x'], rule, (err, failure) => {
+        failure.locked.should.deep.equal(['ip=x']);
+      });
+    });
+
+    it('should forget failures out of the window', function() {
+      const store = new loginLockout.LockoutStore();
+      store.recordFailure(['username=a'], rule, () => {});
+      store.entries.get('username=a').failures[0] -= 2000;
+      store.recordFailure(['username=a'], rule, (err, failure) => {
+        failure.locked.should.have.length(0);
+      });
+    });
+  });
+
+  describe('rules', function() {
+    it('should reject invalid rules', function() {
+      (() => loginLockout.makeRule({ maxFailures: 0 }))
+        .should.throw(/maxFailures/);
+      (() => loginLockout.makeRule({ keyBy: ['session'] }))
+        .should.throw(/keyBy/);
+      (() => loginLockout.makeRule({ admins: 'admin' }))
+        .should.throw(/admins/);
+      should.not.exist(loginLockout.makeRule(undefined));
+    });
+
+    it('should double the delay up to the maximum', function() {
+      const rule = loginLockout.makeRule({ delayMs: 100, maxDelayMs: 300 });
+      loginLockout.getFailureDelay(rule, 1).should.equal(100);
+      loginLockout.getFailureDelay(rule, 2).should.equal(200);
+      loginLockout.getFailureDelay(rule, 3).should.equal(300);
+    });
+  });
+
+  describe('/auth', function() {
+    const app = makeApp({ maxFailures: 2, keyBy: ['username'], delayMs: 20,
+        admins: ['admin'] });
+
+    function login(username, password) {
+      return chai.request(app).post('/auth').send({ username, password });
+    }
+
+    it('should lock out a username and let an admin lift it', function() {
+      const start = Date.now();
+      return login('alice', 'wrong').then(res => {
+        res.should.have.status(401);
+        return login('alice', 'wrong');
+      }).then(res => {
+        res.should.have.status(401);
+        //20ms, then 40ms
+        (Date.now() - start).should.be.at.least(60);
+        return login('alice', 'right');
+      }).then(res => {
+        res.should.have.status(429);
+        res.should.have.header('Retry-After');
+        res.body.reason.should.equal('LockedOut');
+        return login('bob', 'right');
+      }).then(res => {
+        res.should.have.status(200);
+        return chai.request(app).get('/lockouts').set('X-User', 'admin');
+      }).then(res => {
+        res.body.lockouts.should.have.length(1);
+        res.body.lockouts[0].type.should.equal('username');
+        res.body.lockouts[0].value.should.equal('alice');
+        return chai.request(app).delete('/lockouts?username=alice')
+          .set('X-User', 'admin');
+      }).then(res => {
+        res.body.cleared.should.deep.equal(['username=alice']);
+        return login('alice', 'right');
+      }).then(res => {
+        res.should.have.status(200);
+      });
+    });
+
+    it('should only let lockout admins see and lift lockouts', function() {
+      return login('dave', 'wrong').then(() => login('dave', 'wrong'))
+        .then(() => chai.request(app).delete('/lockouts').set('X-User', 'bob'))
+        .then(res => {
+          res.should.have.status(403);
+          return chai.request(app).delete('/lockouts');
+        }).then(res => {
+          res.should.have.status(403);
+          return chai.request(app).get('/lockouts').set('X-User', 'bob');
+        }).then(res => {
+          res.should.have.status(403);
+          return login('dave', 'right');
+        }).then(res => {
+          res.should.have.status(429);
+        });
+    });
+
+    it('should reset the count after a successful login', function() {
+      return login('carol', 'wrong').then(res => {
+        res.should.have.status(401);
+        return login('carol', 'right');
+      }).then(res => {
+        res.should.have.status(200);
+        return login('carol', 'wrong');
+      }).then(res => {
+        res.should.have.status(401);
+        return login('carol', 'right');
+      }).then(res => {
+        res.should.have.status(200);
+      });
+    });
+  });
+
+  describe('/auth with a plugin that redirects', function() {
+    const app = makeApp({ maxFailures: 2, keyBy: ['username'] },
+        [passwordHandler, redirectHandler]);
+
+    function login(username, password, categories) {
+      return chai.request(app).post('/auth').send({ username, password,
+          categories });
+    }
+
+    it('should not count a login that was only redirected', function() {
+      return login('dave', null, ['sso']).then(res => {
+        res.should.have.status(401);
+        res.body.categories.sso.plugins['org.zowe.sso'].authorizationUrl
+          .should.be.a('string');
+        return login('dave', null, ['sso']);
+      }).then(res => {
+        res.should.have.status(401);
+        return login('dave', 'right', ['passwords']);
+      }).then(res => {
+        res.should.have.status(200);
+      });
+    });
+
+    it('should count a wrong password next to a redirect', function() {
+      return login('erin', 'wrong').then(res => {
+        res.should.have.status(401);
+        return login('erin', 'wrong');
+      }).then(res => {
+        res.should.have.status(401);
+        return login('erin', 'right', ['passwords']);
+      }).then(res => {
+        res.should.have.status(429);
+      });
+    });
+  });
+});
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
@@ -0,0 +1,177 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
+const path = require('path');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+chai.use(chaiHttp);
+const should = chai.should();
+require('../../lib/util');
+const rateLimiter = require('../../lib/rate-limiter');
+const PluginLoader = require('../../lib/plugin-loader');
+const makeWebApp = require('../../lib/webapp').makeWebApp;
+const config = require('./config');
+
+function makePluginContext() {
+  const pl = new PluginLoader({
+    pluginsDir: path.join(process.cwd(), 'test/webapp'),
+    relativePathResolver(p) {
+      return path.join(process.cwd(), 'test/webapp', p);
+    }
+  });
+  const def = pl._readPluginDef("org.zowe.testplugin.json");
+  def.dataServices.find(s => s.name === 'caller').rateLimit = false;
+  const plugin = PluginLoader.makePlugin(def, {}, {
+    productCode: "XXX",
+    config: {},
+    authManager: {}
+  }, false);
+  return {
+    pluginDef: plugin,
+    server: {
+      config: { app: {}, user: {}, startUp: {} },
+      state: { pluginMap: {} }
+    }
+  };
+}
+
+function consume(store, key, capacity, refillPerSecond) {
+  let result;
+  store.consume(key, capacity, refillPerSecond, (err, r) => {
+    should.not.exist(err);
+    result = r;
+  });
+  return result;
+}
+
+describe('rate limiter', function() {
+
+  describe('TokenBucketStore', function() {
+    it('should refuse requests once the bucket is empty', function() {
+      const store = new rateLimiter.TokenBucketStore();
+      consume(store, 'k', 2, 1).allowed.should.be.true;
+      consume(store, 'k', 2, 1).allowed.should.be.true;
+      const refused = consume(store, 'k', 2, 1);
+      refused.allowed.should.be.false;
+      refused.retryAfterMs.should.be.within(1, 1000);
+      consume(store, 'other', 2, 1).allowed.should.be.true;
+    });
+
+    it('should refill the bucket over time', function() {
+      const store = new rateLimiter.TokenBucketStore();
+      consume(store, 'k', 1, 10).allowed.should.be.true;
+      consume(store, 'k', 1, 10).allowed.should.be.false;
+      store.buckets.get('k').updatedAt -= 100;
+      consume(store, 'k', 1, 10).allowed.should.be.true;
+    });
+  });
+
+  describe('rules', function() {
+    it('should reject invalid limits', function() {
+      (() => rateLimiter.validateRule('svc', { capacity: 0 }))
+        .should.throw(/capacity/);
+      (() => rateLimiter.validateRule('svc', { keyBy: ['session'] }))
+        .should.throw(/keyBy/);
+      rateLimiter.validateRule('svc', false);
+    });
+
+    it('should let a service override the server-wide limit', function() {
+      const server = { capacity: 10, refillPerSecond: 1 };
+      rateLimiter.makeRule('services', server, { capacity: 2 }).should
+        .deep.equal({ capacity: 2, refillPerSecond: 1,
+          keyBy: ['username', 'plugin', 'service'] });
+      should.not.exist(rateLimiter.makeRule('services', server, false));
+      should.not.exist(rateLimiter.makeRule('services', undefined));
+    });
+  });
+
+  describe('WebApp', function() {
+    let webApp;
+
+    before(function() {
+      const options = Object.assign({}, config.webAppOptions, {
+        serverConfig: {
+          node: Object.assign({}, config.webAppOptions.serverConfig.node, {
+            rateLimits: {
+              auth: { capacity: 2, refillPerSecond: 0.01 },
+              services: { capacity: 2, refillPerSecond: 0.01 }
+            }
+          })
+        },
+        auth: Object.assign({}, config.webAppOptions.auth, {
+          doLogin(req, res) { res.status(401).json({ success: false }); }
+        })
+      });
+      webApp = makeWebApp(options);
+      webApp.installRootServices();
+      return webApp.installPlugin(makePluginContext());
+    });
+
+    function post(url, body) {
+      return chai.request(webApp.expressApp).post(url).send(body);
+    }
+
+    it('should answer 429 with Retry-After to repeated logins', function() {
+      return post('/auth', { username: 'alice' }).then(res => {
+        res.should.have.status(401);
+        return post('/auth', { username: 'alice' });
+      }).then(res => {
+        res.should.have.status(401);
+        return post('/auth', { username: 'alice' });
+      }).then(res => {
+        res.should.have.status(429);
+        res.should.have.header('Retry-After');
+        res.body.error.should.equal('too many requests');
+        return post('/auth', { username: 'bob' });
+      }).then(res => {
+        res.should.have.status(401);
+      });
+    });
+
+    it('should limit each service on its own', function() {
+      const base = '/XXX/plugins/org.zowe.testplugin/services/';
+      const get = (url) => chai.request(webApp.expressApp).get(base + url);
+      return get('test-service/1.3.0').then(res => {
+        res.should.have.status(200);
+        res.should.have.header('X-RateLimit-Remaining', '1');
+        return get('test-service/1.3.0');
+      }).then(res => {
+        res.should.have.status(200);
+        return get('test-service/1.3.0');
+      }).then(res => {
+        res.should.have.status(429);
+        res.body.service.should.equal('test-service');
+        return get('test-service/2.1.0');
+      }).then(res => {
+        //the versions of a service share its bucket
+        res.should.have.status(429);
+        return get('test-service/_current');
+      }).then(res => {
+        res.should.have.status(429);
+      });
+    });
+
+    it('should not limit a service that opts out', function() {
+      const url = '/XXX/plugins/org.zowe.testplugin/services/caller/1.0.0';
+      return chai.request(webApp.expressApp).get(url).then(res => {
+        res.should.not.have.header('X-RateLimit-Limit');
+      });
+    });
+  });
+});
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
@@ -0,0 +1,166 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+  
+  SPDX-License-Identifier: EPL-2.0
+  
+  Copyright Contributors to the Zowe Project.
+*/
+const path = require('path');
+const express = require('express');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+chai.use(chaiHttp);
+const should = chai.should();
+require('../../lib/util');
+const requestValidator = require('../../lib/request-validator');
+const makeSwaggerCatalog = require('../../lib/swagger-catalog');
+
+const document = {
+  openapi: "3.0.0",
+  info: { title: "items", version: "1.0.0" },
+  paths: {
+    "/items/{id}": {
+      parameters: [{
+        name: "id",
+        in: "path",
+        required: true,
+        schema: { type: "integer" }
+      }],
+      get: {
+        parameters: [{
+          name: "verbose",
+          in: "query",
+          schema: { type: "boolean" }
+        }, {
+          name: "fields",
+          in: "query",
+          required: true,
+          schema: { type: "string" }
+        }],
+        responses: { 200: { description: "the item" } }
+      },
+      put: {
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/Item" }
+            }
+          }
+        },
+        responses: { 204: { description: "stored" } }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      Item: {
+        type: "object",
+        required: ["name"],
+        additionalProperties: false,
+        properties: {
+          name: { type: "string" },
+          count: { type: "integer", format: "int32" }
+        }
+      }
+    }
+  }
+};
+
+function makeApp(spec) {
+  const app = express();
+  app.use(requestValidator.makeRequestValidator(spec, "items"));
+  app.use(express.json());
+  app.all('*', (req, res) => res.status(200).json({ 
+    body: req.body || null 
+  }));
+  return app;
+}
+
+describe('request validator', function() {
+  const app = makeApp(document);
+
+  it('should let a valid request through', function() {
+    return chai.request(app).get('/items/12?verbose=true&fields=name')
+        .then((res) => {
+      res.should.have.status(200);
+    });
+  });
+
+  it('should reject invalid parameters', function() {
+    return chai.request(app).get('/items/twelve?verbose=maybe')
+        .then((res) => {
+      res.should.have.status(400);
+      res.body._objectType.should.equal('org.zowe.zlux.error');
+      res.body.messageParameters.service.should.equal('items');
+      res.body.messageParameters.violations.should.deep.equal([
+        { in: "path", name: "id", message: "should be integer" },
+        { in: "query", name: "verbose", message: "should be boolean" },
+        { in: "query", name: "fields", message: "is required" }
+      ]);
+    });
+  });
+
+  it('should reject an invalid body', function() {
+    return chai.request(app).put('/items/1').send({ count: "many", x: 1 })
+        .then((res) => {
+      res.should.have.status(400);
+      res.body.messageParameters.violations.should.deep.include.members([
+        { in: "body", name: "$.x", message: "unknown property" },
+        { in: "body", name: "$.name", 
+          message: "should have required property 'name'" },
+        { in: "body", name: "$.count", message: "should be integer" }
+      ]);
+    });
+  });
+
+  it('should reject a missing body', function() {
+    return chai.request(app).put('/items/1').then((res) => {
+      res.should.have.status(400);
+      res.body.messageParameters.violations[0].message.should.equal(
+          'is required');
+    });
+  });
+
+  it('should leave the parsed body to the router', function() {
+    return chai.request(app).put('/items/1').send({ name: "box", count: 2 })
+        .then((res) => {
+      res.should.have.status(200);
+      res.body.body.should.deep.equal({ name: "box", count: 2 });
+    });
+  });
+
+  it('should let requests the document does not describe through', 
+      function() {
+    return chai.request(app).post('/other').send({ anything: true })
+        .then((res) => {
+      res.should.have.status(200);
+    });
+  });
+
+  it('should validate against a Swagger 2 spec', function() {
+    const spec = makeSwaggerCatalog.loadServiceSpec({
+      identifier: "org.zowe.swaggertest",
+      location: path.join(process.cwd(), "test/plugin-loader/swagger-plugin")
+    }, { type: "router", name: "files", version: "1.0.0" });
+    return chai.request(makeApp(spec)).put('/notes').send({ contents: 3 })
+        .then((res) => {
+      res.should.have.status(400);
+      res.body.messageParameters.violations.should.deep.equal([
+        { in: "body", name: "$.contents", message: "should be string" }
+      ]);
+    });
+  });
+});
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+  
+  SPDX-License-Identifier: EPL-2.0
+  
+  Copyright Contributors to the Zowe Project.
+*/
@@ -0,0 +1,172 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+  
+  SPDX-License-Identifier: EPL-2.0
+  
+  Copyright Contributors to the Zowe Project.
+*/
+const express = require('express');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+chai.use(chaiHttp);
+const should = chai.should();
+require('../../lib/util');
+const resilience = require('../../lib/resilience');
+const proxy = require('../../lib/proxy');
+
+describe('resilience', function() {
+
+  describe('CircuitBreaker', function() {
+    it('should open after repeated failures', function() {
+      const breaker = new resilience.CircuitBreaker({ failureThreshold: 2 });
+      breaker.allowRequest().should.be.true;
+      breaker.recordFailure();
+      breaker.state.should.equal(resilience.states.CLOSED);
+      breaker.recordFailure();
+      breaker.state.should.equal(resilience.states.OPEN);
+      breaker.allowRequest().should.be.false;
+      breaker.getStatus().rejected.should.equal(1);
+    });
+
+    it('should let a single request through after the reset timeout',
+        function() {
+      const breaker = new resilience.CircuitBreaker({ failureThreshold: 1,
+          resetTimeoutMs: 1 });
+      breaker.recordFailure();
+      breaker.openedAt -= 10;
+      breaker.allowRequest().should.be.true;
+      breaker.state.should.equal(resilience.states.HALF_OPEN);
+      breaker.allowRequest().should.be.false;
+      breaker.recordSuccess();
+      breaker.state.should.equal(resilience.states.CLOSED);
+    });
+  });
+
+  describe('validatePolicy', function() {
+    it('should reject a policy on a router', function() {
+      (() => resilience.validatePolicy('svc', { type: 'router', 
+          timeoutMs: 100 })).should.throw(/only apply/);
+    });
+
+    it('should reject invalid values', function() {
+      (() => resilience.validatePolicy('svc', { type: 'external', 
+          retry: { maxAttempts: 0 } })).should.throw(/maxAttempts/);
+    });
+  });
+
+  describe('proxy', function() {
+    let backend;
+    let backendPort;
+    let flakyCalls;
+    let posts;
+
+    before(function(done) {
+      const app = express();
+      app.get('/flaky', (req, res) => {
+        flakyCalls++;
+        if (flakyCalls < 3) {
+          res.status(503).send('not yet');
+        } else {
+          res.status(200).json({ calls: flakyCalls });
+        }
+      });
+      app.post('/flaky', (req, res) => {
+        posts++;
+        res.status(503).send('not yet');
+      });
+      app.get('/broken', (req, res) => res.status(500).send('broken'));
+      app.get('/slow', (req, res) => {
+        setTimeout(() => res.status(200).send('late'), 500);
+      });
+      backend = app.listen(0, '127.0.0.1', () => {
+        backendPort = backend.address().port;
+        done();
+      });
+    });
+
+    after(function(done) {
+      backend.close(done);
+    });
+
+    beforeEach(function() {
+      flakyCalls = 0;
+      posts = 0;
+    });
+
+    function makeFrontend(def) {
+      const app = express();
+      const policy = resilience.makePolicy(def, { service: 'backend' });
+      app.use(proxy.makeSimpleProxy('127.0.0.1', backendPort, {
+        urlPrefix: '',
+        isHttps: false,
+        policy
+      }, 'org.zowe.test', 'backend'));
+      return { app, policy };
+    }
+
+    it('should retry an idempotent request', function() {
+      const frontend = makeFrontend({ retry: { maxAttempts: 3, delayMs: 1 } });
+      return chai.request(frontend.app).get('/flaky').then((res) => {
+        res.should.have.status(200);
+        res.body.calls.should.equal(3);
+      });
+    });
+
+    it('should not retry a request with a body', function() {
+      const frontend = makeFrontend({ retry: { maxAttempts: 3, delayMs: 1 } });
+      return chai.request(frontend.app).post('/flaky').send({ a: 1 })
+          .then((res) => {
+        res.should.have.status(503);
+        posts.should.equal(1);
+      });
+    });
+
+    it('should time out', function() {
+      const frontend = makeFrontend({ timeoutMs: 50 });
+      return chai.request(frontend.app).get('/slow').then((res) => {
+        res.should.have.status(504);
+        res.body.error.should.equal('service timed out');
+      });
+    });
+
+    it('should fail fast once the circuit is open', function() {
+      const frontend = makeFrontend({ circuitBreaker: { failureThreshold: 1 } });
+      return chai.request(frontend.app).get('/broken').then((res) => {
+        res.should.have.status(500);
+        frontend.policy.circuitBreaker.state.should.equal('open');
+        return chai.request(frontend.app).get('/flaky');
+      }).then((res) => {
+        res.should.have.status(503);
+        res.body.reason.should.equal('circuit open');
+        res.should.have.header('retry-after');
+        flakyCalls.should.equal(0);
+      });
+    });
+  });
+
+  describe('guard', function() {
+    it('should answer 504 when the handler is too slow', function() {
+      const app = express();
+      const policy = resilience.makePolicy({ timeoutMs: 50, 
+          circuitBreaker: {} }, { service: 'import' });
+      app.use(resilience.makeGuard(policy, { service: 'import' }),
+          (req, res) => setTimeout(() => res.send('late'), 200));
+      return chai.request(app).get('/').then((res) => {
+        res.should.have.status(504);
+        policy.circuitBreaker.consecutiveFailures.should.equal(1);
+      });
+    });
+  });
+});
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+  
+  SPDX-License-Identifier: EPL-2.0
+  
+  Copyright Contributors to the Zowe Project.
+*/
@@ -0,0 +1,169 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+  
+  SPDX-License-Identifier: EPL-2.0
+  
+  Copyright Contributors to the Zowe Project.
+*/
+const express = require('express');
+const stream = require('stream');
+const chai = require('chai');
+const should = chai.should();
+require('../../lib/util');
+const WebServiceHandle = require('../../lib/webapp').WebServiceHandle;
+
+function makeRouter() {
+  const r = express.Router();
+  r.post('/echo', (req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      res.set('content-type', req.headers['content-type']);
+      res.set('x-request-length', String(req.headers['content-length']));
+      res.status(200).send(Buffer.concat(chunks));
+    });
+  });
+  r.get('/chunks', (req, res) => {
+    res.status(200);
+    res.write('first,');
+    setTimeout(() => res.end('second'), 10);
+  });
+  r.get('/never', (req, res) => {});
+  return r;
+}
+
+const originalRequest = {
+  headers: {},
+  get() {}
+};
+
+function readAll(response) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    response.on('data', (chunk) => chunks.push(chunk));
+    response.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    response.on('error', reject);
+  });
+}
+
+describe('WebServiceHandle', function() {
+  const router = makeRouter();
+  const expressApp = express();
+  let server;
+  let handles;
+
+  before(function(done) {
+    expressApp.use('/service', router);
+    server = expressApp.listen(0, '127.0.0.1', () => {
+      const loopbackConfig = {
+        host: '127.0.0.1',
+        port: server.address().port
+      };
+      handles = {
+        'in process': new WebServiceHandle('/service', {
+          loopbackConfig, inProcess: true, expressApp, appData: {}
+        }, () => router),
+        'over HTTP': new WebServiceHandle('/service', {
+          loopbackConfig, inProcess: false, expressApp, appData: {}
+        })
+      };
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  for (const mode of ['in process', 'over HTTP']) {
+    describe(mode, function() {
+      it('should send the byte length of multibyte text', function() {
+        const body = '{"text": "žluťoučký kůň"}';
+        return handles[mode].call('echo', { method: 'POST', body },
+            originalRequest).then((response) => {
+          response.statusCode.should.equal(200);
+          response.body.should.equal(body);
+          response.headers['x-request-length'].should.equal(
+              String(Buffer.byteLength(body)));
+        });
+      });
+
+      it('should send and receive binary data', function() {
+        const body = Buffer.from([0, 255, 128, 10, 13, 200]);
+        return handles[mode].call('echo', { method: 'POST', body, 
+            binary: true }, originalRequest).then((response) => {
+          response.headers['content-type'].should.equal(
+              'application/octet-stream');
+          Buffer.isBuffer(response.body).should.be.true;
+          response.body.equals(body).should.be.true;
+        });
+      });
+
+      it('should send a stream as the body', function() {
+        const body = new stream.PassThrough();
+        const call = handles[mode].call('echo', { method: 'POST', body,
+            headers: { 'Content-Type': 'text/plain' } }, originalRequest);
+        body.write('one ');
+        body.end('two');
+        return call.then((response) => {
+          response.headers['content-type'].should.match(/^text\/plain/);
+          response.body.should.equal('one two');
+        });
+      });
+
+      it('should stream the response', function() {
+        return handles[mode].callStream('chunks', {}, originalRequest)
+            .then((response) => {
+          response.statusCode.should.equal(200);
+          should.not.exist(response.body);
+          return readAll(response);
+        }).then((body) => {
+          body.should.equal('first,second');
+        });
+      });
+
+      it('should time out', function() {
+        return handles[mode].call('never', { timeout: 50 }, originalRequest)
+            .then(() => {
+          throw new Error('should have timed out');
+        }, (e) => {
+          e.code.should.equal('ETIMEDOUT');
+        });
+      });
+
+      it('should be aborted by a signal', function() {
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 20);
+        return handles[mode].call('never', { signal: controller.signal },
+            originalRequest).then(() => {
+          throw new Error('should have been aborted');
+        }, (e) => {
+          e.name.should.equal('AbortError');
+        });
+      });
+    });
+  }
+
+  it('should not start a call whose signal is already aborted', function() {
+    const controller = new AbortController();
+    controller.abort();
+    return handles['over HTTP'].call('chunks', { signal: controller.signal },
+        originalRequest).then(() => {
+      throw new Error('should have been aborted');
+    }, (e) => {
+      e.code.should.equal('ABORT_ERR');
+    });
+  });
+});
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+  
+  SPDX-License-Identifier: EPL-2.0
+  
+  Copyright Contributors to the Zowe Project.
+*/
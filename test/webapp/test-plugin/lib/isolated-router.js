@@ -0,0 +1,33 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+  
+  SPDX-License-Identifier: EPL-2.0
+  
+  Copyright Contributors to the Zowe Project.
+*/
+const express = require('express');
+
+module.exports = dataserviceContext => {
+  const r = express.Router();
+  r.get('/pid', (req, res) => {
+    res.status(200).json({ pid: process.pid });
+  });
+  r.get('/user', (req, res) => {
+    res.status(200).json({ username: req.username });
+  });
+  r.get('/exit', (req, res) => {
+    process.exit(1);
+  });
+  return Promise.resolve(r);
+};
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+  
+  SPDX-License-Identifier: EPL-2.0
+  
+  Copyright Contributors to the Zowe Project.
+*/
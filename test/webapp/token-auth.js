@@ -0,0 +1,296 @@
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const session = require('express-session');
+const jwt = require('jsonwebtoken');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+chai.use(chaiHttp);
+const should = chai.should();
+require('../../lib/util');
+const UNP = require('../../lib/unp-constants');
+const encryption = require('../../lib/encryption');
+const tokenAuthentication = require('../../lib/token-auth');
+const WebAuth = require('../../lib/webauth');
+
+const passwordHandler = {
+  pluginID: 'org.zowe.passwords',
+  pluginDef: { authenticationCategory: 'passwords' },
+  getStatus(sessionState) {
+    return { authenticated: !!sessionState.username };
+  },
+  authenticate(req, sessionState) {
+    if (req.body.password === 'right') {
+      sessionState.username = req.body.username;
+      return Promise.resolve({ success: true });
+    }
+    return Promise.resolve({ success: false });
+  },
+  authorized(req, sessionState) {
+    req.username = sessionState.username;
+    const authenticated = !!sessionState.username;
+    return Promise.resolve({ authenticated, authorized: authenticated });
+  }
+};
+
+//sends the user to another site, and ends the login in the session that
+//started it, like an OpenID Connect plugin
+const redirectHandler = {
+  pluginID: 'org.zowe.sso',
+  pluginDef: { authenticationCategory: 'sso' },
+  getStatus(sessionState) {
+    return { authenticated: !!sessionState.username };
+  },
+  authenticate(req, sessionState) {
+    if (!req.body.code) {
+      sessionState.loginId = 'login1';
+      return Promise.resolve({ success: false,
+          authorizationUrl: 'https://sso.example.com/authorize' });
+    }
+    const loginId = sessionState.loginId;
+    delete sessionState.loginId;
+    if (loginId !== 'login1') {
+      return Promise.resolve({ success: false });
+    }
+    sessionState.username = 'bob';
+    return Promise.resolve({ success: true, username: 'bob' });
+  }
+};
+
+const jwtConfig = {
+  enabled: true,
+  secret: 'test secret',
+  issuer: 'test',
+  audience: 'test'
+};
+
+function makeApp(handlers) {
+  const authManager = {
+    config: { jwt: jwtConfig },
+    sessionTimeoutMs: 60000,
+    getAllHandlers() {
+      return handlers || [passwordHandler];
+    },
+    getBestAuthenticationHandler() {
+      return passwordHandler;
+    },
+    isRbacEnabled() {
+      return false;
+    }
+  };
+  const auth = WebAuth(authManager);
+  const app = express();
+  app.use(session({ secret: 'test', resave: false,
+      saveUninitialized: false }));
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req[`${UNP.APP_NAME}Data`] = {
+      webApp: { authServiceHandleMaps: {} },
+      plugin: {}
+    };
+    next();
+  });
+  app.post('/auth', auth.doLogin);
+  app.post('/auth-logout', auth.doLogout);
+  app.get('/whoami', auth.middleware, (req, res) => {
+    res.status(200).json({ username: req.username });
+  });
+  return app;
+}
+
+describe('bearer tokens', function() {
+  const app = makeApp();
+
+  function login(password) {
+    return chai.request(app).post('/auth')
+      .send({ username: 'alice', password, issueToken: true });
+  }
+
+  function whoami(token) {
+    return chai.request(app).get('/whoami')
+      .set('Authorization', `Bearer ${token}`);
+  }
+
+  it('should issue a token rather than a session', function() {
+    return login('right').then(res => {
+      res.should.have.status(200);
+      res.body.success.should.be.true;
+      should.not.exist(res.headers['set-cookie']);
+      const claims = jwt.verify(res.body.token, jwtConfig.secret);
+      claims.sub.should.equal('alice');
+      claims.iss.should.equal('test');
+      claims.authPlugins.should.be.a('string');
+      claims.authPlugins.should.not.include('alice');
+      encryption.decryptJson(jwtConfig.secret, claims.authPlugins)
+        ['org.zowe.passwords'].username.should.equal('alice');
+      (claims.exp - claims.iat).should.equal(60);
+    });
+  });
+
+  it('should not issue a token to a failed login', function() {
+    return login('wrong').then(res => {
+      res.should.have.status(401);
+      should.not.exist(res.body.token);
+    });
+  });
+
+  it('should authenticate requests with the token', function() {
+    return login('right').then(res => whoami(res.body.token)).then(res => {
+      res.should.have.status(200);
+      res.body.username.should.equal('alice');
+    });
+  });
+
+  it('should refuse a token signed with another key', function() {
+    const token = jwt.sign({ authPlugins: {} }, 'another secret', {
+      issuer: 'test', audience: 'test', jwtid: '1'
+    });
+    return whoami(token).then(res => {
+      res.should.have.status(401);
+      res.body.reason.should.equal('invalid');
+    });
+  });
+
+  it('should refuse session state that is not encrypted', function() {
+    const token = jwt.sign({
+      authPlugins: { 'org.zowe.passwords': { username: 'mallory' } }
+    }, jwtConfig.secret, { issuer: 'test', audience: 'test', jwtid: '1' });
+    return whoami(token).then(res => {
+      res.should.have.status(401);
+      res.body.reason.should.equal('invalid');
+    });
+  });
+
+  it('should revoke a token at logout', function() {
+    let token;
+    return login('right').then(res => {
+      token = res.body.token;
+      return chai.request(app).post('/auth-logout')
+        .set('Authorization', `Bearer ${token}`);
+    }).then(res => {
+      res.should.have.status(200);
+      return whoami(token);
+    }).then(res => {
+      res.should.have.status(401);
+      res.body.reason.should.equal('revoked');
+    });
+  });
+
+  describe('with a plugin that redirects', function() {
+    const redirectApp = makeApp([redirectHandler]);
+    let agent;
+
+    beforeEach(function() {
+      agent = chai.request.agent(redirectApp);
+    });
+
+    afterEach(function() {
+      agent.close();
+    });
+
+    it('should end the login in the browser session that started it',
+        function() {
+      return agent.post('/auth').send({ issueToken: true }).then(res => {
+        res.should.have.status(401);
+        should.exist(res.headers['set-cookie']);
+        return agent.post('/auth').send({ code: 'c', issueToken: true,
+            username: 'mallory' });
+      }).then(res => {
+        res.should.have.status(200);
+        const claims = jwt.verify(res.body.token, jwtConfig.secret);
+        //who the plugin let in, not who the body says
+        claims.sub.should.equal('bob');
+        encryption.decryptJson(jwtConfig.secret, claims.authPlugins)
+          ['org.zowe.sso'].username.should.equal('bob');
+        return agent.post('/auth').send({ code: 'c', issueToken: true });
+      }).then(res => {
+        res.should.have.status(401);
+      });
+    });
+
+    it('should not end a login started in another session', function() {
+      return agent.post('/auth').send({}).then(res => {
+        res.should.have.status(401);
+        return chai.request(redirectApp).post('/auth').send({ code: 'c' });
+      }).then(res => {
+        res.should.have.status(401);
+      });
+    });
+  });
+
+  describe('config', function() {
+    it('should be off unless enabled', function() {
+      should.not.exist(tokenAuthentication.makeTokenAuth({ secret: 'x' }));
+    });
+
+    it('should need a key', function() {
+      (() => tokenAuthentication.makeTokenAuth({ enabled: true }))
+        .should.throw(/secret/);
+      (() => tokenAuthentication.makeTokenAuth({ enabled: true,
+          algorithm: 'RS256' })).should.throw(/privateKeyFile/);
+    });
+
+    it('should cap the lifetime of tokens', function() {
+      (() => tokenAuthentication.makeTokenAuth(Object.assign({}, jwtConfig,
+          { maxLifetimeMs: 0 }))).should.throw(/maxLifetimeMs/);
+      const tokenAuth = tokenAuthentication.makeTokenAuth(
+          Object.assign({}, jwtConfig, { maxLifetimeMs: 60000 }));
+      //a session timeout that never expires, and a longer one
+      for (const expiresInMs of [0, 3600000]) {
+        const claims = jwt.decode(tokenAuth.issue({}, 'alice', expiresInMs));
+        (claims.exp - claims.iat).should.equal(60);
+      }
+      const token = jwt.sign({ authPlugins: encryption.encryptJson(
+          jwtConfig.secret, {}) }, jwtConfig.secret,
+          { issuer: 'test', audience: 'test', jwtid: '1' });
+      return tokenAuth.verify(token).then(() => {
+        throw new Error('a token that never expires was accepted');
+      }, e => {
+        e.reason.should.equal('invalid');
+      });
+    });
+
+    it('should sign with a key pair', function() {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-auth-'));
+      const keys = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+      });
+      const privateKeyFile = path.join(dir, 'jwt.key');
+      const publicKeyFile = path.join(dir, 'jwt.pem');
+      fs.writeFileSync(privateKeyFile, keys.privateKey);
+      fs.writeFileSync(publicKeyFile, keys.publicKey);
+      const tokenAuth = tokenAuthentication.makeTokenAuth({ enabled: true,
+          algorithm: 'RS256', privateKeyFile, publicKeyFile });
+      const token = tokenAuth.issue({ plugin: {} }, 'bob', 1000);
+      fs.unlinkSync(privateKeyFile);
+      fs.unlinkSync(publicKeyFile);
+      fs.rmdirSync(dir);
+      return tokenAuth.verify(token).then(claims => {
+        claims.sub.should.equal('bob');
+      });
+    });
+  });
+});
+
+/*
+  This program and the accompanying materials are
+  made available under the terms of the Eclipse Public License v2.0 which accompanies
+  this distribution, and is available at https://www.eclipse.org/legal/epl-v20.html
+
+  SPDX-License-Identifier: EPL-2.0
+
+  Copyright Contributors to the Zowe Project.
+*/
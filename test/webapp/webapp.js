@@ -18,6 +18,7 @@ const should = chai.should();
 const PluginLoader = require('../../lib/plugin-loader')
 const makePlugin = PluginLoader.makePlugin
 const makeWebApp = require('../../lib/webapp').makeWebApp;
+const Server = require('../../lib/index');
 const config = require('./config');
 
 let webAppOptions = config.webAppOptions;
@@ -79,6 +80,15 @@ describe('WebApp', function() {
         done(e);
       }
     })
+
+    //chai closes the server after a request, unless the test made none
+    afterEach(function(done)  {
+      if (server.listening) {
+        server.close(() => done());
+      } else {
+        done();
+      }
+    })
     
     describe('versioning', function() {
       it('should install test-service v1.3.0', function()  {
@@ -177,10 +187,527 @@ describe('WebApp', function() {
       })
     })
   
+    describe('in-process service calls', function() {
+      const url = '/XXX/plugins/org.zowe.testplugin'
+          + '/services/caller/_current'
+      let loopbackPort;
+
+      beforeEach(function() {
+        //nothing listens there: only in-process calls can succeed
+        loopbackPort = webApp.wsEnvironment.loopbackConfig.port;
+        webApp.wsEnvironment.loopbackConfig.port = 1;
+      })
+
+      afterEach(function() {
+        webApp.wsEnvironment.loopbackConfig.port = loopbackPort;
+        webApp.wsEnvironment.inProcess = true;
+      })
+
+      it('should call a router in the same process directly', function()  {
+        return chai.request(server).get(url).then(function (res) {
+          res.should.have.status(200);
+          res.body["test-service response"].version.should.equal("2.1.0");
+        })
+      })
+
+      it('should fall back to HTTP when disabled', function()  {
+        webApp.wsEnvironment.inProcess = false;
+        return chai.request(server).get(url).then(function (res) {
+          res.should.have.status(400);
+        })
+      })
+    })
+  
+    describe('reinstallation', function() {
+      it('should stop serving a plugin once it is uninstalled', function()  {
+        const url = '/XXX/plugins/org.zowe.testplugin'
+            + '/services/test-service/_current'
+        return webApp.uninstallPlugin('org.zowe.testplugin').then(() => {
+          webApp.plugins.should.have.length(0);
+          return chai.request(server).get(url);
+        }).then(function (res) {
+          res.should.have.status(404);
+        })
+      })
+      
+      it('should serve the new instance of a reinstalled plugin', function()  {
+        const url = '/XXX/plugins/org.zowe.testplugin'
+            + '/services/test-service/_current'
+        const stackSize = webApp.pluginRouter.stack.length;
+        return webApp.reinstallPlugin(pluginContext).then(() => {
+          webApp.plugins.should.have.length(1);
+          webApp.pluginRouter.stack.should.have.length(stackSize);
+          return chai.request(server).get(url);
+        }).then(function (res) {
+          res.should.have.status(200);
+          res.body.version.should.equal("2.1.0");
+        })
+      })
+
+      it('should keep serving the old instance if the new one fails', function()  {
+        const url = '/XXX/plugins/org.zowe.testplugin'
+            + '/services/test-service/_current'
+        const broken = makePlugin(
+            Object.assign(pl._readPluginDef("org.zowe.testplugin.json"), {
+              dataServices: [{
+                type: "router",
+                name: "test-service",
+                fileName: "failing-router.js",
+                version: "3.0.0"
+              }]
+            }), {}, {
+              productCode: "XXX",
+              config: {},
+              authManager: {}
+            }, false);
+        return webApp.reinstallPlugin(Object.assign({}, pluginContext, {
+          pluginDef: broken
+        })).then(() => {
+          throw new Error('the reinstallation should have failed');
+        }, err => {
+          err.message.should.equal('test-service failed to start');
+          webApp.plugins.should.deep.equal([plugin]);
+          return chai.request(server).get(url);
+        }).then(function (res) {
+          res.should.have.status(200);
+          res.body.version.should.equal("2.1.0");
+        })
+      })
+    })
+
+    describe('server catalog', function() {
+      const catalogUrl = '/server/catalogs/swagger';
+
+      it('should list the services of the installed plugins', function()  {
+        return chai.request(server).get(catalogUrl).then(function (res) {
+          res.should.have.status(200);
+          res.body.openapi.should.equal('3.0.0');
+          res.body.paths.should.have.property('/auth');
+          res.body.paths.should.have.property('/XXX/plugins/org.zowe.testplugin'
+              + '/services/caller/1.0.0');
+        })
+      })
+
+      it('should only be served to logged in users', function()  {
+        const loggedOut = makeWebApp(Object.assign({}, webAppOptions, {
+          auth: Object.assign({}, webAppOptions.auth, {
+            middleware(req, res, next) {
+              res.status(401).json({ error: 'not logged in' });
+            }
+          })
+        }));
+        return chai.request(loggedOut.expressApp).get(catalogUrl)
+          .then(function (res) {
+            res.should.have.status(401);
+          })
+      })
+
+      it('should be refreshed when a plugin is uninstalled', function()  {
+        webApp.getServerCatalog();
+        return webApp.uninstallPlugin('org.zowe.testplugin').then(() => {
+          return chai.request(server).get(catalogUrl);
+        }).then(function (res) {
+          res.should.have.status(200);
+          Object.keys(res.body.paths).filter(p => p.startsWith('/XXX/plugins'))
+            .should.have.length(0);
+        })
+      })
+    })
+
+    describe('disabling', function() {
+      const url = '/XXX/plugins/org.zowe.testplugin'
+          + '/services/test-service/_current'
+
+      it('should answer 503 for a disabled plugin', function()  {
+        webApp.setPluginEnabled('org.zowe.testplugin', false);
+        return chai.request(server).get(url).then(function (res) {
+          res.should.have.status(503);
+          res.body.error.should.equal('plugin disabled');
+        })
+      })
+
+      it('should serve a plugin again once it is enabled', function()  {
+        webApp.setPluginEnabled('org.zowe.testplugin', true);
+        return chai.request(server).get(url).then(function (res) {
+          res.should.have.status(200);
+        })
+      })
+
+      it('should answer 503 for imports from a disabled plugin', function()  {
+        const importer = makePlugin({
+          identifier: "org.zowe.importer",
+          apiVersion: "1.0.0",
+          pluginVersion: "1.0.0",
+          pluginType: "application",
+          dataServices: [{
+            type: "import",
+            sourcePlugin: "org.zowe.testplugin",
+            sourceName: "test-service",
+            localName: "imported",
+            versionRange: "^2.0.0",
+            version: "2.1.0"
+          }]
+        }, {}, {
+          productCode: "XXX",
+          config: {},
+          authManager: {}
+        }, false);
+        const importUrl = '/XXX/plugins/org.zowe.importer'
+            + '/services/imported/_current'
+        //a server of its own for each request: chai closes it after one
+        return webApp.installPlugin(Object.assign({}, pluginContext, {
+          pluginDef: importer
+        })).then(() => {
+          webApp.setPluginEnabled('org.zowe.testplugin', false);
+          return chai.request(webApp.expressApp).get(importUrl);
+        }).then(function (res) {
+          res.should.have.status(503);
+          res.body.error.should.equal('plugin disabled');
+          res.body.plugin.should.equal('org.zowe.testplugin');
+          webApp.setPluginEnabled('org.zowe.testplugin', true);
+          return chai.request(webApp.expressApp).get(importUrl);
+        }).then(function (res) {
+          res.should.have.status(200);
+          res.body.version.should.equal("2.1.0");
+        })
+      })
+    })
+  
+    describe('side by side versions', function() {
+      const pluginV2 = makePlugin(
+          Object.assign(pl._readPluginDef("org.zowe.testplugin.json"), {
+            pluginVersion: "2.0.0"
+          }), {}, {
+            productCode: "XXX",
+            config: {},
+            authManager: {}
+          }, false);
+      const serviceUrl = '/services/test-service/_current';
+
+      beforeEach(function() {
+        return webApp.installPlugin(Object.assign({}, pluginContext, {
+          pluginDef: pluginV2
+        }));
+      })
+
+      it('should serve each version under its own URL', function()  {
+        const url = '/XXX/plugins/org.zowe.testplugin/1.0.0' + serviceUrl;
+        return chai.request(server).get(url).then(function (res) {
+          res.should.have.status(200);
+        })
+      })
+
+      it('should list every version and flag the highest as default', function()  {
+        return chai.request(server).get('/plugins?type=all')
+          .then(function (res) {
+            res.should.have.status(200);
+            const defaults = {};
+            for (const def of res.body.pluginDefinitions) {
+              defaults[def.pluginVersion] = def.isDefaultVersion;
+            }
+            defaults.should.deep.equal({ "1.0.0": false, "2.0.0": true });
+          })
+      })
+
+      it('should stop serving a version once it is uninstalled', function()  {
+        const url = '/XXX/plugins/org.zowe.testplugin/2.0.0' + serviceUrl;
+        return webApp.uninstallPlugin('org.zowe.testplugin', '2.0.0').then(() => {
+          webApp.plugins.should.have.length(1);
+          return chai.request(server).get(url);
+        }).then(function (res) {
+          res.should.have.status(404);
+        })
+      })
+
+      it('should fall back to the remaining version by default', function()  {
+        const url = '/XXX/plugins/org.zowe.testplugin' + serviceUrl;
+        return webApp.uninstallPlugin('org.zowe.testplugin', '2.0.0').then(() => {
+          webApp._isDefaultVersion('org.zowe.testplugin', '1.0.0')
+            .should.equal(true);
+          return chai.request(server).get(url);
+        }).then(function (res) {
+          res.should.have.status(200);
+        })
+      })
+    })
+
     after(() => {
       //process.exit(0)
     })
   })
+
+  describe('plugin management API', function() {
+    const providerDef = {
+      identifier: "org.zowe.provider",
+      apiVersion: "1.0.0",
+      pluginVersion: "1.0.0",
+      pluginType: "application",
+      dataServices: [{
+        type: "service",
+        name: "foo",
+        version: "1.0.0"
+      }]
+    };
+
+    function makeConsumerDef(versionRange) {
+      return {
+        identifier: "org.zowe.consumer",
+        apiVersion: "1.0.0",
+        pluginVersion: "1.0.0",
+        pluginType: "application",
+        dataServices: [{
+          type: "import",
+          sourcePlugin: "org.zowe.provider",
+          sourceName: "foo",
+          versionRange: versionRange,
+          localName: "foo"
+        }]
+      };
+    }
+
+    let loader;
+    let webApp;
+    let submitOptions;
+
+    //the handlers of lib/index.js, without persistence or a cluster
+    beforeEach(function() {
+      loader = new PluginLoader({
+        productCode: "XXX",
+        serverConfig: {},
+        authManager: {
+          authPluginRequested() {
+            return false;
+          }
+        }
+      });
+      submitOptions = [];
+      webApp = makeWebApp(Object.assign({}, webAppOptions, {
+        newPluginHandler: (pluginDef, options) => {
+          submitOptions.push(options);
+          return loader.addDynamicPlugin(pluginDef);
+        },
+        reloadPluginHandler: (identifier, pluginDef, version) =>
+          loader.reloadPlugin(identifier, pluginDef, version),
+        removePluginHandler: (identifier, version) =>
+          loader.removePlugin(identifier, version),
+        pluginStatusHandler: (identifier, version) => identifier
+          ? loader.getPluginStatus(identifier, version)
+          : loader.getPluginStatuses(),
+        pluginEnablementHandler: (identifier, enabled) =>
+          webApp.setPluginEnabled(identifier, enabled)
+      }));
+    })
+
+    //a server of its own for each request: chai closes it after one
+    function request() {
+      return chai.request(webApp.expressApp);
+    }
+
+    it('should add a plugin and describe it', function()  {
+      return request().post('/apiManagement/plugins').send(providerDef)
+        .then(function (res) {
+          res.should.have.status(200);
+          submitOptions.should.deep.equal([{ ephemeral: false }]);
+          return request().get('/apiManagement/plugins/org.zowe.provider');
+        }).then(function (res) {
+          res.should.have.status(200);
+          res.body.state.should.equal('loaded');
+          res.body.version.should.equal('1.0.0');
+          res.body.dynamic.should.be.true;
+          res.body.enabled.should.be.true;
+          return request().get('/apiManagement/plugins/org.zowe.unknown');
+        }).then(function (res) {
+          res.should.have.status(404);
+        })
+    })
+
+    it('should pass on a request for an ephemeral plugin', function()  {
+      return request().post('/apiManagement/plugins?ephemeral=true')
+        .send(providerDef).then(function (res) {
+          res.should.have.status(200);
+          submitOptions.should.deep.equal([{ ephemeral: true }]);
+        })
+    })
+
+    it('should answer 202 for a plugin that waits for its imports', function()  {
+      return request().post('/apiManagement/plugins')
+        .send(makeConsumerDef("^1.0.0")).then(function (res) {
+          res.should.have.status(202);
+          res.body.status.should.equal('pending');
+          res.body.pluginId.should.equal('org.zowe.consumer');
+          res.body.unresolvedImports[0].status
+            .should.equal('REQUIRED_PLUGIN_NOT_FOUND');
+          return request().get('/apiManagement/plugins/org.zowe.consumer');
+        }).then(function (res) {
+          res.should.have.status(200);
+          res.body.state.should.equal('pending');
+        })
+    })
+
+    it('should answer 400 for a plugin whose imports can never be resolved', function()  {
+      loader.addDynamicPlugin(providerDef);
+      return request().post('/apiManagement/plugins')
+        .send(makeConsumerDef("^2.0.0")).then(function (res) {
+          res.should.have.status(400);
+          res.body.messageTemplate
+            .should.equal('Plugin {pluginId} has unresolved imports');
+          res.body.messageParameters.unresolvedImports[0].status
+            .should.equal('REQUIRED_SERVICE_VERSION_NOT_FOUND');
+        })
+    })
+
+    it('should answer 400 for a plugin that fails to load', function()  {
+      return request().post('/apiManagement/plugins').send({
+        identifier: "org.zowe.unrequested",
+        apiVersion: "1.0.0",
+        pluginVersion: "1.0.0",
+        pluginType: "nodeAuthentication",
+        authenticationCategory: "fallback",
+        filename: "auth.js"
+      }).then(function (res) {
+        res.should.have.status(400);
+        res.body.messageTemplate.should.equal('Plugin {pluginId} failed to load');
+        res.body.messageParameters.state.should.equal('skipped');
+      })
+    })
+
+    it('should disable and enable a plugin', function()  {
+      loader.addDynamicPlugin(providerDef);
+      const url = '/apiManagement/plugins/org.zowe.provider';
+      return request().put(url).send({ enabled: false }).then(function (res) {
+        res.should.have.status(200);
+        res.body.enabled.should.be.false;
+        webApp.disabledPlugins.has('org.zowe.provider').should.be.true;
+        return request().put(url).send({ enabled: true });
+      }).then(function (res) {
+        res.should.have.status(200);
+        res.body.enabled.should.be.true;
+        return request().put(url).send({ enabled: 'no' });
+      }).then(function (res) {
+        res.should.have.status(400);
+        return request().put('/apiManagement/plugins/org.zowe.unknown')
+          .send({ enabled: false });
+      }).then(function (res) {
+        res.should.have.status(404);
+      })
+    })
+
+    it('should only remove dynamically added plugins', function()  {
+      //as at startup, before anything is added
+      loader.installPlugins([Object.assign({}, providerDef, {
+        identifier: "org.zowe.static",
+        location: path.join(process.cwd(), 'test/webapp')
+      })]);
+      loader.addDynamicPlugin(providerDef);
+      return request().delete('/apiManagement/plugins/org.zowe.static')
+        .then(function (res) {
+          res.should.have.status(400);
+          should.exist(loader.pluginMap['org.zowe.static']);
+          return request().delete('/apiManagement/plugins/org.zowe.provider');
+        }).then(function (res) {
+          res.should.have.status(200);
+          should.not.exist(loader.pluginMap['org.zowe.provider']);
+          return request().delete('/apiManagement/plugins/org.zowe.provider');
+        }).then(function (res) {
+          res.should.have.status(404);
+        })
+    })
+
+    it('should reload a plugin from a new definition', function()  {
+      loader.addDynamicPlugin(providerDef);
+      const url = '/apiManagement/plugins/org.zowe.provider';
+      return request().post(url + '/reload')
+        .send(Object.assign({}, providerDef, { pluginVersion: "1.1.0" }))
+        .then(function (res) {
+          res.should.have.status(200);
+          return request().get(url);
+        }).then(function (res) {
+          res.body.version.should.equal('1.1.0');
+          //added dynamically, there is no definition on disk to re-read
+          return request().post(url + '/reload');
+        }).then(function (res) {
+          res.should.have.status(400);
+          return request().post('/apiManagement/plugins/org.zowe.unknown/reload');
+        }).then(function (res) {
+          res.should.have.status(400);
+        })
+    })
+
+    describe('reloading', function() {
+      const url = '/XXX/plugins/org.zowe.testplugin'
+          + '/services/test-service/_current'
+      let server;
+
+      //the reload handling of lib/index.js, without persistence or a cluster
+      beforeEach(function() {
+        server = Object.create(Server.prototype);
+        Object.assign(server, {
+          appConfig: {},
+          userConfig: {},
+          startUpConfig: {},
+          pluginLoader: loader,
+          pluginMapRO: loader.pluginMap,
+          pendingReloads: new Map(),
+          webApp
+        });
+        webApp.options.reloadPluginHandler = (identifier, pluginDef, version) =>
+          server.reloadPlugin(identifier, pluginDef, version);
+        //later, as the event queue of lib/index.js does
+        loader.on('pluginReloaded', event => Promise.resolve().then(() =>
+            server.reinstallReloadedPlugin(event)));
+        loader.installPlugins([pl._readPluginDef("org.zowe.testplugin.json")]);
+        return webApp.installPlugin(server._makePluginContext(
+            loader.pluginMap['org.zowe.testplugin']));
+      })
+
+      it('should answer once the new instance serves', function()  {
+        return request().post('/apiManagement/plugins/org.zowe.testplugin/reload')
+          .then(function (res) {
+            res.should.have.status(200);
+            return request().get(url);
+          }).then(function (res) {
+            res.should.have.status(200);
+            res.body.version.should.equal("2.1.0");
+          })
+      })
+
+      it('should answer 500 and keep the old instance if the new one fails', function()  {
+        const previous = loader.pluginMap['org.zowe.testplugin'];
+        const brokenDef = Object.assign(
+            pl._readPluginDef("org.zowe.testplugin.json"), {
+              dataServices: [{
+                type: "router",
+                name: "test-service",
+                fileName: "failing-router.js",
+                version: "3.0.0"
+              }]
+            });
+        return request().post('/apiManagement/plugins/org.zowe.testplugin/reload')
+          .send(brokenDef).then(function (res) {
+            res.should.have.status(500);
+            res.text.should.include('test-service failed to start');
+            loader.pluginMap['org.zowe.testplugin'].should.equal(previous);
+            return request().get(url);
+          }).then(function (res) {
+            res.should.have.status(200);
+            res.body.version.should.equal("2.1.0");
+          })
+      })
+    })
+
+    it('should report the load status of every plugin', function()  {
+      loader.addDynamicPlugin(providerDef);
+      loader.addDynamicPlugin(makeConsumerDef("^1.0.0"));
+      return request().get('/server/plugins/status').then(function (res) {
+        res.should.have.status(200);
+        res.body.plugins.map(row => [row.identifier, row.state])
+          .should.deep.equal([
+            ["org.zowe.consumer", "loaded"],
+            ["org.zowe.provider", "loaded"]
+          ]);
+      })
+    })
+  })
 });
 /*
   This program and the accompanying materials are